@@ -8,8 +8,12 @@ OUT="${HTML_DIR}/config.json"
 # Defaults:
 # - MQTT_WS_URL: if not set, default to ws://pulsarpi.local:9001 (standard Pulsar deployment)
 # - MQTT_TOPIC: default to pulsar/+/telemetry/# if blank
+# - MQTT_USERNAME: broker user name, blank for anonymous (passwords are entered in the UI)
+# - MQTT_CLIENT_ID_PREFIX: default to pulsar-ui
 : "${MQTT_WS_URL:=ws://pulsarpi.local:9001}"
 : "${MQTT_TOPIC:=pulsar/+/telemetry/#}"
+: "${MQTT_USERNAME:=}"
+: "${MQTT_CLIENT_ID_PREFIX:=pulsar-ui}"
 
 if [ -f "$TEMPLATE" ]; then
   # Replace placeholders safely
@@ -17,6 +21,8 @@ if [ -f "$TEMPLATE" ]; then
   sed \
     -e "s|\${MQTT_WS_URL}|${MQTT_WS_URL}|g" \
     -e "s|\${MQTT_TOPIC}|${MQTT_TOPIC}|g" \
+    -e "s|\${MQTT_USERNAME}|${MQTT_USERNAME}|g" \
+    -e "s|\${MQTT_CLIENT_ID_PREFIX}|${MQTT_CLIENT_ID_PREFIX}|g" \
     "$TEMPLATE" > "$OUT"
 else
   # Fallback
@@ -2,15 +2,21 @@ import { useState, useEffect, useMemo } from 'react';
 import { useNavigation } from '@/stores/navigation';
 import { useUiState } from '@/stores/ui';
 import { useDeviceRegistry } from '@/stores/device-registry';
+import { healthNow } from '@/stores/replay';
 import { useMqttConnection } from '@/hooks/useMqtt';
-import { loadRuntimeConfig } from '@/config';
-import { DeviceHealth } from '@/types/device';
+import { useBrokerAuth } from '@/stores/broker-auth';
+import { brokerConnectConfig } from '@/services/mqtt/auth';
+import { BrokerConfig, loadRuntimeConfig } from '@/config';
+import { deviceHealth } from '@/services/metric-freshness';
+import { ConnectionState } from '@/types/mqtt';
 import { Sidebar } from '@/components/organisms/Sidebar/Sidebar';
 import { DashboardView } from '@/components/pages/DashboardView/DashboardView';
 import { FleetView } from '@/components/pages/FleetView/FleetView';
 import { CommandsView } from '@/components/pages/CommandsView/CommandsView';
 import { RawView } from '@/components/pages/RawView/RawView';
 import { NotificationRail } from '@/components/organisms/NotificationRail/NotificationRail';
+import { ReplayBar } from '@/components/organisms/ReplayBar/ReplayBar';
+import { LoginDialog } from '@/components/organisms/LoginDialog/LoginDialog';
 import './styles/tokens.css';
 import './styles/base.css';
 import './styles/layout.css';
@@ -19,14 +25,18 @@ import './styles/utilities.css';
 function App() {
   const currentView = useNavigation((state) => state.currentView);
   const sidebarCollapsed = useUiState((state) => state.sidebarCollapsed);
-  const [mqttUrl, setMqttUrl] = useState<string | null>(null);
+  const [brokerConfigs, setBrokerConfigs] = useState<BrokerConfig[]>([]);
   const [configLoaded, setConfigLoaded] = useState(false);
+  const credentials = useBrokerAuth((state) => state.credentials);
+  const loginBroker = useBrokerAuth((state) => state.loginBroker);
+  const login = useBrokerAuth((state) => state.login);
+  const closeLogin = useBrokerAuth((state) => state.closeLogin);
 
   // Load runtime config on mount
   useEffect(() => {
     loadRuntimeConfig()
       .then((config) => {
-        setMqttUrl(config.mqttWsUrl);
+        setBrokerConfigs(config.brokers);
         setConfigLoaded(true);
       })
       .catch((err) => {
@@ -35,27 +45,31 @@ function App() {
       });
   }, []);
 
-  // Only initialize MQTT after config is loaded
-  const mqttConfig = useMemo(() => (configLoaded && mqttUrl ? { url: mqttUrl } : null), [configLoaded, mqttUrl]);
-  const connectionState = useMqttConnection(mqttConfig);
+  // Only initialize MQTT after config is loaded; login dialog credentials replace config.json ones
+  const brokerConnections = useMemo(
+    () =>
+      configLoaded
+        ? brokerConfigs.map((broker) => ({
+            id: broker.id,
+            name: broker.name,
+            config: brokerConnectConfig(broker.url, broker.protocolVersion, broker.auth, credentials[broker.id] ?? null),
+          }))
+        : null,
+    [configLoaded, brokerConfigs, credentials]
+  );
+  const brokerStatuses = useMqttConnection(brokerConnections);
+  const loginTarget = brokerConfigs.find((broker) => broker.id === loginBroker);
+  const loginStatus = brokerStatuses.find((status) => status.id === loginBroker);
 
-  // Background health monitoring - recalculate device health every 5 seconds
+  // Background health monitoring - recalculate device health (and silent required metrics) every 5 seconds
   useEffect(() => {
     const interval = setInterval(() => {
       const devices = useDeviceRegistry.getState().devices;
       const updateDevice = useDeviceRegistry.getState().updateDevice;
-      const now = Date.now();
+      const now = healthNow();
 
       devices.forEach((device) => {
-        const age = now - device.lastSeen;
-        let health = DeviceHealth.Healthy;
-        
-        if (age > 60000) {
-          health = DeviceHealth.Offline;
-        } else if (age > 10000) {
-          health = DeviceHealth.Warning;
-        }
-
+        const health = deviceHealth(device, now);
         if (device.health !== health) {
           updateDevice(device.id, { health });
         }
@@ -65,7 +79,7 @@ function App() {
     return () => clearInterval(interval);
   }, []);
 
-  console.log('[App] Rendering JSX with connectionState:', connectionState);
+  console.log('[App] Rendering JSX with broker states:', brokerStatuses.map(({ id, state }) => `${id}=${state}`));
 
   // Show loading state until config is loaded
   if (!configLoaded) {
@@ -80,9 +94,10 @@ function App() {
 
   return (
     <div className={`app-container ${sidebarCollapsed ? 'sidebar-collapsed' : ''}`}>
-      <Sidebar connectionState={connectionState} />
+      <Sidebar brokers={brokerStatuses} />
       
       <main className="main-content">
+        <ReplayBar />
         {currentView === 'dashboard' && <DashboardView />}
         {currentView === 'fleet' && <FleetView />}
         {currentView === 'commands' && <CommandsView />}
@@ -90,6 +105,19 @@ function App() {
       </main>
       
       <NotificationRail />
+
+      {loginTarget && (
+        <LoginDialog
+          key={loginTarget.id}
+          method={loginTarget.auth.method}
+          brokerName={brokerConfigs.length > 1 ? loginTarget.name : null}
+          brokerUrl={loginTarget.url}
+          error={loginStatus?.state === ConnectionState.Unauthorized ? loginStatus.error : null}
+          initialUsername={credentials[loginTarget.id]?.username ?? loginTarget.auth.username}
+          onSubmit={(brokerCredentials) => login(loginTarget.id, brokerCredentials)}
+          onCancel={closeLogin}
+        />
+      )}
     </div>
   );
 }
@@ -1,12 +1,13 @@
 import { useMemo } from 'react';
 import { LineChart, Line, ResponsiveContainer } from 'recharts';
 import { BookmarkMenu } from '@/components/atoms/BookmarkMenu/BookmarkMenu';
-import { TimeSeriesPoint } from '@/types/telemetry';
+import { useMetricFreshness, useSeriesPoints } from '@/hooks/useTelemetry';
 import { BookmarkType } from '@/stores/pinned-metrics';
 import styles from './Sparkline.module.css';
 
 export interface SparklineProps {
-  data: TimeSeriesPoint[];
+  deviceId: string;
+  metric: string;
   color?: string;
   onClick?: () => void;
   bookmarkType?: BookmarkType;
@@ -14,12 +15,18 @@ export interface SparklineProps {
 }
 
 export function Sparkline({
-  data,
+  deviceId,
+  metric,
   color = '#3b82f6',
   onClick,
   bookmarkType,
   onBookmark,
 }: SparklineProps) {
+  // Subscribes to this series only, so other metrics updating do not re-render it
+  const data = useSeriesPoints(deviceId, metric);
+  const freshness = useMetricFreshness(deviceId, metric);
+  const silent = freshness === 'stale' || freshness === 'dead';
+
   // Use only the last 100 points for sparkline
   const sparkData = useMemo(() => {
     const filtered = data.slice(-100);
@@ -38,8 +45,8 @@ export function Sparkline({
   }
 
   return (
-    <div className={styles.sparkline} onClick={onClick}>
-      <ResponsiveContainer width="100%" height={40}>
+    <div className={`${styles.sparkline} ${silent ? styles[freshness] : ''}`} onClick={onClick}>
+      <ResponsiveContainer width="100%" height={40} className={`${styles.chart}`}>
         <LineChart data={sparkData} margin={{ top: 2, right: 2, left: 2, bottom: 2 }}>
           <Line
             type="monotone"
@@ -51,6 +58,8 @@ export function Sparkline({
           />
         </LineChart>
       </ResponsiveContainer>
+
+      {silent && <span className={styles.freshness}>{freshness}</span>}
       
       {onBookmark && (
         <div className={styles.bookmarkButton} onClick={(e) => e.stopPropagation()}>
@@ -21,6 +21,7 @@ const statusConfig: Record<
   [ConnectionState.Connecting]: { label: 'Connecting', color: 'var(--warn-warn)' },
   [ConnectionState.Reconnecting]: { label: 'Reconnecting', color: 'var(--warn-warn)' },
   [ConnectionState.Disconnected]: { label: 'Disconnected', color: 'var(--warn-bad)' },
+  [ConnectionState.Unauthorized]: { label: 'Not authorized', color: 'var(--warn-bad)' },
   [ConnectionState.Error]: { label: 'Error', color: 'var(--warn-bad)' },
 
   // Device health states
@@ -0,0 +1,117 @@
+import { useMemo } from 'react';
+import { Device, DeviceHealth } from '@/types/device';
+import { BroadcastSelector } from '@/types/command';
+import { getDeviceTags, selectDevices } from '@/services/device-selector';
+import styles from './BroadcastTargetPicker.module.css';
+
+export interface BroadcastTargetPickerProps {
+  devices: Device[];
+  selector: BroadcastSelector;
+  onChange: (selector: BroadcastSelector) => void;
+}
+
+const HEALTH_OPTIONS = [DeviceHealth.Healthy, DeviceHealth.Warning, DeviceHealth.Offline];
+
+export function BroadcastTargetPicker({ devices, selector, onChange }: BroadcastTargetPickerProps) {
+  const roles = useMemo(
+    () => Array.from(new Set(devices.map((d) => d.role))).sort(),
+    [devices]
+  );
+  const tags = useMemo(
+    () => Array.from(new Set(devices.flatMap(getDeviceTags))).sort(),
+    [devices]
+  );
+  const matchCount = useMemo(() => selectDevices(devices, selector).length, [devices, selector]);
+
+  const handleKindChange = (kind: BroadcastSelector['kind']) => {
+    switch (kind) {
+      case 'online':
+        onChange({ kind });
+        break;
+      case 'role':
+        onChange({ kind, role: roles[0] ?? '' });
+        break;
+      case 'health':
+        onChange({ kind, health: DeviceHealth.Healthy });
+        break;
+      case 'tag':
+        onChange({ kind, tag: tags[0] ?? '' });
+        break;
+    }
+  };
+
+  return (
+    <div className={styles.picker}>
+      <div className={styles.field}>
+        <label className={styles.label}>Broadcast Target</label>
+        <select
+          className={styles.select}
+          value={selector.kind}
+          onChange={(e) => handleKindChange(e.target.value as BroadcastSelector['kind'])}
+        >
+          <option value="online">All online devices</option>
+          <option value="role">By role</option>
+          <option value="health">By health</option>
+          <option value="tag">By tag</option>
+        </select>
+      </div>
+
+      {selector.kind === 'role' && (
+        <div className={styles.field}>
+          <label className={styles.label}>Role</label>
+          <select
+            className={styles.select}
+            value={selector.role}
+            onChange={(e) => onChange({ kind: 'role', role: e.target.value })}
+          >
+            {roles.map((role) => (
+              <option key={role} value={role}>
+                {role}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {selector.kind === 'health' && (
+        <div className={styles.field}>
+          <label className={styles.label}>Health</label>
+          <select
+            className={styles.select}
+            value={selector.health}
+            onChange={(e) => onChange({ kind: 'health', health: e.target.value as DeviceHealth })}
+          >
+            {HEALTH_OPTIONS.map((health) => (
+              <option key={health} value={health}>
+                {health}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {selector.kind === 'tag' && (
+        <div className={styles.field}>
+          <label className={styles.label}>Tag</label>
+          <select
+            className={styles.select}
+            value={selector.tag}
+            onChange={(e) => onChange({ kind: 'tag', tag: e.target.value })}
+            disabled={tags.length === 0}
+          >
+            {tags.length === 0 && <option value="">No tagged devices</option>}
+            {tags.map((tag) => (
+              <option key={tag} value={tag}>
+                {tag}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <span className={styles.matchCount}>
+        {matchCount} device{matchCount === 1 ? '' : 's'} currently match
+      </span>
+    </div>
+  );
+}
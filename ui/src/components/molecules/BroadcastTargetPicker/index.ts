@@ -0,0 +1,2 @@
+export { BroadcastTargetPicker } from './BroadcastTargetPicker';
+export type { BroadcastTargetPickerProps } from './BroadcastTargetPicker';
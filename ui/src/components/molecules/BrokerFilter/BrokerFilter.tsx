@@ -0,0 +1,37 @@
+import { useDeviceRegistry } from '@/stores/device-registry';
+import { mqttClient } from '@/services/mqtt/client';
+import styles from './BrokerFilter.module.css';
+
+export interface BrokerFilterProps {
+  className?: string | undefined;
+}
+
+/**
+ * Broker/site selector shared by the fleet and dashboard views (registry `filter.broker`)
+ * Renders nothing with a single broker
+ */
+export function BrokerFilter({ className }: BrokerFilterProps) {
+  const broker = useDeviceRegistry((state) => state.filter.broker);
+  const setBrokerFilter = useDeviceRegistry((state) => state.setBrokerFilter);
+  const brokers = mqttClient.brokers();
+
+  if (brokers.length < 2) return null;
+
+  return (
+    <label className={`${styles.brokerFilter} ${className || ''}`}>
+      <span className={styles.label}>Site</span>
+      <select
+        className={styles.select}
+        value={broker ?? ''}
+        onChange={(e) => setBrokerFilter(e.target.value || null)}
+      >
+        <option value="">All sites</option>
+        {brokers.map(({ id, name }) => (
+          <option key={id} value={id}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
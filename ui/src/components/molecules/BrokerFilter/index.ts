@@ -0,0 +1,2 @@
+export { BrokerFilter } from './BrokerFilter';
+export type { BrokerFilterProps } from './BrokerFilter';
@@ -0,0 +1,84 @@
+import { CommandArgs, CommandArg } from '@/types/command';
+import { CommandArgValues } from '@/services/command-args';
+import { Input } from '@/components/atoms/Input/Input';
+import { Checkbox } from '@/components/atoms/Checkbox/Checkbox';
+import styles from './CommandArgsForm.module.css';
+
+export interface CommandArgsFormProps {
+  schema: CommandArgs;
+  values: CommandArgValues;
+  errors: Record<string, string>;
+  onChange: (name: string, value: string | boolean) => void;
+}
+
+export function CommandArgsForm({ schema, values, errors, onChange }: CommandArgsFormProps) {
+  const required = new Set(schema.required ?? []);
+  const fields = Object.entries(schema.properties);
+
+  if (fields.length === 0) {
+    return <p className={styles.empty}>This command takes no arguments</p>;
+  }
+
+  const formatRange = (arg: CommandArg) => {
+    if (arg.minimum !== undefined && arg.maximum !== undefined) return `${arg.minimum} – ${arg.maximum}`;
+    if (arg.minimum !== undefined) return `≥ ${arg.minimum}`;
+    if (arg.maximum !== undefined) return `≤ ${arg.maximum}`;
+    return null;
+  };
+
+  return (
+    <div className={styles.form}>
+      {schema.description && <p className={styles.description}>{schema.description}</p>}
+
+      {fields.map(([name, arg]) => {
+        const label = `${arg.title || name}${required.has(name) ? ' *' : ''}`;
+        const value = values[name];
+        const error = errors[name];
+        const range = formatRange(arg);
+
+        return (
+          <div key={name} className={styles.field}>
+            {arg.type === 'boolean' ? (
+              <Checkbox
+                label={label}
+                checked={value === true}
+                onChange={(e) => onChange(name, e.target.checked)}
+              />
+            ) : arg.enum ? (
+              <>
+                <label className={styles.label}>{label}</label>
+                <select
+                  className={`${styles.select} ${error ? styles.invalid : ''}`}
+                  value={typeof value === 'string' ? value : ''}
+                  onChange={(e) => onChange(name, e.target.value)}
+                >
+                  {!required.has(name) && <option value="">—</option>}
+                  {arg.enum.map((option) => (
+                    <option key={String(option)} value={String(option)}>
+                      {String(option)}
+                    </option>
+                  ))}
+                </select>
+                {error && <span className={styles.error}>{error}</span>}
+              </>
+            ) : (
+              <Input
+                label={label}
+                type={arg.type === 'string' ? 'text' : 'number'}
+                value={typeof value === 'string' ? value : ''}
+                onChange={(e) => onChange(name, e.target.value)}
+                {...(arg.minimum !== undefined && { min: arg.minimum })}
+                {...(arg.maximum !== undefined && { max: arg.maximum })}
+                {...(arg.type === 'integer' && { step: 1 })}
+                {...(range && { placeholder: range })}
+                {...(error && { error })}
+                fullWidth
+              />
+            )}
+            {arg.description && <span className={styles.hint}>{arg.description}</span>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,2 @@
+export { CommandArgsForm } from './CommandArgsForm';
+export type { CommandArgsFormProps } from './CommandArgsForm';
@@ -25,8 +25,9 @@ export function DeviceChip({ device, onClick, selected = false }: DeviceChipProp
     .join(' ');
 
   const timeSinceLastSeen = Date.now() - device.lastSeen;
-  const lastSeenText =
-    timeSinceLastSeen < 1000
+  const lastSeenText = !device.lastSeen
+    ? 'never'
+    : timeSinceLastSeen < 1000
       ? 'just now'
       : timeSinceLastSeen < 60000
       ? `${Math.floor(timeSinceLastSeen / 1000)}s ago`
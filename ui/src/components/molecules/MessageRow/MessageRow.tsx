@@ -1,14 +1,24 @@
 import { useState } from 'react';
 import { MqttMessage } from '@/types/mqtt';
 import { Button } from '@/components/atoms/Button/Button';
+import { formatHexDump } from '@/utils/hexdump';
+import { describeProperties } from '@/services/mqtt/mqtt5';
 import styles from './MessageRow.module.css';
 
+export type PayloadView = 'decoded' | 'hex';
+
+// Encodings shown as a badge next to the message type
+const PLAIN_ENCODINGS = new Set(['json', 'text', 'empty']);
+
 export interface MessageRowProps {
   message: MqttMessage;
+  /** Payload rendering; undecodable (binary) payloads always use the hex dump */
+  payloadView?: PayloadView;
 }
 
-export function MessageRow({ message }: MessageRowProps) {
+export function MessageRow({ message, payloadView = 'decoded' }: MessageRowProps) {
   const [isExpanded, setIsExpanded] = useState(false);
+  const showHex = !!message.bytes && (payloadView === 'hex' || message.encoding === 'binary');
 
   const formatTimestamp = (timestamp: number) => {
     const date = new Date(timestamp);
@@ -30,7 +40,12 @@ export function MessageRow({ message }: MessageRowProps) {
       <div className={styles.header} onClick={() => setIsExpanded(!isExpanded)}>
         <span className={styles.timestamp}>{formatTimestamp(message.timestamp)}</span>
         <span className={styles.deviceId}>{message.deviceId}</span>
-        <span className={styles.messageType}>{message.messageType}</span>
+        <span className={styles.messageType}>
+          {message.messageType}
+          {message.encoding && !PLAIN_ENCODINGS.has(message.encoding) && (
+            <span className={styles.encoding}> · {message.encoding}</span>
+          )}
+        </span>
         <span className={styles.topic}>{message.topic}</span>
         <button className={styles.expandButton}>
           {isExpanded ? '▼' : '▶'}
@@ -44,8 +59,18 @@ export function MessageRow({ message }: MessageRowProps) {
               Copy JSON
             </Button>
           </div>
+          {message.properties && (
+            <dl className={styles.properties}>
+              {describeProperties(message.properties).map(([label, value]) => (
+                <div key={label} className={styles.property}>
+                  <dt className={styles.propertyLabel}>{label}</dt>
+                  <dd className={styles.propertyValue}>{value}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
           <pre className={styles.payload}>
-            {JSON.stringify(message.payload, null, 2)}
+            {showHex ? formatHexDump(message.bytes!) : JSON.stringify(message.payload, null, 2)}
           </pre>
         </div>
       )}
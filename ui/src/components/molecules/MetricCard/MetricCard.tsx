@@ -1,5 +1,6 @@
 import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
 import { Pill } from '@/components/atoms/Pill/Pill';
+import { MetricFreshness } from '@/types/telemetry';
 import styles from './MetricCard.module.css';
 
 export interface MetricCardProps {
@@ -17,6 +18,8 @@ export interface MetricCardProps {
   previousValue?: number;
   /** Show trend arrow */
   showTrend?: boolean;
+  /** Freshness of the value - stale/dead values are dimmed and flagged */
+  freshness?: MetricFreshness | null;
   /** Custom className */
   className?: string;
 }
@@ -29,8 +32,11 @@ export function MetricCard({
   max,
   previousValue,
   showTrend = true,
+  freshness = null,
   className,
 }: MetricCardProps) {
+  const silent = freshness === 'stale' || freshness === 'dead';
+
   // Determine alert state
   const numValue = typeof value === 'number' ? value : null;
   let alertVariant: 'success' | 'warning' | 'danger' | 'default' = 'default';
@@ -59,15 +65,22 @@ export function MetricCard({
   };
 
   return (
-    <Card className={`${styles.metricCard} ${className || ''}`}>
+    <Card className={`${styles.metricCard} ${silent ? styles.silent : ''} ${className || ''}`}>
       <CardHeader>
         <div className={styles.header}>
           <span className={styles.label}>{label}</span>
-          {alertVariant !== 'default' && (
-            <Pill variant={alertVariant} size="sm">
-              {alertVariant}
-            </Pill>
-          )}
+          <div className={styles.pills}>
+            {silent && (
+              <Pill variant={freshness === 'dead' ? 'danger' : 'warning'} size="sm">
+                {freshness}
+              </Pill>
+            )}
+            {alertVariant !== 'default' && (
+              <Pill variant={alertVariant} size="sm">
+                {alertVariant}
+              </Pill>
+            )}
+          </div>
         </div>
       </CardHeader>
       <CardBody>
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { Input } from '@/components/atoms/Input/Input';
+import { Button } from '@/components/atoms/Button/Button';
+import { tryParseQuery } from '@/services/query';
+import { useSavedQueries, QueryScope } from '@/stores/saved-queries';
+import styles from './QueryInput.module.css';
+
+export interface QueryInputProps {
+  value: string;
+  onChange: (value: string) => void;
+  scope: QueryScope;
+  placeholder?: string;
+}
+
+/**
+ * Filter query box with parse errors and named saved filters (per scope)
+ */
+export function QueryInput({ value, onChange, scope, placeholder }: QueryInputProps) {
+  const allQueries = useSavedQueries((state) => state.queries);
+  const saveQuery = useSavedQueries((state) => state.saveQuery);
+  const deleteQuery = useSavedQueries((state) => state.deleteQuery);
+  // Name being typed for a new saved filter (null when not saving)
+  const [saveName, setSaveName] = useState<string | null>(null);
+
+  const saved = allQueries.filter((q) => q.scope === scope);
+  const current = saved.find((q) => q.query === value);
+  const { error } = tryParseQuery(value);
+
+  const handleSave = () => {
+    if (!saveName?.trim()) return;
+    saveQuery({ name: saveName, scope, query: value });
+    setSaveName(null);
+  };
+
+  return (
+    <div className={styles.queryInput}>
+      <div className={styles.row}>
+        <div className={styles.field}>
+          <Input
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder={placeholder}
+            {...(error ? { error } : {})}
+            fullWidth
+            spellCheck={false}
+          />
+        </div>
+        {saved.length > 0 && (
+          <select
+            className={styles.select}
+            value={current?.name ?? ''}
+            onChange={(e) => {
+              const selected = saved.find((q) => q.name === e.target.value);
+              if (selected) onChange(selected.query);
+            }}
+          >
+            <option value="" disabled>
+              Saved filters
+            </option>
+            {saved.map((q) => (
+              <option key={q.name} value={q.name} title={q.query}>
+                {q.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className={styles.actions}>
+        {saveName !== null ? (
+          <>
+            <Input
+              size="sm"
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleSave();
+                if (e.key === 'Escape') setSaveName(null);
+              }}
+              placeholder="Filter name"
+              autoFocus
+            />
+            <Button size="sm" onClick={handleSave} disabled={!saveName.trim()}>
+              Save
+            </Button>
+            <Button variant="secondary" size="sm" onClick={() => setSaveName(null)}>
+              Cancel
+            </Button>
+          </>
+        ) : (
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => setSaveName(current?.name ?? '')}
+            disabled={!value.trim() || !!error}
+          >
+            Save Filter
+          </Button>
+        )}
+        {current && saveName === null && (
+          <Button variant="secondary" size="sm" onClick={() => deleteQuery(scope, current.name)}>
+            Delete “{current.name}”
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,2 @@
+export { QueryInput } from './QueryInput';
+export type { QueryInputProps } from './QueryInput';
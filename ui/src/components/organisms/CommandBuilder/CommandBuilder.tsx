@@ -1,34 +1,84 @@
-import { useState } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
 import { Button } from '@/components/atoms/Button/Button';
 import { Input } from '@/components/atoms/Input/Input';
+import { CommandArgsForm } from '@/components/molecules/CommandArgsForm/CommandArgsForm';
 import { useCommandQueue } from '@/stores/command-queue';
-import { CommandStatus } from '@/types/command';
+import { useDevice } from '@/hooks/useDevice';
+import { BroadcastSelector, BROADCAST_DEVICE_ID } from '@/types/command';
+import { CommandEnvelopeSchema, createCommand } from '@/services/mqtt/command-envelope';
+import {
+  CommandArgValues,
+  getDefaultArgValues,
+  getDeviceCommands,
+  getPublishedCommands,
+  parseCommandArgs,
+  parseCommandSchemas,
+} from '@/services/command-args';
 import styles from './CommandBuilder.module.css';
 
 export interface CommandBuilderProps {
   targetDeviceId: string | null;
   isBroadcast: boolean;
+  broadcastSelector?: BroadcastSelector;
 }
 
-export function CommandBuilder({ targetDeviceId, isBroadcast }: CommandBuilderProps) {
+/**
+ * Free-form parameters must be a JSON object: they are sent as the envelope's `args`
+ */
+function parseParams(value: string): { args?: Record<string, unknown>; error?: string } {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    return { error: 'Invalid JSON' };
+  }
+  const result = CommandEnvelopeSchema.shape.args.safeParse(parsed);
+  return result.success ? { args: result.data } : { error: 'Parameters must be a JSON object' };
+}
+
+export function CommandBuilder({
+  targetDeviceId,
+  isBroadcast,
+  broadcastSelector = { kind: 'online' },
+}: CommandBuilderProps) {
   const [command, setCommand] = useState('');
   const [params, setParams] = useState('{}');
   const [paramsError, setParamsError] = useState<string | null>(null);
+  const [argValues, setArgValues] = useState<CommandArgValues>({});
   const stageCommand = useCommandQueue((state) => state.stageCommand);
+  const device = useDevice(isBroadcast ? null : targetDeviceId);
+
+  // Typed forms are only available when targeting a single device that publishes meta/commands
+  const availableCommands = useMemo(() => (device ? getDeviceCommands(device) : []), [device]);
+  // Keyed on the meta/commands payload so telemetry updates to the device keep the schema (and the form)
+  const publishedCommands = getPublishedCommands(device);
+  const schemas = useMemo(() => parseCommandSchemas(publishedCommands), [publishedCommands]);
+  const action = command.trim();
+  const schema = schemas[action];
+
+  // Reset the typed form whenever the selected command schema changes
+  useEffect(() => {
+    setArgValues(schema ? getDefaultArgValues(schema) : {});
+  }, [schema]);
+
+  const parsedArgs = useMemo(
+    () => (schema ? parseCommandArgs(schema, argValues) : null),
+    [schema, argValues]
+  );
+  const hasArgErrors = !!parsedArgs && Object.keys(parsedArgs.errors).length > 0;
 
   const handleParamsChange = (value: string) => {
     setParams(value);
-    try {
-      JSON.parse(value);
-      setParamsError(null);
-    } catch (e) {
-      setParamsError('Invalid JSON');
-    }
+    setParamsError(parseParams(value).error ?? null);
+  };
+
+  const handleArgChange = (name: string, value: string | boolean) => {
+    setArgValues((prev) => ({ ...prev, [name]: value }));
   };
 
   const handleStage = () => {
-    if (!command.trim()) {
+    if (!action) {
       return;
     }
 
@@ -36,29 +86,34 @@ export function CommandBuilder({ targetDeviceId, isBroadcast }: CommandBuilderPr
       return;
     }
 
-    try {
-      const parsedParams = JSON.parse(params);
-      
-      stageCommand({
-        id: `cmd-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
-        deviceId: isBroadcast ? '*' : targetDeviceId!,
-        action: command.trim(),
-        payload: parsedParams,
-        status: CommandStatus.Staged,
-        stagedAt: Date.now(),
-        requiresArmed: false,
-      });
-
-      // Reset form
-      setCommand('');
-      setParams('{}');
-      setParamsError(null);
-    } catch (e) {
-      setParamsError('Invalid JSON parameters');
+    if (hasArgErrors) {
+      return;
     }
+
+    const parsedParams = parsedArgs ? { args: parsedArgs.args } : parseParams(params);
+    if (!parsedParams.args) {
+      setParamsError(parsedParams.error ?? 'Invalid parameters');
+      return;
+    }
+
+    stageCommand(
+      createCommand({
+        deviceId: isBroadcast ? BROADCAST_DEVICE_ID : targetDeviceId!,
+        action: command,
+        payload: parsedParams.args,
+        requiresArmed: false,
+        ...(isBroadcast && { selector: broadcastSelector }),
+      })
+    );
+
+    // Reset form
+    setCommand('');
+    setParams('{}');
+    setParamsError(null);
   };
 
-  const canStage = command.trim() && !paramsError && (isBroadcast || targetDeviceId);
+  const canStage =
+    action && !hasArgErrors && (schema || !paramsError) && (isBroadcast || targetDeviceId);
 
   return (
     <Card>
@@ -73,20 +128,53 @@ export function CommandBuilder({ targetDeviceId, isBroadcast }: CommandBuilderPr
               value={command}
               onChange={(e) => setCommand(e.target.value)}
               placeholder="e.g., activate_relay, set_threshold"
+              list="command-builder-actions"
             />
+            <datalist id="command-builder-actions">
+              {availableCommands.map((cmd) => (
+                <option key={cmd} value={cmd} />
+              ))}
+            </datalist>
+            {availableCommands.length > 0 && (
+              <div className={styles.suggestions}>
+                {availableCommands.map((cmd) => (
+                  <button
+                    key={cmd}
+                    type="button"
+                    className={`${styles.suggestion} ${cmd === action ? styles.active : ''}`}
+                    onClick={() => setCommand(cmd)}
+                  >
+                    {cmd}
+                    {schemas[cmd] && <span className={styles.typed}>typed</span>}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
 
-          <div className={styles.field}>
-            <label className={styles.label}>Parameters (JSON)</label>
-            <textarea
-              className={styles.textarea}
-              value={params}
-              onChange={(e) => handleParamsChange(e.target.value)}
-              placeholder='{"key": "value"}'
-              rows={4}
-            />
-            {paramsError && <span className={styles.error}>{paramsError}</span>}
-          </div>
+          {schema ? (
+            <div className={styles.field}>
+              <label className={styles.label}>Parameters</label>
+              <CommandArgsForm
+                schema={schema}
+                values={argValues}
+                errors={parsedArgs?.errors ?? {}}
+                onChange={handleArgChange}
+              />
+            </div>
+          ) : (
+            <div className={styles.field}>
+              <label className={styles.label}>Parameters (JSON)</label>
+              <textarea
+                className={styles.textarea}
+                value={params}
+                onChange={(e) => handleParamsChange(e.target.value)}
+                placeholder='{"key": "value"}'
+                rows={4}
+              />
+              {paramsError && <span className={styles.error}>{paramsError}</span>}
+            </div>
+          )}
 
           <Button
             onClick={handleStage}
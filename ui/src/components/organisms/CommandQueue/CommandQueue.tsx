@@ -3,15 +3,24 @@ import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
 import { Button } from '@/components/atoms/Button/Button';
 import { Pill } from '@/components/atoms/Pill/Pill';
 import { useCommandQueue } from '@/stores/command-queue';
-import { Command, CommandStatus } from '@/types/command';
+import { useDataSource } from '@/stores/data-source';
+import { Command, CommandStatus, BROADCAST_DEVICE_ID } from '@/types/command';
+import { describeSelector } from '@/services/device-selector';
 import styles from './CommandQueue.module.css';
 
 export function CommandQueue() {
   const commands = useCommandQueue((state) => state.commands);
   const removeCommand = useCommandQueue((state) => state.removeCommand);
   const executeCommand = useCommandQueue((state) => state.executeCommand);
+  const getBroadcastRollup = useCommandQueue((state) => state.getBroadcastRollup);
+  const getChildCommands = useCommandQueue((state) => state.getChildCommands);
+  const replaying = useDataSource((state) => state.source === 'replay');
 
-  const allCommands = useMemo(() => Array.from(commands.values()), [commands]);
+  // Broadcast children are shown rolled up under their parent
+  const allCommands = useMemo(
+    () => Array.from(commands.values()).filter((cmd) => !cmd.parentId),
+    [commands]
+  );
   
   const stagedCommands = useMemo(() => 
     allCommands.filter((cmd) => cmd.status === CommandStatus.Staged),
@@ -44,6 +53,42 @@ export function CommandQueue() {
     return new Date(timestamp).toLocaleTimeString();
   };
 
+  const formatLatency = (latencyMs: number) => {
+    return latencyMs < 1000 ? `${latencyMs} ms` : `${(latencyMs / 1000).toFixed(2)} s`;
+  };
+
+  const formatTarget = (cmd: Command) => {
+    if (cmd.deviceId !== BROADCAST_DEVICE_ID) return cmd.deviceId;
+    return `broadcast · ${describeSelector(cmd.selector ?? { kind: 'online' })}`;
+  };
+
+  const renderRollup = (cmd: Command) => {
+    if (cmd.deviceId !== BROADCAST_DEVICE_ID) return null;
+
+    const rollup = getBroadcastRollup(cmd.id);
+    if (rollup.total === 0) return null;
+
+    const parts = [`${rollup.acked}/${rollup.total} acked`];
+    if (rollup.failed > 0) parts.push(`${rollup.failed} failed`);
+    if (rollup.timeout > 0) parts.push(`${rollup.timeout} timeout`);
+    if (rollup.inFlight > 0) parts.push(`${rollup.inFlight} waiting`);
+
+    const problemDevices = getChildCommands(cmd.id)
+      .filter((child) => child.status === CommandStatus.Failed || child.status === CommandStatus.Timeout)
+      .map((child) => child.deviceId);
+
+    return (
+      <div className={styles.rollup}>
+        <span className={styles.rollupSummary}>{parts.join(', ')}</span>
+        {problemDevices.length > 0 && (
+          <span className={styles.rollupDevices} title={problemDevices.join(', ')}>
+            {problemDevices.join(', ')}
+          </span>
+        )}
+      </div>
+    );
+  };
+
   const getStatusVariant = (status: CommandStatus): 'default' | 'primary' | 'success' | 'warning' | 'danger' | 'info' => {
     switch (status) {
       case CommandStatus.Staged: return 'default';
@@ -62,7 +107,12 @@ export function CommandQueue() {
         <div className={styles.header}>
           <h2>Command Queue</h2>
           {stagedCommands.length > 0 && (
-            <Button variant="primary" onClick={executeStaged}>
+            <Button
+              variant="primary"
+              onClick={executeStaged}
+              disabled={replaying}
+              title={replaying ? 'Command publishing is disabled during replay' : undefined}
+            >
               Execute All ({stagedCommands.length})
             </Button>
           )}
@@ -84,7 +134,7 @@ export function CommandQueue() {
                     <div className={styles.commandInfo}>
                       <div className={styles.commandHeader}>
                         <span className={styles.commandName}>{cmd.action}</span>
-                        <span className={styles.device}>{cmd.deviceId}</span>
+                        <span className={styles.device}>{formatTarget(cmd)}</span>
                       </div>
                       <code className={styles.params}>
                         {JSON.stringify(cmd.payload)}
@@ -117,11 +167,12 @@ export function CommandQueue() {
                     <div className={styles.commandInfo}>
                       <div className={styles.commandHeader}>
                         <span className={styles.commandName}>{cmd.action}</span>
-                        <span className={styles.device}>{cmd.deviceId}</span>
+                        <span className={styles.device}>{formatTarget(cmd)}</span>
                       </div>
                       <code className={styles.params}>
                         {JSON.stringify(cmd.payload)}
                       </code>
+                      {renderRollup(cmd)}
                     </div>
                     <Pill variant={getStatusVariant(cmd.status)} size="sm">
                       {cmd.status}
@@ -146,7 +197,12 @@ export function CommandQueue() {
                     <div className={styles.commandInfo}>
                       <div className={styles.commandHeader}>
                         <span className={styles.commandName}>{cmd.action}</span>
-                        <span className={styles.device}>{cmd.deviceId}</span>
+                        <span className={styles.device}>{formatTarget(cmd)}</span>
+                        {cmd.latencyMs !== undefined && (
+                          <span className={styles.latency} title="Round trip to device ACK">
+                            {formatLatency(cmd.latencyMs)}
+                          </span>
+                        )}
                         <span className={styles.timestamp}>
                           {cmd.completedAt && formatTimestamp(cmd.completedAt)}
                         </span>
@@ -154,6 +210,10 @@ export function CommandQueue() {
                       <code className={styles.params}>
                         {JSON.stringify(cmd.payload)}
                       </code>
+                      {renderRollup(cmd)}
+                      {cmd.error && cmd.deviceId !== BROADCAST_DEVICE_ID && (
+                        <span className={styles.error}>{cmd.error}</span>
+                      )}
                     </div>
                     <Pill variant={getStatusVariant(cmd.status)} size="sm">
                       {cmd.status}
@@ -1,27 +1,32 @@
 import { Device } from '@/types/device';
-import { useTelemetry } from '@/stores/telemetry';
+import { getRuntimeConfig } from '@/config';
+import { useLatestValue, useMetricFreshness } from '@/hooks/useTelemetry';
+import { requiredMetrics, silentRequiredMetrics } from '@/services/metric-freshness';
+import { healthNow } from '@/stores/replay';
 import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
 import { StatusBadge } from '@/components/atoms/StatusBadge/StatusBadge';
 import { MetricCard } from '@/components/molecules/MetricCard/MetricCard';
 import { PlotCard } from '@/components/organisms/PlotCard/PlotCard';
-import { useMemo } from 'react';
 import styles from './DeviceDetailsPanel.module.css';
 
+function formatOffset(offsetMs: number): string {
+  const seconds = Math.abs(offsetMs) / 1000;
+  const amount = seconds < 1 ? `${Math.round(Math.abs(offsetMs))} ms` : `${seconds.toFixed(1)} s`;
+  // Offsets are receive time minus device time: positive means the device clock is behind
+  return offsetMs > 0 ? `${amount} behind` : `${amount} ahead`;
+}
+
 export interface DeviceDetailsPanelProps {
   device: Device;
 }
 
 export function DeviceDetailsPanel({ device }: DeviceDetailsPanelProps) {
-  const getPoints = useTelemetry((state) => state.getPoints);
-  const getLatestValue = useTelemetry((state) => state.getLatestValue);
-
-  const temperatureData = useMemo(() => {
-    return getPoints(device.id, 'temperature');
-  }, [device.id, getPoints]);
-
-  const pressureData = useMemo(() => {
-    return getPoints(device.id, 'pressure');
-  }, [device.id, getPoints]);
+  const temperature = useLatestValue(device.id, 'temperature');
+  const pressure = useLatestValue(device.id, 'pressure');
+  const temperatureFreshness = useMetricFreshness(device.id, 'temperature');
+  const pressureFreshness = useMetricFreshness(device.id, 'pressure');
+  const required = requiredMetrics(device);
+  const silent = silentRequiredMetrics(device, healthNow());
 
   const formatTimestamp = (timestamp: number) => {
     return new Date(timestamp).toLocaleString();
@@ -66,6 +71,68 @@ export function DeviceDetailsPanel({ device }: DeviceDetailsPanelProps) {
               </div>
             )}
 
+            {required.length > 0 && (
+              <div className={styles.infoRow}>
+                <span className={styles.infoLabel}>Required Metrics</span>
+                <div className={styles.linkStats}>
+                  {silent.length > 0 ? (
+                    <span className={styles.linkWarning}>
+                      {silent.map(({ metric, freshness }) => `${metric} ${freshness}`).join(' · ')}
+                    </span>
+                  ) : (
+                    <span className={styles.infoValue}>All reporting</span>
+                  )}
+                  <span className={styles.linkDetail}>{required.join(' · ')}</span>
+                </div>
+              </div>
+            )}
+
+            {device.clock && (
+              <div className={styles.infoRow}>
+                <span className={styles.infoLabel}>Device Clock</span>
+                <div className={styles.linkStats}>
+                  <span className={device.clock.skewed ? styles.linkWarning : styles.infoValue}>
+                    {formatOffset(device.clock.offsetMs)}
+                    {device.clock.skewed && ' · skewed'}
+                  </span>
+                  <span className={styles.linkDetail}>
+                    Device time {formatTimestamp(device.clock.lastDeviceTs)} · received{' '}
+                    {formatTimestamp(device.clock.lastReceivedAt)}
+                  </span>
+                </div>
+              </div>
+            )}
+
+            {device.link && (
+              <div className={styles.infoRow}>
+                <span className={styles.infoLabel}>Link Quality</span>
+                <div className={styles.linkStats}>
+                  <span
+                    className={
+                      device.link.lossPercent > getRuntimeConfig().linkQuality.lossWarningPercent
+                        ? styles.linkWarning
+                        : styles.infoValue
+                    }
+                  >
+                    {device.link.lossPercent.toFixed(1)}% loss
+                  </span>
+                  <span className={styles.linkDetail}>
+                    {device.link.received.toLocaleString()} received · {device.link.lost.toLocaleString()} missing ·{' '}
+                    {device.link.duplicates.toLocaleString()} duplicates · {device.link.reordered.toLocaleString()}{' '}
+                    out of order
+                  </span>
+                  <span className={styles.linkDetail}>
+                    {device.link.reboots.toLocaleString()} {device.link.reboots === 1 ? 'reboot' : 'reboots'}
+                    {device.link.lastRebootAt !== null && ` (last ${formatTimestamp(device.link.lastRebootAt)})`}
+                    {' · '}
+                    {device.link.lastGapAt !== null
+                      ? `last gap ${formatTimestamp(device.link.lastGapAt)}`
+                      : 'no gaps'}
+                  </span>
+                </div>
+              </div>
+            )}
+
             {device.metadata && Object.keys(device.metadata).length > 0 && (
               <div className={styles.infoRow}>
                 <span className={styles.infoLabel}>Metadata</span>
@@ -87,13 +154,15 @@ export function DeviceDetailsPanel({ device }: DeviceDetailsPanelProps) {
       <div className={styles.metricsGrid}>
         <MetricCard
           label="Temperature"
-          value={getLatestValue(device.id, 'temperature') ?? null}
+          value={temperature ?? null}
           unit="°F"
+          freshness={temperatureFreshness}
         />
         <MetricCard
           label="Pressure"
-          value={getLatestValue(device.id, 'pressure') ?? null}
+          value={pressure ?? null}
           unit="PSI"
+          freshness={pressureFreshness}
         />
       </div>
 
@@ -101,16 +170,16 @@ export function DeviceDetailsPanel({ device }: DeviceDetailsPanelProps) {
       <PlotCard
         title="Temperature"
         metric="temperature"
+        deviceId={device.id}
         unit="°F"
-        data={temperatureData}
         color="var(--warn-warn)"
       />
       
       <PlotCard
         title="Pressure"
         metric="pressure"
+        deviceId={device.id}
         unit=" PSI"
-        data={pressureData}
         color="var(--primary-line)"
       />
     </div>
@@ -0,0 +1,87 @@
+import { FormEvent, useState } from 'react';
+import { Card, CardHeader, CardBody, CardFooter } from '@/components/atoms/Card/Card';
+import { Button } from '@/components/atoms/Button/Button';
+import { Input } from '@/components/atoms/Input/Input';
+import { BrokerCredentials } from '@/services/mqtt/auth';
+import styles from './LoginDialog.module.css';
+
+interface LoginDialogProps {
+  method: 'password' | 'token';
+  // Shown when several brokers are configured
+  brokerName?: string | null;
+  brokerUrl: string;
+  // Broker's rejection reason
+  error: string | null;
+  initialUsername?: string;
+  onSubmit: (credentials: BrokerCredentials) => void;
+  onCancel: () => void;
+}
+
+/**
+ * Broker sign-in, shown when the broker rejects the connection as not authorized
+ */
+export function LoginDialog({
+  method,
+  brokerName = null,
+  brokerUrl,
+  error,
+  initialUsername = '',
+  onSubmit,
+  onCancel,
+}: LoginDialogProps) {
+  const [username, setUsername] = useState(initialUsername);
+  const [secret, setSecret] = useState('');
+
+  const handleSubmit = (e: FormEvent) => {
+    e.preventDefault();
+    onSubmit(method === 'token' ? { username, token: secret } : { username, password: secret });
+  };
+
+  return (
+    <div className={styles.backdrop} role="presentation">
+      <form className={styles.dialog} role="dialog" aria-modal="true" aria-labelledby="login-title" onSubmit={handleSubmit}>
+        <Card>
+          <CardHeader>
+            <h2 id="login-title" className={styles.title}>
+              {brokerName ? `Sign in to ${brokerName}` : 'Sign in to broker'}
+            </h2>
+            <span className={styles.broker}>{brokerUrl}</span>
+          </CardHeader>
+          <CardBody className={styles.fields}>
+            {error && <div className={styles.error}>{error}</div>}
+            <Input
+              label={method === 'token' ? 'Username (optional)' : 'Username'}
+              id="broker-username"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              required={method === 'password'}
+              autoFocus={method === 'password'}
+              fullWidth
+            />
+            <Input
+              label={method === 'token' ? 'Token' : 'Password'}
+              id="broker-secret"
+              type="password"
+              autoComplete={method === 'token' ? 'off' : 'current-password'}
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              required
+              autoFocus={method === 'token'}
+              fullWidth
+            />
+            <p className={styles.hint}>Kept for this browser tab only.</p>
+          </CardBody>
+          <CardFooter className={styles.actions}>
+            <Button type="button" variant="secondary" onClick={onCancel}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!secret || (method === 'password' && !username)}>
+              Sign in
+            </Button>
+          </CardFooter>
+        </Card>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1 @@
+export { LoginDialog } from './LoginDialog';
@@ -4,16 +4,19 @@ import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
 import { Button } from '@/components/atoms/Button/Button';
 import { Pill } from '@/components/atoms/Pill/Pill';
 import { BookmarkMenu } from '@/components/atoms/BookmarkMenu/BookmarkMenu';
-import { TimeSeriesPoint } from '@/types/telemetry';
+import { RollupPoint, TimeSeriesPoint } from '@/types/telemetry';
+import { useTelemetry } from '@/stores/telemetry';
+import { healthNow, useReplay } from '@/stores/replay';
+import { useMetricFreshness, useSeriesVersion } from '@/hooks/useTelemetry';
+import { lastMetricReceipt } from '@/services/metric-freshness';
 import { BookmarkType } from '@/stores/pinned-metrics';
 import styles from './PlotCard.module.css';
 
 export interface PlotCardProps {
   title: string;
   metric: string;
-  deviceId?: string;
+  deviceId: string;
   unit?: string;
-  data: TimeSeriesPoint[];
   color?: string;
   showTimeRange?: boolean;
   bookmarkType?: BookmarkType;
@@ -33,12 +36,15 @@ const TIME_RANGE_MS: Record<TimeRange, number | null> = {
   'all': null,
 };
 
+function isRollupPoint(point: TimeSeriesPoint): point is RollupPoint {
+  return 'count' in point;
+}
+
 export function PlotCard({
   title,
   metric,
   deviceId,
   unit,
-  data,
   color = '#3b82f6', // Use actual hex instead of CSS variable
   showTimeRange = true,
   bookmarkType,
@@ -47,14 +53,20 @@ export function PlotCard({
 }: PlotCardProps) {
   const [timeRange, setTimeRange] = useState<TimeRange>('15m');
 
-  // Filter data based on time range
-  const filteredData = useMemo(() => {
-    const rangeMs = TIME_RANGE_MS[timeRange];
-    if (rangeMs === null) return data;
-
-    const cutoffTime = Date.now() - rangeMs;
-    return data.filter((point) => point.ts >= cutoffTime);
-  }, [data, timeRange]);
+  // Re-render only when this series is written, not on every telemetry frame
+  const version = useSeriesVersion(deviceId, metric);
+  const getRangePoints = useTelemetry((state) => state.getRangePoints);
+  // During a replay the window follows the replay clock, which moves even when this series is not written
+  const replayTime = useReplay((state) => (state.active ? state.currentTime : null));
+  const freshness = useMetricFreshness(deviceId, metric);
+  const silent = freshness === 'stale' || freshness === 'dead';
+  const lastReceived = silent ? lastMetricReceipt(deviceId, metric) : undefined;
+
+  // Read the range at the finest resolution that covers it (raw, 1s or 1m rollups)
+  const { now, resolution, points: filteredData } = useMemo(() => {
+    const now = healthNow();
+    return { now, ...getRangePoints(deviceId, metric, TIME_RANGE_MS[timeRange], now) };
+  }, [version, replayTime, getRangePoints, deviceId, metric, timeRange]);
 
   // Format relative time based on time range
   const formatRelativeTime = (ts: number) => {
@@ -62,7 +74,7 @@ export function PlotCard({
     if (rangeMs === null) {
       return new Date(ts).toLocaleTimeString();
     }
-    const msAgo = Date.now() - ts;
+    const msAgo = now - ts;
     if (msAgo < 60000) return `-${Math.round(msAgo / 1000)}s`;
     if (msAgo < 3600000) return `-${Math.round(msAgo / 60000)}m`;
     return `-${Math.round(msAgo / 3600000)}h`;
@@ -79,19 +91,26 @@ export function PlotCard({
     [filteredData]
   );
 
-  // Calculate statistics
+  // Calculate statistics (rollup buckets carry their own min/max and sample count)
   const stats = useMemo(() => {
     if (filteredData.length === 0) {
       return { min: null, max: null, avg: null, latest: null };
     }
 
-    const values = filteredData.map((p) => p.value);
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
-    const latest = values[values.length - 1];
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let count = 0;
+    for (const point of filteredData) {
+      const bucket = isRollupPoint(point) ? point : null;
+      min = Math.min(min, bucket ? bucket.min : point.value);
+      max = Math.max(max, bucket ? bucket.max : point.value);
+      sum += point.value * (bucket ? bucket.count : 1);
+      count += bucket ? bucket.count : 1;
+    }
+    const latest = filteredData[filteredData.length - 1]?.value ?? null;
 
-    return { min, max, avg, latest };
+    return { min, max, avg: sum / count, latest };
   }, [filteredData]);
 
   const formatValue = (value: number | null) => {
@@ -106,6 +125,22 @@ export function PlotCard({
           <div className={styles.titleRow}>
             <h3 className={styles.title}>{title}</h3>
             <Pill size="sm">{metric}</Pill>
+            {resolution !== 'raw' && (
+              <Pill size="sm" variant="info" title={`Showing ${resolution} min/max/avg rollups`}>
+                {resolution}
+              </Pill>
+            )}
+            {silent && (
+              <Pill
+                size="sm"
+                variant={freshness === 'dead' ? 'danger' : 'warning'}
+                {...(lastReceived !== undefined
+                  ? { title: `Last received ${new Date(lastReceived).toLocaleTimeString()}` }
+                  : {})}
+              >
+                {freshness}
+              </Pill>
+            )}
             {onBookmark && (
               <BookmarkMenu
                 currentType={bookmarkType || null}
@@ -157,7 +192,7 @@ export function PlotCard({
             <p className={styles.emptyText}>Waiting for telemetry data...</p>
           </div>
         ) : (
-          <div className={styles.chartContainer}>
+          <div className={`${styles.chartContainer} ${silent ? styles.silent : ''}`}>
             <ResponsiveContainer width="100%" height={300}>
               <LineChart data={chartData} margin={{ top: 5, right: 5, left: 5, bottom: 5 }}>
                 <CartesianGrid strokeDasharray="3 3" stroke="var(--border-divider)" />
@@ -0,0 +1,238 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
+import { Button } from '@/components/atoms/Button/Button';
+import { Input } from '@/components/atoms/Input/Input';
+import { Checkbox } from '@/components/atoms/Checkbox/Checkbox';
+import { Pill } from '@/components/atoms/Pill/Pill';
+import { getManualPublishBlockReason, PublishDraft, usePublisher } from '@/stores/publisher';
+import { useMqttMessages } from '@/stores/mqtt-messages';
+import { useUiState } from '@/stores/ui';
+import { useDataSource } from '@/stores/data-source';
+import { mqttClient } from '@/services/mqtt/client';
+import { PayloadFormat } from '@/services/mqtt/payload';
+import styles from './PublishConsole.module.css';
+
+const MAX_SUGGESTIONS = 200;
+
+const FORMAT_LABELS: Record<PayloadFormat, string> = {
+  json: 'JSON',
+  text: 'Text',
+  hex: 'Hex',
+};
+
+const PLACEHOLDERS: Record<PayloadFormat, string> = {
+  json: '{"value": 1}',
+  text: 'Plain text payload',
+  hex: '01 02 0a ff',
+};
+
+/**
+ * Distinct topics in the message buffer, most recently seen first
+ */
+function observedTopics(): string[] {
+  const topics = new Set<string>();
+  const messages = useMqttMessages.getState().getMessages();
+  for (let i = messages.length - 1; i >= 0 && topics.size < MAX_SUGGESTIONS; i--) {
+    topics.add(messages[i]!.topic);
+  }
+  return Array.from(topics);
+}
+
+/**
+ * Publish arbitrary MQTT messages for debugging devices, with a re-publishable history
+ */
+export function PublishConsole() {
+  const history = usePublisher((state) => state.history);
+  const publish = usePublisher((state) => state.publish);
+  const clearHistory = usePublisher((state) => state.clearHistory);
+  // Block reasons depend on authority and data source; subscribe so they stay current
+  useUiState((state) => state.authorityLevel);
+  useUiState((state) => state.armedUntil);
+  useDataSource((state) => state.source);
+
+  const brokers = mqttClient.brokers();
+  const [draft, setDraft] = useState<PublishDraft>({
+    topic: '',
+    payload: '',
+    format: 'json',
+    qos: 1,
+    retain: false,
+  });
+  const [suggestions, setSuggestions] = useState<string[]>([]);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const update = (changes: Partial<PublishDraft>) => {
+    setDraft((prev) => ({ ...prev, ...changes }));
+    setError(null);
+  };
+
+  const send = async (message: PublishDraft) => {
+    setSending(true);
+    setError(null);
+    try {
+      await publish(message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const blockReason = draft.topic.trim() ? getManualPublishBlockReason(draft) : null;
+  const brokerName = (id: string | undefined) =>
+    brokers.find((broker) => broker.id === id)?.name ?? brokers[0]?.name ?? id;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className={styles.header}>
+          <h2>Publish</h2>
+        </div>
+      </CardHeader>
+      <CardBody>
+        <div className={styles.content}>
+          <div className={styles.row}>
+            <div className={styles.topicInput}>
+              <Input
+                value={draft.topic}
+                onChange={(e) => update({ topic: e.target.value })}
+                onFocus={() => setSuggestions(observedTopics())}
+                placeholder="Topic, e.g. pulsar/dev-1/telemetry/temp"
+                list="publish-console-topics"
+                fullWidth
+              />
+              <datalist id="publish-console-topics">
+                {suggestions.map((topic) => (
+                  <option key={topic} value={topic} />
+                ))}
+              </datalist>
+            </div>
+            {brokers.length > 1 && (
+              <select
+                className={styles.select}
+                value={draft.broker ?? brokers[0]?.id}
+                onChange={(e) => update({ broker: e.target.value })}
+                aria-label="Broker"
+              >
+                {brokers.map((broker) => (
+                  <option key={broker.id} value={broker.id}>
+                    {broker.name}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div className={styles.row}>
+            <select
+              className={styles.select}
+              value={draft.format}
+              onChange={(e) => update({ format: e.target.value as PayloadFormat })}
+              aria-label="Payload format"
+            >
+              {(Object.keys(FORMAT_LABELS) as PayloadFormat[]).map((format) => (
+                <option key={format} value={format}>
+                  {FORMAT_LABELS[format]}
+                </option>
+              ))}
+            </select>
+            <select
+              className={styles.select}
+              value={draft.qos}
+              onChange={(e) => update({ qos: Number(e.target.value) as PublishDraft['qos'] })}
+              aria-label="QoS"
+            >
+              <option value={0}>QoS 0</option>
+              <option value={1}>QoS 1</option>
+              <option value={2}>QoS 2</option>
+            </select>
+            <Checkbox
+              label="Retain"
+              checked={draft.retain}
+              onChange={(e) => update({ retain: e.target.checked })}
+            />
+          </div>
+
+          <textarea
+            className={styles.textarea}
+            value={draft.payload}
+            onChange={(e) => update({ payload: e.target.value })}
+            placeholder={PLACEHOLDERS[draft.format]}
+            spellCheck={false}
+          />
+
+          <div className={styles.footer}>
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={() => void send(draft)}
+              disabled={!draft.topic.trim() || !!blockReason || sending}
+            >
+              Publish
+            </Button>
+            {blockReason && <span className={styles.blockReason}>{blockReason}</span>}
+            {error && <span className={styles.error}>{error}</span>}
+          </div>
+
+          {history.length > 0 && (
+            <>
+              <div className={styles.header}>
+                <h3 className={styles.historyTitle}>Recent Publishes</h3>
+                <Button variant="secondary" size="sm" onClick={clearHistory}>
+                  Clear History
+                </Button>
+              </div>
+              <div className={styles.history}>
+                {history.map((record) => {
+                  const recordBlockReason = getManualPublishBlockReason(record);
+                  return (
+                    <div key={record.id} className={styles.record}>
+                      <div className={styles.recordInfo}>
+                        <span className={styles.recordTopic}>{record.topic}</span>
+                        <span className={styles.recordMeta}>
+                          {new Date(record.publishedAt).toLocaleTimeString()}
+                          {brokers.length > 1 && ` · ${brokerName(record.broker)}`}
+                          <Pill size="sm">{FORMAT_LABELS[record.format]}</Pill>
+                          <Pill size="sm">QoS {record.qos}</Pill>
+                          {record.retain && (
+                            <Pill size="sm" variant="warning">
+                              retain
+                            </Pill>
+                          )}
+                          <span className={styles.recordPayload}>{record.payload || '(empty)'}</span>
+                        </span>
+                      </div>
+                      <div className={styles.controls}>
+                        <Button
+                          variant="secondary"
+                          size="sm"
+                          onClick={() => {
+                            const { id: _id, publishedAt: _publishedAt, ...loaded } = record;
+                            setDraft(loaded);
+                            setError(null);
+                          }}
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          variant="primary"
+                          size="sm"
+                          onClick={() => void send(record)}
+                          disabled={!!recordBlockReason || sending}
+                          title={recordBlockReason ?? 'Publish this message again'}
+                        >
+                          Re-publish
+                        </Button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          )}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
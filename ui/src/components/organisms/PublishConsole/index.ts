@@ -0,0 +1 @@
+export { PublishConsole } from './PublishConsole';
@@ -1,15 +1,20 @@
 import { useMemo } from 'react';
 import { MqttMessage } from '@/types/mqtt';
 import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
-import { MessageRow } from '@/components/molecules/MessageRow/MessageRow';
+import { MessageRow, PayloadView } from '@/components/molecules/MessageRow/MessageRow';
 import styles from './RawMessageTable.module.css';
 
 export interface RawMessageTableProps {
   messages: MqttMessage[];
   emptyMessage?: string;
+  payloadView?: PayloadView;
 }
 
-export function RawMessageTable({ messages, emptyMessage = 'No messages' }: RawMessageTableProps) {
+export function RawMessageTable({
+  messages,
+  emptyMessage = 'No messages',
+  payloadView = 'decoded',
+}: RawMessageTableProps) {
   // Reverse to show newest first
   const sortedMessages = useMemo(() => {
     return [...messages].reverse();
@@ -31,7 +36,7 @@ export function RawMessageTable({ messages, emptyMessage = 'No messages' }: RawM
         ) : (
           <div className={styles.messageList}>
             {sortedMessages.map((message, index) => (
-              <MessageRow key={`${message.timestamp}-${index}`} message={message} />
+              <MessageRow key={`${message.timestamp}-${index}`} message={message} payloadView={payloadView} />
             ))}
           </div>
         )}
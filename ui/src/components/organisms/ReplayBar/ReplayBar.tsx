@@ -0,0 +1,89 @@
+import { Button } from '@/components/atoms/Button/Button';
+import { Pill } from '@/components/atoms/Pill/Pill';
+import { useReplay, REPLAY_SPEEDS } from '@/stores/replay';
+import styles from './ReplayBar.module.css';
+
+function formatOffset(ms: number): string {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Transport controls for an active replay (hidden when showing live data)
+ */
+export function ReplayBar() {
+  const active = useReplay((state) => state.active);
+  const label = useReplay((state) => state.label);
+  const frameCount = useReplay((state) => state.frameCount);
+  const position = useReplay((state) => state.position);
+  const playing = useReplay((state) => state.playing);
+  const speed = useReplay((state) => state.speed);
+  const startTime = useReplay((state) => state.startTime);
+  const endTime = useReplay((state) => state.endTime);
+  const currentTime = useReplay((state) => state.currentTime);
+  const play = useReplay((state) => state.play);
+  const pause = useReplay((state) => state.pause);
+  const step = useReplay((state) => state.step);
+  const setSpeed = useReplay((state) => state.setSpeed);
+  const seek = useReplay((state) => state.seek);
+  const exitReplay = useReplay((state) => state.exitReplay);
+
+  if (!active) return null;
+
+  const finished = position >= frameCount;
+
+  return (
+    <div className={styles.bar}>
+      <Pill variant="info" size="sm">REPLAY</Pill>
+      <span className={styles.label} title={label}>{label}</span>
+
+      <div className={styles.controls}>
+        {playing ? (
+          <Button variant="secondary" size="sm" onClick={pause}>
+            Pause
+          </Button>
+        ) : (
+          <Button variant="primary" size="sm" onClick={play} disabled={finished}>
+            Play
+          </Button>
+        )}
+        <Button variant="secondary" size="sm" onClick={step} disabled={finished} title="Deliver the next frame">
+          Step
+        </Button>
+        {REPLAY_SPEEDS.map((option) => (
+          <Button
+            key={option}
+            variant={speed === option ? 'primary' : 'secondary'}
+            size="sm"
+            onClick={() => setSpeed(option)}
+          >
+            {option}x
+          </Button>
+        ))}
+      </div>
+
+      <input
+        type="range"
+        className={styles.scrubber}
+        min={0}
+        max={frameCount}
+        value={position}
+        onChange={(e) => seek(Number(e.target.value))}
+        aria-label="Replay position"
+      />
+
+      <span className={styles.position}>
+        {formatOffset((currentTime ?? startTime) - startTime)} / {formatOffset(endTime - startTime)}
+        <span className={styles.frames}>
+          {position.toLocaleString()} / {frameCount.toLocaleString()} frames
+        </span>
+      </span>
+
+      <Button variant="danger" size="sm" onClick={exitReplay}>
+        Exit Replay
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1 @@
+export { ReplayBar } from './ReplayBar';
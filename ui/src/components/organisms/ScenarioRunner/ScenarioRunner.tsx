@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
+import { Button } from '@/components/atoms/Button/Button';
+import { Pill } from '@/components/atoms/Pill/Pill';
+import { useScenarioRunner, describeStep } from '@/stores/scenario-runner';
+import { useDataSource } from '@/stores/data-source';
+import { useUiState } from '@/stores/ui';
+import { AuthorityLevel } from '@/types/command';
+import { Scenario, ScenarioRun, ScenarioRunStatus, ScenarioStep, StepResult, StepStatus } from '@/types/scenario';
+import styles from './ScenarioRunner.module.css';
+
+export interface ScenarioRunnerProps {
+  scenarios: Scenario[];
+  targetDeviceId: string | null;
+  isBroadcast: boolean;
+}
+
+type PillVariant = 'default' | 'primary' | 'success' | 'warning' | 'danger' | 'info';
+
+const RUN_STATUS_VARIANT: Record<ScenarioRunStatus, PillVariant> = {
+  [ScenarioRunStatus.Running]: 'info',
+  [ScenarioRunStatus.Paused]: 'warning',
+  [ScenarioRunStatus.Safing]: 'danger',
+  [ScenarioRunStatus.Passed]: 'success',
+  [ScenarioRunStatus.Failed]: 'danger',
+  [ScenarioRunStatus.Aborted]: 'warning',
+};
+
+const STEP_STATUS_ICON: Record<StepStatus, string> = {
+  [StepStatus.Pending]: '○',
+  [StepStatus.Running]: '▶',
+  [StepStatus.Passed]: '✓',
+  [StepStatus.Warned]: '⚠',
+  [StepStatus.Failed]: '✕',
+  [StepStatus.Skipped]: '–',
+};
+
+export function ScenarioRunner({ scenarios, targetDeviceId, isBroadcast }: ScenarioRunnerProps) {
+  const runs = useScenarioRunner((state) => state.runs);
+  const activeRunId = useScenarioRunner((state) => state.activeRunId);
+  const startScenario = useScenarioRunner((state) => state.startScenario);
+  const pauseRun = useScenarioRunner((state) => state.pauseRun);
+  const resumeRun = useScenarioRunner((state) => state.resumeRun);
+  const abortRun = useScenarioRunner((state) => state.abortRun);
+  const authorityLevel = useUiState((state) => state.authorityLevel);
+  const replaying = useDataSource((state) => state.source === 'replay');
+  const [startError, setStartError] = useState<string | null>(null);
+
+  // Show the active run, otherwise the most recent one
+  const displayedRun = activeRunId
+    ? runs.get(activeRunId)
+    : Array.from(runs.values()).sort((a, b) => b.startedAt - a.startedAt)[0];
+  const isActive = !!activeRunId;
+
+  const getDisabledReason = (scenario: Scenario): string | null => {
+    if (isBroadcast) return 'Scenarios run against a single device';
+    if (!targetDeviceId) return 'Select a device first';
+    if (isActive) return 'Another scenario is running';
+    if (replaying) return 'Command publishing is disabled during replay';
+    if (authorityLevel === AuthorityLevel.View) return 'View-only mode';
+    if (scenario.requiresArmed && authorityLevel !== AuthorityLevel.Armed) return 'Requires ARMED authority';
+    return null;
+  };
+
+  const handleRun = (scenario: Scenario) => {
+    if (!targetDeviceId) return;
+    try {
+      startScenario(scenario, targetDeviceId);
+      setStartError(null);
+    } catch (error) {
+      setStartError(error instanceof Error ? error.message : 'Failed to start scenario');
+    }
+  };
+
+  const formatDuration = (result: StepResult) => {
+    if (!result.startedAt || !result.finishedAt) return null;
+    const ms = result.finishedAt - result.startedAt;
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+  };
+
+  const renderResults = (steps: ScenarioStep[], results: StepResult[]) => (
+    <ol className={styles.results}>
+      {results.map((result) => {
+        const step = steps[result.index];
+        if (!step) return null;
+        const duration = formatDuration(result);
+        return (
+          <li key={result.index} className={`${styles.result} ${styles[result.status]}`}>
+            <span className={styles.resultIcon}>{STEP_STATUS_ICON[result.status]}</span>
+            <div className={styles.resultBody}>
+              <div className={styles.resultHeader}>
+                <span className={styles.resultLabel}>{describeStep(step)}</span>
+                {duration && <span className={styles.resultDuration}>{duration}</span>}
+              </div>
+              {step.description && <span className={styles.resultDescription}>{step.description}</span>}
+              {result.message && <span className={styles.resultMessage}>{result.message}</span>}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+
+  const renderRun = (run: ScenarioRun) => (
+    <div className={styles.run}>
+      <div className={styles.runHeader}>
+        <span className={styles.runName}>{run.scenario.name}</span>
+        <span className={styles.device}>{run.deviceId}</span>
+        <Pill variant={RUN_STATUS_VARIANT[run.status]} size="sm">
+          {run.status}
+        </Pill>
+        {run.id === activeRunId && (
+          <div className={styles.controls}>
+            {run.status === ScenarioRunStatus.Paused ? (
+              <Button size="sm" variant="secondary" onClick={() => resumeRun(run.id)}>
+                Resume
+              </Button>
+            ) : (
+              <Button
+                size="sm"
+                variant="secondary"
+                onClick={() => pauseRun(run.id)}
+                disabled={run.status !== ScenarioRunStatus.Running}
+              >
+                Pause
+              </Button>
+            )}
+            <Button size="sm" variant="danger" onClick={() => abortRun(run.id)}>
+              Abort
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {run.error && <div className={styles.runError}>{run.error}</div>}
+
+      {renderResults(run.scenario.steps, run.steps)}
+
+      {run.scenario.onFailure.length > 0 && (
+        <>
+          <h3 className={styles.phaseTitle}>On failure</h3>
+          {renderResults(run.scenario.onFailure, run.safing)}
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <h2>Scenarios</h2>
+      </CardHeader>
+      <CardBody>
+        <div className={styles.content}>
+          <div className={styles.scenarioList}>
+            {scenarios.map((scenario) => {
+              const disabledReason = getDisabledReason(scenario);
+              return (
+                <div key={scenario.id} className={styles.scenario}>
+                  <div className={styles.scenarioInfo}>
+                    <span className={styles.scenarioName}>
+                      {scenario.name}
+                      {scenario.requiresArmed && <span className={styles.armed}>ARMED</span>}
+                    </span>
+                    {scenario.description && (
+                      <span className={styles.scenarioDescription}>{scenario.description}</span>
+                    )}
+                    <span className={styles.stepCount}>
+                      {scenario.steps.length} steps
+                      {scenario.onFailure.length > 0 && ` · ${scenario.onFailure.length} safing`}
+                    </span>
+                  </div>
+                  <Button
+                    size="sm"
+                    variant={scenario.requiresArmed ? 'danger' : 'primary'}
+                    onClick={() => handleRun(scenario)}
+                    disabled={!!disabledReason}
+                    title={disabledReason ?? 'Run scenario'}
+                  >
+                    Run
+                  </Button>
+                </div>
+              );
+            })}
+          </div>
+
+          {startError && <span className={styles.startError}>{startError}</span>}
+
+          {displayedRun && renderRun(displayedRun)}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
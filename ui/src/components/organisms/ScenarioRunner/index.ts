@@ -0,0 +1,2 @@
+export { ScenarioRunner } from './ScenarioRunner';
+export type { ScenarioRunnerProps } from './ScenarioRunner';
@@ -0,0 +1,182 @@
+import { useEffect, useRef, useState } from 'react';
+import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
+import { Button } from '@/components/atoms/Button/Button';
+import { Pill } from '@/components/atoms/Pill/Pill';
+import { useRecorder, MAX_CAPTURE_FRAMES, MAX_CAPTURE_DURATION_MS } from '@/stores/recorder';
+import { useReplay } from '@/stores/replay';
+import { useDataSource } from '@/stores/data-source';
+import { CaptureSession, decodeCaptureJsonl, encodeCaptureJsonl } from '@/services/capture';
+import styles from './SessionRecorder.module.css';
+
+function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatElapsed(ms: number): string {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+function downloadText(text: string, filename: string): void {
+  const blob = new Blob([text], { type: 'application/x-ndjson' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Record received MQTT traffic to IndexedDB, export captures as JSONL and start replays
+ */
+export function SessionRecorder() {
+  const recording = useRecorder((state) => state.recording);
+  const sessions = useRecorder((state) => state.sessions);
+  const recorderError = useRecorder((state) => state.error);
+  const startRecording = useRecorder((state) => state.startRecording);
+  const stopRecording = useRecorder((state) => state.stopRecording);
+  const refreshSessions = useRecorder((state) => state.refreshSessions);
+  const deleteSession = useRecorder((state) => state.deleteSession);
+  const loadFrames = useRecorder((state) => state.loadFrames);
+  const startReplay = useReplay((state) => state.startReplay);
+  const replaying = useDataSource((state) => state.source === 'replay');
+  const [actionError, setActionError] = useState<string | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  useEffect(() => {
+    void refreshSessions();
+  }, [refreshSessions]);
+
+  const runAction = async (action: () => Promise<void>) => {
+    setActionError(null);
+    try {
+      await action();
+    } catch (error) {
+      setActionError(error instanceof Error ? error.message : String(error));
+    }
+  };
+
+  const handleReplay = (session: CaptureSession) =>
+    runAction(async () => {
+      const frames = await loadFrames(session.id);
+      if (frames.length === 0) throw new Error('Capture has no frames');
+      startReplay(frames, new Date(session.startedAt).toLocaleString());
+    });
+
+  const handleExport = (session: CaptureSession) =>
+    runAction(async () => {
+      const frames = await loadFrames(session.id);
+      downloadText(encodeCaptureJsonl(frames, session.startedAt), `${session.id}.jsonl`);
+    });
+
+  const handleImport = (file: File) =>
+    runAction(async () => {
+      const frames = decodeCaptureJsonl(await file.text());
+      if (frames.length === 0) throw new Error(`${file.name} contains no frames`);
+      startReplay(frames, file.name);
+    });
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className={styles.header}>
+          <h2>Session Capture</h2>
+          <div className={styles.controls}>
+            {recording ? (
+              <Button variant="danger" size="sm" onClick={() => void stopRecording()}>
+                Stop Recording
+              </Button>
+            ) : (
+              <Button
+                variant="primary"
+                size="sm"
+                onClick={startRecording}
+                disabled={replaying}
+                title={replaying ? 'Exit replay to record live traffic' : 'Record received messages'}
+              >
+                Record
+              </Button>
+            )}
+            <Button variant="secondary" size="sm" onClick={() => fileInput.current?.click()}>
+              Replay File…
+            </Button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".jsonl,.ndjson,application/x-ndjson"
+              className={styles.fileInput}
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (file) void handleImport(file);
+              }}
+            />
+          </div>
+        </div>
+      </CardHeader>
+      <CardBody>
+        <div className={styles.content}>
+          {recording && (
+            <div className={styles.recording}>
+              <Pill variant="danger" size="sm">● REC</Pill>
+              <span>
+                {recording.frameCount.toLocaleString()} frames · {formatBytes(recording.byteCount)}
+              </span>
+              <span className={styles.limit}>
+                stops at {MAX_CAPTURE_FRAMES.toLocaleString()} frames or{' '}
+                {formatElapsed(MAX_CAPTURE_DURATION_MS)}
+              </span>
+            </div>
+          )}
+
+          {(actionError || recorderError) && (
+            <div className={styles.error}>{actionError || recorderError}</div>
+          )}
+
+          {sessions.length === 0 ? (
+            <p className={styles.emptyText}>No recorded sessions</p>
+          ) : (
+            <div className={styles.sessionList}>
+              {sessions.map((session) => (
+                <div key={session.id} className={styles.session}>
+                  <div className={styles.sessionInfo}>
+                    <span className={styles.sessionName}>
+                      {new Date(session.startedAt).toLocaleString()}
+                      {session.truncated && <Pill variant="warning" size="sm">limit reached</Pill>}
+                    </span>
+                    <span className={styles.sessionStats}>
+                      {session.frameCount.toLocaleString()} frames · {formatBytes(session.byteCount)}
+                      {session.endedAt && ` · ${formatElapsed(session.endedAt - session.startedAt)}`}
+                    </span>
+                  </div>
+                  <div className={styles.controls}>
+                    <Button variant="primary" size="sm" onClick={() => void handleReplay(session)}>
+                      Replay
+                    </Button>
+                    <Button variant="secondary" size="sm" onClick={() => void handleExport(session)}>
+                      Export JSONL
+                    </Button>
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => void runAction(() => deleteSession(session.id))}
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
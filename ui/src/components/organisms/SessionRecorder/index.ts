@@ -0,0 +1 @@
+export { SessionRecorder } from './SessionRecorder';
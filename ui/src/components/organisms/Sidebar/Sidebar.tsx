@@ -1,22 +1,35 @@
 import { useNavigation, ViewType } from '@/stores/navigation';
 import { useUiState } from '@/stores/ui';
+import { useDataSource } from '@/stores/data-source';
+import { useBrokerAuth } from '@/stores/broker-auth';
 import { ConnectionState } from '@/types/mqtt';
+import type { BrokerStatus } from '@/hooks/useMqtt';
 import { NavItem } from '@/components/atoms/NavItem/NavItem';
 import { StatusBadge } from '@/components/atoms/StatusBadge/StatusBadge';
 import { Button } from '@/components/atoms/Button/Button';
+import { Pill } from '@/components/atoms/Pill/Pill';
 import styles from './Sidebar.module.css';
 
 interface SidebarProps {
-  connectionState: ConnectionState;
+  // One connection row per broker (named when there are several)
+  brokers: BrokerStatus[];
 }
 
-export function Sidebar({ connectionState }: SidebarProps) {
+function isConnectionFailed(state: ConnectionState): boolean {
+  return state === ConnectionState.Unauthorized || state === ConnectionState.Error;
+}
+
+export function Sidebar({ brokers }: SidebarProps) {
   const currentView = useNavigation((state) => state.currentView);
   const setView = useNavigation((state) => state.setView);
   const collapsed = useUiState((state) => state.sidebarCollapsed);
   const toggleSidebar = useUiState((state) => state.toggleSidebar);
   const toggleTheme = useUiState((state) => state.toggleTheme);
   const theme = useUiState((state) => state.theme);
+  const source = useDataSource((state) => state.source);
+  const credentials = useBrokerAuth((state) => state.credentials);
+  const openLogin = useBrokerAuth((state) => state.openLogin);
+  const logout = useBrokerAuth((state) => state.logout);
 
   const navItems: Array<{ view: ViewType; icon: string; label: string }> = [
     { view: 'dashboard', icon: '📊', label: 'Dashboard' },
@@ -46,12 +59,53 @@ export function Sidebar({ connectionState }: SidebarProps) {
       </nav>
 
       <div className={styles.footer}>
-        {!collapsed && (
+        {!collapsed && source === 'replay' && (
           <div className={styles.connectionStatus}>
-            <StatusBadge status={connectionState} size="sm" />
+            <Pill variant="info" size="sm" title="Showing a recorded capture - live traffic is ignored">
+              REPLAY
+            </Pill>
           </div>
         )}
 
+        {!collapsed &&
+          source !== 'replay' &&
+          brokers.map((broker) => {
+            const failed = isConnectionFailed(broker.state);
+            return (
+              <div key={broker.id} className={styles.broker}>
+                <div className={`${styles.connectionStatus} ${failed ? styles.connectionFailed : ''}`}>
+                  {brokers.length > 1 && (
+                    <span className={styles.brokerName} title={broker.id}>
+                      {broker.name}
+                    </span>
+                  )}
+                  <StatusBadge status={broker.state} size="sm" />
+                  {broker.state === ConnectionState.Unauthorized && (
+                    <Button variant="primary" size="sm" onClick={() => openLogin(broker.id)}>
+                      Sign in
+                    </Button>
+                  )}
+                  {credentials[broker.id] && broker.state !== ConnectionState.Unauthorized && (
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => logout(broker.id)}
+                      title="Forget broker credentials for this tab"
+                    >
+                      Log out
+                    </Button>
+                  )}
+                  {source === 'sim' && (
+                    <Pill variant="warning" size="sm" title="Data comes from the built-in fleet simulator">
+                      SIM
+                    </Pill>
+                  )}
+                </div>
+                {failed && broker.error && <div className={styles.connectionError}>{broker.error}</div>}
+              </div>
+            );
+          })}
+
         <div className={styles.actions}>
           <Button
             variant="secondary"
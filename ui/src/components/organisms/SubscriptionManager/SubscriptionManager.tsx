@@ -0,0 +1,161 @@
+import { FormEvent, useState } from 'react';
+import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
+import { Button } from '@/components/atoms/Button/Button';
+import { Input } from '@/components/atoms/Input/Input';
+import { Pill, PillProps } from '@/components/atoms/Pill/Pill';
+import { QoS, SubscriptionAck, useSubscriptions } from '@/stores/subscriptions';
+import { isValidTopicFilter } from '@/services/mqtt/parser';
+import { mqttClient } from '@/services/mqtt/client';
+import styles from './SubscriptionManager.module.css';
+
+function formatRate(rate: number | undefined): string {
+  if (rate === undefined) return '–';
+  return `${rate < 10 ? rate.toFixed(1) : Math.round(rate)} msg/s`;
+}
+
+/**
+ * Rate of a filter across brokers (undefined until first sampled)
+ */
+function totalRate(byBroker: Record<string, number> | undefined): number | undefined {
+  if (!byBroker) return undefined;
+  return Object.values(byBroker).reduce((sum, rate) => sum + rate, 0);
+}
+
+/**
+ * One badge for a filter across brokers: any refusal wins, then anything still waiting
+ */
+function ackStatus(acks: SubscriptionAck[]): { label: string; variant: NonNullable<PillProps['variant']> } {
+  if (acks.some((ack) => ack.status === 'error')) return { label: 'refused', variant: 'danger' };
+  if (acks.some((ack) => ack.status === 'pending')) return { label: 'pending', variant: 'warning' };
+  if (acks.length > 0) return { label: 'active', variant: 'success' };
+  return { label: 'not subscribed', variant: 'default' };
+}
+
+/**
+ * Add and remove broker subscriptions at runtime, with per-filter message rates and SUBACK errors
+ */
+export function SubscriptionManager() {
+  const custom = useSubscriptions((state) => state.custom);
+  const acks = useSubscriptions((state) => state.acks);
+  const rates = useSubscriptions((state) => state.rates);
+  const subscriptions = useSubscriptions((state) => state.subscriptions);
+  const addSubscription = useSubscriptions((state) => state.addSubscription);
+  const removeSubscription = useSubscriptions((state) => state.removeSubscription);
+  const resetSubscriptions = useSubscriptions((state) => state.resetSubscriptions);
+  const [filter, setFilter] = useState('');
+  const [qos, setQos] = useState<QoS>(1);
+  const [error, setError] = useState<string | null>(null);
+
+  const brokers = mqttClient.brokers();
+  const brokerName = (id: string) => brokers.find((broker) => broker.id === id)?.name ?? id;
+
+  const handleAdd = (e: FormEvent) => {
+    e.preventDefault();
+    const trimmed = filter.trim();
+    if (!isValidTopicFilter(trimmed)) {
+      setError('Wildcards must fill a whole level, and # must be the last level');
+      return;
+    }
+    addSubscription(trimmed, qos);
+    setFilter('');
+    setError(null);
+  };
+
+  const entries = subscriptions();
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className={styles.header}>
+          <h2>Subscriptions</h2>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={resetSubscriptions}
+            disabled={custom === null}
+            title="Subscribe to the topics from config.json"
+          >
+            Reset to Defaults
+          </Button>
+        </div>
+      </CardHeader>
+      <CardBody>
+        <div className={styles.content}>
+          <form className={styles.addForm} onSubmit={handleAdd}>
+            <div className={styles.filterInput}>
+              <Input
+                value={filter}
+                onChange={(e) => {
+                  setFilter(e.target.value);
+                  setError(null);
+                }}
+                placeholder="Topic filter, e.g. plant/+/telemetry/#"
+                fullWidth
+                {...(error && { error })}
+              />
+            </div>
+            <select
+              className={styles.select}
+              value={qos}
+              onChange={(e) => setQos(Number(e.target.value) as QoS)}
+              aria-label="QoS"
+            >
+              <option value={0}>QoS 0</option>
+              <option value={1}>QoS 1</option>
+              <option value={2}>QoS 2</option>
+            </select>
+            <Button type="submit" variant="primary" size="sm" disabled={!filter.trim()}>
+              Subscribe
+            </Button>
+          </form>
+
+          {entries.length === 0 ? (
+            <p className={styles.emptyText}>Not subscribed to any topics</p>
+          ) : (
+            <div className={styles.list}>
+              {entries.map((entry) => {
+                const byBroker = Object.entries(acks[entry.filter] ?? {});
+                const status = ackStatus(byBroker.map(([, ack]) => ack));
+                const brokerRates = Object.entries(rates[entry.filter] ?? {});
+                return (
+                  <div key={entry.filter} className={styles.subscription}>
+                    <div className={styles.subscriptionInfo}>
+                      <span className={styles.filter}>{entry.filter}</span>
+                      {byBroker.map(([broker, ack]) =>
+                        ack.status === 'error' ? (
+                          <span key={broker} className={styles.error}>
+                            {brokers.length > 1 ? `${brokerName(broker)}: ${ack.error}` : ack.error}
+                          </span>
+                        ) : null
+                      )}
+                    </div>
+                    <div className={styles.stats}>
+                      <span
+                        className={styles.rate}
+                        {...(brokers.length > 1 &&
+                          brokerRates.length > 0 && {
+                            title: brokerRates
+                              .map(([broker, rate]) => `${brokerName(broker)}: ${formatRate(rate)}`)
+                              .join('\n'),
+                          })}
+                      >
+                        {formatRate(totalRate(rates[entry.filter]))}
+                      </span>
+                      <Pill size="sm">QoS {entry.qos}</Pill>
+                      <Pill size="sm" variant={status.variant}>
+                        {status.label}
+                      </Pill>
+                      <Button variant="secondary" size="sm" onClick={() => removeSubscription(entry.filter)}>
+                        Unsubscribe
+                      </Button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1 @@
+export { SubscriptionManager } from './SubscriptionManager';
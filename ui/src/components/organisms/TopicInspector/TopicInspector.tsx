@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
+import { Button } from '@/components/atoms/Button/Button';
+import { Pill } from '@/components/atoms/Pill/Pill';
+import { useTopicTree, topicTree } from '@/stores/topic-tree';
+import { getManualPublishBlockReason } from '@/stores/publisher';
+import { useUiState } from '@/stores/ui';
+import { TopicMessage, TopicNode } from '@/services/mqtt/topic-tree';
+import { parsePayload, ParsedPayload } from '@/services/mqtt/payload';
+import { mqttClient } from '@/services/mqtt/client';
+import { formatHexDump } from '@/utils/hexdump';
+import { diffPayloads, PayloadChange } from '@/utils/payload-diff';
+import styles from './TopicInspector.module.css';
+
+function formatPayload(message: TopicMessage, parsed: ParsedPayload): string {
+  switch (parsed.kind) {
+    case 'value':
+      return JSON.stringify(parsed.value, null, 2);
+    case 'text':
+      return parsed.text;
+    case 'binary':
+      return formatHexDump(message.bytes);
+    case 'empty':
+      return '(empty payload)';
+  }
+}
+
+/**
+ * Comparable form of a payload: decoded values diff per field, anything else as a whole
+ */
+function diffable(message: TopicMessage, parsed: ParsedPayload): unknown {
+  if (parsed.kind === 'value') return parsed.value;
+  if (parsed.kind === 'binary') return message.bytes;
+  return parsed.text;
+}
+
+function formatLeaf(value: unknown): string {
+  if (value instanceof Uint8Array) return `<${value.length} bytes>`;
+  return JSON.stringify(value) ?? String(value);
+}
+
+const CHANGE_LABELS: Record<PayloadChange['kind'], string> = {
+  added: '+',
+  removed: '−',
+  changed: '~',
+};
+
+export interface TopicInspectorProps {
+  node: TopicNode;
+}
+
+/**
+ * Last payload of a topic, what changed since the previous one, and retained-message cleanup
+ */
+export function TopicInspector({ node }: TopicInspectorProps) {
+  useTopicTree((state) => state.version);
+  const clearRetained = useTopicTree((state) => state.clearRetained);
+  // Block reasons depend on authority; subscribe so the button follows ARM/disarm
+  useUiState((state) => state.authorityLevel);
+  useUiState((state) => state.armedUntil);
+  const [confirming, setConfirming] = useState(false);
+  const [clearing, setClearing] = useState(false);
+  const [result, setResult] = useState<{ error?: string; cleared?: number } | null>(null);
+
+  const brokers = mqttClient.brokers();
+  const brokerName = brokers.find((broker) => broker.id === node.broker)?.name ?? node.broker;
+  const retained = topicTree.retainedTopics(node);
+  const blockReason = retained.length > 0 ? getManualPublishBlockReason({ topic: node.topic, retain: true }) : null;
+
+  const current = node.last && parsePayload(node.last.bytes, node.topic);
+  const previous = node.previous && parsePayload(node.previous.bytes, node.topic);
+  const changes =
+    node.last && current && node.previous && previous
+      ? diffPayloads(diffable(node.previous, previous), diffable(node.last, current))
+      : null;
+
+  const handleClear = async () => {
+    setClearing(true);
+    setResult(null);
+    try {
+      setResult({ cleared: await clearRetained(node) });
+    } catch (err) {
+      setResult({ error: err instanceof Error ? err.message : String(err) });
+    } finally {
+      setClearing(false);
+      setConfirming(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className={styles.header}>
+          <div className={styles.title}>
+            <h2 className={styles.topic}>{node.topic || brokerName || 'All topics'}</h2>
+            {brokers.length > 1 && node.broker && <span className={styles.broker}>{brokerName}</span>}
+          </div>
+          {node.retained && (
+            <Pill size="sm" variant="info">
+              retained
+            </Pill>
+          )}
+        </div>
+      </CardHeader>
+      <CardBody>
+        <div className={styles.content}>
+          <div className={styles.stats}>
+            <span>{node.count.toLocaleString()} messages on this topic</span>
+            {node.children.size > 0 && <span>{node.subtreeCount.toLocaleString()} in subtree</span>}
+            {node.last && <span>last at {new Date(node.last.receivedAt).toLocaleTimeString()}</span>}
+          </div>
+
+          {node.last && current && (
+            <section className={styles.section}>
+              <h3 className={styles.sectionTitle}>
+                Payload
+                {current.encoding && current.encoding !== 'json' && (
+                  <Pill size="sm">{current.encoding.toUpperCase()}</Pill>
+                )}
+              </h3>
+              <pre className={styles.payload}>{formatPayload(node.last, current)}</pre>
+            </section>
+          )}
+
+          {changes && (
+            <section className={styles.section}>
+              <h3 className={styles.sectionTitle}>Changes Since Previous Message</h3>
+              {changes.length === 0 ? (
+                <p className={styles.muted}>Payload unchanged</p>
+              ) : (
+                <table className={styles.diff}>
+                  <tbody>
+                    {changes.map((change) => (
+                      <tr key={`${change.kind}:${change.path}`} className={styles[change.kind]}>
+                        <td className={styles.changeKind}>{CHANGE_LABELS[change.kind]}</td>
+                        <td className={styles.path}>{change.path || '(payload)'}</td>
+                        <td>{change.kind !== 'added' && formatLeaf(change.before)}</td>
+                        <td>{change.kind !== 'removed' && formatLeaf(change.after)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          )}
+
+          {retained.length > 0 && (
+            <div className={styles.actions}>
+              {confirming ? (
+                <>
+                  <span className={styles.confirmText}>
+                    Publish empty retained payloads to {retained.length.toLocaleString()}{' '}
+                    {retained.length === 1 ? 'topic' : 'topics'}?
+                  </span>
+                  <Button variant="danger" size="sm" onClick={() => void handleClear()} disabled={clearing}>
+                    Clear Retained
+                  </Button>
+                  <Button variant="secondary" size="sm" onClick={() => setConfirming(false)} disabled={clearing}>
+                    Cancel
+                  </Button>
+                </>
+              ) : (
+                <Button
+                  variant="danger"
+                  size="sm"
+                  onClick={() => setConfirming(true)}
+                  disabled={!!blockReason}
+                  title={blockReason ?? 'Delete the retained messages the broker holds for these topics'}
+                >
+                  Clear Retained ({retained.length.toLocaleString()})
+                </Button>
+              )}
+              {blockReason && <span className={styles.muted}>{blockReason}</span>}
+            </div>
+          )}
+          {result?.error && <span className={styles.error}>{result.error}</span>}
+          {result?.cleared !== undefined && (
+            <span className={styles.muted}>Cleared {result.cleared.toLocaleString()} retained topics</span>
+          )}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
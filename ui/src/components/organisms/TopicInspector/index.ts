@@ -0,0 +1 @@
+export { TopicInspector } from './TopicInspector';
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardBody } from '@/components/atoms/Card/Card';
+import { Pill } from '@/components/atoms/Pill/Pill';
+import { useTopicTree, topicTree } from '@/stores/topic-tree';
+import { MAX_TOPICS, TopicMessage, TopicNode } from '@/services/mqtt/topic-tree';
+import { parsePayload } from '@/services/mqtt/payload';
+import { mqttClient } from '@/services/mqtt/client';
+import styles from './TopicTree.module.css';
+
+const PREVIEW_LENGTH = 80;
+
+// Rows re-render every refresh; payloads are decoded once per message
+const previews = new WeakMap<TopicMessage, string>();
+
+function payloadPreview(topic: string, message: TopicMessage): string {
+  let preview = previews.get(message);
+  if (preview === undefined) {
+    const parsed = parsePayload(message.bytes, topic);
+    if (parsed.kind === 'empty') preview = '(empty)';
+    else if (parsed.kind === 'binary') preview = `<${message.bytes.length} bytes>`;
+    else if (parsed.kind === 'text') preview = parsed.text;
+    else preview = JSON.stringify(parsed.value) ?? '';
+    preview = preview.length > PREVIEW_LENGTH ? `${preview.slice(0, PREVIEW_LENGTH)}…` : preview;
+    previews.set(message, preview);
+  }
+  return preview;
+}
+
+function formatAge(receivedAt: number, now: number): string {
+  const seconds = Math.max(0, Math.floor((now - receivedAt) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return `${Math.floor(seconds / 3600)}h ago`;
+}
+
+function formatRate(rate: number): string {
+  return `${rate < 10 ? rate.toFixed(1) : Math.round(rate)}/s`;
+}
+
+function sortedChildren(node: TopicNode): TopicNode[] {
+  return Array.from(node.children.values()).sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { numeric: true })
+  );
+}
+
+export interface TopicTreeProps {
+  selected: TopicNode | null;
+  onSelect: (node: TopicNode | null) => void;
+}
+
+/**
+ * Collapsible tree of every topic received, with the last payload and traffic per node
+ */
+export function TopicTree({ selected, onSelect }: TopicTreeProps) {
+  // Re-render on each refresh: the tree is mutated outside React
+  useTopicTree((state) => state.version);
+  const [expanded, setExpanded] = useState<Set<TopicNode>>(() => new Set());
+  const now = Date.now();
+  const brokerNames = new Map(mqttClient.brokers().map(({ id, name }) => [id, name]));
+
+  const toggle = (node: TopicNode) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(node)) next.delete(node);
+      else next.add(node);
+      return next;
+    });
+  };
+
+  const renderNode = (node: TopicNode, depth: number) => {
+    const isBrokerNode = node.topic === '' && node.broker !== undefined;
+    const hasChildren = node.children.size > 0;
+    const isExpanded = expanded.has(node);
+    const label = isBrokerNode ? brokerNames.get(node.broker!) ?? node.broker : node.name || '(empty)';
+
+    return (
+      <li key={node.name}>
+        <div
+          className={`${styles.row} ${selected === node ? styles.selected : ''}`}
+          style={{ paddingLeft: `${depth * 1.25 + 0.5}rem` }}
+          onClick={() => onSelect(selected === node ? null : node)}
+        >
+          <button
+            type="button"
+            className={styles.caret}
+            onClick={(e) => {
+              e.stopPropagation();
+              toggle(node);
+            }}
+            disabled={!hasChildren}
+            aria-label={isExpanded ? 'Collapse' : 'Expand'}
+          >
+            {hasChildren ? (isExpanded ? '▾' : '▸') : ''}
+          </button>
+          <span className={isBrokerNode ? styles.brokerName : styles.name}>{label}</span>
+          {node.last && <span className={styles.preview}>{payloadPreview(node.topic, node.last)}</span>}
+          <span className={styles.meta}>
+            {node.retained && (
+              <Pill size="sm" variant="info">
+                retained
+              </Pill>
+            )}
+            <span title={hasChildren ? 'Messages in this subtree' : 'Messages on this topic'}>
+              {node.subtreeCount.toLocaleString()}
+            </span>
+            <span>{formatRate(node.rate)}</span>
+            <span className={styles.age}>{formatAge(node.lastReceivedAt, now)}</span>
+          </span>
+        </div>
+        {hasChildren && isExpanded && (
+          <ul className={styles.children}>{sortedChildren(node).map((child) => renderNode(child, depth + 1))}</ul>
+        )}
+      </li>
+    );
+  };
+
+  const roots = sortedChildren(topicTree.root);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className={styles.header}>
+          <h2>Topics</h2>
+          <span className={styles.summary}>
+            {topicTree.size.toLocaleString()} topics
+            {topicTree.droppedTopics > 0 && ` · limit of ${MAX_TOPICS.toLocaleString()} reached`}
+          </span>
+        </div>
+      </CardHeader>
+      <CardBody>
+        {roots.length === 0 ? (
+          <p className={styles.emptyText}>No messages received yet</p>
+        ) : (
+          <ul className={styles.tree}>{roots.map((node) => renderNode(node, 0))}</ul>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
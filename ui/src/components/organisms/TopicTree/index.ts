@@ -0,0 +1 @@
+export { TopicTree } from './TopicTree';
@@ -1,12 +1,18 @@
 import { useState, useMemo } from 'react';
 import { useDeviceRegistry } from '@/stores/device-registry';
-import { CommandStatus } from '@/types/command';
+import { BroadcastSelector, BROADCAST_DEVICE_ID } from '@/types/command';
+import { Scenario, ScenarioInput, ScenarioSchema } from '@/types/scenario';
+import { createCommand } from '@/services/mqtt/command-envelope';
+import { describeSelector } from '@/services/device-selector';
+import { getCommandSchemas, validateCommandArgs } from '@/services/command-args';
 import { Card, CardBody } from '@/components/atoms/Card/Card';
 import { Checkbox } from '@/components/atoms/Checkbox/Checkbox';
 import { DeviceDropdown } from '@/components/molecules/DeviceDropdown/DeviceDropdown';
+import { BroadcastTargetPicker } from '@/components/molecules/BroadcastTargetPicker/BroadcastTargetPicker';
 import { CommandTemplateCard, CommandTemplate } from '@/components/molecules/CommandTemplateCard/CommandTemplateCard';
 import { CommandBuilder } from '@/components/organisms/CommandBuilder/CommandBuilder';
 import { CommandQueue } from '@/components/organisms/CommandQueue/CommandQueue';
+import { ScenarioRunner } from '@/components/organisms/ScenarioRunner/ScenarioRunner';
 import { useCommandQueue } from '@/stores/command-queue';
 import styles from './CommandsView.module.css';
 
@@ -41,9 +47,59 @@ const COMMAND_TEMPLATES: CommandTemplate[] = [
   },
 ];
 
+const BUILTIN_SCENARIOS: ScenarioInput[] = [
+  {
+    id: 'scenario-power-cycle',
+    name: 'Power Cycle Device',
+    description: 'Cycle relay 1 and confirm the device reports each state before continuing',
+    category: 'system',
+    steps: [
+      { type: 'command', action: 'system.identify', args: { duration_ms: 2000 }, description: 'Identify device before power cycle' },
+      { type: 'ack' },
+      { type: 'command', action: 'relay.set', args: { relay: 1, state: 0 }, description: 'Turn relay OFF' },
+      { type: 'ack' },
+      { type: 'waitFor', condition: 'state/relays.1 == 0', timeoutMs: 5000 },
+      { type: 'wait', durationMs: 2000, description: 'Hold power off' },
+      { type: 'command', action: 'relay.set', args: { relay: 1, state: 1 }, description: 'Turn relay back ON' },
+      { type: 'ack' },
+      { type: 'waitFor', condition: 'state/relays.1 == 1', timeoutMs: 5000 },
+      { type: 'assert', condition: 'state/online == 1', severity: 'soft', description: 'Device back online' },
+    ],
+    onFailure: [
+      { type: 'command', action: 'relay.set', args: { relay: 1, state: 1 }, description: 'Restore power' },
+      { type: 'ack' },
+    ],
+  },
+  {
+    id: 'scenario-calibration-workflow',
+    name: 'Calibration Workflow',
+    description: 'Dry run, verify, then apply calibration permanently',
+    category: 'calibration',
+    requiresArmed: true,
+    steps: [
+      { type: 'command', action: 'calibration.dry_run', description: 'Test calibration changes' },
+      { type: 'ack' },
+      { type: 'waitFor', condition: 'state/calibration.status == "dry_run_ok"', timeoutMs: 10000 },
+      { type: 'command', action: 'system.identify', args: { duration_ms: 1000 }, description: 'Brief identification before applying' },
+      { type: 'ack' },
+      { type: 'command', action: 'calibration.apply', description: 'Apply calibration permanently' },
+      { type: 'ack' },
+      { type: 'assert', condition: 'state/calibration.status == "applied"', severity: 'soft' },
+    ],
+    onFailure: [
+      { type: 'command', action: 'relay.all_off', description: 'Emergency: turn all relays OFF' },
+      { type: 'ack' },
+    ],
+  },
+];
+
+const SCENARIOS: Scenario[] = BUILTIN_SCENARIOS.map((scenario) => ScenarioSchema.parse(scenario));
+
 export function CommandsView() {
   const [targetDeviceId, setTargetDeviceId] = useState<string | null>(null);
   const [isBroadcast, setIsBroadcast] = useState(false);
+  const [broadcastSelector, setBroadcastSelector] = useState<BroadcastSelector>({ kind: 'online' });
+  const [templateError, setTemplateError] = useState<string | null>(null);
   const devicesMap = useDeviceRegistry((state) => state.devices);
   const stageCommand = useCommandQueue((state) => state.stageCommand);
 
@@ -54,15 +110,29 @@ export function CommandsView() {
       return;
     }
 
-    stageCommand({
-      id: `cmd-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
-      deviceId: isBroadcast ? '*' : targetDeviceId!,
-      action: template.command,
-      payload: template.params,
-      status: CommandStatus.Staged,
-      stagedAt: Date.now(),
-      requiresArmed: false,
-    });
+    // Block templates whose params do not satisfy the target's published argument schema
+    const target = !isBroadcast && targetDeviceId ? devicesMap.get(targetDeviceId) : undefined;
+    const schema = target ? getCommandSchemas(target)[template.command] : undefined;
+    if (schema) {
+      const errors = Object.entries(validateCommandArgs(schema, template.params));
+      if (errors.length > 0) {
+        setTemplateError(
+          `${template.name}: ${errors.map(([name, error]) => `${name} ${error.toLowerCase()}`).join(', ')}`
+        );
+        return;
+      }
+    }
+    setTemplateError(null);
+
+    stageCommand(
+      createCommand({
+        deviceId: isBroadcast ? BROADCAST_DEVICE_ID : targetDeviceId!,
+        action: template.command,
+        payload: template.params,
+        requiresArmed: false,
+        ...(isBroadcast && { selector: broadcastSelector }),
+      })
+    );
   };
 
   const handleBroadcastToggle = (checked: boolean) => {
@@ -84,19 +154,26 @@ export function CommandsView() {
                 selectedDeviceId={targetDeviceId}
                 onDeviceSelect={setTargetDeviceId}
                 disabled={isBroadcast}
-                placeholder={isBroadcast ? 'Broadcast to all devices' : 'Select a device...'}
+                placeholder={isBroadcast ? 'Broadcast to multiple devices' : 'Select a device...'}
               />
               
               <Checkbox
-                label="Broadcast to all devices"
+                label="Broadcast to multiple devices"
                 checked={isBroadcast}
                 onChange={(e) => handleBroadcastToggle(e.target.checked)}
               />
 
               {isBroadcast && (
-                <div className={styles.warning}>
-                  ⚠️ Broadcast commands will be sent to all devices in the fleet
-                </div>
+                <>
+                  <BroadcastTargetPicker
+                    devices={devices}
+                    selector={broadcastSelector}
+                    onChange={setBroadcastSelector}
+                  />
+                  <div className={styles.warning}>
+                    ⚠️ Broadcast commands will be sent to {describeSelector(broadcastSelector)} at execution time
+                  </div>
+                </>
               )}
             </div>
           </CardBody>
@@ -105,6 +182,7 @@ export function CommandsView() {
         {/* Command Templates */}
         <div className={styles.section}>
           <h2 className={styles.sectionTitle}>Command Templates</h2>
+          {templateError && <div className={styles.warning}>⚠️ {templateError}</div>}
           <div className={styles.templatesGrid}>
             {COMMAND_TEMPLATES.map((template) => (
               <CommandTemplateCard
@@ -117,7 +195,18 @@ export function CommandsView() {
         </div>
 
         {/* Custom Command Builder */}
-        <CommandBuilder targetDeviceId={targetDeviceId} isBroadcast={isBroadcast} />
+        <CommandBuilder
+          targetDeviceId={targetDeviceId}
+          isBroadcast={isBroadcast}
+          broadcastSelector={broadcastSelector}
+        />
+
+        {/* Scenarios */}
+        <ScenarioRunner
+          scenarios={SCENARIOS}
+          targetDeviceId={targetDeviceId}
+          isBroadcast={isBroadcast}
+        />
 
         {/* Command Queue */}
         <CommandQueue />
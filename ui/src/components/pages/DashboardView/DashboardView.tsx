@@ -7,6 +7,7 @@ import { DeviceHealth } from '@/types/device';
 import { PlotCard } from '@/components/organisms/PlotCard/PlotCard';
 import { Sparkline } from '@/components/atoms/Sparkline/Sparkline';
 import { Card, CardBody } from '@/components/atoms/Card/Card';
+import { BrokerFilter } from '@/components/molecules/BrokerFilter/BrokerFilter';
 import { useMemo, useState } from 'react';
 import styles from './DashboardView.module.css';
 
@@ -14,20 +15,22 @@ export function DashboardView() {
   // Auto-book metrics based on device firmware metric_priority
   useMetricPriority();
 
-  const buffers = useTelemetry((state) => state.buffers);
-  const getPoints = useTelemetry((state) => state.getPoints);
+  // Series index only changes when a new device/metric appears, not on every sample
+  const metricsByDevice = useTelemetry((state) => state.metricsByDevice);
   const devicesMap = useDeviceRegistry((state) => state.devices);
+  const brokerFilter = useDeviceRegistry((state) => state.filter.broker);
   const bookmarks = usePinnedMetrics((state) => state.bookmarks);
   const setBookmark = usePinnedMetrics((state) => state.setBookmark);
   const getBookmarkType = usePinnedMetrics((state) => state.getBookmarkType);
 
   const [liveMetricsTab, setLiveMetricsTab] = useState<'featured' | 'all'>('featured');
 
-  // Collect all device/metric combinations with data
+  // Collect all device/metric combinations with data (on the selected broker/site)
   const allMetricsWithData = useMemo(() => {
     const metrics: Array<{ deviceId: string; metric: string }> = [];
-    for (const [deviceId, buffer] of buffers.entries()) {
-      for (const metric of buffer.keys()) {
+    for (const [deviceId, deviceMetrics] of metricsByDevice.entries()) {
+      if (brokerFilter && devicesMap.get(deviceId)?.broker !== brokerFilter) continue;
+      for (const metric of deviceMetrics) {
         // Skip relay and health metrics
         if (!metric.startsWith('relay_') && metric !== 'health') {
           metrics.push({ deviceId, metric });
@@ -35,7 +38,7 @@ export function DashboardView() {
       }
     }
     return metrics;
-  }, [buffers]);
+  }, [metricsByDevice, brokerFilter, devicesMap]);
 
   // Separate bookmarked to main, bookmarked to live, and unbooked
   const mainPinnedList = useMemo(() => {
@@ -110,7 +113,6 @@ export function DashboardView() {
           <div className={styles.chartsGrid}>
             {mainPinnedList.map((item, index) => {
               const { title, unit } = getMetricLabel(item.metric);
-              const data = getPoints(item.deviceId, item.metric);
               const device = devicesMap.get(item.deviceId);
               
               return (
@@ -120,7 +122,6 @@ export function DashboardView() {
                   metric={item.metric}
                   deviceId={item.deviceId}
                   unit={unit}
-                  data={data}
                   color={getChartColor(index)}
                   bookmarkType={getBookmarkType(item.deviceId, item.metric)}
                   onBookmark={(type) => setBookmark(item.deviceId, item.metric, type)}
@@ -148,6 +149,8 @@ export function DashboardView() {
           <h3 className={styles.sidebarTitle}>Live Metrics</h3>
         </div>
 
+        <BrokerFilter className={styles.brokerFilter} />
+
         <TabBar
           tabs={[
             { label: 'Featured', isActive: liveMetricsTab === 'featured', onClick: () => {} },
@@ -161,7 +164,6 @@ export function DashboardView() {
           {sparklineMetricsToShow.length > 0 ? (
             sparklineMetricsToShow.map((item, index) => {
               const { title } = getMetricLabel(item.metric);
-              const data = getPoints(item.deviceId, item.metric);
               const device = devicesMap.get(item.deviceId);
               
               return (
@@ -173,7 +175,8 @@ export function DashboardView() {
                     </div>
                   </div>
                   <Sparkline
-                    data={data}
+                    deviceId={item.deviceId}
+                    metric={item.metric}
                     color={getChartColor(index)}
                     bookmarkType={getBookmarkType(item.deviceId, item.metric)}
                     onBookmark={(type) => setBookmark(item.deviceId, item.metric, type)}
@@ -1,7 +1,13 @@
 import { useState, useMemo } from 'react';
 import { useDeviceRegistry } from '@/stores/device-registry';
 import { DeviceHealth } from '@/types/device';
+import { deviceQueryTarget } from '@/services/device-selector';
+import { tryParseQuery, matchesQuery } from '@/services/query';
+import { useTelemetry } from '@/stores/telemetry';
+import { healthNow } from '@/stores/replay';
 import { FleetHealthSummary } from '@/components/molecules/FleetHealthSummary/FleetHealthSummary';
+import { BrokerFilter } from '@/components/molecules/BrokerFilter/BrokerFilter';
+import { QueryInput } from '@/components/molecules/QueryInput/QueryInput';
 import { DeviceList } from '@/components/organisms/DeviceList/DeviceList';
 import { DeviceDetailsPanel } from '@/components/organisms/DeviceDetailsPanel/DeviceDetailsPanel';
 import { Card, CardBody } from '@/components/atoms/Card/Card';
@@ -10,8 +16,21 @@ import styles from './FleetView.module.css';
 export function FleetView() {
   const [selectedLocalId, setSelectedLocalId] = useState<string | null>(null);
   const devicesMap = useDeviceRegistry((state) => state.devices);
+  const brokerFilter = useDeviceRegistry((state) => state.filter.broker);
+  const [queryText, setQueryText] = useState('');
+  const { query } = useMemo(() => tryParseQuery(queryText), [queryText]);
 
-  const devices = useMemo(() => Array.from(devicesMap.values()), [devicesMap]);
+  const devices = useMemo(() => {
+    let filtered = Array.from(devicesMap.values());
+    if (brokerFilter) filtered = filtered.filter((device) => device.broker === brokerFilter);
+    if (query) {
+      // Telemetry is read at filter time; the list follows it as the registry updates
+      const { getLatestValue } = useTelemetry.getState();
+      const now = healthNow();
+      filtered = filtered.filter((device) => matchesQuery(query, deviceQueryTarget(device, getLatestValue, now)));
+    }
+    return filtered;
+  }, [devicesMap, brokerFilter, query]);
 
   const healthCounts = useMemo(() => {
     const counts: Record<DeviceHealth, number> = {
@@ -35,6 +54,13 @@ export function FleetView() {
   return (
     <div className={styles.fleetView}>
       <div className={styles.sidebar}>
+        <BrokerFilter />
+        <QueryInput
+          value={queryText}
+          onChange={setQueryText}
+          scope="devices"
+          placeholder="role:pump AND health:warning AND fields.pressure_psi > 90"
+        />
         <FleetHealthSummary healthCounts={healthCounts} />
         <DeviceList
           devices={devices}
@@ -1,22 +1,56 @@
 import { useState, useMemo } from 'react';
-import { useMqttMessages, MessageFilter } from '@/stores/mqtt-messages';
+import { useMqttMessages, MessageFilter, filterMessages } from '@/stores/mqtt-messages';
+import { MqttMessage } from '@/types/mqtt';
 import { useDeviceRegistry } from '@/stores/device-registry';
 import { Card, CardBody } from '@/components/atoms/Card/Card';
 import { Input } from '@/components/atoms/Input/Input';
 import { Button } from '@/components/atoms/Button/Button';
+import { QueryInput } from '@/components/molecules/QueryInput/QueryInput';
 import { RawMessageTable } from '@/components/organisms/RawMessageTable/RawMessageTable';
+import { PayloadView } from '@/components/molecules/MessageRow/MessageRow';
+import { SessionRecorder } from '@/components/organisms/SessionRecorder/SessionRecorder';
+import { SubscriptionManager } from '@/components/organisms/SubscriptionManager/SubscriptionManager';
+import { PublishConsole } from '@/components/organisms/PublishConsole/PublishConsole';
+import { TopicTree } from '@/components/organisms/TopicTree/TopicTree';
+import { TopicInspector } from '@/components/organisms/TopicInspector/TopicInspector';
+import { TopicNode } from '@/services/mqtt/topic-tree';
+import { useTopicTree } from '@/stores/topic-tree';
+import { bytesToHex } from '@/services/mqtt/decoders/byte-reader';
+import { tryParseQuery } from '@/services/query';
 import styles from './RawView.module.css';
 
 const MESSAGE_TYPES = ['telemetry', 'status', 'command', 'response', 'event'];
 
 export function RawView() {
   const [filter, setFilter] = useState<MessageFilter>({});
-  const getFilteredMessages = useMqttMessages((state) => state.getFilteredMessages);
+  const [payloadView, setPayloadView] = useState<PayloadView>('decoded');
+  const buffer = useMqttMessages((state) => state.buffer);
+  const received = useMqttMessages((state) => state.received);
   const clearMessages = useMqttMessages((state) => state.clearMessages);
   const devicesMap = useDeviceRegistry((state) => state.devices);
+  // Feed snapshot while paused - ingestion and the message buffer keep running underneath
+  const [paused, setPaused] = useState<{ messages: MqttMessage[]; received: number } | null>(null);
+  // Tree node whose subtree filters the feed (dropped when the tree is cleared)
+  const treeGeneration = useTopicTree((state) => state.generation);
+  const [selection, setSelection] = useState<{ node: TopicNode; generation: number } | null>(null);
+  const selectedNode = selection?.generation === treeGeneration ? selection.node : null;
+  // Query text as typed; the feed keeps the last valid query while it is being edited
+  const [queryText, setQueryText] = useState('');
+  const parsedQuery = useMemo(() => tryParseQuery(queryText), [queryText]);
 
   const devices = useMemo(() => Array.from(devicesMap.values()), [devicesMap]);
-  const filteredMessages = useMemo(() => getFilteredMessages(filter), [filter, getFilteredMessages]);
+  // `received` changes whenever the buffer (mutated in place) gains messages
+  const liveMessages = useMemo(() => buffer.getMessages(), [buffer, received]);
+  const [lastQuery, setLastQuery] = useState(parsedQuery.query);
+  if (!parsedQuery.error && parsedQuery.query !== lastQuery) setLastQuery(parsedQuery.query);
+  const filteredMessages = useMemo(
+    () => filterMessages(paused?.messages ?? liveMessages, lastQuery ? { ...filter, query: lastQuery } : filter),
+    [filter, lastQuery, paused, liveMessages]
+  );
+
+  const togglePaused = () => {
+    setPaused((prev) => (prev ? null : { messages: liveMessages, received }));
+  };
 
   const handleDeviceChange = (deviceId: string) => {
     setFilter((prev) => {
@@ -54,6 +88,20 @@ export function RawView() {
     });
   };
 
+  const handleTopicSelect = (node: TopicNode | null) => {
+    setSelection(node && { node, generation: treeGeneration });
+    setFilter((prev) => {
+      const newFilter = { ...prev };
+      // Broker nodes have no topic of their own: the feed is not split by broker
+      if (node?.topic) {
+        newFilter.topicFilter = node.children.size > 0 ? `${node.topic}/#` : node.topic;
+      } else {
+        delete newFilter.topicFilter;
+      }
+      return newFilter;
+    });
+  };
+
   const handleSearchChange = (search: string) => {
     setFilter((prev) => {
       const newFilter = { ...prev };
@@ -68,10 +116,20 @@ export function RawView() {
 
   const handleClearFilters = () => {
     setFilter({});
+    setSelection(null);
+    setQueryText('');
   };
 
   const exportMessages = () => {
-    const data = JSON.stringify(filteredMessages, null, 2);
+    // Raw bytes stay out of the JSON export (capture files keep them); correlation data as hex
+    const data = JSON.stringify(
+      filteredMessages,
+      (key, value) => {
+        if (key === 'bytes') return undefined;
+        return value instanceof Uint8Array ? bytesToHex(value) : value;
+      },
+      2
+    );
     const blob = new Blob([data], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
@@ -83,10 +141,29 @@ export function RawView() {
     URL.revokeObjectURL(url);
   };
 
-  const hasActiveFilters = !!(filter.deviceId || filter.messageType || filter.topic || filter.search);
+  const hasActiveFilters = !!(
+    filter.deviceId ||
+    filter.messageType ||
+    filter.topic ||
+    filter.topicFilter ||
+    filter.search ||
+    queryText.trim()
+  );
 
   return (
     <div className={styles.rawView}>
+      <SessionRecorder />
+      <div className={styles.tools}>
+        <SubscriptionManager />
+        <PublishConsole />
+      </div>
+
+      {/* Topic tree: selecting a node filters the feed below */}
+      <div className={styles.explorer}>
+        <TopicTree selected={selectedNode} onSelect={handleTopicSelect} />
+        {selectedNode && <TopicInspector node={selectedNode} />}
+      </div>
+
       {/* Filters */}
       <Card>
         <CardBody>
@@ -136,6 +213,19 @@ export function RawView() {
                 />
               </div>
 
+              {/* Payload rendering */}
+              <div className={styles.filterField}>
+                <label className={styles.label}>Payload</label>
+                <select
+                  className={styles.select}
+                  value={payloadView}
+                  onChange={(e) => setPayloadView(e.target.value as PayloadView)}
+                >
+                  <option value="decoded">Decoded</option>
+                  <option value="hex">Hex dump</option>
+                </select>
+              </div>
+
               {/* Search */}
               <div className={styles.filterField}>
                 <label className={styles.label}>Search</label>
@@ -147,8 +237,30 @@ export function RawView() {
               </div>
             </div>
 
+            {/* Query */}
+            <div className={styles.filterField}>
+              <label className={styles.label}>Query</label>
+              <QueryInput
+                value={queryText}
+                onChange={setQueryText}
+                scope="messages"
+                placeholder="device:pump-* AND type:telemetry AND fields.pressure_psi > 90"
+              />
+            </div>
+
             {/* Actions */}
             <div className={styles.actions}>
+              <Button variant={paused ? 'primary' : 'secondary'} size="sm" onClick={togglePaused}>
+                {paused ? 'Resume Feed' : 'Pause Feed'}
+              </Button>
+              {filter.topicFilter && (
+                <span className={styles.filterNote}>Topic tree: {filter.topicFilter}</span>
+              )}
+              {paused && (
+                <span className={styles.filterNote}>
+                  Paused · {(received - paused.received).toLocaleString()} new messages
+                </span>
+              )}
               <Button
                 variant="secondary"
                 size="sm"
@@ -168,7 +280,10 @@ export function RawView() {
               <Button
                 variant="secondary"
                 size="sm"
-                onClick={clearMessages}
+                onClick={() => {
+                  clearMessages();
+                  setPaused(null);
+                }}
               >
                 Clear All Messages
               </Button>
@@ -180,6 +295,7 @@ export function RawView() {
       {/* Message Table */}
       <RawMessageTable
         messages={filteredMessages}
+        payloadView={payloadView}
         emptyMessage={
           hasActiveFilters
             ? 'No messages match the current filters'
@@ -0,0 +1,651 @@
+import { RetentionConfig } from "@/types/telemetry";
+import type { DecoderRoute } from "@/services/mqtt/decoders/registry";
+import { DEFAULT_TELEMETRY_FLATTENING, MetricFilter, TelemetryFlatteningConfig } from "@/services/mqtt/flatten";
+import { DEFAULT_DEVICE_CLOCK, DeviceClockConfig, TimestampPolicy } from "@/services/mqtt/clock";
+import { DEFAULT_TOPIC_CONTRACT, topicSubscriptions } from "@/services/mqtt/parser";
+import { redactBrokerUrl } from "@/services/mqtt/auth";
+import { MqttProtocolVersion, TopicContract, TopicKind } from "@/types/mqtt";
+
+/**
+ * Telemetry retention limits - `metrics` overrides `default` per metric name
+ */
+export interface TelemetryRetentionConfig {
+  default: RetentionConfig;
+  metrics: Record<string, Partial<RetentionConfig>>;
+}
+
+/**
+ * Where device traffic comes from: a broker, or the built-in fleet simulator
+ */
+export type DataSourceKind = "mqtt" | "sim";
+
+/**
+ * Fleet simulator settings (used when source is "sim")
+ * Rates are fractions of commands; fault, dropout and stale periods are per device per hour
+ */
+export interface SimulatorConfig {
+  deviceCount: number;
+  telemetryIntervalMs: number;
+  ackDelayMs: number;
+  ackFailureRate: number;
+  ackTimeoutRate: number;
+  faultsPerHour: number;
+  dropoutsPerHour: number;
+  stalePeriodsPerHour: number;
+}
+
+/**
+ * Sparkplug B ingestion: subscribe to spBv1.0 traffic for the listed groups (all when empty)
+ */
+export interface SparkplugConfig {
+  enabled: boolean;
+  groupIds: string[];
+}
+
+/**
+ * Packet-loss warning from `seq` tracking: notify when a device's loss exceeds
+ * `lossWarningPercent` once `minPackets` were expected from it
+ */
+export interface LinkQualityConfig {
+  lossWarningPercent: number;
+  minPackets: number;
+}
+
+/**
+ * Publish expectations for one device type (meta/capabilities take precedence)
+ * - intervalMs: expected interval of every metric, unless listed in `metrics`
+ * - metrics: metric name -> expected interval
+ * - required: metrics whose silence degrades device health
+ */
+export interface MetricExpectations {
+  intervalMs: number | null;
+  metrics: Record<string, number>;
+  required: string[];
+}
+
+/**
+ * Per-metric staleness: a metric is stale after `staleAfterIntervals` expected intervals
+ * without a sample and dead after `deadAfterIntervals`, but never sooner than
+ * `minStaleMs`/`minDeadMs`
+ */
+export interface MetricFreshnessConfig {
+  staleAfterIntervals: number;
+  deadAfterIntervals: number;
+  minStaleMs: number;
+  minDeadMs: number;
+  deviceTypes: Record<string, MetricExpectations>;
+}
+
+/**
+ * Broker credentials from config.json (a login dialog asks when the broker rejects them)
+ * - method "password": username/password
+ * - method "token": the token goes in the MQTT password field or a `?token=` query on the
+ *   WebSocket URL (tokenTransport); username is optional
+ */
+export interface MqttAuthConfig {
+  method: "password" | "token";
+  username: string;
+  password: string;
+  token: string;
+  tokenTransport: "password" | "query";
+  clientIdPrefix: string;
+}
+
+/**
+ * One broker connection; `id` namespaces its device ids when several brokers are configured
+ */
+export interface BrokerConfig {
+  id: string;
+  name: string;
+  url: string;
+  protocolVersion: MqttProtocolVersion | "auto";
+  auth: MqttAuthConfig;
+}
+
+/**
+ * Runtime configuration loaded from /config.json
+ * (generated from config.template.json at container startup)
+ */
+export interface RuntimeConfig {
+  source: DataSourceKind;
+  mqttWsUrl: string;
+  // "auto" tries MQTT 5 and falls back to 3.1.1 when the broker refuses it
+  mqttProtocolVersion: MqttProtocolVersion | "auto";
+  mqttAuth: MqttAuthConfig;
+  // From `brokers` in config.json, else a single broker built from mqttWsUrl/mqttProtocolVersion/mqttAuth
+  brokers: BrokerConfig[];
+  topicContract: TopicContract;
+  // Derived from topicContract unless config.json lists them explicitly
+  subscribeTopics: string[];
+  staleAfterMs: number;
+  commandTimeoutMs: number;
+  telemetryRetention: TelemetryRetentionConfig;
+  simulator: SimulatorConfig;
+  // Topic filters that force a binary payload decoder (others are sniffed)
+  payloadDecoders: DecoderRoute[];
+  sparkplug: SparkplugConfig;
+  // How nested/array telemetry fields become metrics, with per-device-type include/exclude lists
+  telemetryFlattening: TelemetryFlatteningConfig;
+  linkQuality: LinkQualityConfig;
+  // Device clock offset estimation and where telemetry timestamps are plotted
+  deviceClock: DeviceClockConfig;
+  // Expected publish intervals and required metrics per device type
+  metricFreshness: MetricFreshnessConfig;
+}
+
+function defaultWsUrl(): string {
+  const { protocol, hostname } = window.location;
+  const wsProto = protocol === "https:" ? "wss:" : "ws:";
+  return `${wsProto}//${hostname}:9001`;
+}
+
+export const DEFAULT_BROKER_ID = "default";
+
+function singleBroker(
+  url: string,
+  protocolVersion: MqttProtocolVersion | "auto",
+  auth: MqttAuthConfig
+): BrokerConfig[] {
+  return [{ id: DEFAULT_BROKER_ID, name: "Broker", url, protocolVersion, auth }];
+}
+
+function buildDefaults(): RuntimeConfig {
+  const mqttWsUrl = defaultWsUrl();
+  // Anonymous unless config.json or the login dialog provides credentials
+  const mqttAuth: MqttAuthConfig = {
+    method: "password",
+    username: "",
+    password: "",
+    token: "",
+    tokenTransport: "password",
+    clientIdPrefix: "pulsar-ui"
+  };
+
+  return {
+    source: "mqtt",
+    mqttWsUrl,
+    mqttProtocolVersion: "auto",
+    mqttAuth,
+    brokers: singleBroker(mqttWsUrl, "auto", mqttAuth),
+
+    // Pulsar Topic Contract v1 — UI listens broadly
+    topicContract: DEFAULT_TOPIC_CONTRACT,
+    subscribeTopics: topicSubscriptions(DEFAULT_TOPIC_CONTRACT),
+
+    staleAfterMs: 5000,
+    commandTimeoutMs: 2000,
+
+    // Raw samples for recent minutes, 1s rollups for an hour, 1m rollups for a day
+    telemetryRetention: {
+      default: {
+        rawMaxPoints: 3000,
+        rawMaxAgeMs: 5 * 60 * 1000,
+        secondMaxPoints: 3600,
+        minuteMaxPoints: 1440
+      },
+      metrics: {}
+    },
+
+    simulator: {
+      deviceCount: 4,
+      telemetryIntervalMs: 500,
+      ackDelayMs: 150,
+      ackFailureRate: 0.05,
+      ackTimeoutRate: 0.02,
+      faultsPerHour: 6,
+      dropoutsPerHour: 4,
+      stalePeriodsPerHour: 6
+    },
+
+    payloadDecoders: [],
+
+    sparkplug: {
+      enabled: false,
+      groupIds: []
+    },
+
+    telemetryFlattening: DEFAULT_TELEMETRY_FLATTENING,
+
+    linkQuality: {
+      lossWarningPercent: 5,
+      minPackets: 50
+    },
+
+    deviceClock: DEFAULT_DEVICE_CLOCK,
+
+    metricFreshness: {
+      staleAfterIntervals: 3,
+      deadAfterIntervals: 10,
+      minStaleMs: 2000,
+      minDeadMs: 5000,
+      deviceTypes: {}
+    }
+  };
+}
+
+const RETENTION_KEYS: Array<keyof RetentionConfig> = [
+  "rawMaxPoints",
+  "rawMaxAgeMs",
+  "secondMaxPoints",
+  "minuteMaxPoints"
+];
+
+/**
+ * Keep only positive numeric retention limits from untrusted config
+ */
+function pickRetentionLimits(raw: unknown): Partial<RetentionConfig> {
+  const limits: Partial<RetentionConfig> = {};
+  if (!raw || typeof raw !== "object") return limits;
+
+  for (const key of RETENTION_KEYS) {
+    const value = (raw as Record<string, unknown>)[key];
+    if (typeof value === "number" && Number.isFinite(value) && value > 0) {
+      limits[key] = value;
+    }
+  }
+  return limits;
+}
+
+function parseTelemetryRetention(
+  raw: unknown,
+  defaults: TelemetryRetentionConfig
+): TelemetryRetentionConfig {
+  if (!raw || typeof raw !== "object") return defaults;
+  const cfg = raw as Record<string, unknown>;
+
+  const metrics: Record<string, Partial<RetentionConfig>> = {};
+  if (cfg.metrics && typeof cfg.metrics === "object") {
+    for (const [metric, limits] of Object.entries(cfg.metrics)) {
+      metrics[metric] = pickRetentionLimits(limits);
+    }
+  }
+
+  return {
+    default: { ...defaults.default, ...pickRetentionLimits(cfg.default) },
+    metrics
+  };
+}
+
+const SIMULATOR_RATE_KEYS: Array<keyof SimulatorConfig> = ["ackFailureRate", "ackTimeoutRate"];
+
+/**
+ * Simulator overrides: rates must be within [0, 1], everything else non-negative
+ */
+function parseSimulatorConfig(raw: unknown, defaults: SimulatorConfig): SimulatorConfig {
+  if (!raw || typeof raw !== "object") return defaults;
+  const cfg = raw as Record<string, unknown>;
+  const simulator = { ...defaults };
+
+  for (const key of Object.keys(defaults) as Array<keyof SimulatorConfig>) {
+    const value = cfg[key];
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) continue;
+    if (SIMULATOR_RATE_KEYS.includes(key) && value > 1) continue;
+    simulator[key] = value;
+  }
+
+  simulator.deviceCount = Math.max(1, Math.round(simulator.deviceCount));
+  simulator.telemetryIntervalMs = Math.max(50, simulator.telemetryIntervalMs);
+  return simulator;
+}
+
+/**
+ * Keep well-formed { topic, decoder } routes
+ */
+function parseDecoderRoutes(raw: unknown): DecoderRoute[] {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((route): route is Record<string, unknown> => !!route && typeof route === "object")
+    .filter((route) => typeof route.topic === "string" && typeof route.decoder === "string")
+    .map((route) => ({ topic: String(route.topic), decoder: String(route.decoder) }));
+}
+
+/**
+ * Topic grammar overrides; kind aliases may be a string or a list (first one is published)
+ */
+function parseTopicContract(raw: unknown, defaults: TopicContract): TopicContract {
+  if (!raw || typeof raw !== "object") return defaults;
+  const cfg = raw as Record<string, unknown>;
+
+  const kindAliases = { ...defaults.kindAliases };
+  if (cfg.kindAliases && typeof cfg.kindAliases === "object") {
+    for (const [kind, aliases] of Object.entries(cfg.kindAliases)) {
+      if (!(kind in kindAliases)) {
+        console.warn(`[Config] Unknown topic kind in kindAliases: ${kind}`);
+        continue;
+      }
+      const list = (Array.isArray(aliases) ? aliases : [aliases])
+        .filter((alias): alias is string => typeof alias === "string")
+        .map((alias) => alias.trim())
+        .filter((alias) => alias && !alias.includes("/") && alias !== "+" && alias !== "#");
+      if (list.length > 0) kindAliases[kind as TopicKind] = list;
+    }
+  }
+
+  const deviceLevels = Number(cfg.deviceLevels);
+  return {
+    prefix: typeof cfg.prefix === "string" ? cfg.prefix.replace(/^\/+|\/+$/g, "") : defaults.prefix,
+    devicePosition:
+      cfg.devicePosition === "before-kind" || cfg.devicePosition === "after-kind"
+        ? cfg.devicePosition
+        : defaults.devicePosition,
+    deviceLevels: Number.isInteger(deviceLevels) && deviceLevels >= 1 ? deviceLevels : defaults.deviceLevels,
+    kindAliases
+  };
+}
+
+function parseSparkplugConfig(raw: unknown, defaults: SparkplugConfig): SparkplugConfig {
+  if (!raw || typeof raw !== "object") return defaults;
+  const cfg = raw as Record<string, unknown>;
+  return {
+    enabled: typeof cfg.enabled === "boolean" ? cfg.enabled : defaults.enabled,
+    groupIds: Array.isArray(cfg.groupIds) ? cfg.groupIds.map(String).filter(Boolean) : defaults.groupIds
+  };
+}
+
+function parseMetricGlobs(raw: unknown): string[] {
+  return Array.isArray(raw) ? raw.filter((glob): glob is string => typeof glob === "string" && !!glob) : [];
+}
+
+function parseMetricFilter(raw: unknown): MetricFilter {
+  const cfg = raw && typeof raw === "object" ? (raw as Record<string, unknown>) : {};
+  return { include: parseMetricGlobs(cfg.include), exclude: parseMetricGlobs(cfg.exclude) };
+}
+
+/**
+ * Flattening limits must be non-negative integers; unset lists keep everything
+ */
+function parseTelemetryFlattening(
+  raw: unknown,
+  defaults: TelemetryFlatteningConfig
+): TelemetryFlatteningConfig {
+  if (!raw || typeof raw !== "object") return defaults;
+  const cfg = raw as Record<string, unknown>;
+  const limit = (value: unknown, fallback: number) =>
+    typeof value === "number" && Number.isInteger(value) && value >= 0 ? value : fallback;
+
+  const deviceTypes: Record<string, MetricFilter> = {};
+  if (cfg.deviceTypes && typeof cfg.deviceTypes === "object") {
+    for (const [type, filter] of Object.entries(cfg.deviceTypes)) {
+      deviceTypes[type] = parseMetricFilter(filter);
+    }
+  }
+
+  return {
+    maxDepth: limit(cfg.maxDepth, defaults.maxDepth),
+    maxArrayItems: limit(cfg.maxArrayItems, defaults.maxArrayItems),
+    booleans: typeof cfg.booleans === "boolean" ? cfg.booleans : defaults.booleans,
+    ...parseMetricFilter(cfg),
+    deviceTypes
+  };
+}
+
+function parseLinkQuality(raw: unknown, defaults: LinkQualityConfig): LinkQualityConfig {
+  if (!raw || typeof raw !== "object") return defaults;
+  const cfg = raw as Record<string, unknown>;
+  const { lossWarningPercent, minPackets } = cfg;
+  return {
+    lossWarningPercent:
+      typeof lossWarningPercent === "number" && lossWarningPercent > 0 && lossWarningPercent <= 100
+        ? lossWarningPercent
+        : defaults.lossWarningPercent,
+    minPackets:
+      typeof minPackets === "number" && Number.isInteger(minPackets) && minPackets >= 0
+        ? minPackets
+        : defaults.minPackets
+  };
+}
+
+const TIMESTAMP_POLICIES: TimestampPolicy[] = ["auto", "device", "corrected", "receive"];
+
+function parseDeviceClock(raw: unknown, defaults: DeviceClockConfig): DeviceClockConfig {
+  if (!raw || typeof raw !== "object") return defaults;
+  const cfg = raw as Record<string, unknown>;
+  const { timestampPolicy, maxSkewMs, window } = cfg;
+  return {
+    timestampPolicy: TIMESTAMP_POLICIES.includes(timestampPolicy as TimestampPolicy)
+      ? (timestampPolicy as TimestampPolicy)
+      : defaults.timestampPolicy,
+    maxSkewMs: typeof maxSkewMs === "number" && maxSkewMs > 0 ? maxSkewMs : defaults.maxSkewMs,
+    window: typeof window === "number" && Number.isInteger(window) && window >= 1 ? window : defaults.window
+  };
+}
+
+function isPositiveNumber(value: unknown): value is number {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+function parseMetricExpectations(raw: unknown): MetricExpectations {
+  const cfg = raw && typeof raw === "object" ? (raw as Record<string, unknown>) : {};
+  const { intervalMs, metrics, required } = cfg;
+
+  const intervals: Record<string, number> = {};
+  if (metrics && typeof metrics === "object") {
+    for (const [metric, interval] of Object.entries(metrics)) {
+      if (isPositiveNumber(interval)) intervals[metric] = interval;
+    }
+  }
+  return {
+    intervalMs: isPositiveNumber(intervalMs) ? intervalMs : null,
+    metrics: intervals,
+    required: Array.isArray(required) ? required.map(String).filter(Boolean) : []
+  };
+}
+
+function parseMetricFreshness(raw: unknown, defaults: MetricFreshnessConfig): MetricFreshnessConfig {
+  if (!raw || typeof raw !== "object") return defaults;
+  const cfg = raw as Record<string, unknown>;
+  const { staleAfterIntervals, deadAfterIntervals, minStaleMs, minDeadMs } = cfg;
+
+  const deviceTypes: Record<string, MetricExpectations> = {};
+  if (cfg.deviceTypes && typeof cfg.deviceTypes === "object") {
+    for (const [type, expectations] of Object.entries(cfg.deviceTypes)) {
+      deviceTypes[type] = parseMetricExpectations(expectations);
+    }
+  }
+
+  const stale = isPositiveNumber(staleAfterIntervals) ? staleAfterIntervals : defaults.staleAfterIntervals;
+  const staleMs = isPositiveNumber(minStaleMs) ? minStaleMs : defaults.minStaleMs;
+  // Dead never comes before stale
+  return {
+    staleAfterIntervals: stale,
+    deadAfterIntervals: Math.max(isPositiveNumber(deadAfterIntervals) ? deadAfterIntervals : defaults.deadAfterIntervals, stale),
+    minStaleMs: staleMs,
+    minDeadMs: Math.max(isPositiveNumber(minDeadMs) ? minDeadMs : defaults.minDeadMs, staleMs),
+    deviceTypes
+  };
+}
+
+function parseMqttAuth(raw: unknown, defaults: MqttAuthConfig): MqttAuthConfig {
+  if (!raw || typeof raw !== "object") return defaults;
+  const cfg = raw as Record<string, unknown>;
+  const text = (value: unknown, fallback: string) => (typeof value === "string" ? value : fallback);
+  const token = text(cfg.token, defaults.token);
+  const clientIdPrefix = text(cfg.clientIdPrefix, "").trim();
+
+  return {
+    // A configured token implies token auth unless the method says otherwise
+    method:
+      cfg.method === "password" || cfg.method === "token" ? cfg.method : token ? "token" : defaults.method,
+    username: text(cfg.username, defaults.username),
+    password: text(cfg.password, defaults.password),
+    token,
+    tokenTransport:
+      cfg.tokenTransport === "password" || cfg.tokenTransport === "query"
+        ? cfg.tokenTransport
+        : defaults.tokenTransport,
+    clientIdPrefix: clientIdPrefix || defaults.clientIdPrefix
+  };
+}
+
+function parseProtocolVersion(
+  raw: unknown,
+  fallback: MqttProtocolVersion | "auto"
+): MqttProtocolVersion | "auto" {
+  return raw === 4 || raw === 5 || raw === "auto" ? raw : fallback;
+}
+
+/**
+ * Named brokers; protocol version and auth fields not set per broker come from the top level
+ * Ids become device id prefixes, so they must be unique and free of ':' and '/'
+ */
+function parseBrokers(
+  raw: unknown,
+  protocolVersion: MqttProtocolVersion | "auto",
+  auth: MqttAuthConfig
+): BrokerConfig[] {
+  if (!Array.isArray(raw)) return [];
+
+  const brokers: BrokerConfig[] = [];
+  for (const entry of raw) {
+    if (!entry || typeof entry !== "object") continue;
+    const cfg = entry as Record<string, unknown>;
+    const id = typeof cfg.id === "string" ? cfg.id.trim() : "";
+    const url = typeof cfg.url === "string" ? cfg.url.trim() : "";
+
+    if (!id || !url || /[:/]/.test(id)) {
+      console.warn("[Config] Ignoring broker without a valid id and url:", redactConfig(entry));
+      continue;
+    }
+    if (brokers.some((broker) => broker.id === id)) {
+      console.warn(`[Config] Duplicate broker id: ${id}`);
+      continue;
+    }
+
+    brokers.push({
+      id,
+      name: typeof cfg.name === "string" && cfg.name.trim() ? cfg.name.trim() : id,
+      url,
+      protocolVersion: parseProtocolVersion(cfg.protocolVersion, protocolVersion),
+      auth: parseMqttAuth(cfg.auth, auth)
+    });
+  }
+  return brokers;
+}
+
+const SECRET_KEYS = new Set(["password", "token"]);
+
+/**
+ * Config value safe to log: passwords and tokens (mqttAuth, broker auth, `?token=` in URLs) masked
+ */
+function redactConfig(value: unknown, key = ""): unknown {
+  if (typeof value === "string") {
+    return SECRET_KEYS.has(key) && value ? "***" : redactBrokerUrl(value);
+  }
+  if (Array.isArray(value)) return value.map((item) => redactConfig(item));
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactConfig(item, name)]));
+}
+
+let currentConfig: RuntimeConfig | null = null;
+
+/**
+ * Get the active runtime config (defaults until loadRuntimeConfig resolves)
+ */
+export function getRuntimeConfig(): RuntimeConfig {
+  if (!currentConfig) {
+    currentConfig = buildDefaults();
+  }
+  return currentConfig;
+}
+
+/**
+ * Resolve retention limits for one metric (per-metric overrides on top of defaults)
+ */
+export function getRetentionConfig(metric: string): RetentionConfig {
+  const { telemetryRetention } = getRuntimeConfig();
+  return { ...telemetryRetention.default, ...telemetryRetention.metrics[metric] };
+}
+
+export async function loadRuntimeConfig(): Promise<RuntimeConfig> {
+  // Hard defaults if config fetch fails
+  const defaults = buildDefaults();
+
+  try {
+    const res = await fetch("/config.json", { cache: "no-store" });
+    if (!res.ok) {
+      console.warn(`[Config] Failed to fetch config.json (${res.status}), using defaults`);
+      currentConfig = defaults;
+      return defaults;
+    }
+
+    const cfg = await res.json();
+    console.log("[Config] Loaded config.json:", redactConfig(cfg));
+    
+    // If mqttWsUrl is empty or not provided, use default
+    if (!cfg.mqttWsUrl || cfg.mqttWsUrl.trim() === "") {
+      console.log("[Config] mqttWsUrl empty, using default:", defaults.mqttWsUrl);
+      cfg.mqttWsUrl = defaults.mqttWsUrl;
+    }
+
+    const mqttWsUrl =
+      (cfg?.mqttWsUrl && String(cfg.mqttWsUrl).trim()) || defaults.mqttWsUrl;
+
+    const mqttProtocolVersion = parseProtocolVersion(cfg?.mqttProtocolVersion, defaults.mqttProtocolVersion);
+
+    const mqttAuth = parseMqttAuth(cfg?.mqttAuth, defaults.mqttAuth);
+
+    const configuredBrokers = parseBrokers(cfg?.brokers, mqttProtocolVersion, mqttAuth);
+    const brokers =
+      configuredBrokers.length > 0 ? configuredBrokers : singleBroker(mqttWsUrl, mqttProtocolVersion, mqttAuth);
+
+    const topicContract = parseTopicContract(cfg?.topicContract, defaults.topicContract);
+
+    // Optional overrides
+    const subscribeTopics = Array.isArray(cfg?.subscribeTopics)
+      ? cfg.subscribeTopics.map(String).filter(Boolean)
+      : topicSubscriptions(topicContract);
+
+    const staleAfterMs =
+      Number.isFinite(cfg?.staleAfterMs) && cfg.staleAfterMs > 0
+        ? cfg.staleAfterMs
+        : defaults.staleAfterMs;
+
+    const commandTimeoutMs =
+      Number.isFinite(cfg?.commandTimeoutMs) && cfg.commandTimeoutMs > 0
+        ? cfg.commandTimeoutMs
+        : defaults.commandTimeoutMs;
+
+    const telemetryRetention = parseTelemetryRetention(
+      cfg?.telemetryRetention,
+      defaults.telemetryRetention
+    );
+
+    const source: DataSourceKind = cfg?.source === "sim" ? "sim" : defaults.source;
+    const simulator = parseSimulatorConfig(cfg?.simulator, defaults.simulator);
+    const payloadDecoders = parseDecoderRoutes(cfg?.payloadDecoders);
+    const sparkplug = parseSparkplugConfig(cfg?.sparkplug, defaults.sparkplug);
+    const telemetryFlattening = parseTelemetryFlattening(
+      cfg?.telemetryFlattening,
+      defaults.telemetryFlattening
+    );
+    const linkQuality = parseLinkQuality(cfg?.linkQuality, defaults.linkQuality);
+    const deviceClock = parseDeviceClock(cfg?.deviceClock, defaults.deviceClock);
+    const metricFreshness = parseMetricFreshness(cfg?.metricFreshness, defaults.metricFreshness);
+
+    currentConfig = {
+      source,
+      mqttWsUrl,
+      mqttProtocolVersion,
+      mqttAuth,
+      brokers,
+      topicContract,
+      subscribeTopics,
+      staleAfterMs,
+      commandTimeoutMs,
+      telemetryRetention,
+      simulator,
+      payloadDecoders,
+      sparkplug,
+      telemetryFlattening,
+      linkQuality,
+      deviceClock,
+      metricFreshness
+    };
+    return currentConfig;
+  } catch (err) {
+    console.error("[Config] Error loading config.json:", err);
+    console.log("[Config] Using defaults:", defaults);
+    currentConfig = defaults;
+    return defaults;
+  }
+}
@@ -1,31 +1,24 @@
 import { useCommandQueue } from '@/stores/command-queue';
 import { useUiState } from '@/stores/ui';
-import { Command, CommandStatus, AuthorityLevel } from '@/types/command';
-import { mqttClient } from '@/services/mqtt/client';
-import { buildTopic } from '@/services/mqtt/parser';
+import { CommandStatus, AuthorityLevel } from '@/types/command';
+import { createCommand, CommandInput } from '@/services/mqtt/command-envelope';
 
 /**
  * Hook to stage and execute commands
  */
 export function useCommand() {
   const stageCommand = useCommandQueue((state) => state.stageCommand);
-  const updateCommandStatus = useCommandQueue((state) => state.updateCommandStatus);
+  const executeCommand = useCommandQueue((state) => state.executeCommand);
   const authorityLevel = useUiState((state) => state.authorityLevel);
   const isArmed = useUiState((state) => state.isArmed);
 
   /**
    * Stage a command (add to queue without executing)
    */
-  const stage = (command: Omit<Command, 'id' | 'status' | 'stagedAt'>): string => {
-    const id = `cmd-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
-    const fullCommand: Command = {
-      ...command,
-      id,
-      status: CommandStatus.Staged,
-      stagedAt: Date.now(),
-    };
+  const stage = (command: CommandInput): string => {
+    const fullCommand = createCommand(command);
     stageCommand(fullCommand);
-    return id;
+    return fullCommand.id;
   };
 
   /**
@@ -45,40 +38,19 @@ export function useCommand() {
       throw new Error('Cannot execute commands in VIEW mode');
     }
 
-    // Update status to pending
-    updateCommandStatus(commandId, CommandStatus.Pending);
-
-    try {
-      // Build topic and publish
-      const topic = buildTopic(command.deviceId, 'command', command.action);
-      const payload = JSON.stringify(command.payload);
-
-      await mqttClient.publish(topic, payload, { qos: 1 });
-
-      // Update status to sent
-      updateCommandStatus(commandId, CommandStatus.Sent);
+    // Publish and track until the device ACKs, rejects or times out
+    await executeCommand(commandId);
 
-      // Wait for ACK (simplified - in production you'd listen for ACK message)
-      // For now, mark as success after a timeout
-      setTimeout(() => {
-        updateCommandStatus(commandId, CommandStatus.Success);
-      }, 1000);
-    } catch (error) {
-      updateCommandStatus(
-        commandId,
-        CommandStatus.Failed,
-        error instanceof Error ? error.message : 'Unknown error'
-      );
-      throw error;
+    const result = useCommandQueue.getState().getCommand(commandId);
+    if (result?.status === CommandStatus.Failed) {
+      throw new Error(result.error || 'Failed to publish command');
     }
   };
 
   /**
    * Stage and immediately execute a command
    */
-  const stageAndExecute = async (
-    command: Omit<Command, 'id' | 'status' | 'stagedAt'>
-  ): Promise<string> => {
+  const stageAndExecute = async (command: CommandInput): Promise<string> => {
     const id = stage(command);
     await execute(id);
     return id;
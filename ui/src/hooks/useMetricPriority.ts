@@ -32,7 +32,7 @@ export interface DeviceCapabilities {
  */
 export function useMetricPriority() {
   const devicesMap = useDeviceRegistry((state) => state.devices);
-  const buffers = useTelemetry((state) => state.buffers);
+  const metricsByDevice = useTelemetry((state) => state.metricsByDevice);
   const setBookmark = usePinnedMetrics((state) => state.setBookmark);
   const getBookmarkType = usePinnedMetrics((state) => state.getBookmarkType);
 
@@ -54,11 +54,11 @@ export function useMetricPriority() {
       if (!capabilities?.metric_priority) continue;
 
       const metricPriority = capabilities.metric_priority;
-      const buffer = buffers.get(deviceId);
-      if (!buffer) continue;
+      const deviceMetrics = metricsByDevice.get(deviceId);
+      if (!deviceMetrics) continue;
 
-      // For each metric in the buffer, auto-book based on priority
-      for (const metric of buffer.keys()) {
+      // For each metric with data, auto-book based on priority
+      for (const metric of deviceMetrics) {
         // Skip relay and health metrics
         if (metric.startsWith('relay_') || metric === 'health') continue;
 
@@ -80,5 +80,5 @@ export function useMetricPriority() {
 
     // Mark as initialized
     localStorage.setItem(STORAGE_KEY, 'true');
-  }, [devicesMap, buffers, setBookmark, getBookmarkType]);
+  }, [devicesMap, metricsByDevice, setBookmark, getBookmarkType]);
 }
@@ -2,59 +2,111 @@ import { useEffect, useState, useRef } from 'react';
 import { mqttClient } from '@/services/mqtt/client';
 import { ConnectionState, MqttConfig } from '@/types/mqtt';
 import { initializeHandlers } from '@/services/mqtt/handlers';
+import { redactBrokerUrl } from '@/services/mqtt/auth';
+import { FleetSimulator } from '@/services/simulator/fleet-simulator';
+import { useDataSource } from '@/stores/data-source';
+import { useBrokerAuth } from '@/stores/broker-auth';
+import { useSubscriptions } from '@/stores/subscriptions';
+import { getRuntimeConfig } from '@/config';
 
 /**
- * Hook to manage MQTT connection
+ * Connection settings for one named broker
  */
-export function useMqttConnection(config: MqttConfig | null) {
-  const [connectionState, setConnectionState] = useState<ConnectionState>(
-    () => mqttClient.getConnectionState()
-  );
+export interface BrokerConnectConfig {
+  id: string;
+  name: string;
+  config: MqttConfig;
+}
+
+/**
+ * Connection state of one broker as shown in the Sidebar
+ */
+export interface BrokerStatus {
+  id: string;
+  name: string;
+  state: ConnectionState;
+  error: string | null;
+}
+
+const SIM_BROKER: BrokerConnectConfig = { id: 'sim', name: 'Simulator', config: { url: 'sim://fleet' } };
+
+/**
+ * Hook to manage the broker connections
+ * Brokers are registered and handlers set up once; a broker whose config changes
+ * (e.g. after a login) is reconnected without touching the others
+ */
+export function useMqttConnection(brokers: BrokerConnectConfig[] | null): BrokerStatus[] {
+  const [states, setStates] = useState<Map<string, ConnectionState>>(() => new Map());
   const isInitialized = useRef(false);
+  // Broker id -> serialized config it is connected with
+  const connectedConfigs = useRef(new Map<string, string>());
 
   useEffect(() => {
-    // Don't connect if config is null or URL is empty
-    if (!config || !config.url || config.url.trim() === '') {
+    // Don't connect until config is loaded
+    if (!brokers || brokers.length === 0) {
       console.log('[useMqttConnection] Waiting for config...');
       return;
     }
 
-    // Only initialize once (check AFTER url validation)
-    if (isInitialized.current) {
-      console.log('[useMqttConnection] Already initialized');
-      return;
-    }
-    isInitialized.current = true;
+    // "source": "sim" swaps the brokers for the built-in fleet simulator behind the same client
+    const runtimeConfig = getRuntimeConfig();
+    const targets = runtimeConfig.source === 'sim' ? [SIM_BROKER] : brokers;
 
-    console.log('[useMqttConnection] Initializing MQTT connection to:', config.url);
+    if (!isInitialized.current) {
+      isInitialized.current = true;
+      if (runtimeConfig.source === 'sim') {
+        mqttClient.addBroker(
+          SIM_BROKER.id,
+          SIM_BROKER.name,
+          new FleetSimulator(runtimeConfig.simulator, runtimeConfig.topicContract.deviceLevels)
+        );
+        useDataSource.getState().setSource('sim');
+      } else {
+        targets.forEach(({ id, name }) => mqttClient.addBroker(id, name));
+      }
+      // Handlers need the broker list (device namespaces) and survive reconnects
+      initializeHandlers();
+    }
 
-    // Connect to broker FIRST (this creates the client)
-    mqttClient.connect(config);
+    const unsubscribe = mqttClient.onConnectionStateChange((state, broker) => {
+      setStates((prev) => new Map(prev).set(broker, state));
 
-    // THEN initialize message handlers (now client exists)
-    initializeHandlers();
+      if (state === ConnectionState.Unauthorized) {
+        useBrokerAuth.getState().openLogin(broker);
+      }
 
-    // Subscribe to connection state changes
-    const unsubscribe = mqttClient.onConnectionStateChange((state) => {
-      setConnectionState(state);
-      
-      // Subscribe to topics when connected
+      // Subscribe to topics when connected (the set is edited in the Raw view)
       if (state === ConnectionState.Connected) {
-        console.log('[useMqttConnection] Connected! Subscribing to topics...');
-        mqttClient.subscribe('pulsar/+/telemetry/#', 1);
-        mqttClient.subscribe('pulsar/+/telemetry', 1);
-        mqttClient.subscribe('pulsar/+/status', 1);
-        mqttClient.subscribe('pulsar/+/event/#', 1);
-        mqttClient.subscribe('pulsar/+/state/#', 1);
-        mqttClient.subscribe('pulsar/+/meta/#', 1);
+        console.log(`[useMqttConnection] ${broker} connected! Subscribing to topics...`);
+        useSubscriptions.getState().subscribeBroker(broker);
       }
     });
 
-    return () => {
-      unsubscribe();
+    for (const { id, config } of targets) {
+      const key = JSON.stringify(config);
+      if (connectedConfigs.current.get(id) === key) continue;
+      console.log(`[useMqttConnection] Connecting ${id} to:`, redactBrokerUrl(config.url));
+      mqttClient.disconnect(id);
+      mqttClient.connect(id, config);
+      connectedConfigs.current.set(id, key);
+    }
+
+    return unsubscribe;
+  }, [brokers]); // Memoized in App: changes when config loads or a broker's credentials change
+
+  // Close every connection on unmount
+  useEffect(
+    () => () => {
       mqttClient.disconnect();
-    };
-  }, [config]); // Memoized config object from App means this only runs when URL changes
+      connectedConfigs.current.clear();
+    },
+    []
+  );
 
-  return connectionState;
+  return mqttClient.brokers().map(({ id, name }) => ({
+    id,
+    name,
+    state: states.get(id) ?? mqttClient.getConnectionState(id),
+    error: mqttClient.getConnectionError(id),
+  }));
 }
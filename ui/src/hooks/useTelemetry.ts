@@ -1,5 +1,75 @@
-import { useTelemetry } from '@/stores/telemetry';
-import { TimeSeriesPoint } from '@/types/telemetry';
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { useTelemetry, subscribeSeries, getSeriesVersion } from '@/stores/telemetry';
+import { useDeviceRegistry } from '@/stores/device-registry';
+import { healthNow } from '@/stores/replay';
+import { metricFreshness, subscribeFreshnessTick } from '@/services/metric-freshness';
+import { MetricFreshness, TimeSeriesPoint, TelemetryResolution } from '@/types/telemetry';
+
+/**
+ * Write version of one series - re-renders only when that series changes (at most once per frame)
+ */
+export function useSeriesVersion(deviceId: string | null, metric: string): number {
+  const subscribe = useCallback(
+    (listener: () => void) => (deviceId ? subscribeSeries(deviceId, metric, listener) : () => {}),
+    [deviceId, metric]
+  );
+  const getSnapshot = useCallback(
+    () => (deviceId ? getSeriesVersion(deviceId, metric) : 0),
+    [deviceId, metric]
+  );
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+/**
+ * Points of one series at a given resolution
+ */
+export function useSeriesPoints(
+  deviceId: string | null,
+  metric: string,
+  resolution: TelemetryResolution = 'raw'
+): TimeSeriesPoint[] {
+  const version = useSeriesVersion(deviceId, metric);
+  return useMemo(
+    () => (deviceId ? useTelemetry.getState().getPoints(deviceId, metric, resolution) : []),
+    // version changes whenever the series is written
+    [version, deviceId, metric, resolution]
+  );
+}
+
+/**
+ * Latest value of one series
+ */
+export function useLatestValue(deviceId: string | null, metric: string): number | undefined {
+  const version = useSeriesVersion(deviceId, metric);
+  return useMemo(
+    () => (deviceId ? useTelemetry.getState().getLatestValue(deviceId, metric) : undefined),
+    [version, deviceId, metric]
+  );
+}
+
+/**
+ * Freshness of one series (null before its first sample)
+ * Re-evaluated on writes and every second; re-renders only when the state changes
+ */
+export function useMetricFreshness(deviceId: string | null, metric: string): MetricFreshness | null {
+  const subscribe = useCallback(
+    (listener: () => void) => {
+      if (!deviceId) return () => {};
+      const unsubscribeSeries = subscribeSeries(deviceId, metric, listener);
+      const unsubscribeTick = subscribeFreshnessTick(listener);
+      return () => {
+        unsubscribeSeries();
+        unsubscribeTick();
+      };
+    },
+    [deviceId, metric]
+  );
+  const getSnapshot = useCallback(() => {
+    const device = deviceId ? useDeviceRegistry.getState().getDevice(deviceId) : undefined;
+    return device ? metricFreshness(device, metric, healthNow()) : null;
+  }, [deviceId, metric]);
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
 
 /**
  * Hook to access telemetry data for a device metric
@@ -12,16 +82,11 @@ export function useMetricData(
   latestValue: number | undefined;
   isEmpty: boolean;
 } {
-  const points = useTelemetry((state) =>
-    deviceId ? state.getPoints(deviceId, metric) : []
-  );
-  const latestValue = useTelemetry((state) =>
-    deviceId ? state.getLatestValue(deviceId, metric) : undefined
-  );
+  const points = useSeriesPoints(deviceId, metric);
 
   return {
     points,
-    latestValue,
+    latestValue: points[points.length - 1]?.value,
     isEmpty: points.length === 0,
   };
 }
@@ -33,14 +98,29 @@ export function useDeviceMetrics(
   deviceId: string | null,
   metrics: string[]
 ): Map<string, number | undefined> {
-  const values = new Map<string, number | undefined>();
+  const metricsKey = metrics.join('\n');
 
-  for (const metric of metrics) {
-    const value = useTelemetry((state) =>
-      deviceId ? state.getLatestValue(deviceId, metric) : undefined
-    );
-    values.set(metric, value);
-  }
+  // One subscription for all metrics; the snapshot is the joined series versions
+  const subscribe = useCallback(
+    (listener: () => void) => {
+      if (!deviceId) return () => {};
+      const unsubscribers = metrics.map((metric) => subscribeSeries(deviceId, metric, listener));
+      return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    },
+    // metricsKey stands in for the metrics array identity
+    [deviceId, metricsKey]
+  );
+  const getSnapshot = useCallback(
+    () => (deviceId ? metrics.map((metric) => getSeriesVersion(deviceId, metric)).join(',') : ''),
+    [deviceId, metricsKey]
+  );
+  const versions = useSyncExternalStore(subscribe, getSnapshot);
 
-  return values;
+  return useMemo(() => {
+    const values = new Map<string, number | undefined>();
+    for (const metric of metrics) {
+      values.set(metric, deviceId ? useTelemetry.getState().getLatestValue(deviceId, metric) : undefined);
+    }
+    return values;
+  }, [versions, deviceId, metricsKey]);
 }
@@ -0,0 +1,212 @@
+/**
+ * Session captures: raw MQTT frames persisted to IndexedDB and exported as JSONL
+ *
+ * JSONL layout: one header line, then one line per frame
+ *   {"format":"pulsar-capture","v":1,"started_at":1700000000000,"frames":2}
+ *   {"t":1700000000012,"topic":"pulsar/dev-1/telemetry","payload_b64":"eyJ2IjoxfQ=="}
+ * Frames from a multi-broker session also carry "broker" (the broker id)
+ */
+import { IngestFrame } from './mqtt/ingest';
+
+export const CAPTURE_FORMAT = 'pulsar-capture';
+export const CAPTURE_VERSION = 1;
+
+/**
+ * Recorded session summary (frames are stored separately)
+ */
+export interface CaptureSession {
+  id: string;
+  startedAt: number;
+  endedAt?: number;
+  frameCount: number;
+  byteCount: number;
+  // Recording stopped because a size or duration limit was hit
+  truncated: boolean;
+}
+
+interface StoredFrame extends IngestFrame {
+  sessionId: string;
+}
+
+const DB_NAME = 'pulsar-captures';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const FRAMES = 'frames';
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+function openDb(): Promise<IDBDatabase> {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SESSIONS, { keyPath: 'id' });
+        // Auto-increment keys keep frames in arrival order within the session index
+        const frames = db.createObjectStore(FRAMES, { autoIncrement: true });
+        frames.createIndex('sessionId', 'sessionId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Write the session summary and a chunk of its frames in one transaction
+ */
+export async function saveCaptureChunk(session: CaptureSession, frames: IngestFrame[]): Promise<void> {
+  const db = await openDb();
+  const tx = db.transaction([SESSIONS, FRAMES], 'readwrite');
+  tx.objectStore(SESSIONS).put(session);
+  const frameStore = tx.objectStore(FRAMES);
+  for (const frame of frames) {
+    const stored: StoredFrame = { sessionId: session.id, ...frame };
+    frameStore.add(stored);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * All recorded sessions, newest first
+ */
+export async function listCaptureSessions(): Promise<CaptureSession[]> {
+  const db = await openDb();
+  const sessions = await promisify<CaptureSession[]>(
+    db.transaction(SESSIONS).objectStore(SESSIONS).getAll()
+  );
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Frames of one session in arrival order
+ */
+export async function loadCaptureFrames(sessionId: string): Promise<IngestFrame[]> {
+  const db = await openDb();
+  const stored = await promisify<StoredFrame[]>(
+    db.transaction(FRAMES).objectStore(FRAMES).index('sessionId').getAll(sessionId)
+  );
+  return stored.map(({ topic, payload, receivedAt, broker }) => ({
+    topic,
+    payload,
+    receivedAt,
+    ...(broker && { broker }),
+  }));
+}
+
+export async function deleteCaptureSession(sessionId: string): Promise<void> {
+  const db = await openDb();
+  const tx = db.transaction([SESSIONS, FRAMES], 'readwrite');
+  tx.objectStore(SESSIONS).delete(sessionId);
+  const index = tx.objectStore(FRAMES).index('sessionId');
+  const keys = await promisify(index.getAllKeys(sessionId));
+  for (const key of keys) {
+    tx.objectStore(FRAMES).delete(key);
+  }
+  await transactionDone(tx);
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text: string): Uint8Array {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Serialize frames as a JSONL capture (payloads are base64 so binary frames survive)
+ */
+export function encodeCaptureJsonl(frames: IngestFrame[], startedAt: number): string {
+  const lines = [
+    JSON.stringify({ format: CAPTURE_FORMAT, v: CAPTURE_VERSION, started_at: startedAt, frames: frames.length }),
+  ];
+  for (const frame of frames) {
+    lines.push(
+      JSON.stringify({
+        t: frame.receivedAt,
+        topic: frame.topic,
+        payload_b64: toBase64(frame.payload),
+        ...(frame.broker && { broker: frame.broker }),
+      })
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a JSONL capture; throws with the offending line number on malformed input
+ * Frames may carry `payload` (UTF-8 text) instead of `payload_b64` for hand-written captures
+ */
+export function decodeCaptureJsonl(text: string): IngestFrame[] {
+  const encoder = new TextEncoder();
+  const frames: IngestFrame[] = [];
+
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let entry: Record<string, unknown>;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${index + 1}: not valid JSON`);
+    }
+
+    if (entry.format === CAPTURE_FORMAT) {
+      if (entry.v !== CAPTURE_VERSION) {
+        throw new Error(`Unsupported capture version: ${String(entry.v)}`);
+      }
+      return;
+    }
+
+    const { t, topic, payload_b64, payload, broker } = entry;
+    if (typeof t !== 'number' || typeof topic !== 'string') {
+      throw new Error(`Line ${index + 1}: expected "t" and "topic"`);
+    }
+
+    let bytes: Uint8Array;
+    if (typeof payload_b64 === 'string') {
+      try {
+        bytes = fromBase64(payload_b64);
+      } catch {
+        throw new Error(`Line ${index + 1}: invalid base64 payload`);
+      }
+    } else if (typeof payload === 'string') {
+      bytes = encoder.encode(payload);
+    } else {
+      throw new Error(`Line ${index + 1}: missing payload`);
+    }
+
+    frames.push({ topic, payload: bytes, receivedAt: t, ...(typeof broker === 'string' && broker && { broker }) });
+  });
+
+  return frames.sort((a, b) => a.receivedAt - b.receivedAt);
+}
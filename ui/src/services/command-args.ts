@@ -0,0 +1,159 @@
+import { Device } from '@/types/device';
+import { CommandArgs, CommandArgsSchema } from '@/types/command';
+
+/**
+ * Raw form values keyed by argument name (inputs hold strings until parsed)
+ */
+export type CommandArgValues = Record<string, string | boolean>;
+
+/**
+ * Commands a device advertises in meta/capabilities or meta/commands
+ */
+export function getDeviceCommands(device: Device): string[] {
+  const meta = device.metadata?.meta as Record<string, unknown> | undefined;
+  const capabilities = meta?.capabilities as { commands?: unknown } | undefined;
+
+  const commands = new Set<string>();
+  if (Array.isArray(capabilities?.commands)) {
+    capabilities.commands.forEach((cmd) => commands.add(String(cmd)));
+  }
+  Object.keys(getCommandSchemas(device)).forEach((cmd) => commands.add(cmd));
+  return Array.from(commands).sort();
+}
+
+/**
+ * Argument schemas a device publishes on meta/commands
+ * Entries that do not match the supported JSON Schema subset are ignored
+ */
+export function getCommandSchemas(device: Device): Record<string, CommandArgs> {
+  return parseCommandSchemas(getPublishedCommands(device));
+}
+
+/**
+ * Raw meta/commands payload (same object until the device publishes a new one)
+ */
+export function getPublishedCommands(device: Device | undefined): unknown {
+  const meta = device?.metadata?.meta as Record<string, unknown> | undefined;
+  return meta?.commands;
+}
+
+/**
+ * Argument schemas from a meta/commands payload
+ */
+export function parseCommandSchemas(published: unknown): Record<string, CommandArgs> {
+  if (!published || typeof published !== 'object') return {};
+
+  const schemas: Record<string, CommandArgs> = {};
+  for (const [action, schema] of Object.entries(published)) {
+    const result = CommandArgsSchema.safeParse(schema);
+    if (result.success) {
+      schemas[action] = result.data;
+    }
+  }
+  return schemas;
+}
+
+/**
+ * Initial form values from schema defaults
+ */
+export function getDefaultArgValues(schema: CommandArgs): CommandArgValues {
+  const values: CommandArgValues = {};
+  for (const [name, arg] of Object.entries(schema.properties)) {
+    if (arg.type === 'boolean') {
+      values[name] = arg.default === true;
+    } else if (arg.default !== undefined) {
+      values[name] = String(arg.default);
+    } else if (arg.enum && schema.required?.includes(name)) {
+      values[name] = String(arg.enum[0]);
+    } else {
+      values[name] = '';
+    }
+  }
+  return values;
+}
+
+/**
+ * Convert form values to typed command args, collecting per-field errors
+ */
+export function parseCommandArgs(
+  schema: CommandArgs,
+  values: CommandArgValues
+): { args: Record<string, unknown>; errors: Record<string, string> } {
+  const args: Record<string, unknown> = {};
+  const errors: Record<string, string> = {};
+  const required = new Set(schema.required ?? []);
+
+  for (const [name, arg] of Object.entries(schema.properties)) {
+    const raw = values[name];
+
+    if (arg.type === 'boolean') {
+      if (typeof raw === 'boolean') args[name] = raw;
+      else if (required.has(name)) errors[name] = 'Required';
+      continue;
+    }
+
+    const text = typeof raw === 'string' ? raw.trim() : '';
+    if (text === '') {
+      if (required.has(name)) errors[name] = 'Required';
+      continue;
+    }
+
+    let value: string | number = text;
+    if (arg.type === 'integer' || arg.type === 'number') {
+      value = Number(text);
+      if (!Number.isFinite(value)) {
+        errors[name] = 'Must be a number';
+        continue;
+      }
+      if (arg.type === 'integer' && !Number.isInteger(value)) {
+        errors[name] = 'Must be a whole number';
+        continue;
+      }
+      if (arg.minimum !== undefined && value < arg.minimum) {
+        errors[name] = `Must be ≥ ${arg.minimum}`;
+        continue;
+      }
+      if (arg.maximum !== undefined && value > arg.maximum) {
+        errors[name] = `Must be ≤ ${arg.maximum}`;
+        continue;
+      }
+    }
+
+    if (arg.enum) {
+      const match = arg.enum.find((option) => String(option) === String(value));
+      if (match === undefined) {
+        errors[name] = `Must be one of: ${arg.enum.join(', ')}`;
+        continue;
+      }
+      value = match;
+    }
+
+    args[name] = value;
+  }
+
+  return { args, errors };
+}
+
+/**
+ * Validate already-typed args (e.g. from a template or raw JSON) against a schema
+ */
+export function validateCommandArgs(
+  schema: CommandArgs,
+  args: Record<string, unknown>
+): Record<string, string> {
+  const values: CommandArgValues = {};
+  for (const [name, value] of Object.entries(args)) {
+    if (typeof value === 'boolean') values[name] = value;
+    else if (value !== null && value !== undefined) values[name] = String(value);
+  }
+
+  const { errors } = parseCommandArgs(schema, values);
+  for (const [name, arg] of Object.entries(schema.properties)) {
+    const value = args[name];
+    if (value === undefined || errors[name]) continue;
+    const actual = typeof value;
+    const expected = arg.type === 'integer' ? 'number' : arg.type;
+    if (actual !== expected) errors[name] = `Must be a ${arg.type}`;
+  }
+  return errors;
+}
@@ -0,0 +1,126 @@
+import { Device, DeviceHealth } from '@/types/device';
+import { BroadcastSelector } from '@/types/command';
+import { QueryTarget } from '@/types/query';
+import { resolveQueryPath } from '@/services/query';
+
+/**
+ * Device counts as online while it is reporting (healthy or warning)
+ */
+export function isDeviceOnline(device: Device): boolean {
+  return device.health === DeviceHealth.Healthy || device.health === DeviceHealth.Warning;
+}
+
+/**
+ * Collect device tags from status payload (`tags`) or meta/info (`meta.info.tags`)
+ */
+export function getDeviceTags(device: Device): string[] {
+  const meta = device.metadata?.meta as Record<string, unknown> | undefined;
+  const info = meta?.info as Record<string, unknown> | undefined;
+  const sources = [device.metadata?.tags, info?.tags];
+
+  const tags = new Set<string>();
+  for (const source of sources) {
+    if (Array.isArray(source)) {
+      source.forEach((tag) => tags.add(String(tag)));
+    } else if (typeof source === 'string' && source) {
+      source.split(',').forEach((tag) => tag.trim() && tags.add(tag.trim()));
+    }
+  }
+  return Array.from(tags);
+}
+
+/**
+ * Resolve a broadcast selector against the current fleet
+ */
+export function selectDevices(devices: Iterable<Device>, selector: BroadcastSelector): Device[] {
+  const all = Array.from(devices);
+
+  let selected: Device[];
+  switch (selector.kind) {
+    case 'online':
+      selected = all.filter(isDeviceOnline);
+      break;
+    case 'role':
+      selected = all.filter((d) => isDeviceOnline(d) && d.role === selector.role);
+      break;
+    case 'health':
+      selected = all.filter((d) => d.health === selector.health);
+      break;
+    case 'tag':
+      selected = all.filter((d) => isDeviceOnline(d) && getDeviceTags(d).includes(selector.tag));
+      break;
+  }
+
+  return selected.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Human-readable selector description for the command queue
+ */
+export function describeSelector(selector: BroadcastSelector): string {
+  switch (selector.kind) {
+    case 'online':
+      return 'all online devices';
+    case 'role':
+      return `role: ${selector.role}`;
+    case 'health':
+      return `health: ${selector.health}`;
+    case 'tag':
+      return `tag: ${selector.tag}`;
+  }
+}
+
+/**
+ * Latest telemetry lookup for device queries - a callback so this module stays store-free
+ */
+export type LatestValueLookup = (deviceId: string, metric: string) => number | undefined;
+
+/**
+ * Flattened metric name of a query path: `['cells_v', '3']` -> `cells_v[3]`
+ */
+function metricName(path: string[]): string {
+  return path.reduce((name, segment) => {
+    if (/^\d+$/.test(segment) && name) return `${name}[${segment}]`;
+    return name ? `${name}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Query fields of a device: `device`/`id`, `role`, `health`, `broker`, `tag`, `online` and
+ * `age` (seconds since last seen, at `now`: healthNow() so replays use the replay clock);
+ * `fields.<metric>` (or `telemetry.<metric>`) is the latest sample, any other path reads the
+ * device metadata (`state.mode`, `meta.info.fw`)
+ */
+export function deviceQueryTarget(device: Device, getLatestValue: LatestValueLookup, now: number): QueryTarget {
+  let text: string | undefined;
+  return {
+    get: (path) => {
+      const [field, ...rest] = path;
+      if (rest.length === 0) {
+        switch (field) {
+          case 'device':
+          case 'id':
+            return device.id;
+          case 'role':
+            return device.role;
+          case 'health':
+            return device.health;
+          case 'broker':
+            return device.broker;
+          case 'tag':
+          case 'tags':
+            return getDeviceTags(device);
+          case 'online':
+            return isDeviceOnline(device);
+          case 'age':
+            return device.lastSeen ? Math.max(0, (now - device.lastSeen) / 1000) : undefined;
+        }
+      }
+      if ((field === 'fields' || field === 'telemetry') && rest.length > 0) {
+        return getLatestValue(device.id, metricName(rest));
+      }
+      return resolveQueryPath(device.metadata, path);
+    },
+    text: () => (text ??= [device.id, device.role, ...getDeviceTags(device)].join('\n').toLowerCase()),
+  };
+}
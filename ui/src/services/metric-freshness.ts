@@ -0,0 +1,192 @@
+import { getRuntimeConfig, MetricExpectations } from '@/config';
+import { Device, DeviceHealth } from '@/types/device';
+import { MetricFreshness } from '@/types/telemetry';
+
+/**
+ * Per-metric staleness
+ *
+ * Freshness is judged on receive time (device clocks may be wrong and batches carry older
+ * samples). The expected publish interval of a metric comes from the device's
+ * meta/capabilities (`metric_intervals_ms`, `publish_interval_ms`), else the
+ * `metricFreshness.deviceTypes` config of its type, else the median gap between receipts.
+ */
+
+// Device health from the age of the latest message (any topic)
+const DEVICE_WARNING_MS = 10000;
+const DEVICE_OFFLINE_MS = 60000;
+
+// Receipt gaps kept per metric for the observed interval
+const GAP_WINDOW = 16;
+
+// Freshness is re-evaluated this often while something displays it
+const TICK_MS = 1000;
+
+interface Receipts {
+  lastAt: number;
+  // Recent gaps between receipts (oldest first)
+  gaps: number[];
+}
+
+/**
+ * What a device declares in meta/capabilities
+ */
+interface PublishCapabilities {
+  device_type?: unknown;
+  publish_interval_ms?: unknown;
+  metric_intervals_ms?: unknown;
+  required_metrics?: unknown;
+}
+
+/**
+ * A required metric that is no longer fresh
+ */
+export interface SilentMetric {
+  metric: string;
+  freshness: Exclude<MetricFreshness, 'fresh'>;
+}
+
+const receipts = new Map<string, Receipts>();
+const tickListeners = new Set<() => void>();
+let tickTimer: ReturnType<typeof setInterval> | null = null;
+
+function receiptKey(deviceId: string, metric: string): string {
+  return `${deviceId}\n${metric}`;
+}
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle]! : (sorted[middle - 1]! + sorted[middle]!) / 2;
+}
+
+function isInterval(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function capabilitiesOf(device: Device): PublishCapabilities {
+  const meta = device.metadata?.meta as Record<string, unknown> | undefined;
+  const capabilities = meta?.capabilities;
+  return capabilities && typeof capabilities === 'object' ? (capabilities as PublishCapabilities) : {};
+}
+
+function expectationsOf(device: Device, capabilities: PublishCapabilities): MetricExpectations | undefined {
+  const type = typeof capabilities.device_type === 'string' ? capabilities.device_type : device.role;
+  return getRuntimeConfig().metricFreshness.deviceTypes[type];
+}
+
+/**
+ * Record that samples of a metric were received
+ */
+export function recordMetricReceipt(deviceId: string, metric: string, receivedAt: number): void {
+  const key = receiptKey(deviceId, metric);
+  const entry = receipts.get(key);
+  if (!entry) {
+    receipts.set(key, { lastAt: receivedAt, gaps: [] });
+    return;
+  }
+  if (receivedAt <= entry.lastAt) return;
+
+  entry.gaps.push(receivedAt - entry.lastAt);
+  if (entry.gaps.length > GAP_WINDOW) entry.gaps.shift();
+  entry.lastAt = receivedAt;
+}
+
+/**
+ * Receive time of a metric's latest samples
+ */
+export function lastMetricReceipt(deviceId: string, metric: string): number | undefined {
+  return receipts.get(receiptKey(deviceId, metric))?.lastAt;
+}
+
+/**
+ * Expected publish interval of a metric (null until declared or observed)
+ */
+export function expectedIntervalMs(device: Device, metric: string): number | null {
+  const capabilities = capabilitiesOf(device);
+  const declared = (capabilities.metric_intervals_ms as Record<string, unknown> | undefined)?.[metric];
+  if (isInterval(declared)) return declared;
+  if (isInterval(capabilities.publish_interval_ms)) return capabilities.publish_interval_ms;
+
+  const expectations = expectationsOf(device, capabilities);
+  const configured = expectations?.metrics[metric] ?? expectations?.intervalMs;
+  if (configured) return configured;
+
+  const gaps = receipts.get(receiptKey(device.id, metric))?.gaps;
+  return gaps && gaps.length > 0 ? median(gaps) : null;
+}
+
+/**
+ * Freshness of a metric (null when nothing was received; fresh while its interval is unknown)
+ */
+export function metricFreshness(device: Device, metric: string, now: number): MetricFreshness | null {
+  const lastAt = lastMetricReceipt(device.id, metric);
+  if (lastAt === undefined) return null;
+  const intervalMs = expectedIntervalMs(device, metric);
+  if (intervalMs === null) return 'fresh';
+
+  const { staleAfterIntervals, deadAfterIntervals, minStaleMs, minDeadMs } = getRuntimeConfig().metricFreshness;
+  const age = now - lastAt;
+  if (age > Math.max(intervalMs * deadAfterIntervals, minDeadMs)) return 'dead';
+  if (age > Math.max(intervalMs * staleAfterIntervals, minStaleMs)) return 'stale';
+  return 'fresh';
+}
+
+/**
+ * Metrics whose silence degrades the device: capabilities `required_metrics` plus the
+ * device type's `required` list
+ */
+export function requiredMetrics(device: Device): string[] {
+  const capabilities = capabilitiesOf(device);
+  const declared = Array.isArray(capabilities.required_metrics) ? capabilities.required_metrics.map(String) : [];
+  return Array.from(new Set([...declared, ...(expectationsOf(device, capabilities)?.required ?? [])]));
+}
+
+/**
+ * Required metrics that reported before and are no longer fresh
+ */
+export function silentRequiredMetrics(device: Device, now: number): SilentMetric[] {
+  const silent: SilentMetric[] = [];
+  for (const metric of requiredMetrics(device)) {
+    const freshness = metricFreshness(device, metric, now);
+    if (freshness === 'stale' || freshness === 'dead') silent.push({ metric, freshness });
+  }
+  return silent;
+}
+
+/**
+ * Health from the latest message of any kind, degraded to warning while a required metric is dead
+ * A status with `online: false` (last will, Sparkplug DEATH) keeps the device offline until a
+ * later status or birth reports it online. A device only known from retained messages is unknown
+ */
+export function deviceHealth(device: Device, now: number): DeviceHealth {
+  if (device.metadata?.online === false) return DeviceHealth.Offline;
+  if (!device.lastSeen) return DeviceHealth.Unknown;
+  const age = now - device.lastSeen;
+  if (age > DEVICE_OFFLINE_MS) return DeviceHealth.Offline;
+  if (age > DEVICE_WARNING_MS) return DeviceHealth.Warning;
+  return silentRequiredMetrics(device, now).some(({ freshness }) => freshness === 'dead')
+    ? DeviceHealth.Warning
+    : DeviceHealth.Healthy;
+}
+
+/**
+ * Call a listener every second while subscribed (freshness changes without new samples)
+ */
+export function subscribeFreshnessTick(listener: () => void): () => void {
+  tickListeners.add(listener);
+  if (!tickTimer) {
+    tickTimer = setInterval(() => tickListeners.forEach((tick) => tick()), TICK_MS);
+  }
+
+  return () => {
+    tickListeners.delete(listener);
+    if (tickListeners.size === 0 && tickTimer) {
+      clearInterval(tickTimer);
+      tickTimer = null;
+    }
+  };
+}
+
+export function resetMetricFreshness(): void {
+  receipts.clear();
+}
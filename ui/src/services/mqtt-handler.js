@@ -29,7 +29,7 @@ export function ingestForPlotsWithTp(seriesMap, latestMap, tp, parsed, maxPoints
 
   latestMap.set(device, obj);
 
-  const pairs = extractNumericFields(obj);
+  const pairs = extractNumericFields(obj, device);
   for (const [k, v] of pairs) {
     const key = `${device}:${k}`;
     pushPoint(seriesMap, key, { t, v }, maxPoints);
@@ -0,0 +1,103 @@
+import type { MqttAuthConfig } from '@/config';
+import { MqttConfig, MqttProtocolVersion } from '@/types/mqtt';
+
+/**
+ * Credentials entered in the login dialog
+ */
+export interface BrokerCredentials {
+  username?: string;
+  password?: string;
+  token?: string;
+}
+
+// Session storage only: credentials die with the tab and never reach localStorage
+const SESSION_KEY = 'pulsarui:brokerCredentials:v2';
+
+function pickCredentials(raw: unknown): BrokerCredentials | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const credentials: BrokerCredentials = {};
+  for (const key of ['username', 'password', 'token'] as const) {
+    const value = (raw as Record<string, unknown>)[key];
+    if (typeof value === 'string') credentials[key] = value;
+  }
+  return credentials;
+}
+
+/**
+ * Login dialog credentials per broker id
+ */
+export function loadSessionCredentials(): Record<string, BrokerCredentials> {
+  const credentials: Record<string, BrokerCredentials> = {};
+  try {
+    const raw = sessionStorage.getItem(SESSION_KEY);
+    const parsed: unknown = raw ? JSON.parse(raw) : null;
+    if (parsed && typeof parsed === 'object') {
+      for (const [broker, entry] of Object.entries(parsed)) {
+        const picked = pickCredentials(entry);
+        if (picked) credentials[broker] = picked;
+      }
+    }
+  } catch {
+    // Unreadable storage - start signed out
+  }
+  return credentials;
+}
+
+export function saveSessionCredentials(credentials: Record<string, BrokerCredentials>): void {
+  try {
+    if (Object.keys(credentials).length === 0) {
+      sessionStorage.removeItem(SESSION_KEY);
+    } else {
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify(credentials));
+    }
+  } catch (err) {
+    console.warn('[Auth] Could not store credentials for this session:', err);
+  }
+}
+
+function withTokenQuery(url: string, token: string): string {
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.set('token', token);
+    return parsed.toString();
+  } catch {
+    return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+  }
+}
+
+/**
+ * Broker URL safe to log (query tokens masked)
+ */
+export function redactBrokerUrl(url: string): string {
+  return url.replace(/([?&]token=)[^&#]*/, '$1***');
+}
+
+/**
+ * Broker connection settings with credentials applied
+ * Login dialog credentials replace the config.json ones as a whole
+ */
+export function brokerConnectConfig(
+  url: string,
+  protocolVersion: MqttProtocolVersion | 'auto',
+  auth: MqttAuthConfig,
+  session: BrokerCredentials | null
+): MqttConfig {
+  const credentials = session ?? { username: auth.username, password: auth.password, token: auth.token };
+  const config: MqttConfig = { url, protocolVersion, clientIdPrefix: auth.clientIdPrefix };
+
+  let password = auth.method === 'password' ? credentials.password : undefined;
+  if (auth.method === 'token' && credentials.token) {
+    if (auth.tokenTransport === 'query') {
+      config.url = withTokenQuery(url, credentials.token);
+    } else {
+      password = credentials.token;
+    }
+  }
+
+  if (credentials.username) config.username = credentials.username;
+  if (password) {
+    config.password = password;
+    config.username ??= '';
+  }
+  return config;
+}
@@ -0,0 +1,44 @@
+/**
+ * Per-broker device namespaces
+ *
+ * With more than one broker configured, device ids are prefixed with the broker id
+ * (`site-a:pump-01`) so identical firmware ids at different sites stay separate devices.
+ * A single broker keeps bare ids. Set per thread, like the topic contract.
+ */
+const SEPARATOR = ':';
+
+let brokerIds: string[] = [];
+
+export function setBrokerNamespaces(ids: string[]): void {
+  brokerIds = ids;
+}
+
+export function hasBrokerNamespaces(): boolean {
+  return brokerIds.length > 1;
+}
+
+/**
+ * Registry id for a device seen on a broker
+ */
+export function scopeDeviceId(broker: string | undefined, deviceId: string): string {
+  return broker && hasBrokerNamespaces() ? `${broker}${SEPARATOR}${deviceId}` : deviceId;
+}
+
+/**
+ * Split a registry id into its broker and the id the broker's topics use
+ * Unprefixed ids (single broker, or captures recorded without one) belong to the first broker
+ */
+export function splitDeviceId(id: string): { broker: string; deviceId: string } {
+  if (hasBrokerNamespaces()) {
+    const separator = id.indexOf(SEPARATOR);
+    const broker = separator > 0 ? id.slice(0, separator) : '';
+    if (brokerIds.includes(broker)) {
+      return { broker, deviceId: id.slice(separator + 1) };
+    }
+  }
+  return { broker: brokerIds[0] ?? '', deviceId: id };
+}
+
+export function deviceBroker(id: string): string {
+  return splitDeviceId(id).broker;
+}
@@ -1,13 +1,78 @@
-import mqtt, { MqttClient } from 'mqtt';
-import { ConnectionState, MqttConfig } from '@/types/mqtt';
+import mqtt, { IClientPublishOptions, IPublishPacket, MqttClient } from 'mqtt';
+import {
+  ConnectionState,
+  MessageHandler,
+  MessageProperties,
+  MqttConfig,
+  MqttProtocolVersion,
+} from '@/types/mqtt';
+import { redactBrokerUrl } from './auth';
 
 /**
- * MQTT client singleton with reconnection logic
+ * Publish options shared by every transport (`properties` are dropped on MQTT 3.1.1)
  */
-class MqttClientService {
+export interface PublishOptions {
+  qos?: 0 | 1 | 2;
+  retain?: boolean;
+  properties?: MessageProperties;
+}
+
+// CONNACK codes a broker answers an MQTT 5 CONNECT with when it only speaks 3.1.1
+const UNSUPPORTED_PROTOCOL_CODES = new Set([1, 0x84]);
+
+// CONNACK codes for rejected credentials: 3.1.1 (4 bad user name or password, 5 not authorized) and MQTT 5
+const AUTH_REJECTED_CODES = new Set([4, 5, 0x86, 0x87]);
+
+/**
+ * Message transport behind the app's MQTT client - a broker connection or the fleet simulator
+ */
+export interface MqttTransport {
+  getConnectionState(): ConnectionState;
+  // Negotiated protocol level (null while not connected)
+  getProtocolVersion(): MqttProtocolVersion | null;
+  // Why the last connection attempt failed (null once connected)
+  getConnectionError(): string | null;
+  connect(config: MqttConfig): void;
+  disconnect(): void;
+  // Resolves once the SUBACK grants every filter; rejects with the broker's reason otherwise
+  subscribe(topic: string | string[], qos?: 0 | 1 | 2): Promise<void>;
+  unsubscribe(topic: string | string[]): void;
+  publish(topic: string, payload: string | Buffer, options?: PublishOptions): Promise<void>;
+  onMessage(handler: MessageHandler): void;
+  offMessage(handler: MessageHandler): void;
+  onConnectionStateChange(listener: (state: ConnectionState) => void): () => void;
+}
+
+/**
+ * MQTT 5 properties of a received packet in transport-neutral form
+ */
+function messageProperties(packet: IPublishPacket): MessageProperties | undefined {
+  const props = packet.properties;
+  if (!props) return undefined;
+
+  const properties: MessageProperties = {
+    ...(props.responseTopic && { responseTopic: props.responseTopic }),
+    ...(props.correlationData && { correlationData: new Uint8Array(props.correlationData) }),
+    ...(props.contentType && { contentType: props.contentType }),
+    ...(props.messageExpiryInterval !== undefined && { messageExpiryInterval: props.messageExpiryInterval }),
+    ...(props.userProperties && { userProperties: props.userProperties }),
+  };
+  return Object.keys(properties).length > 0 ? properties : undefined;
+}
+
+/**
+ * Broker connection over MQTT/WebSocket with reconnection logic
+ * Connects with MQTT 5 and falls back to 3.1.1 when the broker refuses the protocol level
+ */
+class BrokerTransport implements MqttTransport {
   private client: MqttClient | null = null;
+  private config: MqttConfig | null = null;
+  private protocolVersion: MqttProtocolVersion = 5;
+  private connected = false;
+  private connectionError: string | null = null;
   private connectionState: ConnectionState = ConnectionState.Disconnected;
   private listeners: Set<(state: ConnectionState) => void> = new Set();
+  private handlers: Set<MessageHandler> = new Set();
 
   /**
    * Get current connection state
@@ -16,6 +81,14 @@ class MqttClientService {
     return this.connectionState;
   }
 
+  getProtocolVersion(): MqttProtocolVersion | null {
+    return this.connectionState === ConnectionState.Connected ? this.protocolVersion : null;
+  }
+
+  getConnectionError(): string | null {
+    return this.connectionError;
+  }
+
   /**
    * Connect to MQTT broker
    */
@@ -25,13 +98,22 @@ class MqttClientService {
       return; // Already connected or connecting
     }
 
-    console.log('[MQTT Client] Connecting to:', config.url);
+    console.log('[MQTT Client] Connecting to:', redactBrokerUrl(config.url));
+    this.config = config;
+    this.protocolVersion = config.protocolVersion === 4 ? 4 : 5;
+    this.connected = false;
+    this.connectionError = null;
     this.setConnectionState(ConnectionState.Connecting);
+    this.createClient(config);
+  }
 
+  private createClient(config: MqttConfig): void {
     this.client = mqtt.connect(config.url, {
-      clientId: config.clientId || `pulsar-ui-${Math.random().toString(16).slice(2, 8)}`,
-      ...(config.username && { username: config.username }),
+      clientId: config.clientId || `${config.clientIdPrefix || 'pulsar-ui'}-${Math.random().toString(16).slice(2, 8)}`,
+      // MQTT 3.1.1 only sends a password with a user name, so token-only logins pass an empty one
+      ...(config.username !== undefined && { username: config.username }),
       ...(config.password && { password: config.password }),
+      protocolVersion: this.protocolVersion,
       reconnectPeriod: config.reconnectPeriod || 1000,
       connectTimeout: config.connectTimeout || 30000,
       clean: true,
@@ -41,6 +123,50 @@ class MqttClientService {
     this.setupEventHandlers();
   }
 
+  /**
+   * Retry with MQTT 3.1.1 when an MQTT 5 CONNECT is refused for its protocol level
+   * Only before the first successful connect, and only when the version was not pinned in config
+   */
+  private fallBackToV311(err: Error & { code?: number }): boolean {
+    const config = this.config;
+    if (
+      !config ||
+      !this.client ||
+      this.connected ||
+      this.protocolVersion !== 5 ||
+      (config.protocolVersion ?? 'auto') !== 'auto' ||
+      err.code === undefined ||
+      !UNSUPPORTED_PROTOCOL_CODES.has(err.code)
+    ) {
+      return false;
+    }
+
+    console.warn('[MQTT Client] Broker refused MQTT 5, falling back to MQTT 3.1.1');
+    this.client.removeAllListeners();
+    this.client.end(true);
+    this.protocolVersion = 4;
+    this.createClient(config);
+    return true;
+  }
+
+  /**
+   * Stop reconnecting when the broker refuses the credentials - retrying cannot succeed
+   * until the user logs in again, and some brokers ban clients that keep trying
+   */
+  private rejectCredentials(err: Error & { code?: number }): boolean {
+    if (!this.client || err.code === undefined || !AUTH_REJECTED_CODES.has(err.code)) {
+      return false;
+    }
+
+    console.warn('[MQTT Client] Broker rejected the credentials:', err.message);
+    this.client.removeAllListeners();
+    this.client.end(true);
+    this.client = null;
+    this.connectionError = err.message;
+    this.setConnectionState(ConnectionState.Unauthorized);
+    return true;
+  }
+
   /**
    * Disconnect from broker
    */
@@ -48,6 +174,7 @@ class MqttClientService {
     if (this.client) {
       this.client.end(true);
       this.client = null;
+      this.config = null;
       this.setConnectionState(ConnectionState.Disconnected);
     }
   }
@@ -55,19 +182,24 @@ class MqttClientService {
   /**
    * Subscribe to topic(s)
    */
-  subscribe(topic: string | string[], qos: 0 | 1 | 2 = 1): void {
-    if (!this.client) {
-      console.warn('[MQTT Client] Cannot subscribe: MQTT client not connected');
-      return;
-    }
-
-    console.log('[MQTT Client] Subscribing to:', topic, 'with QoS', qos);
-    this.client.subscribe(topic, { qos }, (err) => {
-      if (err) {
-        console.error('[MQTT Client] Subscribe error:', err);
-      } else {
-        console.log('[MQTT Client] Successfully subscribed to:', topic);
+  subscribe(topic: string | string[], qos: 0 | 1 | 2 = 1): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (!this.client) {
+        console.warn('[MQTT Client] Cannot subscribe: MQTT client not connected');
+        reject(new Error('MQTT client not connected'));
+        return;
       }
+
+      console.log('[MQTT Client] Subscribing to:', topic, 'with QoS', qos);
+      this.client.subscribe(topic, { qos }, (err) => {
+        if (err) {
+          console.error('[MQTT Client] Subscribe error:', err);
+          reject(err);
+        } else {
+          console.log('[MQTT Client] Successfully subscribed to:', topic);
+          resolve();
+        }
+      });
     });
   }
 
@@ -81,22 +213,28 @@ class MqttClientService {
 
   /**
    * Publish message
+   * Rejects with the broker's reason when an MQTT 5 PUBACK carries a failure reason code
    */
-  publish(
-    topic: string,
-    payload: string | Buffer,
-    options: { qos?: 0 | 1 | 2; retain?: boolean } = {}
-  ): Promise<void> {
+  publish(topic: string, payload: string | Buffer, options: PublishOptions = {}): Promise<void> {
     return new Promise((resolve, reject) => {
       if (!this.client) {
         reject(new Error('MQTT client not connected'));
         return;
       }
 
+      const publishOptions: IClientPublishOptions = { qos: options.qos ?? 1, retain: options.retain ?? false };
+      if (options.properties && this.protocolVersion === 5) {
+        const { correlationData, ...properties } = options.properties;
+        publishOptions.properties = {
+          ...properties,
+          ...(correlationData && { correlationData: correlationData as Buffer }),
+        };
+      }
+
       this.client.publish(
         topic,
         payload,
-        { qos: options.qos || 1, retain: options.retain || false },
+        publishOptions,
         (err) => {
           if (err) reject(err);
           else resolve();
@@ -106,25 +244,18 @@ class MqttClientService {
   }
 
   /**
-   * Add message handler
+   * Add message handler (kept across the MQTT 5 -> 3.1.1 fallback reconnect)
    */
-  onMessage(handler: (topic: string, payload: Buffer) => void): void {
+  onMessage(handler: MessageHandler): void {
     console.log('[MQTT Client] Registering message handler');
-    if (this.client) {
-      this.client.on('message', handler);
-      console.log('[MQTT Client] Message handler registered');
-    } else {
-      console.warn('[MQTT Client] Cannot register handler: client not initialized');
-    }
+    this.handlers.add(handler);
   }
 
   /**
    * Remove message handler
    */
-  offMessage(handler: (topic: string, payload: Buffer) => void): void {
-    if (this.client) {
-      this.client.off('message', handler);
-    }
+  offMessage(handler: MessageHandler): void {
+    this.handlers.delete(handler);
   }
 
   /**
@@ -143,8 +274,15 @@ class MqttClientService {
     if (!this.client) return;
 
     this.client.on('connect', () => {
+      this.connected = true;
+      this.connectionError = null;
       this.setConnectionState(ConnectionState.Connected);
-      console.log('[MQTT Client] Connected successfully');
+      console.log(`[MQTT Client] Connected successfully (MQTT ${this.protocolVersion === 5 ? '5' : '3.1.1'})`);
+    });
+
+    this.client.on('message', (topic, payload, packet) => {
+      const properties = messageProperties(packet);
+      this.handlers.forEach((handler) => handler(topic, payload, properties, packet.retain));
     });
 
     this.client.on('reconnect', () => {
@@ -158,6 +296,8 @@ class MqttClientService {
     });
 
     this.client.on('error', (err) => {
+      if (this.fallBackToV311(err) || this.rejectCredentials(err)) return;
+      this.connectionError = err.message;
       this.setConnectionState(ConnectionState.Error);
       console.error('MQTT error:', err);
     });
@@ -178,5 +318,131 @@ class MqttClientService {
   }
 }
 
+/**
+ * Message handler that also learns which broker delivered the message
+ */
+export type BrokerMessageHandler = (
+  topic: string,
+  payload: Uint8Array,
+  properties: MessageProperties | undefined,
+  broker: string,
+  retained: boolean
+) => void;
+
+/**
+ * Named broker registered with the connection manager
+ */
+export interface BrokerInfo {
+  id: string;
+  name: string;
+}
+
+interface BrokerConnection extends BrokerInfo {
+  transport: MqttTransport;
+}
+
+/**
+ * MQTT connection manager singleton
+ * Holds one transport per named broker (a WebSocket connection or the simulator) so stores
+ * and views work the same against one site, several sites or the simulator.
+ * Calls without a broker id go to the first broker (subscribe/disconnect: to every broker).
+ */
+class MqttClientService {
+  private connections = new Map<string, BrokerConnection>();
+  private handlers = new Set<BrokerMessageHandler>();
+  private listeners = new Set<(state: ConnectionState, broker: string) => void>();
+
+  /**
+   * Register a broker before connecting it; registering an id again replaces its transport
+   */
+  addBroker(id: string, name: string, transport: MqttTransport = new BrokerTransport()): void {
+    const existing = this.connections.get(id);
+    if (existing && existing.transport.getConnectionState() !== ConnectionState.Disconnected) {
+      existing.transport.disconnect();
+    }
+
+    transport.onMessage((topic, payload, properties, retained) => {
+      this.handlers.forEach((handler) => handler(topic, payload, properties, id, retained));
+    });
+    transport.onConnectionStateChange((state) => {
+      this.listeners.forEach((listener) => listener(state, id));
+    });
+    this.connections.set(id, { id, name, transport });
+  }
+
+  brokers(): BrokerInfo[] {
+    return Array.from(this.connections.values(), ({ id, name }) => ({ id, name }));
+  }
+
+  private connection(broker?: string): BrokerConnection | undefined {
+    return broker === undefined ? this.connections.values().next().value : this.connections.get(broker);
+  }
+
+  private targets(broker?: string): BrokerConnection[] {
+    if (broker !== undefined) {
+      const connection = this.connections.get(broker);
+      return connection ? [connection] : [];
+    }
+    return Array.from(this.connections.values());
+  }
+
+  getConnectionState(broker?: string): ConnectionState {
+    return this.connection(broker)?.transport.getConnectionState() ?? ConnectionState.Disconnected;
+  }
+
+  getProtocolVersion(broker?: string): MqttProtocolVersion | null {
+    return this.connection(broker)?.transport.getProtocolVersion() ?? null;
+  }
+
+  getConnectionError(broker?: string): string | null {
+    return this.connection(broker)?.transport.getConnectionError() ?? null;
+  }
+
+  connect(broker: string, config: MqttConfig): void {
+    const connection = this.connections.get(broker);
+    if (!connection) {
+      console.warn('[MQTT Client] Cannot connect unknown broker:', broker);
+      return;
+    }
+    connection.transport.connect(config);
+  }
+
+  disconnect(broker?: string): void {
+    this.targets(broker).forEach(({ transport }) => transport.disconnect());
+  }
+
+  async subscribe(topic: string | string[], qos: 0 | 1 | 2 = 1, broker?: string): Promise<void> {
+    await Promise.all(this.targets(broker).map(({ transport }) => transport.subscribe(topic, qos)));
+  }
+
+  unsubscribe(topic: string | string[], broker?: string): void {
+    this.targets(broker).forEach(({ transport }) => transport.unsubscribe(topic));
+  }
+
+  publish(topic: string, payload: string | Buffer, options: PublishOptions = {}, broker?: string): Promise<void> {
+    const connection = this.connection(broker);
+    if (!connection) {
+      return Promise.reject(new Error(`Unknown broker: ${broker ?? '(none configured)'}`));
+    }
+    return connection.transport.publish(topic, payload, options);
+  }
+
+  onMessage(handler: BrokerMessageHandler): void {
+    this.handlers.add(handler);
+  }
+
+  offMessage(handler: BrokerMessageHandler): void {
+    this.handlers.delete(handler);
+  }
+
+  /**
+   * Connection state changes of every broker
+   */
+  onConnectionStateChange(listener: (state: ConnectionState, broker: string) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
 // Export singleton instance
 export const mqttClient = new MqttClientService();
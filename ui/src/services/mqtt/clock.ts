@@ -0,0 +1,110 @@
+import { DeviceClock } from '@/types/device';
+
+/**
+ * Device clock offset estimation
+ *
+ * Every device timestamp (`t_ms`, `ts`, Sparkplug `timestamp`) is paired with the time the
+ * message was received; the median of the recent differences is the device's clock offset
+ * (skew plus transit latency). Telemetry timestamps are mapped onto the receive clock under
+ * the configured policy, so a device with a wrong RTC still plots at the right time.
+ */
+
+/**
+ * How telemetry timestamps are placed on the time axis:
+ * - auto: device time, shifted by the estimated offset once the device is flagged as skewed
+ * - device: device time as sent
+ * - corrected: device time shifted by the estimated offset
+ * - receive: receive time (batched samples keep their spacing, ending at the receive time)
+ */
+export type TimestampPolicy = 'auto' | 'device' | 'corrected' | 'receive';
+
+export interface DeviceClockConfig {
+  timestampPolicy: TimestampPolicy;
+  // Offsets beyond this flag the device as skewed
+  maxSkewMs: number;
+  // Messages in the median window
+  window: number;
+}
+
+export const DEFAULT_DEVICE_CLOCK: DeviceClockConfig = {
+  timestampPolicy: 'auto',
+  maxSkewMs: 2000,
+  window: 31,
+};
+
+let config = DEFAULT_DEVICE_CLOCK;
+
+/**
+ * Replace the clock settings (from runtime config)
+ */
+export function setDeviceClockConfig(next: DeviceClockConfig): void {
+  config = next;
+}
+
+interface ClockState {
+  // Recent receive-minus-device differences (oldest first)
+  offsets: number[];
+  clock: DeviceClock;
+}
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle]! : (sorted[middle - 1]! + sorted[middle]!) / 2;
+}
+
+export class DeviceClocks {
+  private devices = new Map<string, ClockState>();
+
+  reset(): void {
+    this.devices.clear();
+  }
+
+  /**
+   * Record a device timestamp and the time its message was received
+   */
+  observe(deviceId: string, deviceTs: number, receivedAt: number): void {
+    let state = this.devices.get(deviceId);
+    if (!state) {
+      state = { offsets: [], clock: { offsetMs: 0, skewed: false, lastDeviceTs: deviceTs, lastReceivedAt: receivedAt } };
+      this.devices.set(deviceId, state);
+    }
+
+    state.offsets.push(receivedAt - deviceTs);
+    if (state.offsets.length > config.window) state.offsets.splice(0, state.offsets.length - config.window);
+
+    const offsetMs = median(state.offsets);
+    state.clock = {
+      offsetMs,
+      skewed: Math.abs(offsetMs) > config.maxSkewMs,
+      lastDeviceTs: deviceTs,
+      lastReceivedAt: receivedAt,
+    };
+  }
+
+  /**
+   * Amount to add to device timestamps of a message (`deviceTs` is its newest one)
+   */
+  shift(deviceId: string, deviceTs: number, receivedAt: number): number {
+    const clock = this.devices.get(deviceId)?.clock;
+    switch (config.timestampPolicy) {
+      case 'device':
+        return 0;
+      case 'receive':
+        return receivedAt - deviceTs;
+      case 'corrected':
+        return clock?.offsetMs ?? 0;
+      case 'auto':
+        return clock?.skewed ? clock.offsetMs : 0;
+    }
+  }
+
+  clock(deviceId: string): DeviceClock | null {
+    return this.devices.get(deviceId)?.clock ?? null;
+  }
+}
+
+/**
+ * Clock estimates of this thread's ingestion path (UI thread or worker)
+ */
+export const deviceClocks = new DeviceClocks();
@@ -0,0 +1,103 @@
+import { z } from 'zod';
+import { AuthorityLevel, Command, CommandStatus } from '@/types/command';
+import { MessageProperties } from '@/types/mqtt';
+import { encodeCorrelationData } from './mqtt5';
+
+/**
+ * Current command envelope schema version (`v` field on the wire)
+ */
+export const COMMAND_ENVELOPE_VERSION = 1;
+
+/**
+ * Command envelope published to pulsar/{deviceId}/cmd/{action}
+ * Firmware echoes `id` back on pulsar/{deviceId}/ack/{action}
+ */
+export const CommandEnvelopeSchema = z.object({
+  v: z.literal(COMMAND_ENVELOPE_VERSION),
+  id: z.string().min(1),
+  action: z.string().min(1),
+  t_ms: z.number().int().nonnegative(),
+  ttl_ms: z.number().int().positive(),
+  args: z.record(z.string(), z.unknown()),
+  operator: z.string().min(1).optional(),
+  correlation_id: z.string().min(1).optional(),
+});
+
+export type CommandEnvelope = z.infer<typeof CommandEnvelopeSchema>;
+
+/**
+ * Identifies this browser tab in command user properties (one per page load)
+ */
+export const UI_SESSION_ID = `ui-${Date.now().toString(36)}-${Math.random().toString(16).slice(2, 8)}`;
+
+/**
+ * Fields a caller supplies when staging a command
+ */
+export type CommandInput = Omit<Command, 'id' | 'status' | 'stagedAt'>;
+
+/**
+ * Generate a unique command id (used as the envelope `id` and ACK correlation key)
+ */
+export function newCommandId(): string {
+  return `cmd-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
+}
+
+/**
+ * Create a staged command ready for the command queue
+ */
+export function createCommand(input: CommandInput): Command {
+  return {
+    ...input,
+    action: input.action.trim(),
+    id: newCommandId(),
+    status: CommandStatus.Staged,
+    stagedAt: Date.now(),
+  };
+}
+
+/**
+ * Build and validate the wire envelope for a command
+ * Throws if the command does not satisfy the envelope schema
+ */
+export function buildCommandEnvelope(command: Command, ttlMs: number): CommandEnvelope {
+  const result = CommandEnvelopeSchema.safeParse({
+    v: COMMAND_ENVELOPE_VERSION,
+    id: command.id,
+    action: command.action,
+    t_ms: Date.now(),
+    ttl_ms: ttlMs,
+    args: command.payload,
+    ...(command.operator && { operator: command.operator }),
+    ...(command.correlationId && { correlation_id: command.correlationId }),
+  });
+
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new Error(
+      `Invalid command envelope: ${issue ? `${issue.path.join('.') || 'envelope'} ${issue.message}` : 'unknown error'}`
+    );
+  }
+
+  return result.data;
+}
+
+/**
+ * MQTT 5 request properties for a command: the device answers on `responseTopic`
+ * echoing the command id as correlation data (the envelope `id` stays for 3.1.1 firmware)
+ */
+export function buildCommandProperties(
+  command: Command,
+  responseTopic: string,
+  authority: AuthorityLevel
+): MessageProperties {
+  return {
+    responseTopic,
+    correlationData: encodeCorrelationData(command.id),
+    contentType: 'application/json',
+    userProperties: {
+      ...(command.operator && { operator: command.operator }),
+      authority,
+      ui_session: UI_SESSION_ID,
+    },
+  };
+}
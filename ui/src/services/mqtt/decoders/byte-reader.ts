@@ -0,0 +1,133 @@
+/**
+ * Thrown for truncated or malformed binary payloads
+ */
+export class DecodeError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'DecodeError';
+  }
+}
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Big-endian cursor over a payload, shared by the binary decoders
+ */
+export class ByteReader {
+  private readonly view: DataView;
+  offset = 0;
+
+  constructor(private readonly bytes: Uint8Array) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  get remaining(): number {
+    return this.bytes.length - this.offset;
+  }
+
+  private take(length: number): number {
+    if (length > this.remaining) {
+      throw new DecodeError(`Unexpected end of payload at byte ${this.offset}`);
+    }
+    const start = this.offset;
+    this.offset += length;
+    return start;
+  }
+
+  uint8(): number {
+    return this.view.getUint8(this.take(1));
+  }
+
+  uint16(): number {
+    return this.view.getUint16(this.take(2));
+  }
+
+  uint32(): number {
+    return this.view.getUint32(this.take(4));
+  }
+
+  // 64-bit integers become JS numbers (exact up to 2^53)
+  uint64(): number {
+    return Number(this.view.getBigUint64(this.take(8)));
+  }
+
+  int8(): number {
+    return this.view.getInt8(this.take(1));
+  }
+
+  int16(): number {
+    return this.view.getInt16(this.take(2));
+  }
+
+  int32(): number {
+    return this.view.getInt32(this.take(4));
+  }
+
+  int64(): number {
+    return Number(this.view.getBigInt64(this.take(8)));
+  }
+
+  float16(): number {
+    const half = this.uint16();
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    const sign = half & 0x8000 ? -1 : 1;
+    if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+  }
+
+  float32(): number {
+    return this.view.getFloat32(this.take(4));
+  }
+
+  float64(): number {
+    return this.view.getFloat64(this.take(8));
+  }
+
+  bytesOf(length: number): Uint8Array {
+    const start = this.take(length);
+    return this.bytes.subarray(start, start + length);
+  }
+
+  utf8(length: number): string {
+    try {
+      return utf8.decode(this.bytesOf(length));
+    } catch {
+      throw new DecodeError(`Invalid UTF-8 string at byte ${this.offset - length}`);
+    }
+  }
+}
+
+/**
+ * Byte strings in decoded values are shown as hex
+ */
+export function bytesToHex(bytes: Uint8Array): string {
+  let hex = '';
+  for (const byte of bytes) {
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Bytes from hex text; whitespace, `:` separators and 0x prefixes are ignored
+ */
+export function hexToBytes(text: string): Uint8Array {
+  const hex = text.replace(/0x/gi, '').replace(/[\s:]/g, '');
+  if (!/^[0-9a-f]*$/i.test(hex)) throw new DecodeError('Hex payload contains non-hex characters');
+  if (hex.length % 2 !== 0) throw new DecodeError('Hex payload has an odd number of digits');
+
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Object keys must be strings - numeric and other keys are stringified
+ */
+export function mapKey(key: unknown): string {
+  return typeof key === 'string' ? key : JSON.stringify(key) ?? String(key);
+}
@@ -0,0 +1,167 @@
+import { ByteReader, DecodeError, bytesToHex, mapKey } from './byte-reader';
+
+// Nesting limit so hostile payloads cannot exhaust the stack
+const MAX_DEPTH = 64;
+const BREAK = Symbol('break');
+
+/**
+ * Decode a single CBOR (RFC 8949) data item that spans the whole payload
+ * Tags are dropped (the tagged value is kept), byte strings become hex strings
+ */
+export function decodeCbor(bytes: Uint8Array): unknown {
+  const reader = new ByteReader(bytes);
+  const value = readValue(reader, 0);
+  if (reader.remaining > 0) {
+    throw new DecodeError(`${reader.remaining} trailing bytes after CBOR item`);
+  }
+  return value;
+}
+
+function readLength(reader: ByteReader, info: number): number {
+  if (info < 24) return info;
+  switch (info) {
+    case 24:
+      return reader.uint8();
+    case 25:
+      return reader.uint16();
+    case 26:
+      return reader.uint32();
+    case 27:
+      return reader.uint64();
+    default:
+      throw new DecodeError(`Invalid additional info ${info}`);
+  }
+}
+
+/**
+ * Item that is not a break marker (breaks only end indefinite-length containers)
+ */
+function readValue(reader: ByteReader, depth: number): unknown {
+  const value = readItem(reader, depth);
+  if (value === BREAK) throw new DecodeError('Unexpected break');
+  return value;
+}
+
+function readItem(reader: ByteReader, depth: number): unknown {
+  if (depth > MAX_DEPTH) throw new DecodeError('CBOR nesting too deep');
+
+  const initial = reader.uint8();
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  switch (major) {
+    case 0:
+      return readLength(reader, info);
+    case 1:
+      return -1 - readLength(reader, info);
+    case 2:
+      return bytesToHex(readChunks(reader, info, 2).bytes);
+    case 3:
+      return readChunks(reader, info, 3).text;
+    case 4:
+      return readArray(reader, info, depth);
+    case 5:
+      return readMap(reader, info, depth);
+    case 6:
+      readLength(reader, info); // tag number
+      return readValue(reader, depth + 1);
+    default:
+      return readSimple(reader, info);
+  }
+}
+
+/**
+ * Definite strings, or indefinite strings made of definite chunks of the same major type
+ */
+function readChunks(
+  reader: ByteReader,
+  info: number,
+  major: 2 | 3
+): { bytes: Uint8Array; text: string } {
+  if (info !== 31) {
+    const length = readLength(reader, info);
+    return major === 2
+      ? { bytes: reader.bytesOf(length), text: '' }
+      : { bytes: new Uint8Array(), text: reader.utf8(length) };
+  }
+
+  const parts: Uint8Array[] = [];
+  let text = '';
+  for (;;) {
+    const initial = reader.uint8();
+    if (initial === 0xff) break;
+    if (initial >> 5 !== major || (initial & 0x1f) === 31) {
+      throw new DecodeError('Invalid chunk in indefinite-length string');
+    }
+    const chunk = readChunks(reader, initial & 0x1f, major);
+    parts.push(chunk.bytes);
+    text += chunk.text;
+  }
+
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return { bytes, text };
+}
+
+function readArray(reader: ByteReader, info: number, depth: number): unknown[] {
+  const items: unknown[] = [];
+  if (info === 31) {
+    for (;;) {
+      const item = readItem(reader, depth + 1);
+      if (item === BREAK) return items;
+      items.push(item);
+    }
+  }
+
+  const length = readLength(reader, info);
+  // Each item takes at least one byte - reject lengths the payload cannot hold
+  if (length > reader.remaining) throw new DecodeError('Array length exceeds payload');
+  for (let i = 0; i < length; i++) {
+    items.push(readValue(reader, depth + 1));
+  }
+  return items;
+}
+
+function readMap(reader: ByteReader, info: number, depth: number): Record<string, unknown> {
+  const map: Record<string, unknown> = {};
+  const indefinite = info === 31;
+  const length = indefinite ? Infinity : readLength(reader, info);
+  if (!indefinite && length * 2 > reader.remaining) throw new DecodeError('Map length exceeds payload');
+
+  for (let i = 0; i < length; i++) {
+    const key = indefinite ? readItem(reader, depth + 1) : readValue(reader, depth + 1);
+    if (key === BREAK) return map;
+    map[mapKey(key)] = readValue(reader, depth + 1);
+  }
+  return map;
+}
+
+function readSimple(reader: ByteReader, info: number): unknown {
+  switch (info) {
+    case 20:
+      return false;
+    case 21:
+      return true;
+    case 22:
+    case 23:
+      return null;
+    case 24:
+      return reader.uint8();
+    case 25:
+      return reader.float16();
+    case 26:
+      return reader.float32();
+    case 27:
+      return reader.float64();
+    case 31:
+      return BREAK;
+    default:
+      if (info < 20) return info;
+      throw new DecodeError(`Invalid simple value ${info}`);
+  }
+}
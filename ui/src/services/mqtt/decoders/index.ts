@@ -0,0 +1,34 @@
+/**
+ * Payload decoder registry with the built-in binary formats registered
+ */
+import { registerPayloadDecoder } from './registry';
+import { decodeCbor } from './cbor';
+import { decodeMsgpack } from './msgpack';
+
+// CBOR self-describe tag 55799 (d9 d9 f7)
+function hasCborSelfDescribeTag(bytes: Uint8Array): boolean {
+  return bytes[0] === 0xd9 && bytes[1] === 0xd9 && bytes[2] === 0xf7;
+}
+
+// Sniffers only claim maps: CBOR maps start 0xa0-0xbb / 0xbf, MessagePack maps 0x80-0x8f / 0xde / 0xdf
+registerPayloadDecoder({
+  name: 'cbor',
+  sniff: (bytes) => {
+    const first = bytes[0] ?? 0;
+    return (first >= 0xa0 && first <= 0xbb) || first === 0xbf || hasCborSelfDescribeTag(bytes);
+  },
+  decode: decodeCbor,
+});
+
+registerPayloadDecoder({
+  name: 'msgpack',
+  sniff: (bytes) => {
+    const first = bytes[0] ?? 0;
+    return (first >= 0x80 && first <= 0x8f) || first === 0xde || first === 0xdf;
+  },
+  decode: decodeMsgpack,
+});
+
+export * from './registry';
+export { DecodeError } from './byte-reader';
+export { ProtoReader, WireType } from './protobuf';
@@ -0,0 +1,144 @@
+import { ByteReader, DecodeError, bytesToHex, mapKey } from './byte-reader';
+
+// Nesting limit so hostile payloads cannot exhaust the stack
+const MAX_DEPTH = 64;
+const TIMESTAMP_EXT = -1;
+
+/**
+ * Decode a single MessagePack value that spans the whole payload
+ * bin becomes a hex string, the timestamp extension becomes epoch milliseconds,
+ * other extensions become { ext, data } with hex data
+ */
+export function decodeMsgpack(bytes: Uint8Array): unknown {
+  const reader = new ByteReader(bytes);
+  const value = readValue(reader, 0);
+  if (reader.remaining > 0) {
+    throw new DecodeError(`${reader.remaining} trailing bytes after MessagePack value`);
+  }
+  return value;
+}
+
+function readValue(reader: ByteReader, depth: number): unknown {
+  if (depth > MAX_DEPTH) throw new DecodeError('MessagePack nesting too deep');
+
+  const type = reader.uint8();
+
+  if (type <= 0x7f) return type;
+  if (type <= 0x8f) return readMap(reader, type & 0x0f, depth);
+  if (type <= 0x9f) return readArray(reader, type & 0x0f, depth);
+  if (type <= 0xbf) return reader.utf8(type & 0x1f);
+  if (type >= 0xe0) return type - 0x100;
+
+  switch (type) {
+    case 0xc0:
+      return null;
+    case 0xc2:
+      return false;
+    case 0xc3:
+      return true;
+    case 0xc4:
+      return bytesToHex(reader.bytesOf(reader.uint8()));
+    case 0xc5:
+      return bytesToHex(reader.bytesOf(reader.uint16()));
+    case 0xc6:
+      return bytesToHex(reader.bytesOf(reader.uint32()));
+    case 0xc7:
+      return readExt(reader, reader.uint8());
+    case 0xc8:
+      return readExt(reader, reader.uint16());
+    case 0xc9:
+      return readExt(reader, reader.uint32());
+    case 0xca:
+      return reader.float32();
+    case 0xcb:
+      return reader.float64();
+    case 0xcc:
+      return reader.uint8();
+    case 0xcd:
+      return reader.uint16();
+    case 0xce:
+      return reader.uint32();
+    case 0xcf:
+      return reader.uint64();
+    case 0xd0:
+      return reader.int8();
+    case 0xd1:
+      return reader.int16();
+    case 0xd2:
+      return reader.int32();
+    case 0xd3:
+      return reader.int64();
+    case 0xd4:
+      return readExt(reader, 1);
+    case 0xd5:
+      return readExt(reader, 2);
+    case 0xd6:
+      return readExt(reader, 4);
+    case 0xd7:
+      return readExt(reader, 8);
+    case 0xd8:
+      return readExt(reader, 16);
+    case 0xd9:
+      return reader.utf8(reader.uint8());
+    case 0xda:
+      return reader.utf8(reader.uint16());
+    case 0xdb:
+      return reader.utf8(reader.uint32());
+    case 0xdc:
+      return readArray(reader, reader.uint16(), depth);
+    case 0xdd:
+      return readArray(reader, reader.uint32(), depth);
+    case 0xde:
+      return readMap(reader, reader.uint16(), depth);
+    case 0xdf:
+      return readMap(reader, reader.uint32(), depth);
+    default:
+      throw new DecodeError(`Invalid MessagePack type 0x${type.toString(16)}`);
+  }
+}
+
+function readArray(reader: ByteReader, length: number, depth: number): unknown[] {
+  // Each element takes at least one byte - reject lengths the payload cannot hold
+  if (length > reader.remaining) throw new DecodeError('Array length exceeds payload');
+  const items: unknown[] = [];
+  for (let i = 0; i < length; i++) {
+    items.push(readValue(reader, depth + 1));
+  }
+  return items;
+}
+
+function readMap(reader: ByteReader, length: number, depth: number): Record<string, unknown> {
+  if (length * 2 > reader.remaining) throw new DecodeError('Map length exceeds payload');
+  const map: Record<string, unknown> = {};
+  for (let i = 0; i < length; i++) {
+    const key = readValue(reader, depth + 1);
+    map[mapKey(key)] = readValue(reader, depth + 1);
+  }
+  return map;
+}
+
+function readExt(reader: ByteReader, length: number): unknown {
+  const extType = reader.int8();
+  const data = reader.bytesOf(length);
+
+  if (extType === TIMESTAMP_EXT) {
+    const ext = new ByteReader(data);
+    switch (length) {
+      case 4:
+        return ext.uint32() * 1000;
+      case 8: {
+        // 30-bit nanoseconds, 34-bit seconds
+        const high = ext.uint32();
+        const low = ext.uint32();
+        const seconds = (high & 0x3) * 2 ** 32 + low;
+        return seconds * 1000 + Math.floor((high >>> 2) / 1e6);
+      }
+      case 12: {
+        const nanoseconds = ext.uint32();
+        return ext.int64() * 1000 + Math.floor(nanoseconds / 1e6);
+      }
+    }
+  }
+
+  return { ext: extType, data: bytesToHex(data) };
+}
@@ -0,0 +1,113 @@
+import { DecodeError } from './byte-reader';
+
+/**
+ * Protobuf wire types
+ */
+export const WireType = {
+  Varint: 0,
+  Fixed64: 1,
+  LengthDelimited: 2,
+  Fixed32: 5,
+} as const;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Schema-less cursor over protobuf wire format (little-endian, varint-prefixed fields)
+ * Message decoders read tags in a loop and skip field numbers they do not know
+ */
+export class ProtoReader {
+  private readonly view: DataView;
+  offset = 0;
+
+  constructor(private readonly bytes: Uint8Array) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  get done(): boolean {
+    return this.offset >= this.bytes.length;
+  }
+
+  private take(length: number): number {
+    if (length > this.bytes.length - this.offset) {
+      throw new DecodeError(`Unexpected end of protobuf message at byte ${this.offset}`);
+    }
+    const start = this.offset;
+    this.offset += length;
+    return start;
+  }
+
+  /**
+   * Field tag as [field number, wire type]
+   */
+  tag(): [number, number] {
+    const tag = this.varint();
+    return [Math.floor(tag / 8), tag % 8];
+  }
+
+  // Varints become JS numbers (exact up to 2^53) - use varint64 for full 64-bit values
+  varint(): number {
+    let value = 0;
+    let scale = 1;
+    for (let i = 0; i < 10; i++) {
+      const byte = this.view.getUint8(this.take(1));
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 128;
+    }
+    throw new DecodeError('Varint longer than 10 bytes');
+  }
+
+  varint64(): bigint {
+    let value = 0n;
+    for (let shift = 0n; shift < 70n; shift += 7n) {
+      const byte = this.view.getUint8(this.take(1));
+      value |= BigInt(byte & 0x7f) << shift;
+      if (byte < 0x80) return BigInt.asUintN(64, value);
+    }
+    throw new DecodeError('Varint longer than 10 bytes');
+  }
+
+  float(): number {
+    return this.view.getFloat32(this.take(4), true);
+  }
+
+  double(): number {
+    return this.view.getFloat64(this.take(8), true);
+  }
+
+  bytesField(): Uint8Array {
+    const length = this.varint();
+    const start = this.take(length);
+    return this.bytes.subarray(start, start + length);
+  }
+
+  string(): string {
+    try {
+      return utf8.decode(this.bytesField());
+    } catch (err) {
+      if (err instanceof DecodeError) throw err;
+      throw new DecodeError(`Invalid UTF-8 string before byte ${this.offset}`);
+    }
+  }
+
+  skip(wireType: number): void {
+    switch (wireType) {
+      case WireType.Varint:
+        this.varint();
+        return;
+      case WireType.Fixed64:
+        this.take(8);
+        return;
+      case WireType.LengthDelimited:
+        this.bytesField();
+        return;
+      case WireType.Fixed32:
+        this.take(4);
+        return;
+      default:
+        // Groups (3, 4) are deprecated and never used by the schemas we read
+        throw new DecodeError(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
@@ -0,0 +1,73 @@
+import { topicMatches } from '../parser';
+
+/**
+ * Decoder for a binary payload format
+ */
+export interface PayloadDecoder {
+  // Name shown in RawView and referenced by `payloadDecoders` routes in runtime config
+  name: string;
+  // Cheap check on the leading bytes; a sniffed payload must also decode to an object or array
+  sniff?: (bytes: Uint8Array) => boolean;
+  // Decode the whole payload; throws on malformed input
+  decode: (bytes: Uint8Array) => unknown;
+}
+
+/**
+ * Topic filter that forces a decoder (e.g. { "topic": "pulsar/+/telemetry", "decoder": "cbor" })
+ */
+export interface DecoderRoute {
+  topic: string;
+  decoder: string;
+}
+
+const decoders = new Map<string, PayloadDecoder>();
+let routes: DecoderRoute[] = [];
+
+/**
+ * Add a decoder (later registrations with the same name replace earlier ones)
+ * Register from decoders/index.ts so the decoder exists on the UI thread and in the ingestion worker
+ */
+export function registerPayloadDecoder(decoder: PayloadDecoder): void {
+  decoders.set(decoder.name, decoder);
+}
+
+export function getPayloadDecoders(): PayloadDecoder[] {
+  return Array.from(decoders.values());
+}
+
+/**
+ * Replace the topic routes (unknown decoder names are dropped with a warning)
+ */
+export function setDecoderRoutes(next: DecoderRoute[]): void {
+  routes = next.filter((route) => {
+    if (decoders.has(route.decoder)) return true;
+    console.warn('[Decoders] Unknown decoder in payloadDecoders route:', route);
+    return false;
+  });
+}
+
+/**
+ * Decoder forced for a topic by the first matching route
+ */
+export function routedDecoder(topic: string): PayloadDecoder | undefined {
+  const route = routes.find((r) => topicMatches(r.topic, topic));
+  return route ? decoders.get(route.decoder) : undefined;
+}
+
+/**
+ * First sniffing decoder that decodes the payload into an object or array
+ */
+export function sniffPayload(bytes: Uint8Array): { decoder: PayloadDecoder; value: unknown } | undefined {
+  for (const decoder of decoders.values()) {
+    if (!decoder.sniff?.(bytes)) continue;
+    try {
+      const value = decoder.decode(bytes);
+      if (value !== null && typeof value === 'object') {
+        return { decoder, value };
+      }
+    } catch {
+      // not this format
+    }
+  }
+  return undefined;
+}
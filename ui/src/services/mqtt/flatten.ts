@@ -0,0 +1,219 @@
+/**
+ * Telemetry field flattening
+ *
+ * Nested objects and arrays in telemetry `fields` become one metric per numeric leaf:
+ * `{ imu: { ax: 0.1 }, cells_v: [3.9, 3.8] }` -> `imu.ax`, `cells_v[0]`, `cells_v[1]`.
+ * In batched messages arrays are sample series instead (see flattenTelemetryBatch).
+ * Module state (like decoder routes) is set on the UI thread and in the ingestion worker.
+ */
+
+/**
+ * Metric name globs (`*` matches anything, `?` one character): a metric is kept when it
+ * matches `include` (or `include` is empty) and does not match `exclude`
+ */
+export interface MetricFilter {
+  include: string[];
+  exclude: string[];
+}
+
+export interface TelemetryFlatteningConfig extends MetricFilter {
+  // Object/array levels below `fields` that are expanded (0 keeps only top-level numbers)
+  maxDepth: number;
+  // Longer arrays keep their first items only
+  maxArrayItems: number;
+  // true/false become 1/0 (dropped otherwise)
+  booleans: boolean;
+  // Device type (status `device_type`/`role`) -> filter replacing the top-level lists
+  deviceTypes: Record<string, MetricFilter>;
+}
+
+export const DEFAULT_TELEMETRY_FLATTENING: TelemetryFlatteningConfig = {
+  maxDepth: 4,
+  maxArrayItems: 64,
+  booleans: true,
+  include: [],
+  exclude: [],
+  deviceTypes: {},
+};
+
+/**
+ * One timestamped value of a flattened metric
+ */
+export interface FlatSample {
+  metric: string;
+  ts: number;
+  value: number;
+}
+
+// Upper bound on samples expanded from one series array
+export const MAX_BATCH_SAMPLES = 10000;
+
+interface CompiledFilter {
+  include: RegExp[];
+  exclude: RegExp[];
+}
+
+let config = DEFAULT_TELEMETRY_FLATTENING;
+let defaultFilter: CompiledFilter = { include: [], exclude: [] };
+const typeFilters = new Map<string, CompiledFilter>();
+// Device id -> device type, from status messages seen by this thread
+const deviceTypes = new Map<string, string>();
+
+function globPattern(glob: string): RegExp {
+  const source = glob
+    .split('')
+    .map((char) => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+function compileFilter(filter: MetricFilter): CompiledFilter {
+  return { include: filter.include.map(globPattern), exclude: filter.exclude.map(globPattern) };
+}
+
+/**
+ * Replace the flattening settings (from runtime config)
+ */
+export function setTelemetryFlattening(next: TelemetryFlatteningConfig): void {
+  config = next;
+  defaultFilter = compileFilter(next);
+  typeFilters.clear();
+  for (const [type, filter] of Object.entries(next.deviceTypes)) {
+    typeFilters.set(type, compileFilter(filter));
+  }
+}
+
+/**
+ * Remember a device's type for per-type metric filters
+ */
+export function setDeviceType(deviceId: string, type: string): void {
+  deviceTypes.set(deviceId, type);
+}
+
+/**
+ * Forget the device types learned so far
+ */
+export function resetDeviceTypes(): void {
+  deviceTypes.clear();
+}
+
+function isKept(name: string, filter: CompiledFilter): boolean {
+  if (filter.include.length > 0 && !filter.include.some((pattern) => pattern.test(name))) return false;
+  return !filter.exclude.some((pattern) => pattern.test(name));
+}
+
+function numericValue(value: unknown): number | undefined {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value === 'boolean' && config.booleans) return value ? 1 : 0;
+  return undefined;
+}
+
+function collect(value: unknown, name: string, depth: number, out: Array<[string, number]>): void {
+  const numeric = numericValue(value);
+  if (numeric !== undefined) {
+    out.push([name, numeric]);
+    return;
+  }
+  if (depth >= config.maxDepth || value === null || typeof value !== 'object' || ArrayBuffer.isView(value)) {
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    const length = Math.min(value.length, config.maxArrayItems);
+    for (let i = 0; i < length; i++) {
+      collect(value[i], `${name}[${i}]`, depth + 1, out);
+    }
+    return;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    collect(child, name ? `${name}.${key}` : key, depth + 1, out);
+  }
+}
+
+function deviceFilter(deviceId: string): CompiledFilter | null {
+  const type = deviceTypes.get(deviceId);
+  const filter = (type !== undefined && typeFilters.get(type)) || defaultFilter;
+  return filter.include.length === 0 && filter.exclude.length === 0 ? null : filter;
+}
+
+/**
+ * Numeric metrics of a telemetry value, named by their path (`prefix` names a scalar value)
+ */
+export function flattenTelemetry(deviceId: string, value: unknown, prefix = ''): Array<[string, number]> {
+  const out: Array<[string, number]> = [];
+  // Depth counts levels below the top-level fields object
+  collect(value, prefix, prefix ? 0 : -1, out);
+
+  const filter = deviceFilter(deviceId);
+  return filter ? out.filter(([name]) => isKept(name, filter)) : out;
+}
+
+function collectSeries(
+  value: unknown,
+  name: string,
+  depth: number,
+  ts: number,
+  timeAt: (index: number) => number | undefined,
+  out: FlatSample[]
+): void {
+  if (Array.isArray(value)) {
+    const length = Math.min(value.length, MAX_BATCH_SAMPLES);
+    for (let i = 0; i < length; i++) {
+      const sampleTs = timeAt(i);
+      if (sampleTs === undefined) continue;
+      const pairs: Array<[string, number]> = [];
+      collect(value[i], name, depth, pairs);
+      for (const [metric, sample] of pairs) out.push({ metric, ts: sampleTs, value: sample });
+    }
+    return;
+  }
+
+  const numeric = numericValue(value);
+  if (numeric !== undefined) {
+    out.push({ metric: name, ts, value: numeric });
+    return;
+  }
+  if (depth >= config.maxDepth || value === null || typeof value !== 'object' || ArrayBuffer.isView(value)) {
+    return;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    collectSeries(child, name ? `${name}.${key}` : key, depth + 1, ts, timeAt, out);
+  }
+}
+
+function longestSeries(value: unknown, depth: number): number {
+  if (Array.isArray(value)) return Math.min(value.length, MAX_BATCH_SAMPLES);
+  if (depth >= config.maxDepth || value === null || typeof value !== 'object' || ArrayBuffer.isView(value)) {
+    return 0;
+  }
+  let longest = 0;
+  for (const child of Object.values(value)) {
+    longest = Math.max(longest, longestSeries(child, depth + 1));
+  }
+  return longest;
+}
+
+/**
+ * Number of samples in the longest series of a batched message (0 without arrays)
+ */
+export function seriesLength(fields: unknown): number {
+  return longestSeries(fields, -1);
+}
+
+/**
+ * Samples of a batched telemetry message: the first array on each path is the series, its
+ * item i timestamped by `timeAt(i)` (items without a time are skipped); scalars are one
+ * sample at `ts`
+ */
+export function flattenTelemetryBatch(
+  deviceId: string,
+  fields: unknown,
+  ts: number,
+  timeAt: (index: number) => number | undefined
+): FlatSample[] {
+  const out: FlatSample[] = [];
+  collectSeries(fields, '', -1, ts, timeAt, out);
+
+  const filter = deviceFilter(deviceId);
+  return filter ? out.filter((sample) => isKept(sample.metric, filter)) : out;
+}
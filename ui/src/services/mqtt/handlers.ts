@@ -1,128 +1,250 @@
 import { mqttClient } from './client';
-import { parseTopic } from './parser';
+import { IngestBatch, IngestBatcher, IngestFrame, IngestRecord, IngestWorkerRequest } from './ingest';
+import { payloadObject } from './payload';
+import {
+  correlationKey,
+  describeReasonCode,
+  messageReasonCode,
+  messageReasonString,
+  REASON_CODE_FAILURE,
+} from './mqtt5';
+import { setDecoderRoutes } from './decoders';
+import { setTopicContract } from './parser';
+import { deviceBroker, setBrokerNamespaces } from './brokers';
+import { sequenceTracker } from './sequence';
+import { deviceClocks, setDeviceClockConfig } from './clock';
+import { resetDeviceTypes, setTelemetryFlattening } from './flatten';
+import { sparkplugAdapter } from './sparkplug';
+import { getRuntimeConfig } from '@/config';
+import { deviceHealth, recordMetricReceipt, resetMetricFreshness } from '@/services/metric-freshness';
 import { useDeviceRegistry } from '@/stores/device-registry';
 import { useTelemetry } from '@/stores/telemetry';
 import { useMqttMessages } from '@/stores/mqtt-messages';
 import { useNotifications, NotificationLevel } from '@/stores/notifications';
-import { TelemetryMessageSchema } from '@/types/telemetry';
-import { DeviceHealth } from '@/types/device';
+import { useCommandQueue } from '@/stores/command-queue';
+import { useDataSource } from '@/stores/data-source';
+import { captureFrame } from '@/stores/recorder';
+import { countSubscriptionMessage } from '@/stores/subscriptions';
+import { recordTopicMessage, useTopicTree } from '@/stores/topic-tree';
+import { DeviceClock, DeviceHealth, LinkStats } from '@/types/device';
+import { MessageProperties } from '@/types/mqtt';
 
 /**
- * Handle incoming MQTT messages and route to appropriate stores
+ * Ingestion worker (null when workers are unavailable - frames are then parsed inline)
  */
-export function handleMessage(topic: string, payload: Buffer): void {
-  console.log('[MQTT] Message received:', topic, payload.toString().substring(0, 100));
-  
-  const parsed = parseTopic(topic);
-  if (!parsed) {
-    console.warn('Invalid topic format:', topic);
-    return;
+let ingestWorker: Worker | null = null;
+
+/**
+ * Devices whose packet loss is above the warning threshold (notified once per excursion)
+ */
+const lossyDevices = new Set<string>();
+
+/**
+ * Devices flagged for clock skew (notified once per excursion)
+ */
+const skewedDevices = new Set<string>();
+
+/**
+ * Handle a single MQTT message synchronously on the calling thread
+ * Live traffic goes through the ingestion worker; this path serves callers that inject messages directly
+ */
+export function handleMessage(topic: string, payload: Uint8Array, receivedAt: number = Date.now()): void {
+  handleFrames([{ topic, payload, receivedAt }]);
+}
+
+/**
+ * Handle several frames as one batch (replay feeds captures through here)
+ */
+export function handleFrames(frames: IngestFrame[]): void {
+  const batcher = new IngestBatcher();
+  for (const frame of frames) {
+    batcher.add(frame);
+  }
+  applyIngestBatch(batcher.drain());
+}
+
+/**
+ * Drop everything ingested so far (devices, telemetry, raw messages) on this thread and in the worker
+ * Used when switching between live traffic and a replayed capture
+ */
+export function resetIngestedState(): void {
+  const { devices, removeDevice } = useDeviceRegistry.getState();
+  const { clearDevice } = useTelemetry.getState();
+  for (const deviceId of devices.keys()) {
+    removeDevice(deviceId);
   }
+  for (const deviceId of useTelemetry.getState().metricsByDevice.keys()) {
+    clearDevice(deviceId);
+  }
+  useMqttMessages.getState().clearMessages();
+  useTopicTree.getState().reset();
+  sparkplugAdapter.reset();
+  sequenceTracker.reset();
+  lossyDevices.clear();
+  deviceClocks.reset();
+  skewedDevices.clear();
+  resetDeviceTypes();
+  resetMetricFreshness();
+  // Live traffic is parsed in the worker, which keeps its own copy of this state
+  postToWorker({ kind: 'reset' });
+}
 
-  const { deviceId, messageType, metric } = parsed;
-  console.log('[MQTT] Parsed:', { deviceId, messageType, metric });
+/**
+ * Apply one batch of parsed messages to the stores
+ */
+export function applyIngestBatch(batch: IngestBatch): void {
+  if (batch.invalidTopics > 0) {
+    console.warn('[MQTT] Ignored messages with invalid topic format:', batch.invalidTopics);
+  }
+  if (batch.unknownTelemetry > 0) {
+    console.warn('[MQTT] Ignored telemetry in unknown format:', batch.unknownTelemetry);
+  }
+  if (batch.unresolvedAliases > 0) {
+    console.warn('[MQTT] Ignored Sparkplug metrics with unknown alias (no birth certificate yet):', batch.unresolvedAliases);
+  }
 
   // Capture all messages in raw message store
-  try {
-    const payloadData = JSON.parse(payload.toString());
-    useMqttMessages.getState().addMessage({
-      topic,
-      deviceId,
-      messageType,
-      payload: payloadData,
-      timestamp: Date.now(),
-    });
-  } catch (error) {
-    // If payload is not valid JSON, store as string
-    useMqttMessages.getState().addMessage({
-      topic,
-      deviceId,
-      messageType,
-      payload: { raw: payload.toString() },
-      timestamp: Date.now(),
-    });
+  if (batch.messages.length > 0) {
+    useMqttMessages.getState().addMessages(batch.messages);
   }
 
-  try {
-    switch (messageType) {
-      case 'telemetry':
-        handleTelemetry(deviceId, metric, payload);
-        break;
-      case 'status':
-        handleStatus(deviceId, payload);
-        break;
-      case 'event':
-        handleEvent(deviceId, payload);
-        break;
-      case 'state':
-        handleState(deviceId, metric, payload);
-        break;
-      case 'meta':
-        handleMeta(deviceId, metric, payload);
-        break;
-      default:
-        console.warn('Unhandled message type:', messageType);
+  applyTelemetry(batch);
+
+  for (const record of batch.records) {
+    try {
+      handleRecord(record);
+    } catch (error) {
+      console.error('Error handling message:', error, record);
     }
-  } catch (error) {
-    console.error('Error handling message:', error, { topic, payload: payload.toString() });
+  }
+
+  // After the records: a device's first status message registers it
+  for (const { deviceId, stats } of batch.links) {
+    applyLinkStats(deviceId, stats);
+  }
+  for (const { deviceId, clock } of batch.clocks) {
+    applyDeviceClock(deviceId, clock);
   }
 }
 
 /**
- * Handle telemetry messages
- * Expected format: { v: 1, t_ms: timestamp, fields: { metric1: value1, metric2: value2, ... } }
+ * Store a device's clock estimate and warn when it becomes skewed
  */
-function handleTelemetry(deviceId: string, metric: string | undefined, payload: Buffer): void {
-  const data = JSON.parse(payload.toString());
-  
-  // Ensure device exists (auto-register on first telemetry)
+function applyDeviceClock(deviceId: string, clock: DeviceClock): void {
+  const { getDevice, updateDevice } = useDeviceRegistry.getState();
+  if (!getDevice(deviceId)) return;
+  updateDevice(deviceId, { clock });
+
+  if (clock.skewed && !skewedDevices.has(deviceId)) {
+    skewedDevices.add(deviceId);
+    const seconds = Math.abs(clock.offsetMs) / 1000;
+    const message = `Clock ${seconds.toFixed(1)} s ${clock.offsetMs > 0 ? 'behind' : 'ahead'} of receive time`;
+    useNotifications.getState().addNotification(deviceId, NotificationLevel.Warning, message);
+  } else if (!clock.skewed) {
+    skewedDevices.delete(deviceId);
+  }
+}
+
+/**
+ * Store a device's link statistics and warn when its packet loss crosses the threshold
+ */
+function applyLinkStats(deviceId: string, stats: LinkStats): void {
+  const { getDevice, updateDevice } = useDeviceRegistry.getState();
+  if (!getDevice(deviceId)) return;
+  updateDevice(deviceId, { link: stats });
+
+  const { lossWarningPercent, minPackets } = getRuntimeConfig().linkQuality;
+  const lossy = stats.received + stats.lost >= minPackets && stats.lossPercent > lossWarningPercent;
+  if (lossy && !lossyDevices.has(deviceId)) {
+    lossyDevices.add(deviceId);
+    const message = `Packet loss ${stats.lossPercent.toFixed(1)}% (${stats.lost.toLocaleString()} messages missing)`;
+    useNotifications.getState().addNotification(deviceId, NotificationLevel.Warning, message);
+  } else if (!lossy) {
+    lossyDevices.delete(deviceId);
+  }
+}
+
+function handleRecord(record: IngestRecord): void {
+  const { deviceId, messageType, metric } = record;
+
+  switch (messageType) {
+    case 'status':
+      handleStatus(deviceId, requireJson(record), record);
+      break;
+    case 'event':
+      handleEvent(deviceId, requireJson(record), record);
+      break;
+    case 'state':
+      handleState(deviceId, metric, record);
+      break;
+    case 'meta':
+      handleMeta(deviceId, metric, requireJson(record), record);
+      break;
+    case 'ack':
+      handleAck(deviceId, metric, record);
+      break;
+    default:
+      console.warn('Unhandled message type:', messageType);
+  }
+}
+
+/**
+ * Object payload of a record (JSON or decoded binary); throws otherwise (reported per message)
+ */
+function requireJson(record: IngestRecord): Record<string, any> {
+  const data = payloadObject(record.payload);
+  if (!data) {
+    throw new Error(`Expected object payload, got ${record.payload.encoding ?? record.payload.kind}`);
+  }
+  return data;
+}
+
+/**
+ * Write batched telemetry samples
+ * Devices are auto-registered on first telemetry
+ */
+function applyTelemetry(batch: IngestBatch): void {
+  if (batch.telemetry.length === 0) return;
+
   const { addDevice, getDevice } = useDeviceRegistry.getState();
-  if (!getDevice(deviceId)) {
-    addDevice({
-      id: deviceId,
-      role: 'unknown',
-      health: DeviceHealth.Healthy,
-      lastSeen: data.t_ms || Date.now(),
-      capability: null,
-      metadata: {},
-    });
+  for (const { deviceId, lastSeen } of batch.telemetryDevices) {
+    if (!getDevice(deviceId)) {
+      addDevice({
+        id: deviceId,
+        broker: deviceBroker(deviceId),
+        role: 'unknown',
+        // Retained telemetry alone says nothing about the device being alive
+        health: lastSeen > 0 ? DeviceHealth.Healthy : DeviceHealth.Unknown,
+        lastSeen,
+        capability: null,
+        metadata: {},
+      });
+    }
   }
-  
-  // Check for pulsar-core format with fields object
-  if (data.fields && typeof data.fields === 'object') {
-    const timestamp = data.t_ms || Date.now();
-    
-    // Add a point for each field
-    Object.entries(data.fields).forEach(([metricName, value]) => {
-      if (typeof value === 'number') {
-        useTelemetry.getState().addPoint(deviceId, metricName, {
-          ts: timestamp,
-          value: value,
-        });
-      }
-    });
-  } else if (metric && typeof data.value === 'number') {
-    // Legacy format: single metric with value/ts
-    useTelemetry.getState().addPoint(deviceId, metric, {
-      ts: data.ts || Date.now(),
-      value: data.value,
-    });
-  } else {
-    console.warn('Unknown telemetry format:', data);
-    return;
+
+  const { addPoint } = useTelemetry.getState();
+  const receivedAt = new Map(batch.telemetryDevices.map(({ deviceId, lastSeen }) => [deviceId, lastSeen]));
+  for (const diff of batch.telemetry) {
+    for (let i = 0; i < diff.ts.length; i++) {
+      addPoint(diff.deviceId, diff.metric, { ts: diff.ts[i]!, value: diff.values[i]! });
+    }
+    const seenAt = receivedAt.get(diff.deviceId);
+    if (seenAt) recordMetricReceipt(diff.deviceId, diff.metric, seenAt);
   }
 
-  // Update device last seen
-  updateDeviceLastSeen(deviceId);
+  // Update device last seen (once per device per batch)
+  for (const { deviceId, lastSeen } of batch.telemetryDevices) {
+    if (lastSeen > 0) updateDeviceLastSeen(deviceId, { receivedAt: lastSeen });
+  }
 }
 
 /**
  * Handle status messages
  * Expected format: { v: 1, online: true, t_ms: timestamp, ip: "...", fw: "...", device_type: "..." }
+ * lastSeen is the receive time: `t_ms` is on the device's clock, which may be wrong.
+ * A retained status (e.g. of a decommissioned device) updates metadata but is not a sighting
  */
-function handleStatus(deviceId: string, payload: Buffer): void {
-  const data = JSON.parse(payload.toString());
-  
+function handleStatus(deviceId: string, data: Record<string, any>, record: IngestRecord): void {
   const { addDevice, updateDevice, getDevice } = useDeviceRegistry.getState();
   const existing = getDevice(deviceId);
 
@@ -130,20 +252,26 @@ function handleStatus(deviceId: string, payload: Buffer): void {
     // Register new device
     addDevice({
       id: deviceId,
+      broker: deviceBroker(deviceId),
       role: data.device_type || data.role || 'unknown',
-      health: data.online ? DeviceHealth.Healthy : DeviceHealth.Offline,
-      lastSeen: data.t_ms || Date.now(),
+      health: !data.online ? DeviceHealth.Offline : record.retained ? DeviceHealth.Unknown : DeviceHealth.Healthy,
+      lastSeen: lastSeenAfter(0, record),
       capability: data.capability || null,
       metadata: data,
     });
   } else {
     // Update existing device
+    const metadata = { ...existing.metadata, ...data };
+    const lastSeen = lastSeenAfter(existing.lastSeen, record);
     updateDevice(deviceId, {
-      lastSeen: data.t_ms || Date.now(),
-      health: data.online ? DeviceHealth.Healthy : DeviceHealth.Offline,
+      lastSeen,
+      // receivedAt is "now" for this message: wall time live, the replay clock during a replay
+      health: data.online
+        ? deviceHealth({ ...existing, lastSeen, metadata }, Math.max(lastSeen, record.receivedAt))
+        : DeviceHealth.Offline,
       role: data.device_type || data.role || existing.role,
       capability: data.capability || existing.capability,
-      metadata: { ...existing.metadata, ...data },
+      metadata,
     });
   }
 }
@@ -151,10 +279,8 @@ function handleStatus(deviceId: string, payload: Buffer): void {
 /**
  * Handle event messages
  */
-function handleEvent(deviceId: string, payload: Buffer): void {
-  const data = JSON.parse(payload.toString());
-  console.log('Event received:', { deviceId, data });
-  
+function handleEvent(deviceId: string, data: Record<string, any>, record: IngestRecord): void {
+
   // Determine notification level based on event data
   let level = NotificationLevel.Info;
   if (data.level === 'error' || data.severity === 'error') {
@@ -170,14 +296,14 @@ function handleEvent(deviceId: string, payload: Buffer): void {
   useNotifications.getState().addNotification(deviceId, level, message);
   
   // Update device last seen
-  updateDeviceLastSeen(deviceId);
+  updateDeviceLastSeen(deviceId, record);
 }
 
 /**
  * Handle state messages (state/online, state/relays, state/calibration)
  * Store in device metadata under 'state' key
  */
-function handleState(deviceId: string, stateKey: string | undefined, payload: Buffer): void {
+function handleState(deviceId: string, stateKey: string | undefined, record: IngestRecord): void {
   const { getDevice, updateDevice } = useDeviceRegistry.getState();
   const device = getDevice(deviceId);
   
@@ -186,32 +312,36 @@ function handleState(deviceId: string, stateKey: string | undefined, payload: Bu
     return;
   }
 
-  try {
-    const data = JSON.parse(payload.toString());
-    const stateData = device.metadata?.state || {};
-    
+  const stateData = device.metadata?.state || {};
+  const { payload } = record;
+
+  if (payload.kind === 'value') {
     if (stateKey) {
       // Store under state.{stateKey} (e.g., state.online, state.relays)
-      stateData[stateKey] = data;
+      stateData[stateKey] = payload.value;
     } else {
       // Store entire payload
-      Object.assign(stateData, data);
-    }
-    
-    updateDevice(deviceId, {
-      metadata: { ...device.metadata, state: stateData },
-      lastSeen: Date.now(),
-    });
-  } catch (error) {
-    // Non-JSON payload (e.g., state/online = "1" or "0")
-    const stateData = device.metadata?.state || {};
-    if (stateKey) {
-      stateData[stateKey] = payload.toString();
+      Object.assign(stateData, payload.value);
     }
-    updateDevice(deviceId, {
-      metadata: { ...device.metadata, state: stateData },
-      lastSeen: Date.now(),
-    });
+  } else if (stateKey) {
+    // Scalar payload (e.g., state/online = "1" or "0")
+    stateData[stateKey] = parseScalar(payload.text);
+  }
+
+  updateDevice(deviceId, {
+    metadata: { ...device.metadata, state: stateData },
+    lastSeen: lastSeenAfter(device.lastSeen, record),
+  });
+}
+
+/**
+ * Scalar state payloads keep their JSON type when they have one ("1" -> 1, "true" -> true)
+ */
+function parseScalar(text: string): unknown {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
   }
 }
 
@@ -219,7 +349,12 @@ function handleState(deviceId: string, stateKey: string | undefined, payload: Bu
  * Handle meta messages (meta/info, meta/config)
  * Store in device metadata under 'meta' key
  */
-function handleMeta(deviceId: string, metaKey: string | undefined, payload: Buffer): void {
+function handleMeta(
+  deviceId: string,
+  metaKey: string | undefined,
+  data: Record<string, any>,
+  record: IngestRecord
+): void {
   const { getDevice, updateDevice } = useDeviceRegistry.getState();
   const device = getDevice(deviceId);
   
@@ -228,7 +363,6 @@ function handleMeta(deviceId: string, metaKey: string | undefined, payload: Buff
     return;
   }
 
-  const data = JSON.parse(payload.toString());
   const metaData = device.metadata?.meta || {};
   
   if (metaKey) {
@@ -241,38 +375,139 @@ function handleMeta(deviceId: string, metaKey: string | undefined, payload: Buff
   
   updateDevice(deviceId, {
     metadata: { ...device.metadata, meta: metaData },
-    lastSeen: Date.now(),
+    lastSeen: lastSeenAfter(device.lastSeen, record),
   });
 }
 
 /**
- * Update device last seen timestamp and recalculate health
+ * Handle ACK messages (ack/{action})
+ * Expected format: { id: "...", ok: true|false, err?: "..." }
+ * `req_id` / `request_id` are accepted as aliases for `id`
+ * MQTT 5 responses are matched by correlation data instead; the body may then be empty
+ * and a `reason_code` user property >= 0x80 marks the command failed
  */
-function updateDeviceLastSeen(deviceId: string): void {
+function handleAck(deviceId: string, action: string | undefined, record: IngestRecord): void {
+  const correlationId = correlationKey(record.properties);
+  const data: Record<string, any> = correlationId ? payloadObject(record.payload) ?? {} : requireJson(record);
+  const id = correlationId || data.id || data.req_id || data.request_id;
+
+  if (!id) {
+    console.warn('ACK without command id:', { deviceId, action, data });
+    return;
+  }
+
+  const reasonCode = messageReasonCode(record.properties);
+  const rejected = reasonCode !== undefined && reasonCode >= REASON_CODE_FAILURE;
+  const resolved = useCommandQueue.getState().resolveAck(String(id), deviceId, {
+    ok: data.ok !== false && !rejected,
+    error:
+      data.err ||
+      data.error ||
+      messageReasonString(record.properties) ||
+      (rejected ? describeReasonCode(reasonCode) : undefined),
+  });
+  if (!resolved) {
+    console.warn('ACK for unknown or completed command:', { deviceId, action, id });
+  }
+
+  updateDeviceLastSeen(deviceId, record);
+}
+
+/**
+ * lastSeen after a message: its receive time, unchanged for retained messages (the broker
+ * replaying its store says nothing about the device being alive)
+ */
+function lastSeenAfter(lastSeen: number, record: Pick<IngestRecord, 'receivedAt' | 'retained'>): number {
+  return record.retained ? lastSeen : Math.max(lastSeen, record.receivedAt);
+}
+
+/**
+ * Update device last seen timestamp and recalculate health (required metrics may still be silent)
+ */
+function updateDeviceLastSeen(deviceId: string, record: Pick<IngestRecord, 'receivedAt' | 'retained'>): void {
   const { getDevice, updateDevice } = useDeviceRegistry.getState();
   const device = getDevice(deviceId);
   
-  if (!device) return;
-
-  const now = Date.now();
-  const age = now - device.lastSeen;
-  
-  let health = DeviceHealth.Healthy;
-  if (age > 60000) {
-    health = DeviceHealth.Offline;
-  } else if (age > 10000) {
-    health = DeviceHealth.Warning;
-  }
+  if (!device || record.retained) return;
 
+  // The receive time is "now" for this message: wall time live, the replay clock during a replay
+  const lastSeen = lastSeenAfter(device.lastSeen, record);
   updateDevice(deviceId, {
-    lastSeen: now,
-    health,
+    lastSeen,
+    health: deviceHealth({ ...device, lastSeen }, lastSeen),
   });
 }
 
 /**
- * Initialize MQTT message handlers
+ * Initialize MQTT message handlers (after the brokers are registered)
+ * Frames are copied out of mqtt.js' buffer and transferred to the ingestion worker
  */
 export function initializeHandlers(): void {
-  mqttClient.onMessage(handleMessage);
+  const { payloadDecoders, topicContract, telemetryFlattening, deviceClock } = getRuntimeConfig();
+  const brokerIds = mqttClient.brokers().map((broker) => broker.id);
+  setDecoderRoutes(payloadDecoders);
+  setTopicContract(topicContract);
+  setBrokerNamespaces(brokerIds);
+  setTelemetryFlattening(telemetryFlattening);
+  setDeviceClockConfig(deviceClock);
+
+  if (typeof Worker !== 'undefined' && !ingestWorker) {
+    ingestWorker = new Worker(new URL('./ingest.worker.ts', import.meta.url), { type: 'module' });
+    ingestWorker.onmessage = (event: MessageEvent<IngestBatch>) => {
+      // Batches still in flight when replay starts belong to the live session
+      if (useDataSource.getState().source !== 'replay') {
+        applyIngestBatch(event.data);
+      }
+    };
+    ingestWorker.onerror = (event) => console.error('[MQTT] Ingestion worker error:', event.message);
+    postToWorker({
+      kind: 'configure',
+      decoderRoutes: payloadDecoders,
+      topicContract,
+      brokerIds,
+      telemetryFlattening,
+      deviceClock,
+    });
+  }
+  mqttClient.onMessage(handleLiveFrame);
+}
+
+/**
+ * Entry point for broker traffic: recorded when a capture is running, ignored during replay
+ */
+function handleLiveFrame(
+  topic: string,
+  payload: Uint8Array,
+  properties: MessageProperties | undefined,
+  broker: string,
+  retained: boolean
+): void {
+  countSubscriptionMessage(topic, broker);
+  if (useDataSource.getState().source === 'replay') return;
+
+  const receivedAt = Date.now();
+  captureFrame(topic, payload, receivedAt, broker);
+  // Own copy: the frame's bytes are transferred to the worker
+  recordTopicMessage(topic, new Uint8Array(payload), receivedAt, retained, broker);
+
+  // Copy out of mqtt.js' buffer: the raw message log keeps the bytes
+  const bytes = new Uint8Array(payload);
+  const frame: IngestFrame = {
+    topic,
+    payload: bytes,
+    receivedAt,
+    broker,
+    ...(properties && { properties }),
+    ...(retained && { retained }),
+  };
+  if (!ingestWorker) {
+    handleFrames([frame]);
+    return;
+  }
+
+  postToWorker({ kind: 'frame', frame }, [bytes.buffer]);
+}
+
+function postToWorker(request: IngestWorkerRequest, transfer: Transferable[] = []): void {
+  ingestWorker?.postMessage(request, transfer);
 }
@@ -0,0 +1,439 @@
+import { parseTopic } from './parser';
+import { parsePayload, payloadObject, ParsedPayload } from './payload';
+import { DecoderRoute } from './decoders';
+import { scopeDeviceId } from './brokers';
+import { sequenceTracker } from './sequence';
+import { DeviceClockConfig, deviceClocks } from './clock';
+import {
+  FlatSample,
+  flattenTelemetry,
+  flattenTelemetryBatch,
+  seriesLength,
+  setDeviceType,
+  TelemetryFlatteningConfig,
+} from './flatten';
+import {
+  decodeSparkplugPayload,
+  isSparkplugTopic,
+  parseSparkplugTopic,
+  sparkplugAdapter,
+  sparkplugDeviceId,
+  SparkplugPayload,
+  SparkplugResult,
+} from './sparkplug';
+import { MessageProperties, MqttMessage, ParsedTopic, TopicContract } from '@/types/mqtt';
+import { DeviceClock, LinkStats } from '@/types/device';
+
+/**
+ * Raw frame handed to the ingestion pipeline (payload bytes are transferred to the worker)
+ */
+export interface IngestFrame {
+  topic: string;
+  payload: Uint8Array;
+  receivedAt: number;
+  // Broker that delivered the frame (prefixes device ids when several are configured)
+  broker?: string;
+  // MQTT 5 properties (live broker traffic only - captures do not record them)
+  properties?: MessageProperties;
+  // Delivered from the broker's retained store (not a new message from the device)
+  retained?: boolean;
+}
+
+/**
+ * Messages posted to the ingestion worker
+ */
+export type IngestWorkerRequest =
+  | { kind: 'frame'; frame: IngestFrame }
+  // Forget per-device state (seq streams, clock offsets, Sparkplug sessions, device types)
+  | { kind: 'reset' }
+  | {
+      kind: 'configure';
+      decoderRoutes: DecoderRoute[];
+      topicContract: TopicContract;
+      brokerIds: string[];
+      telemetryFlattening: TelemetryFlatteningConfig;
+      deviceClock: DeviceClockConfig;
+    };
+
+/**
+ * Samples for one device/metric collected during a batch (parallel arrays)
+ */
+export interface TelemetryDiff {
+  deviceId: string;
+  metric: string;
+  ts: number[];
+  values: number[];
+}
+
+/**
+ * Non-telemetry message routed to a store handler on the UI thread
+ */
+export interface IngestRecord {
+  deviceId: string;
+  messageType: ParsedTopic['messageType'];
+  metric?: string;
+  payload: ParsedPayload;
+  receivedAt: number;
+  properties?: MessageProperties;
+  // From the broker's retained store: the device is not "seen" by it
+  retained?: boolean;
+}
+
+/**
+ * Everything ingested since the previous batch, applied to the stores in one pass
+ */
+export interface IngestBatch {
+  telemetry: TelemetryDiff[];
+  // deviceId -> receive time of its newest telemetry (0 when all of it was retained)
+  telemetryDevices: Array<{ deviceId: string; lastSeen: number }>;
+  records: IngestRecord[];
+  messages: MqttMessage[];
+  // Link statistics of devices that sent a `seq` in this batch
+  links: Array<{ deviceId: string; stats: LinkStats }>;
+  // Clock estimates of devices that sent a timestamp in this batch
+  clocks: Array<{ deviceId: string; clock: DeviceClock }>;
+  invalidTopics: number;
+  unknownTelemetry: number;
+  // Sparkplug metrics sent by alias before their birth certificate was seen
+  unresolvedAliases: number;
+}
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Timestamps for a batched message, or null when it carries single samples:
+ * - `{ t0_ms, dt_ms }`: item i of each array at t0_ms + i * dt_ms (t0_ms defaults to t_ms;
+ *   without either the last item falls at the receive time)
+ * - `{ t_ms: [...] }`: item i at t_ms[i]
+ * Scalars next to the arrays are one sample at the first timestamp
+ */
+function sampleClock(
+  data: Record<string, unknown>,
+  series: unknown,
+  receivedAt: number
+): { ts: number; timeAt: (index: number) => number | undefined; deviceTimed: boolean } | null {
+  const { t_ms: times, t0_ms: start, dt_ms: interval } = data;
+  if (Array.isArray(times)) {
+    const first = times.find(isFiniteNumber);
+    return {
+      ts: first ?? receivedAt,
+      timeAt: (index) => (isFiniteNumber(times[index]) ? times[index] : undefined),
+      deviceTimed: first !== undefined,
+    };
+  }
+  if (isFiniteNumber(interval) && interval > 0) {
+    const deviceStart = isFiniteNumber(start) ? start : isFiniteNumber(times) ? times : undefined;
+    // A batch is sent after its last sample was taken, so it never runs past the receive time
+    const ts = deviceStart ?? receivedAt - Math.max(seriesLength(series) - 1, 0) * interval;
+    return { ts, timeAt: (index) => ts + index * interval, deviceTimed: deviceStart !== undefined };
+  }
+  return null;
+}
+
+/**
+ * Raw-log view of a payload (objects as-is, everything else wrapped)
+ */
+function messagePayload(payload: ParsedPayload, size: number): Record<string, unknown> {
+  switch (payload.kind) {
+    case 'value':
+      return payloadObject(payload) ?? { value: payload.value };
+    case 'binary':
+      return { binary: `${size} bytes`, ...(payload.error && { error: payload.error }) };
+    default:
+      return { raw: payload.text };
+  }
+}
+
+/**
+ * Accumulates parsed frames into an IngestBatch
+ * Pure (no store access) so it runs unchanged in the worker and on the main thread
+ */
+export class IngestBatcher {
+  private telemetry = new Map<string, TelemetryDiff>();
+  private telemetryDevices = new Map<string, number>();
+  private records: IngestRecord[] = [];
+  private messages: MqttMessage[] = [];
+  private linkDevices = new Set<string>();
+  private clockDevices = new Set<string>();
+  private invalidTopics = 0;
+  private unknownTelemetry = 0;
+  private unresolvedAliases = 0;
+
+  add(frame: IngestFrame): void {
+    if (isSparkplugTopic(frame.topic)) {
+      this.addSparkplug(frame);
+      return;
+    }
+
+    const parsed = parseTopic(frame.topic);
+    if (!parsed) {
+      this.invalidTopics++;
+      return;
+    }
+
+    const { messageType, metric } = parsed;
+    const deviceId = scopeDeviceId(frame.broker, parsed.deviceId);
+    const payload = parsePayload(frame.payload, frame.topic);
+
+    // Capture all messages in the raw message log
+    this.messages.push({
+      topic: frame.topic,
+      deviceId,
+      messageType,
+      payload: messagePayload(payload, frame.payload.length),
+      timestamp: frame.receivedAt,
+      encoding: payload.encoding ?? payload.kind,
+      bytes: frame.payload,
+      ...(frame.properties && { properties: frame.properties }),
+    });
+
+    const data = payloadObject(payload);
+    if (data && !frame.retained && sequenceTracker.observe(deviceId, messageType, data, frame.receivedAt)) {
+      this.linkDevices.add(deviceId);
+    }
+
+    if (messageType === 'telemetry') {
+      this.addTelemetry(deviceId, metric, payload, frame);
+      return;
+    }
+
+    // Status and event timestamps feed the clock estimate too (retained ones are old by design)
+    const deviceTs = data && (isFiniteNumber(data.t_ms) ? data.t_ms : data.ts_unix_ms);
+    if (isFiniteNumber(deviceTs) && !frame.retained) {
+      this.observeClock(deviceId, deviceTs, frame.receivedAt);
+    }
+
+    // Per-device-type telemetry filters need the type before the registry sees the status
+    if (messageType === 'status') {
+      const type = data?.device_type || data?.role;
+      if (typeof type === 'string') setDeviceType(deviceId, type);
+    }
+
+    this.records.push({
+      deviceId,
+      messageType,
+      ...(metric && { metric }),
+      payload,
+      receivedAt: frame.receivedAt,
+      ...(frame.properties && { properties: frame.properties }),
+      ...(frame.retained && { retained: true }),
+    });
+  }
+
+  /**
+   * Sparkplug B frames: births/deaths become status, meta and state records, metrics telemetry
+   */
+  private addSparkplug(frame: IngestFrame): void {
+    const topic = parseSparkplugTopic(frame.topic);
+    if (!topic) {
+      this.invalidTopics++;
+      return;
+    }
+
+    let decoded: SparkplugPayload;
+    let result: SparkplugResult;
+    try {
+      decoded = decodeSparkplugPayload(frame.payload);
+      result = sparkplugAdapter.translate(topic, decoded, frame.receivedAt, frame.broker);
+    } catch (err) {
+      this.messages.push({
+        topic: frame.topic,
+        deviceId: scopeDeviceId(frame.broker, sparkplugDeviceId(topic)),
+        messageType: topic.messageType,
+        payload: {
+          binary: `${frame.payload.length} bytes`,
+          error: `sparkplug: ${err instanceof Error ? err.message : String(err)}`,
+        },
+        timestamp: frame.receivedAt,
+        encoding: 'binary',
+        bytes: frame.payload,
+      });
+      return;
+    }
+
+    this.messages.push({
+      topic: frame.topic,
+      deviceId: result.deviceId,
+      messageType: topic.messageType,
+      payload: result.display,
+      timestamp: frame.receivedAt,
+      encoding: 'sparkplug',
+      bytes: frame.payload,
+    });
+    this.unresolvedAliases += result.unresolvedAliases;
+
+    // Payload and metric timestamps come from the edge node's clock
+    let shift = 0;
+    if (decoded.timestamp !== undefined) {
+      if (!frame.retained) this.observeClock(result.deviceId, decoded.timestamp, frame.receivedAt);
+      shift = deviceClocks.shift(result.deviceId, decoded.timestamp, frame.receivedAt);
+    }
+
+    for (const update of result.updates) {
+      if (update.kind === 'sample') {
+        this.pushSample(update.deviceId, update.metric, update.ts + shift, update.value);
+        this.touchDevice(update.deviceId, frame);
+        continue;
+      }
+      this.records.push({
+        deviceId: update.deviceId,
+        messageType: update.messageType,
+        ...(update.metric && { metric: update.metric }),
+        payload: { kind: 'value', text: '', value: update.value, encoding: 'sparkplug' },
+        receivedAt: frame.receivedAt,
+        ...(frame.retained && { retained: true }),
+      });
+    }
+  }
+
+  /**
+   * Telemetry formats:
+   * - pulsar-core: { v: 1, t_ms, fields: { metric1: value1, ... } }
+   * - legacy: pulsar/{deviceId}/telemetry/{metric} with { value, ts }
+   * - batched: a list of pulsar-core messages, or arrays of samples timed by
+   *   { t0_ms, dt_ms } or a t_ms array (see sampleClock)
+   * Nested objects and arrays are flattened into `imu.ax` / `cells_v[3]` metrics
+   */
+  private addTelemetry(deviceId: string, metric: string | undefined, payload: ParsedPayload, frame: IngestFrame): void {
+    const { receivedAt } = frame;
+    if (payload.kind === 'value' && Array.isArray(payload.value)) {
+      this.addTelemetryList(deviceId, payload.value, frame);
+      return;
+    }
+
+    const data = payloadObject(payload);
+    const fields = data?.fields;
+    // Legacy per-metric topics name their series after the metric
+    const series = fields && typeof fields === 'object' ? fields : metric && data ? { [metric]: data.value } : undefined;
+    const clock = data && sampleClock(data, series, receivedAt);
+
+    if (data && clock) {
+      const samples = series ? flattenTelemetryBatch(deviceId, series, clock.ts, clock.timeAt) : [];
+      if (samples.length > 0) this.pushSamples(deviceId, samples, clock.deviceTimed, frame);
+      else this.unknownTelemetry++;
+      return;
+    }
+
+    if (data && fields && typeof fields === 'object') {
+      const { t_ms: deviceTs } = data;
+      const ts = isFiniteNumber(deviceTs) ? deviceTs : receivedAt;
+      const samples = flattenTelemetry(deviceId, fields).map(([name, value]) => ({ metric: name, ts, value }));
+      this.pushSamples(deviceId, samples, isFiniteNumber(deviceTs), frame);
+      this.touchDevice(deviceId, frame);
+      return;
+    }
+
+    const pairs = data && metric && data.value !== undefined ? flattenTelemetry(deviceId, data.value, metric) : [];
+    if (data && pairs.length > 0) {
+      const { ts: deviceTs } = data;
+      const ts = isFiniteNumber(deviceTs) ? deviceTs : receivedAt;
+      const samples = pairs.map(([name, value]) => ({ metric: name, ts, value }));
+      this.pushSamples(deviceId, samples, isFiniteNumber(deviceTs), frame);
+    } else {
+      this.unknownTelemetry++;
+    }
+  }
+
+  /**
+   * `[{ t_ms, fields }, ...]`: each item is a pulsar-core message, applied oldest first
+   */
+  private addTelemetryList(deviceId: string, items: unknown[], frame: IngestFrame): void {
+    const timed: FlatSample[] = [];
+    const untimed: FlatSample[] = [];
+    let messages = 0;
+    for (const item of items) {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
+      const { t_ms: deviceTs, fields } = item as Record<string, unknown>;
+      if (!fields || typeof fields !== 'object') continue;
+      messages++;
+      const ts = isFiniteNumber(deviceTs) ? deviceTs : frame.receivedAt;
+      const samples = isFiniteNumber(deviceTs) ? timed : untimed;
+      for (const [name, value] of flattenTelemetry(deviceId, fields)) {
+        samples.push({ metric: name, ts, value });
+      }
+    }
+
+    if (messages === 0) {
+      this.unknownTelemetry++;
+      return;
+    }
+    timed.sort((a, b) => a.ts - b.ts);
+    this.pushSamples(deviceId, untimed, false, frame);
+    this.pushSamples(deviceId, timed, true, frame);
+  }
+
+  /**
+   * Queue the samples of one message; device timestamps are moved onto the receive clock
+   * under the timestamp policy (see clock.ts). Devices are "seen" at receive time
+   */
+  private pushSamples(deviceId: string, samples: FlatSample[], deviceTimed: boolean, frame: IngestFrame): void {
+    if (samples.length === 0) return;
+
+    let shift = 0;
+    if (deviceTimed) {
+      // The newest sample is the closest to when the message was sent
+      const newest = samples.reduce((max, sample) => Math.max(max, sample.ts), -Infinity);
+      if (!frame.retained) this.observeClock(deviceId, newest, frame.receivedAt);
+      shift = deviceClocks.shift(deviceId, newest, frame.receivedAt);
+    }
+    for (const sample of samples) {
+      this.pushSample(deviceId, sample.metric, sample.ts + shift, sample.value);
+    }
+    this.touchDevice(deviceId, frame);
+  }
+
+  private observeClock(deviceId: string, deviceTs: number, receivedAt: number): void {
+    deviceClocks.observe(deviceId, deviceTs, receivedAt);
+    this.clockDevices.add(deviceId);
+  }
+
+  private pushSample(deviceId: string, metric: string, ts: number, value: number): void {
+    const key = `${deviceId}/${metric}`;
+    let diff = this.telemetry.get(key);
+    if (!diff) {
+      diff = { deviceId, metric, ts: [], values: [] };
+      this.telemetry.set(key, diff);
+    }
+    diff.ts.push(ts);
+    diff.values.push(value);
+  }
+
+  private touchDevice(deviceId: string, frame: IngestFrame): void {
+    const seenAt = frame.retained ? 0 : frame.receivedAt;
+    this.telemetryDevices.set(deviceId, Math.max(this.telemetryDevices.get(deviceId) ?? 0, seenAt));
+  }
+
+  isEmpty(): boolean {
+    return this.messages.length === 0 && this.invalidTopics === 0;
+  }
+
+  /**
+   * Return the accumulated batch and start a new one
+   */
+  drain(): IngestBatch {
+    const batch: IngestBatch = {
+      telemetry: Array.from(this.telemetry.values()),
+      telemetryDevices: Array.from(this.telemetryDevices, ([deviceId, lastSeen]) => ({ deviceId, lastSeen })),
+      records: this.records,
+      messages: this.messages,
+      links: Array.from(this.linkDevices, (deviceId) => ({ deviceId, stats: sequenceTracker.stats(deviceId)! })),
+      clocks: Array.from(this.clockDevices, (deviceId) => ({ deviceId, clock: deviceClocks.clock(deviceId)! })),
+      invalidTopics: this.invalidTopics,
+      unknownTelemetry: this.unknownTelemetry,
+      unresolvedAliases: this.unresolvedAliases,
+    };
+
+    this.telemetry = new Map();
+    this.telemetryDevices = new Map();
+    this.records = [];
+    this.messages = [];
+    this.linkDevices = new Set();
+    this.clockDevices = new Set();
+    this.invalidTopics = 0;
+    this.unknownTelemetry = 0;
+    this.unresolvedAliases = 0;
+    return batch;
+  }
+}
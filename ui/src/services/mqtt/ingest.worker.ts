@@ -0,0 +1,55 @@
+/**
+ * MQTT ingestion worker
+ *
+ * Receives raw frames from the UI thread, parses topics and payloads off the main thread,
+ * and posts one IngestBatch per frame interval instead of one store update per message.
+ */
+import { IngestBatcher, IngestWorkerRequest } from './ingest';
+import { setDecoderRoutes } from './decoders';
+import { setTopicContract } from './parser';
+import { setBrokerNamespaces } from './brokers';
+import { resetDeviceTypes, setTelemetryFlattening } from './flatten';
+import { deviceClocks, setDeviceClockConfig } from './clock';
+import { sequenceTracker } from './sequence';
+import { sparkplugAdapter } from './sparkplug';
+
+const FLUSH_INTERVAL_MS = 16; // ~one animation frame
+
+const batcher = new IngestBatcher();
+let flushTimer: ReturnType<typeof setTimeout> | null = null;
+
+function flush(): void {
+  flushTimer = null;
+  if (batcher.isEmpty()) return;
+  self.postMessage(batcher.drain());
+}
+
+self.addEventListener('message', (event: MessageEvent<IngestWorkerRequest>) => {
+  const request = event.data;
+  if (request.kind === 'configure') {
+    setDecoderRoutes(request.decoderRoutes);
+    setTopicContract(request.topicContract);
+    setBrokerNamespaces(request.brokerIds);
+    setTelemetryFlattening(request.telemetryFlattening);
+    setDeviceClockConfig(request.deviceClock);
+    return;
+  }
+  if (request.kind === 'reset') {
+    // Frames still queued belong to the session being dropped
+    batcher.drain();
+    if (flushTimer !== null) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    sparkplugAdapter.reset();
+    sequenceTracker.reset();
+    deviceClocks.reset();
+    resetDeviceTypes();
+    return;
+  }
+
+  batcher.add(request.frame);
+  if (flushTimer === null) {
+    flushTimer = setTimeout(flush, FLUSH_INTERVAL_MS);
+  }
+});
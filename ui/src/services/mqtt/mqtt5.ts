@@ -0,0 +1,107 @@
+import { MessageProperties } from '@/types/mqtt';
+import { bytesToHex } from './decoders/byte-reader';
+
+/**
+ * MQTT 5 request/response helpers
+ *
+ * Commands carry the command id as correlation data; devices echo it on their ACK and may
+ * report the outcome as a `reason_code` user property (MQTT 5 semantics: >= 0x80 is a failure)
+ * with an optional `reason_string`.
+ */
+
+// MQTT 5 reason codes (v5.0 spec 2.4) most likely to show up in responses and broker acks
+const REASON_CODE_NAMES: Record<number, string> = {
+  0x00: 'Success',
+  0x10: 'No matching subscribers',
+  0x80: 'Unspecified error',
+  0x81: 'Malformed packet',
+  0x82: 'Protocol error',
+  0x83: 'Implementation specific error',
+  0x84: 'Unsupported protocol version',
+  0x86: 'Bad user name or password',
+  0x87: 'Not authorized',
+  0x88: 'Server unavailable',
+  0x89: 'Server busy',
+  0x8a: 'Banned',
+  0x8e: 'Session taken over',
+  0x90: 'Topic name invalid',
+  0x91: 'Packet identifier in use',
+  0x95: 'Packet too large',
+  0x97: 'Quota exceeded',
+  0x99: 'Payload format invalid',
+  0x9a: 'Retain not supported',
+  0x9b: 'QoS not supported',
+  0x9f: 'Connection rate exceeded',
+};
+
+export const REASON_CODE_FAILURE = 0x80;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * "Not authorized (0x87)"
+ */
+export function describeReasonCode(code: number): string {
+  const hex = `0x${code.toString(16).padStart(2, '0')}`;
+  const name = REASON_CODE_NAMES[code];
+  return name ? `${name} (${hex})` : hex;
+}
+
+export function encodeCorrelationData(id: string): Uint8Array {
+  return encoder.encode(id);
+}
+
+/**
+ * Correlation data as a string (command ids are UTF-8), hex when it is not text
+ */
+export function correlationKey(properties: MessageProperties | undefined): string | undefined {
+  const data = properties?.correlationData;
+  if (!data || data.length === 0) return undefined;
+  try {
+    return decoder.decode(data);
+  } catch {
+    return bytesToHex(data);
+  }
+}
+
+function userProperty(properties: MessageProperties | undefined, name: string): string | undefined {
+  const value = properties?.userProperties?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Reason code reported in the `reason_code` user property (decimal or 0x-prefixed hex)
+ */
+export function messageReasonCode(properties: MessageProperties | undefined): number | undefined {
+  const raw = userProperty(properties, 'reason_code');
+  if (raw === undefined) return undefined;
+  const code = Number(raw.trim());
+  return Number.isInteger(code) && code >= 0 && code <= 0xff ? code : undefined;
+}
+
+export function messageReasonString(properties: MessageProperties | undefined): string | undefined {
+  return userProperty(properties, 'reason_string');
+}
+
+/**
+ * Label/value rows for showing a message's MQTT 5 properties
+ */
+export function describeProperties(properties: MessageProperties): Array<[string, string]> {
+  const rows: Array<[string, string]> = [];
+  const reasonCode = messageReasonCode(properties);
+
+  if (reasonCode !== undefined) rows.push(['Reason code', describeReasonCode(reasonCode)]);
+  if (properties.responseTopic) rows.push(['Response topic', properties.responseTopic]);
+  const correlation = correlationKey(properties);
+  if (correlation) rows.push(['Correlation data', correlation]);
+  if (properties.contentType) rows.push(['Content type', properties.contentType]);
+  if (properties.messageExpiryInterval !== undefined) {
+    rows.push(['Message expiry', `${properties.messageExpiryInterval}s`]);
+  }
+  for (const [name, value] of Object.entries(properties.userProperties ?? {})) {
+    if (name === 'reason_code') continue;
+    rows.push([name, Array.isArray(value) ? value.join(', ') : value]);
+  }
+  return rows;
+}
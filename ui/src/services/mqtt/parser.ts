@@ -1,40 +1,164 @@
-import { ParsedTopic } from '@/types/mqtt';
+import { ParsedTopic, TopicContract, TopicKind } from '@/types/mqtt';
 
 /**
- * Parse Pulsar MQTT topic
- * Expected format: pulsar/{deviceId}/{messageType}/{metric?}
+ * Kinds the UI subscribes to (commands are only published)
+ */
+const INBOUND_KINDS: TopicKind[] = ['telemetry', 'status', 'state', 'meta', 'ack', 'event'];
+
+/**
+ * Pulsar Topic Contract v1: pulsar/{deviceId}/{kind}/{metric?}
+ */
+export const DEFAULT_TOPIC_CONTRACT: TopicContract = {
+  prefix: 'pulsar',
+  devicePosition: 'before-kind',
+  deviceLevels: 1,
+  kindAliases: {
+    telemetry: ['telemetry'],
+    event: ['event'],
+    status: ['status'],
+    command: ['cmd', 'command'],
+    state: ['state'],
+    meta: ['meta'],
+    ack: ['ack'],
+  },
+};
+
+function prefixLevels(contract: TopicContract): string[] {
+  return contract.prefix.split('/').filter(Boolean);
+}
+
+/**
+ * Contract in effect on this thread, with the lookups parseTopic needs
+ */
+let contract = DEFAULT_TOPIC_CONTRACT;
+let prefixParts = prefixLevels(contract);
+let kindBySegment = kindLookup(contract);
+
+function kindLookup(next: TopicContract): Map<string, TopicKind> {
+  const lookup = new Map<string, TopicKind>();
+  for (const [kind, aliases] of Object.entries(next.kindAliases) as Array<[TopicKind, string[]]>) {
+    for (const alias of aliases) {
+      const existing = lookup.get(alias);
+      if (existing && existing !== kind) {
+        console.warn(`[MQTT] Topic segment "${alias}" is an alias of both ${existing} and ${kind}`);
+        continue;
+      }
+      lookup.set(alias, kind);
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Switch the topic grammar (from runtime config; the ingestion worker gets its own copy)
+ */
+export function setTopicContract(next: TopicContract): void {
+  contract = next;
+  prefixParts = prefixLevels(next);
+  kindBySegment = kindLookup(next);
+}
+
+export function getTopicContract(): TopicContract {
+  return contract;
+}
+
+/**
+ * Parse a device topic according to the active contract
+ * Expected format (default): pulsar/{deviceId}/{messageType}/{metric?}
  */
 export function parseTopic(topic: string): ParsedTopic | null {
   const parts = topic.split('/');
-  
-  if (parts.length < 3 || parts[0] !== 'pulsar') {
-    return null;
+
+  for (let i = 0; i < prefixParts.length; i++) {
+    if (parts[i] !== prefixParts[i]) return null;
   }
 
-  const deviceId = parts[1];
-  const messageType = parts[2] as ParsedTopic['messageType'];
-  const metric = parts[3]; // Optional - may be undefined
+  const rest = parts.slice(prefixParts.length);
+  const levels = contract.deviceLevels;
+  const deviceFirst = contract.devicePosition === 'before-kind';
+  const deviceParts = deviceFirst ? rest.slice(0, levels) : rest.slice(1, levels + 1);
+  const kindSegment = deviceFirst ? rest[levels] : rest[0];
+
+  if (deviceParts.length !== levels || deviceParts.some((part) => !part)) {
+    return null;
+  }
 
-  // Validate message type (accept telemetry/status/event/command/state/meta)
-  const validTypes = ['telemetry', 'event', 'status', 'command', 'state', 'meta'];
-  if (!validTypes.includes(messageType)) {
+  // Validate message type (accept telemetry/status/event/command/state/meta/ack and their aliases)
+  const messageType = kindSegment !== undefined ? kindBySegment.get(kindSegment) : undefined;
+  if (!messageType) {
     return null;
   }
 
+  const metric = rest.slice(levels + 1).join('/'); // Optional - may be empty
+
   return {
-    deviceId,
-    messageType: messageType as ParsedTopic['messageType'],
-    metric,
+    deviceId: deviceParts.join('/'),
+    messageType,
+    ...(metric && { metric }),
   };
 }
 
 /**
- * Build topic string for publishing
+ * MQTT topic filter match (+ = one level, # = remaining levels)
+ */
+export function topicMatches(filter: string, topic: string): boolean {
+  const filterParts = filter.split('/');
+  const topicParts = topic.split('/');
+
+  for (let i = 0; i < filterParts.length; i++) {
+    const part = filterParts[i];
+    if (part === '#') return true;
+    if (i >= topicParts.length) return false;
+    if (part !== '+' && part !== topicParts[i]) return false;
+  }
+  return filterParts.length === topicParts.length;
+}
+
+/**
+ * A filter the broker will accept: wildcards fill a whole level and # only comes last
  */
-export function buildTopic(deviceId: string, messageType: string, metric?: string): string {
-  const parts = ['pulsar', deviceId, messageType];
+export function isValidTopicFilter(filter: string): boolean {
+  if (!filter || filter.includes('\u0000')) return false;
+  const parts = filter.split('/');
+  return parts.every((part, i) => {
+    if (part === '#') return i === parts.length - 1;
+    if (part === '+') return true;
+    return !part.includes('#') && !part.includes('+');
+  });
+}
+
+function topicLevels(target: TopicContract, device: string, kindSegment: string): string[] {
+  const middle = target.devicePosition === 'before-kind' ? [device, kindSegment] : [kindSegment, device];
+  return [...prefixLevels(target), ...middle];
+}
+
+/**
+ * Subscription filters for every inbound kind and alias of a contract
+ * `{kind}/#` also matches the bare `{kind}` topic
+ */
+export function topicSubscriptions(target: TopicContract): string[] {
+  const anyDevice = Array.from({ length: target.deviceLevels }, () => '+').join('/');
+  return INBOUND_KINDS.flatMap((kind) =>
+    target.kindAliases[kind].map((alias) => [...topicLevels(target, anyDevice, alias), '#'].join('/'))
+  );
+}
+
+/**
+ * Build topic string for publishing (first alias of the kind)
+ */
+export function buildTopic(deviceId: string, messageType: TopicKind, metric?: string): string {
+  const kindSegment = contract.kindAliases[messageType][0] ?? messageType;
+  const parts = topicLevels(contract, deviceId, kindSegment);
   if (metric) {
     parts.push(metric);
   }
   return parts.join('/');
 }
+
+/**
+ * Build command topic: pulsar/{deviceId}/cmd/{action}
+ * Every command publish path goes through this so firmware sees one contract
+ */
+export function buildCommandTopic(deviceId: string, action: string): string {
+  return buildTopic(deviceId, 'command', action);
+}
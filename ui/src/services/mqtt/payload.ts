@@ -0,0 +1,115 @@
+import { routedDecoder, sniffPayload } from './decoders';
+import { hexToBytes } from './decoders/byte-reader';
+
+/**
+ * Decoded MQTT payload (TypeScript port of utils/parsing.js tryParsePayload)
+ * - value: structured data from JSON or a binary decoder (`encoding` says which)
+ * - text: UTF-8 text that is not JSON
+ * - binary: bytes no decoder understood (RawView shows them as a hex dump)
+ */
+export interface ParsedPayload {
+  kind: 'value' | 'text' | 'binary' | 'empty';
+  text: string;
+  value?: unknown;
+  encoding?: string;
+  // Why a routed decoder rejected the payload
+  error?: string;
+}
+
+const decoder = new TextDecoder('utf-8', { fatal: true });
+
+// C0 control characters other than tab, LF and CR mark a payload as binary
+const CONTROL_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f]/;
+
+/**
+ * UTF-8 text, or null when the bytes are not valid printable UTF-8
+ * Trailing NULs (C strings from firmware) are dropped
+ */
+function decodeText(bytes: Uint8Array): string | null {
+  try {
+    const text = decoder.decode(bytes).replace(/\u0000+$/, '');
+    return CONTROL_CHARS.test(text) ? null : text;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode a payload once:
+ * 1. a decoder routed to the topic by runtime config
+ * 2. UTF-8 text, then JSON when it looks like an object or array
+ * 3. binary decoders that recognise the leading bytes (CBOR, MessagePack)
+ */
+export function parsePayload(bytes: Uint8Array, topic = ''): ParsedPayload {
+  if (bytes.length === 0) return { kind: 'empty', text: '' };
+
+  let error: string | undefined;
+  const routed = topic ? routedDecoder(topic) : undefined;
+  if (routed) {
+    try {
+      return { kind: 'value', text: '', value: routed.decode(bytes), encoding: routed.name };
+    } catch (err) {
+      error = `${routed.name}: ${err instanceof Error ? err.message : String(err)}`;
+    }
+  }
+
+  const text = decodeText(bytes);
+  if (text !== null) {
+    const trimmed = text.trim();
+    if (!trimmed) return { kind: 'empty', text: '' };
+
+    if (
+      (trimmed.startsWith('{') && trimmed.endsWith('}')) ||
+      (trimmed.startsWith('[') && trimmed.endsWith(']'))
+    ) {
+      try {
+        return { kind: 'value', text: trimmed, value: JSON.parse(trimmed), encoding: 'json' };
+      } catch {
+        // fall through
+      }
+    }
+
+    return { kind: 'text', text };
+  }
+
+  const sniffed = sniffPayload(bytes);
+  if (sniffed) {
+    return { kind: 'value', text: '', value: sniffed.value, encoding: sniffed.decoder.name };
+  }
+
+  return { kind: 'binary', text: '', ...(error && { error }) };
+}
+
+/**
+ * Object payload, or undefined for text/array/binary/empty payloads
+ */
+export function payloadObject(payload: ParsedPayload): Record<string, unknown> | undefined {
+  const { value } = payload;
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    ? (value as Record<string, unknown>)
+    : undefined;
+}
+
+/**
+ * How a payload typed into the publish console is encoded
+ */
+export type PayloadFormat = 'json' | 'text' | 'hex';
+
+/**
+ * Encode typed payload text for publishing; JSON must parse and is sent as typed
+ */
+export function encodePayload(text: string, format: PayloadFormat): string | Uint8Array {
+  switch (format) {
+    case 'json':
+      try {
+        JSON.parse(text);
+      } catch (err) {
+        throw new Error(`Invalid JSON: ${err instanceof Error ? err.message : String(err)}`);
+      }
+      return text;
+    case 'hex':
+      return hexToBytes(text);
+    case 'text':
+      return text;
+  }
+}
@@ -0,0 +1,165 @@
+import { LinkStats } from '@/types/device';
+
+/**
+ * Packet-loss tracking from the `seq` counter devices put in their payloads
+ *
+ * Each device/topic family (telemetry, status, event, ...) is its own stream. A jump forward
+ * counts the skipped numbers as lost; a late arrival of a skipped number turns that loss into
+ * a reordering. A seq number seen before with a lower `uptime_ms` than the device already
+ * reported marks a reboot and restarts the stream.
+ */
+
+// Missing seq numbers remembered per stream, so late arrivals can be told from duplicates
+const REORDER_WINDOW = 1024;
+
+interface SeqStream {
+  highest: number;
+  // Highest uptime reported
+  uptimeMs?: number;
+  // Skipped numbers still within the window (oldest first)
+  missing: Set<number>;
+  // Uptime sent with recent seq numbers: a repeat with the same uptime is a duplicate
+  uptimes: Map<number, number>;
+}
+
+/**
+ * Per-device counters shared by all of a device's streams
+ */
+interface DeviceCounters {
+  received: number;
+  lost: number;
+  duplicates: number;
+  reordered: number;
+  reboots: number;
+  lastGapAt: number | null;
+  lastRebootAt: number | null;
+}
+
+function newStream(seq: number, uptime: number | undefined): SeqStream {
+  const stream: SeqStream = { highest: seq, missing: new Set(), uptimes: new Map() };
+  if (uptime !== undefined) {
+    stream.uptimeMs = uptime;
+    stream.uptimes.set(seq, uptime);
+  }
+  return stream;
+}
+
+/**
+ * Drop the oldest entries of an insertion-ordered Set/Map beyond the window
+ */
+function trim(entries: Set<number> | Map<number, number>): void {
+  for (const key of entries.keys()) {
+    if (entries.size <= REORDER_WINDOW) break;
+    entries.delete(key);
+  }
+}
+
+function isSeq(value: unknown): value is number {
+  return typeof value === 'number' && Number.isInteger(value) && value >= 0;
+}
+
+export class SequenceTracker {
+  private streams = new Map<string, SeqStream>();
+  private devices = new Map<string, DeviceCounters>();
+
+  reset(): void {
+    this.streams.clear();
+    this.devices.clear();
+  }
+
+  /**
+   * Record one message; returns false when the payload carries no usable `seq`
+   */
+  observe(deviceId: string, family: string, payload: Record<string, unknown>, receivedAt: number): boolean {
+    const { seq, uptime_ms: uptimeMs } = payload;
+    if (!isSeq(seq)) return false;
+
+    let counters = this.devices.get(deviceId);
+    if (!counters) {
+      counters = {
+        received: 0,
+        lost: 0,
+        duplicates: 0,
+        reordered: 0,
+        reboots: 0,
+        lastGapAt: null,
+        lastRebootAt: null,
+      };
+      this.devices.set(deviceId, counters);
+    }
+
+    const key = `${deviceId}\n${family}`;
+    const stream = this.streams.get(key);
+    const uptime = typeof uptimeMs === 'number' && Number.isFinite(uptimeMs) ? uptimeMs : undefined;
+
+    if (!stream) {
+      this.streams.set(key, newStream(seq, uptime));
+      counters.received++;
+      return true;
+    }
+
+    const rebooted =
+      uptime !== undefined &&
+      stream.uptimeMs !== undefined &&
+      uptime < stream.uptimeMs &&
+      seq <= stream.highest &&
+      !stream.missing.has(seq) &&
+      stream.uptimes.get(seq) !== uptime;
+    if (rebooted) {
+      // The counter starts over; numbers missed before the reboot stay lost
+      this.streams.set(key, newStream(seq, uptime));
+      counters.received++;
+      counters.reboots++;
+      counters.lastRebootAt = receivedAt;
+      return true;
+    }
+    if (uptime !== undefined) {
+      stream.uptimeMs = Math.max(stream.uptimeMs ?? uptime, uptime);
+      stream.uptimes.set(seq, uptime);
+      trim(stream.uptimes);
+    }
+
+    if (seq > stream.highest) {
+      const skipped = seq - stream.highest - 1;
+      if (skipped > 0) {
+        counters.lost += skipped;
+        counters.lastGapAt = receivedAt;
+        for (let missing = Math.max(stream.highest + 1, seq - REORDER_WINDOW); missing < seq; missing++) {
+          stream.missing.add(missing);
+        }
+        trim(stream.missing);
+      }
+      stream.highest = seq;
+      counters.received++;
+    } else if (stream.missing.delete(seq)) {
+      counters.lost--;
+      counters.reordered++;
+      counters.received++;
+    } else if (stream.highest - seq > REORDER_WINDOW) {
+      // Far behind without an uptime drop: a counter wrap or restart; follow it silently
+      this.streams.set(key, newStream(seq, uptime));
+      counters.received++;
+    } else {
+      counters.duplicates++;
+    }
+    return true;
+  }
+
+  /**
+   * Current figures for a device (null until it sent a `seq`)
+   */
+  stats(deviceId: string): LinkStats | null {
+    const counters = this.devices.get(deviceId);
+    if (!counters) return null;
+    const expected = counters.received + counters.lost;
+    return {
+      ...counters,
+      lossPercent: expected > 0 ? (counters.lost / expected) * 100 : 0,
+    };
+  }
+}
+
+/**
+ * Tracker shared by the ingestion paths of this thread (UI thread or worker)
+ */
+export const sequenceTracker = new SequenceTracker();
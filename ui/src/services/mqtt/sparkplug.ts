@@ -0,0 +1,521 @@
+import { ProtoReader, WireType } from './decoders';
+import { bytesToHex } from './decoders/byte-reader';
+import { scopeDeviceId } from './brokers';
+import type { SparkplugConfig } from '@/config';
+
+/**
+ * Sparkplug B adapter
+ *
+ * Topics: spBv1.0/{group}/{NBIRTH|NDATA|NDEATH|NCMD}/{edgeNode}
+ *         spBv1.0/{group}/{DBIRTH|DDATA|DDEATH|DCMD}/{edgeNode}/{device}
+ * Payloads are protobuf (org.eclipse.tahu.protobuf.Payload).
+ *
+ * Edge nodes and their devices become registry entries ({group}/{edgeNode}[/{device}]).
+ * Births and deaths are translated into the status/meta/state records Pulsar devices publish,
+ * and numeric metrics into telemetry samples, so both kinds of device share the same stores.
+ */
+
+export const SPARKPLUG_NAMESPACE = 'spBv1.0';
+
+export type SparkplugMessageType =
+  | 'NBIRTH'
+  | 'NDATA'
+  | 'NDEATH'
+  | 'NCMD'
+  | 'DBIRTH'
+  | 'DDATA'
+  | 'DDEATH'
+  | 'DCMD';
+
+const MESSAGE_TYPES = new Set<string>(['NBIRTH', 'NDATA', 'NDEATH', 'NCMD', 'DBIRTH', 'DDATA', 'DDEATH', 'DCMD']);
+
+export interface SparkplugTopic {
+  groupId: string;
+  messageType: SparkplugMessageType;
+  edgeNodeId: string;
+  // Set for D* messages
+  deviceId?: string;
+}
+
+/**
+ * Sparkplug metric data types (only the scalar ones are mapped to telemetry/state)
+ */
+export const SparkplugDataType = {
+  Unknown: 0,
+  Int8: 1,
+  Int16: 2,
+  Int32: 3,
+  Int64: 4,
+  UInt8: 5,
+  UInt16: 6,
+  UInt32: 7,
+  UInt64: 8,
+  Float: 9,
+  Double: 10,
+  Boolean: 11,
+  String: 12,
+  DateTime: 13,
+  Text: 14,
+  UUID: 15,
+  DataSet: 16,
+  Bytes: 17,
+  File: 18,
+  Template: 19,
+} as const;
+
+const DATA_TYPE_NAMES = Object.fromEntries(
+  Object.entries(SparkplugDataType).map(([name, value]) => [value, name])
+) as Record<number, string>;
+
+// Numeric types plotted as telemetry (DateTime is numeric on the wire but kept as state)
+const TELEMETRY_TYPES = new Set<number>([
+  SparkplugDataType.Unknown,
+  SparkplugDataType.Int8,
+  SparkplugDataType.Int16,
+  SparkplugDataType.Int32,
+  SparkplugDataType.Int64,
+  SparkplugDataType.UInt8,
+  SparkplugDataType.UInt16,
+  SparkplugDataType.UInt32,
+  SparkplugDataType.UInt64,
+  SparkplugDataType.Float,
+  SparkplugDataType.Double,
+]);
+
+/**
+ * Decoded metric - value is the raw wire value (int_value/long_value before sign conversion)
+ */
+export interface SparkplugMetric {
+  name?: string;
+  alias?: number;
+  timestamp?: number;
+  datatype?: number;
+  isNull: boolean;
+  value?: number | bigint | boolean | string | Uint8Array;
+}
+
+export interface SparkplugPayload {
+  timestamp?: number;
+  seq?: number;
+  metrics: SparkplugMetric[];
+}
+
+/**
+ * Parse a Sparkplug B topic, or null when it is not a device/edge node message
+ * (STATE messages from other host applications included)
+ */
+export function parseSparkplugTopic(topic: string): SparkplugTopic | null {
+  const parts = topic.split('/');
+  const [namespace, groupId, messageType, edgeNodeId, deviceId] = parts;
+
+  if (namespace !== SPARKPLUG_NAMESPACE || !groupId || !edgeNodeId || !messageType) return null;
+  if (!MESSAGE_TYPES.has(messageType)) return null;
+
+  const isDeviceMessage = messageType.startsWith('D');
+  if (parts.length !== (isDeviceMessage ? 5 : 4) || (isDeviceMessage && !deviceId)) return null;
+
+  return {
+    groupId,
+    messageType: messageType as SparkplugMessageType,
+    edgeNodeId,
+    ...(isDeviceMessage && deviceId && { deviceId }),
+  };
+}
+
+export function isSparkplugTopic(topic: string): boolean {
+  return topic.startsWith(`${SPARKPLUG_NAMESPACE}/`);
+}
+
+/**
+ * Registry id for the edge node that published a message
+ */
+export function sparkplugNodeId(topic: SparkplugTopic): string {
+  return `${topic.groupId}/${topic.edgeNodeId}`;
+}
+
+/**
+ * Registry id for an edge node or one of its devices
+ */
+export function sparkplugDeviceId(topic: SparkplugTopic): string {
+  const nodeId = sparkplugNodeId(topic);
+  return topic.deviceId ? `${nodeId}/${topic.deviceId}` : nodeId;
+}
+
+/**
+ * Topic filters for the configured groups (every group when none are listed)
+ */
+export function sparkplugSubscriptions(config: SparkplugConfig): string[] {
+  if (!config.enabled) return [];
+  if (config.groupIds.length === 0) return [`${SPARKPLUG_NAMESPACE}/#`];
+  return config.groupIds.map((groupId) => `${SPARKPLUG_NAMESPACE}/${groupId}/#`);
+}
+
+/**
+ * Decode a Sparkplug B payload
+ * DataSet, Template, metadata and property set fields are skipped
+ */
+export function decodeSparkplugPayload(bytes: Uint8Array): SparkplugPayload {
+  const reader = new ProtoReader(bytes);
+  const payload: SparkplugPayload = { metrics: [] };
+
+  while (!reader.done) {
+    const [field, wireType] = reader.tag();
+    if (field === 1 && wireType === WireType.Varint) {
+      payload.timestamp = reader.varint();
+    } else if (field === 2 && wireType === WireType.LengthDelimited) {
+      payload.metrics.push(decodeMetric(reader.bytesField()));
+    } else if (field === 3 && wireType === WireType.Varint) {
+      payload.seq = reader.varint();
+    } else {
+      reader.skip(wireType);
+    }
+  }
+  return payload;
+}
+
+// Wire type of each Metric field we read (fields sent with another wire type are skipped)
+const METRIC_FIELDS: Record<number, number> = {
+  1: WireType.LengthDelimited, // name
+  2: WireType.Varint, // alias
+  3: WireType.Varint, // timestamp
+  4: WireType.Varint, // datatype
+  7: WireType.Varint, // is_null
+  10: WireType.Varint, // int_value
+  11: WireType.Varint, // long_value
+  12: WireType.Fixed32, // float_value
+  13: WireType.Fixed64, // double_value
+  14: WireType.Varint, // boolean_value
+  15: WireType.LengthDelimited, // string_value
+  16: WireType.LengthDelimited, // bytes_value
+};
+
+function decodeMetric(bytes: Uint8Array): SparkplugMetric {
+  const reader = new ProtoReader(bytes);
+  const metric: SparkplugMetric = { isNull: false };
+
+  while (!reader.done) {
+    const [field, wireType] = reader.tag();
+    if (METRIC_FIELDS[field] !== wireType) {
+      reader.skip(wireType);
+      continue;
+    }
+
+    switch (field) {
+      case 1:
+        metric.name = reader.string();
+        break;
+      case 2:
+        metric.alias = reader.varint();
+        break;
+      case 3:
+        metric.timestamp = reader.varint();
+        break;
+      case 4:
+        metric.datatype = reader.varint();
+        break;
+      case 7:
+        metric.isNull = reader.varint() !== 0;
+        break;
+      case 10:
+        metric.value = reader.varint();
+        break;
+      case 11:
+        metric.value = reader.varint64();
+        break;
+      case 12:
+        metric.value = reader.float();
+        break;
+      case 13:
+        metric.value = reader.double();
+        break;
+      case 14:
+        metric.value = reader.varint() !== 0;
+        break;
+      case 15:
+        metric.value = reader.string();
+        break;
+      case 16:
+        metric.value = reader.bytesField();
+        break;
+    }
+  }
+  return metric;
+}
+
+/**
+ * Metric value as a JS scalar (signed types are two's complement in int_value/long_value)
+ * Undefined for bytes and unsupported complex types
+ */
+function metricValue(value: SparkplugMetric['value'], datatype: number): number | boolean | string | undefined {
+  if (value instanceof Uint8Array) return undefined;
+  if (typeof value === 'bigint') {
+    return Number(datatype === SparkplugDataType.Int64 ? BigInt.asIntN(64, value) : value);
+  }
+  if (typeof value !== 'number') return value;
+
+  switch (datatype) {
+    case SparkplugDataType.Int8:
+      return (value << 24) >> 24;
+    case SparkplugDataType.Int16:
+      return (value << 16) >> 16;
+    case SparkplugDataType.Int32:
+      return value | 0;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Updates the batcher applies for one Sparkplug message
+ * Records carry the same object payloads the Pulsar status/meta/state handlers expect
+ */
+export type SparkplugUpdate =
+  | { kind: 'sample'; deviceId: string; metric: string; ts: number; value: number }
+  | { kind: 'record'; deviceId: string; messageType: 'status' | 'meta' | 'state'; metric?: string; value: Record<string, unknown> };
+
+export interface SparkplugResult {
+  deviceId: string;
+  // Decoded payload with aliases resolved to names, for the raw message log
+  display: Record<string, unknown>;
+  updates: SparkplugUpdate[];
+  // Metrics sent by alias only whose birth certificate has not been seen
+  unresolvedAliases: number;
+}
+
+interface MetricDefinition {
+  name: string;
+  datatype: number;
+}
+
+interface EdgeNodeSession {
+  bdSeq?: number;
+  // Aliases are unique across an edge node and its devices
+  aliases: Map<number, MetricDefinition>;
+  // Registry id (the node itself and each born device) -> metric name -> definition
+  scopes: Map<string, Map<string, MetricDefinition>>;
+}
+
+/**
+ * Birth/death sequence metric and rebirth controls are session bookkeeping, not device data
+ */
+function isControlMetric(name: string): boolean {
+  return name === 'bdSeq' || name.startsWith('Node Control/') || name.startsWith('Device Control/');
+}
+
+/**
+ * Tracks edge node sessions (birth certificates, metric aliases) and translates messages
+ * Stateful: one instance per ingestion thread, reset when ingested state is dropped
+ */
+export class SparkplugAdapter {
+  private nodes = new Map<string, EdgeNodeSession>();
+
+  reset(): void {
+    this.nodes.clear();
+  }
+
+  translate(topic: SparkplugTopic, payload: SparkplugPayload, receivedAt: number, broker?: string): SparkplugResult {
+    // Sessions are per broker: the same group/edge node at two sites are different nodes
+    const nodeId = scopeDeviceId(broker, sparkplugNodeId(topic));
+    const deviceId = scopeDeviceId(broker, sparkplugDeviceId(topic));
+    const ts = payload.timestamp ?? receivedAt;
+    const result: SparkplugResult = { deviceId, display: {}, updates: [], unresolvedAliases: 0 };
+
+    switch (topic.messageType) {
+      case 'NBIRTH': {
+        // A new session invalidates every alias and device of the previous one
+        const node: EdgeNodeSession = { aliases: new Map(), scopes: new Map() };
+        const bdSeq = payload.metrics.find((metric) => metric.name === 'bdSeq');
+        if (typeof bdSeq?.value === 'number' || typeof bdSeq?.value === 'bigint') {
+          node.bdSeq = Number(bdSeq.value);
+        }
+        this.nodes.set(nodeId, node);
+        this.birth(node, topic, deviceId, payload, ts, result);
+        break;
+      }
+      case 'DBIRTH':
+        // The node may have been born before we subscribed
+        this.birth(this.session(nodeId), topic, deviceId, payload, ts, result);
+        break;
+      case 'NDATA':
+      case 'DDATA':
+        this.data(this.nodes.get(nodeId), deviceId, payload, ts, result);
+        break;
+      case 'NDEATH': {
+        const node = this.nodes.get(nodeId);
+        const bdSeq = payload.metrics.find((metric) => metric.name === 'bdSeq')?.value;
+        // A will message from an earlier session can arrive after the new NBIRTH
+        if (node?.bdSeq !== undefined && bdSeq !== undefined && Number(bdSeq) !== node.bdSeq) {
+          result.display = this.display(node, deviceId, payload);
+          return result;
+        }
+        // Node death takes all of its devices offline
+        const offline = new Set([nodeId, ...(node?.scopes.keys() ?? [])]);
+        offline.forEach((id) => result.updates.push(this.status(id, { online: false, t_ms: ts })));
+        this.nodes.delete(nodeId);
+        break;
+      }
+      case 'DDEATH':
+        this.nodes.get(nodeId)?.scopes.delete(deviceId);
+        result.updates.push(this.status(deviceId, { online: false, t_ms: ts }));
+        break;
+      default:
+        // NCMD/DCMD from other host applications are only logged
+        break;
+    }
+
+    result.display = this.display(this.nodes.get(nodeId), deviceId, payload);
+    return result;
+  }
+
+  private session(nodeId: string): EdgeNodeSession {
+    let node = this.nodes.get(nodeId);
+    if (!node) {
+      node = { aliases: new Map(), scopes: new Map() };
+      this.nodes.set(nodeId, node);
+    }
+    return node;
+  }
+
+  /**
+   * Birth certificate: define every metric (name, alias, datatype), then register the device
+   * as online with its numeric metrics as capabilities
+   */
+  private birth(
+    node: EdgeNodeSession,
+    topic: SparkplugTopic,
+    deviceId: string,
+    payload: SparkplugPayload,
+    ts: number,
+    result: SparkplugResult
+  ): void {
+    const scope = new Map<string, MetricDefinition>();
+    node.scopes.set(deviceId, scope);
+
+    for (const metric of payload.metrics) {
+      if (!metric.name) continue;
+      const definition = { name: metric.name, datatype: metric.datatype ?? SparkplugDataType.Unknown };
+      scope.set(metric.name, definition);
+      if (metric.alias !== undefined) node.aliases.set(metric.alias, definition);
+    }
+
+    const telemetryFields = Array.from(scope.values())
+      .filter((definition) => TELEMETRY_TYPES.has(definition.datatype) && !isControlMetric(definition.name))
+      .map((definition) => definition.name);
+    const deviceType = topic.deviceId ? 'sparkplug-device' : 'sparkplug-node';
+
+    result.updates.push(
+      this.status(deviceId, {
+        online: true,
+        t_ms: ts,
+        device_type: deviceType,
+        protocol: 'sparkplug_b',
+        group_id: topic.groupId,
+        edge_node_id: topic.edgeNodeId,
+        capability: { commands: [], metrics: telemetryFields },
+      }),
+      {
+        kind: 'record',
+        deviceId,
+        messageType: 'meta',
+        metric: 'capabilities',
+        value: { v: 1, device_type: deviceType, telemetry_fields: telemetryFields },
+      }
+    );
+    this.data(node, deviceId, payload, ts, result);
+  }
+
+  /**
+   * Metric values: numeric ones become telemetry samples, the rest device state
+   */
+  private data(
+    node: EdgeNodeSession | undefined,
+    deviceId: string,
+    payload: SparkplugPayload,
+    ts: number,
+    result: SparkplugResult
+  ): void {
+    const state: Record<string, unknown> = {};
+
+    for (const metric of payload.metrics) {
+      const definition = this.resolve(node, deviceId, metric);
+      if (!definition) {
+        result.unresolvedAliases++;
+        continue;
+      }
+      if (metric.isNull || isControlMetric(definition.name)) continue;
+
+      const value = metricValue(metric.value, definition.datatype);
+      if (typeof value === 'number' && TELEMETRY_TYPES.has(definition.datatype)) {
+        if (Number.isFinite(value)) {
+          result.updates.push({
+            kind: 'sample',
+            deviceId,
+            metric: definition.name,
+            ts: metric.timestamp ?? ts,
+            value,
+          });
+        }
+      } else if (value !== undefined) {
+        state[definition.name] = value;
+      }
+    }
+
+    if (Object.keys(state).length > 0) {
+      result.updates.push({ kind: 'record', deviceId, messageType: 'state', value: state });
+    }
+  }
+
+  private resolve(
+    node: EdgeNodeSession | undefined,
+    deviceId: string,
+    metric: SparkplugMetric
+  ): MetricDefinition | undefined {
+    if (metric.name) {
+      return (
+        node?.scopes.get(deviceId)?.get(metric.name) ?? {
+          name: metric.name,
+          datatype: metric.datatype ?? SparkplugDataType.Unknown,
+        }
+      );
+    }
+    return metric.alias !== undefined ? node?.aliases.get(metric.alias) : undefined;
+  }
+
+  private status(deviceId: string, value: Record<string, unknown>): SparkplugUpdate {
+    return { kind: 'record', deviceId, messageType: 'status', value };
+  }
+
+  /**
+   * Raw-log view: metrics with names resolved, data type names and JS values
+   */
+  private display(
+    node: EdgeNodeSession | undefined,
+    deviceId: string,
+    payload: SparkplugPayload
+  ): Record<string, unknown> {
+    return {
+      timestamp: payload.timestamp,
+      seq: payload.seq,
+      metrics: payload.metrics.map((metric) => {
+        const definition = this.resolve(node, deviceId, metric);
+        const datatype = metric.datatype ?? definition?.datatype ?? SparkplugDataType.Unknown;
+        return {
+          name: definition?.name,
+          alias: metric.alias,
+          timestamp: metric.timestamp,
+          datatype: DATA_TYPE_NAMES[datatype] ?? datatype,
+          value: metric.isNull
+            ? null
+            : metric.value instanceof Uint8Array
+              ? bytesToHex(metric.value)
+              : metricValue(metric.value, datatype),
+        };
+      }),
+    };
+  }
+}
+
+/**
+ * Session state for the thread this module is loaded in (ingestion worker or UI thread)
+ */
+export const sparkplugAdapter = new SparkplugAdapter();
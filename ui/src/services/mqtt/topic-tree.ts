@@ -0,0 +1,161 @@
+/**
+ * Topic tree (MQTT Explorer style): one node per topic level with the last two
+ * messages of the topic and message counts/rates for the subtree
+ *
+ * With several brokers the first level is the broker id so identical topics stay apart.
+ */
+
+export interface TopicMessage {
+  bytes: Uint8Array;
+  receivedAt: number;
+  retained: boolean;
+}
+
+export interface TopicNode {
+  // Topic level ('' for the root and for empty levels)
+  name: string;
+  // Full topic ('' for the root and broker nodes)
+  topic: string;
+  // Broker the subtree was received from (undefined with a single broker)
+  broker: string | undefined;
+  children: Map<string, TopicNode>;
+  last?: TopicMessage;
+  previous?: TopicMessage;
+  // The broker holds a retained message: seen with the retain flag (later live updates
+  // arrive without it) until an empty payload deletes it
+  retained: boolean;
+  // Messages on this exact topic
+  count: number;
+  // Messages on this topic and every topic below it
+  subtreeCount: number;
+  // Subtree messages per second over the last sample window
+  rate: number;
+  // Newest message anywhere in the subtree
+  lastReceivedAt: number;
+}
+
+// Bounds memory when a broker streams unbounded topic names (ids in topics)
+export const MAX_TOPICS = 20_000;
+
+function createNode(name: string, topic: string, broker: string | undefined): TopicNode {
+  return {
+    name,
+    topic,
+    broker,
+    children: new Map(),
+    retained: false,
+    count: 0,
+    subtreeCount: 0,
+    rate: 0,
+    lastReceivedAt: 0,
+  };
+}
+
+export class TopicTree {
+  readonly root = createNode('', '', undefined);
+  private topicCount = 0;
+  // Topics dropped after MAX_TOPICS was reached
+  droppedTopics = 0;
+  // Subtree counts at the last rate sample
+  private sampledCounts = new WeakMap<TopicNode, number>();
+  private sampledAt = Date.now();
+
+  get size(): number {
+    return this.topicCount;
+  }
+
+  /**
+   * Record a message; `broker` adds a broker level when messages come from several brokers
+   */
+  record(topic: string, message: TopicMessage, broker?: string): void {
+    if (this.topicCount >= MAX_TOPICS && !this.find(topic, broker)?.count) {
+      this.droppedTopics++;
+      return;
+    }
+
+    const path: TopicNode[] = [this.root];
+    let node = this.root;
+
+    if (broker !== undefined) {
+      node = this.child(node, broker, '', broker);
+      path.push(node);
+    }
+
+    const levels = topic.split('/');
+    for (let i = 0; i < levels.length; i++) {
+      node = this.child(node, levels[i]!, levels.slice(0, i + 1).join('/'), broker);
+      path.push(node);
+    }
+
+    if (node.count === 0) this.topicCount++;
+    node.count++;
+    if (node.last) node.previous = node.last;
+    node.last = message;
+    if (message.bytes.length === 0) node.retained = false;
+    else if (message.retained) node.retained = true;
+    for (const ancestor of path) {
+      ancestor.subtreeCount++;
+      ancestor.lastReceivedAt = Math.max(ancestor.lastReceivedAt, message.receivedAt);
+    }
+  }
+
+  private child(parent: TopicNode, name: string, topic: string, broker: string | undefined): TopicNode {
+    let node = parent.children.get(name);
+    if (!node) {
+      node = createNode(name, topic, broker);
+      parent.children.set(name, node);
+    }
+    return node;
+  }
+
+  /**
+   * Node for a topic (and broker when the tree has a broker level)
+   */
+  find(topic: string, broker?: string): TopicNode | undefined {
+    let node: TopicNode | undefined = broker !== undefined ? this.root.children.get(broker) : this.root;
+    if (!topic) return node;
+    for (const level of topic.split('/')) {
+      node = node?.children.get(level);
+    }
+    return node;
+  }
+
+  /**
+   * Recompute subtree rates from the counts since the last sample
+   */
+  sampleRates(now = Date.now()): void {
+    const seconds = Math.max(now - this.sampledAt, 1) / 1000;
+    this.sampledAt = now;
+    const visit = (node: TopicNode) => {
+      const previous = this.sampledCounts.get(node) ?? 0;
+      node.rate = (node.subtreeCount - previous) / seconds;
+      this.sampledCounts.set(node, node.subtreeCount);
+      node.children.forEach(visit);
+    };
+    visit(this.root);
+  }
+
+  /**
+   * Retained topics at or below a node
+   */
+  retainedTopics(node: TopicNode): TopicNode[] {
+    const found: TopicNode[] = [];
+    const visit = (current: TopicNode) => {
+      if (current.retained) found.push(current);
+      current.children.forEach(visit);
+    };
+    visit(node);
+    return found;
+  }
+
+  clear(): void {
+    this.root.children.clear();
+    this.root.count = 0;
+    this.root.subtreeCount = 0;
+    this.root.rate = 0;
+    this.root.lastReceivedAt = 0;
+    this.topicCount = 0;
+    this.droppedTopics = 0;
+    this.sampledCounts = new WeakMap();
+  }
+}
@@ -0,0 +1,358 @@
+import { Query, QueryLiteral, QueryNode, QueryOperator, QueryTarget } from '@/types/query';
+
+/**
+ * Query language for filtering messages and devices
+ *
+ *   query   := or
+ *   or      := and (OR and)*
+ *   and     := unary ([AND] unary)*        juxtaposition means AND
+ *   unary   := NOT unary | '(' or ')' | term
+ *   term    := field op value | word | "quoted text"
+ *
+ * `field:value` is a case-insensitive match with `*`/`?` globs (`topic:` takes an MQTT
+ * filter with `+`/`#`); `=`/`!=` compare exactly; `<`, `<=`, `>`, `>=` compare numbers;
+ * `~`/`!~` test a regular expression. Missing fields never match.
+ */
+
+/**
+ * Thrown for malformed queries; `position` is the offset in the query text
+ */
+export class QueryError extends Error {
+  constructor(
+    message: string,
+    readonly position: number
+  ) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+type Token =
+  | { type: 'word' | 'string'; text: string; position: number }
+  | { type: 'op'; op: QueryOperator; position: number }
+  | { type: '(' | ')' | 'and' | 'or' | 'not' | 'end'; position: number };
+
+const OPERATORS: QueryOperator[] = ['!=', '<=', '>=', '!~', ':', '=', '<', '>', '~'];
+const KEYWORDS: Record<string, 'and' | 'or' | 'not'> = { and: 'and', or: 'or', not: 'not' };
+const WORD_BREAK = /[\s()"':=!<>~]/;
+const VALUE_BREAK = /[\s()]/;
+
+function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+  // After an operator, a bare value may contain operator characters (`device:site-a:pump-1`)
+  let expectValue = false;
+
+  while (i < source.length) {
+    const char = source[i]!;
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      i++;
+      expectValue = false;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let text = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        text += source[i];
+        i++;
+      }
+      if (i >= source.length) throw new QueryError('Unterminated string', position);
+      i++;
+      tokens.push({ type: 'string', text, position });
+      expectValue = false;
+      continue;
+    }
+
+    const op = expectValue ? undefined : OPERATORS.find((candidate) => source.startsWith(candidate, i));
+    if (op) {
+      tokens.push({ type: 'op', op, position });
+      i += op.length;
+      expectValue = true;
+      continue;
+    }
+
+    const stop = expectValue ? VALUE_BREAK : WORD_BREAK;
+    let end = i;
+    while (end < source.length && !stop.test(source[end]!)) end++;
+    if (end === i) throw new QueryError(`Unexpected "${char}"`, position);
+
+    const text = source.slice(i, end);
+    const keyword = expectValue ? undefined : KEYWORDS[text.toLowerCase()];
+    tokens.push(keyword ? { type: keyword, position } : { type: 'word', text, position });
+    i = end;
+    expectValue = false;
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globSource(pattern: string, anyChar: string): string {
+  return pattern
+    .split('')
+    .map((char) => (char === '*' ? `${anyChar}*` : char === '?' ? anyChar : escapeRegExp(char)))
+    .join('');
+}
+
+/**
+ * `+` matches one level, a trailing `#` the parent and any levels below; `*` globs within a level
+ */
+function topicFilterPattern(filter: string): RegExp {
+  const levels = filter.split('/');
+  const multi = levels[levels.length - 1] === '#';
+  if (multi) levels.pop();
+  const body = levels.map((level) => (level === '+' ? '[^/]*' : globSource(level, '[^/]'))).join('/');
+  if (!multi) return new RegExp(`^${body}$`, 'i');
+  return new RegExp(levels.length === 0 ? '^.*$' : `^${body}(?:/.*)?$`, 'i');
+}
+
+function parsePath(field: string): string[] {
+  return field
+    .replace(/\[(\w+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+}
+
+/**
+ * Unquoted numbers, booleans and null are typed; everything else is a string
+ */
+function parseLiteral(token: Token): QueryLiteral {
+  if (token.type === 'string') return token.text;
+  if (token.type !== 'word') throw new QueryError('Expected a value', token.position);
+  const { text } = token;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  const num = Number(text);
+  return text.trim() !== '' && Number.isFinite(num) ? num : text;
+}
+
+class Parser {
+  private index = 0;
+
+  constructor(private readonly tokens: Token[]) {}
+
+  private peek(): Token {
+    return this.tokens[this.index]!;
+  }
+
+  private next(): Token {
+    const token = this.tokens[this.index]!;
+    if (token.type !== 'end') this.index++;
+    return token;
+  }
+
+  parse(): QueryNode {
+    const root = this.parseOr();
+    const trailing = this.peek();
+    if (trailing.type !== 'end') throw new QueryError(`Unexpected ${describe(trailing)}`, trailing.position);
+    return root;
+  }
+
+  private parseOr(): QueryNode {
+    let left = this.parseAnd();
+    while (this.peek().type === 'or') {
+      this.next();
+      left = { kind: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  private parseAnd(): QueryNode {
+    let left = this.parseUnary();
+    for (let type = this.peek().type; type !== 'or' && type !== ')' && type !== 'end'; type = this.peek().type) {
+      if (type === 'and') this.next();
+      left = { kind: 'and', left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  private parseUnary(): QueryNode {
+    const token = this.next();
+    switch (token.type) {
+      case 'not':
+        return { kind: 'not', operand: this.parseUnary() };
+      case '(': {
+        const inner = this.parseOr();
+        const close = this.next();
+        if (close.type !== ')') throw new QueryError('Missing closing parenthesis', close.position);
+        return inner;
+      }
+      case 'word':
+      case 'string':
+        return this.parseTerm(token);
+      default:
+        throw new QueryError(`Unexpected ${describe(token)}`, token.position);
+    }
+  }
+
+  private parseTerm(token: Extract<Token, { type: 'word' | 'string' }>): QueryNode {
+    const op = this.peek();
+    if (op.type !== 'op') return { kind: 'text', text: token.text.toLowerCase() };
+
+    if (token.type !== 'word') throw new QueryError('Field names cannot be quoted', token.position);
+    this.next();
+    const valueToken = this.next();
+    // `:` matches text, so `device:007` keeps its leading zeros
+    const value = op.op === ':' && valueToken.type === 'word' ? valueToken.text : parseLiteral(valueToken);
+    const path = parsePath(token.text);
+    if (path.length === 0) throw new QueryError(`Invalid field "${token.text}"`, token.position);
+
+    const node: QueryNode = { kind: 'compare', field: token.text, path, operator: op.op, value };
+    if (op.op === '~' || op.op === '!~') {
+      try {
+        node.pattern = new RegExp(String(value), 'i');
+      } catch (err) {
+        throw new QueryError(err instanceof Error ? err.message : 'Invalid regular expression', valueToken.position);
+      }
+    } else if (op.op === ':' && typeof value === 'string') {
+      if (path.length === 1 && path[0] === 'topic') node.pattern = topicFilterPattern(value);
+      else if (/[*?]/.test(value)) node.pattern = new RegExp(`^${globSource(value, '.')}$`, 'i');
+    } else if (['<', '<=', '>', '>='].includes(op.op) && typeof value !== 'number') {
+      throw new QueryError(`${op.op} needs a number`, valueToken.position);
+    }
+    return node;
+  }
+}
+
+function describe(token: Token): string {
+  switch (token.type) {
+    case 'end':
+      return 'end of query';
+    case 'word':
+    case 'string':
+      return `"${token.text}"`;
+    case 'op':
+      return `"${token.op}"`;
+    case 'and':
+    case 'or':
+    case 'not':
+      return token.type.toUpperCase();
+    default:
+      return `"${token.type}"`;
+  }
+}
+
+/**
+ * Parse a query; throws QueryError with the offending position
+ */
+export function parseQuery(source: string): Query {
+  return { source, root: new Parser(tokenize(source)).parse() };
+}
+
+/**
+ * Parse a query for a filter input: null for a blank query, the error message when invalid
+ */
+export function tryParseQuery(source: string): { query: Query | null; error: string | null } {
+  if (!source.trim()) return { query: null, error: null };
+  try {
+    return { query: parseQuery(source), error: null };
+  } catch (err) {
+    if (err instanceof QueryError) return { query: null, error: `${err.message} (at ${err.position + 1})` };
+    throw err;
+  }
+}
+
+function toNumber(value: unknown): number | undefined {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : undefined;
+  }
+  return undefined;
+}
+
+function toText(value: unknown): string {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function equals(actual: unknown, expected: QueryLiteral): boolean {
+  if (expected === null) return actual === null;
+  if (typeof expected === 'number') return toNumber(actual) === expected;
+  if (typeof expected === 'boolean') {
+    if (typeof actual === 'string') return actual.trim().toLowerCase() === String(expected);
+    return typeof actual === 'number' ? (actual !== 0) === expected : actual === expected;
+  }
+  return toText(actual) === expected;
+}
+
+function compareScalar(actual: unknown, node: Extract<QueryNode, { kind: 'compare' }>): boolean {
+  const { operator, value, pattern } = node;
+  switch (operator) {
+    case ':':
+      if (pattern) return pattern.test(toText(actual));
+      return toText(actual).toLowerCase() === String(value).toLowerCase();
+    case '=':
+      return equals(actual, value);
+    case '!=':
+      return !equals(actual, value);
+    case '~':
+      return pattern!.test(toText(actual));
+    case '!~':
+      return !pattern!.test(toText(actual));
+    default: {
+      const num = toNumber(actual);
+      if (num === undefined || typeof value !== 'number') return false;
+      if (operator === '<') return num < value;
+      if (operator === '<=') return num <= value;
+      if (operator === '>') return num > value;
+      return num >= value;
+    }
+  }
+}
+
+function evaluate(node: QueryNode, target: QueryTarget): boolean {
+  switch (node.kind) {
+    case 'and':
+      return evaluate(node.left, target) && evaluate(node.right, target);
+    case 'or':
+      return evaluate(node.left, target) || evaluate(node.right, target);
+    case 'not':
+      return !evaluate(node.operand, target);
+    case 'text':
+      return target.text().includes(node.text);
+    case 'compare': {
+      const actual = target.get(node.path);
+      if (actual === undefined) return false;
+      // Negative operators hold when no element matches; the rest when any element does
+      if (Array.isArray(actual)) {
+        const negative = node.operator === '!=' || node.operator === '!~';
+        return negative
+          ? actual.every((item) => compareScalar(item, node))
+          : actual.some((item) => compareScalar(item, node));
+      }
+      return compareScalar(actual, node);
+    }
+  }
+}
+
+export function matchesQuery(query: Query, target: QueryTarget): boolean {
+  return evaluate(query.root, target);
+}
+
+/**
+ * Follow a field path into a decoded payload or metadata object
+ */
+export function resolveQueryPath(value: unknown, path: string[]): unknown {
+  let current = value;
+  for (const segment of path) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = (current as Record<string, unknown>)[segment];
+  }
+  return current;
+}
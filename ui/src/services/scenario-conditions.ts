@@ -0,0 +1,164 @@
+import { Device } from '@/types/device';
+
+type Operator = '<' | '<=' | '>' | '>=' | '==' | '!=';
+
+/**
+ * Parsed condition: `<source> <op> <literal>`
+ */
+export interface ParsedCondition {
+  source: 'telemetry' | 'state' | 'meta';
+  key: string; // Metric name, or state/meta key
+  path: string[]; // Path inside the state/meta payload
+  operator: Operator;
+  expected: number | boolean | string;
+}
+
+/**
+ * Lookups the evaluator needs - kept as callbacks so the parser stays store-free
+ */
+export interface ConditionContext {
+  getDevice: (deviceId: string) => Device | undefined;
+  getLatestValue: (deviceId: string, metric: string) => number | undefined;
+}
+
+export interface ConditionResult {
+  ok: boolean;
+  actual: unknown;
+}
+
+const CONDITION_PATTERN = /^\s*([\w./[\]-]+)\s*(<=|>=|==|!=|<|>)\s*(.+?)\s*$/;
+
+function parseLiteral(raw: string): number | boolean | string {
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  const quoted = raw.match(/^(["'])(.*)\1$/);
+  if (quoted) return quoted[2] ?? '';
+  const num = Number(raw);
+  return Number.isFinite(num) ? num : raw;
+}
+
+/**
+ * Parse a condition expression, e.g. `pressure_psi < 5` or `state/relays.1 == 0`
+ * Throws on malformed input so scenarios fail loudly instead of passing silently
+ */
+export function parseCondition(expression: string): ParsedCondition {
+  const match = expression.match(CONDITION_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid condition: ${expression}`);
+  }
+
+  const [, ref = '', operator, literal = ''] = match;
+  const expected = parseLiteral(literal);
+  const slash = ref.indexOf('/');
+
+  if (slash === -1) {
+    return { source: 'telemetry', key: ref, path: [], operator: operator as Operator, expected };
+  }
+
+  const source = ref.slice(0, slash);
+  if (source !== 'state' && source !== 'meta') {
+    throw new Error(`Unknown condition source "${source}" in: ${expression}`);
+  }
+
+  // state/relays.1 -> key "relays", path ["1"]; brackets are accepted as well (relays[1])
+  const [key = '', ...path] = ref
+    .slice(slash + 1)
+    .replace(/\[(\w+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+  if (!key) {
+    throw new Error(`Missing ${source} key in: ${expression}`);
+  }
+
+  return { source, key, path, operator: operator as Operator, expected };
+}
+
+function resolvePath(value: unknown, path: string[]): unknown {
+  let current = value;
+  for (const segment of path) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = (current as Record<string, unknown>)[segment];
+  }
+  return current;
+}
+
+/**
+ * Coerce a device-reported value towards the expected literal's type
+ * State payloads are often strings ("1", "true") or 0/1 flags
+ */
+function coerce(actual: unknown, expected: number | boolean | string): unknown {
+  if (typeof expected === 'number') {
+    if (typeof actual === 'boolean') return actual ? 1 : 0;
+    if (typeof actual === 'string' && actual.trim() !== '') {
+      const num = Number(actual);
+      return Number.isFinite(num) ? num : actual;
+    }
+    return actual;
+  }
+  if (typeof expected === 'boolean') {
+    if (typeof actual === 'number') return actual !== 0;
+    if (typeof actual === 'string') {
+      const lowered = actual.trim().toLowerCase();
+      if (lowered === 'true' || lowered === '1' || lowered === 'on') return true;
+      if (lowered === 'false' || lowered === '0' || lowered === 'off') return false;
+    }
+    return actual;
+  }
+  return actual === undefined || actual === null ? actual : String(actual);
+}
+
+function compare(actual: unknown, operator: Operator, expected: number | boolean | string): boolean {
+  if (actual === undefined || actual === null) return false;
+
+  switch (operator) {
+    case '==':
+      return actual === expected;
+    case '!=':
+      return actual !== expected;
+    default:
+      if (typeof actual !== 'number' || typeof expected !== 'number') return false;
+      if (operator === '<') return actual < expected;
+      if (operator === '<=') return actual <= expected;
+      if (operator === '>') return actual > expected;
+      return actual >= expected;
+  }
+}
+
+/**
+ * Read the value a condition refers to on a device
+ */
+export function readConditionValue(
+  condition: ParsedCondition,
+  deviceId: string,
+  context: ConditionContext
+): unknown {
+  if (condition.source === 'telemetry') {
+    return context.getLatestValue(deviceId, condition.key);
+  }
+
+  const device = context.getDevice(deviceId);
+  const bucket = device?.metadata?.[condition.source] as Record<string, unknown> | undefined;
+  return resolvePath(bucket?.[condition.key], condition.path);
+}
+
+/**
+ * Evaluate a parsed condition; missing values never satisfy a condition
+ */
+export function evaluateCondition(
+  condition: ParsedCondition,
+  deviceId: string,
+  context: ConditionContext
+): ConditionResult {
+  const actual = readConditionValue(condition, deviceId, context);
+  const ok = compare(coerce(actual, condition.expected), condition.operator, condition.expected);
+  return { ok, actual };
+}
+
+/**
+ * Human-readable actual value for step results
+ */
+export function formatConditionValue(value: unknown): string {
+  if (value === undefined) return 'no data';
+  if (typeof value === 'string') return `"${value}"`;
+  return JSON.stringify(value);
+}
@@ -0,0 +1,242 @@
+import { MqttTransport, PublishOptions } from '@/services/mqtt/client';
+import { buildTopic, parseTopic, topicMatches } from '@/services/mqtt/parser';
+import { ConnectionState, MessageHandler, MessageProperties, TopicKind } from '@/types/mqtt';
+import { SimulatorConfig } from '@/config';
+import { SimDevice, SimMessage } from './sim-device';
+
+const CONNECT_DELAY_MS = 300;
+const HOUR_MS = 60 * 60 * 1000;
+const REASON_IMPLEMENTATION_ERROR = 0x83;
+
+// Duration ranges for injected conditions
+const FAULT_MS: [number, number] = [10_000, 30_000];
+const DROPOUT_MS: [number, number] = [15_000, 45_000];
+const STALE_MS: [number, number] = [8_000, 20_000];
+
+/**
+ * MQTT 5 response properties: correlation data echoed, outcome as a reason code
+ */
+function ackProperties(correlationData: Uint8Array, error?: string): MessageProperties {
+  return {
+    correlationData,
+    userProperties: error
+      ? { reason_code: String(REASON_IMPLEMENTATION_ERROR), reason_string: error }
+      : { reason_code: '0' },
+  };
+}
+
+function randomBetween([min, max]: [number, number]): number {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Simulated fleet behind the MqttTransport interface
+ * Virtual devices publish status, meta, state, telemetry and events, ACK commands,
+ * and randomly fault, drop out and go stale so every UI path can be exercised without hardware
+ */
+export class FleetSimulator implements MqttTransport {
+  private connectionState: ConnectionState = ConnectionState.Disconnected;
+  private readonly stateListeners = new Set<(state: ConnectionState) => void>();
+  private readonly handlers = new Set<MessageHandler>();
+  private readonly subscriptions = new Set<string>();
+  private readonly encoder = new TextEncoder();
+  private readonly devices: SimDevice[];
+  private tickTimer: ReturnType<typeof setInterval> | null = null;
+  private readonly timers = new Set<ReturnType<typeof setTimeout>>();
+
+  /**
+   * deviceLevels pads device ids to the topic contract's device path depth (sim/sim-pressure-01)
+   */
+  constructor(private readonly config: SimulatorConfig, deviceLevels = 1) {
+    const idPrefix = 'sim/'.repeat(Math.max(0, deviceLevels - 1));
+    this.devices = Array.from({ length: config.deviceCount }, (_, index) => new SimDevice(index, config.telemetryIntervalMs, idPrefix));
+  }
+
+  getConnectionState(): ConnectionState {
+    return this.connectionState;
+  }
+
+  // Virtual devices answer like MQTT 5 firmware (correlation data echoed on the ACK)
+  getProtocolVersion(): 5 | null {
+    return this.connectionState === ConnectionState.Connected ? 5 : null;
+  }
+
+  getConnectionError(): null {
+    return null;
+  }
+
+  connect(): void {
+    if (this.connectionState !== ConnectionState.Disconnected) return;
+
+    console.log('[Simulator] Starting fleet of', this.devices.length, 'devices');
+    this.setConnectionState(ConnectionState.Connecting);
+    this.later(CONNECT_DELAY_MS, () => {
+      this.setConnectionState(ConnectionState.Connected);
+      // Subscriptions are made on connect, so announce once they are in place
+      this.later(0, () => {
+        for (const device of this.devices) {
+          this.emit(device, device.announce());
+          this.emit(device, [device.event('info', 'boot', 'Device booted')]);
+        }
+      });
+      this.tickTimer = setInterval(() => this.tick(), this.config.telemetryIntervalMs);
+    });
+  }
+
+  disconnect(): void {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.subscriptions.clear();
+    this.setConnectionState(ConnectionState.Disconnected);
+  }
+
+  subscribe(topic: string | string[]): Promise<void> {
+    (Array.isArray(topic) ? topic : [topic]).forEach((filter) => this.subscriptions.add(filter));
+    return Promise.resolve();
+  }
+
+  unsubscribe(topic: string | string[]): void {
+    (Array.isArray(topic) ? topic : [topic]).forEach((filter) => this.subscriptions.delete(filter));
+  }
+
+  /**
+   * Commands (the contract's command topic) are applied by the target device and ACKed
+   * after ackDelayMs; configured fractions are NACKed or never answered
+   */
+  publish(topic: string, payload: string | Buffer, options: PublishOptions = {}): Promise<void> {
+    if (this.connectionState !== ConnectionState.Connected) {
+      return Promise.reject(new Error('MQTT client not connected'));
+    }
+
+    const parsed = parseTopic(topic);
+    const action = parsed?.metric;
+    const device = this.devices.find((d) => d.id === parsed?.deviceId);
+    if (parsed?.messageType !== 'command' || !action || !device) {
+      return Promise.resolve();
+    }
+
+    let envelope: { id?: unknown; args?: unknown };
+    try {
+      envelope = JSON.parse(typeof payload === 'string' ? payload : new TextDecoder().decode(payload));
+    } catch {
+      return Promise.resolve();
+    }
+
+    // Offline devices and simulated timeouts never answer
+    if (device.mode === 'dropout' || Math.random() < this.config.ackTimeoutRate) {
+      return Promise.resolve();
+    }
+
+    const id = String(envelope.id ?? '');
+    const args = envelope.args && typeof envelope.args === 'object' ? (envelope.args as Record<string, unknown>) : {};
+
+    const correlationData = options.properties?.correlationData;
+    const ack = (error?: string): SimMessage => ({
+      subtopic: `ack/${action}`,
+      payload: error ? { id, ok: false, err: error } : { id, ok: true },
+      ...(correlationData && { properties: ackProperties(correlationData, error) }),
+    });
+
+    this.later(this.config.ackDelayMs * (0.5 + Math.random()), () => {
+      if (Math.random() < this.config.ackFailureRate) {
+        this.emit(device, [ack('Simulated failure')]);
+        return;
+      }
+
+      const result = device.applyCommand(action, args);
+      this.emit(device, [ack(result.error), ...result.messages]);
+    });
+    return Promise.resolve();
+  }
+
+  onMessage(handler: MessageHandler): void {
+    this.handlers.add(handler);
+  }
+
+  offMessage(handler: MessageHandler): void {
+    this.handlers.delete(handler);
+  }
+
+  onConnectionStateChange(listener: (state: ConnectionState) => void): () => void {
+    this.stateListeners.add(listener);
+    return () => this.stateListeners.delete(listener);
+  }
+
+  /**
+   * One telemetry interval: publish samples and start or end faults, dropouts and stale periods
+   */
+  private tick(): void {
+    const now = Date.now();
+    const chance = (perHour: number) => Math.random() < (perHour * this.config.telemetryIntervalMs) / HOUR_MS;
+
+    for (const device of this.devices) {
+      if (device.mode !== 'online' && now >= device.modeUntil) {
+        const recovered = device.mode === 'dropout';
+        device.mode = 'online';
+        if (recovered) {
+          this.emit(device, [...device.announce(), device.event('warning', 'reconnect', 'Reconnected after dropout')]);
+        }
+      }
+
+      if (device.mode === 'online') {
+        if (chance(this.config.dropoutsPerHour)) {
+          device.mode = 'dropout';
+          device.modeUntil = now + randomBetween(DROPOUT_MS);
+          // What the broker would publish from the device's last will
+          this.emit(device, [device.status(false), { subtopic: 'state/online', payload: 0 }]);
+          continue;
+        }
+        if (chance(this.config.stalePeriodsPerHour)) {
+          device.mode = 'stale';
+          device.modeUntil = now + randomBetween(STALE_MS);
+        }
+      }
+
+      if (device.mode === 'dropout') continue;
+
+      if (device.faulted && now >= device.faultUntil) {
+        this.emit(device, [device.clearFault()]);
+      } else if (!device.faulted && chance(this.config.faultsPerHour)) {
+        this.emit(device, [device.startFault(now + randomBetween(FAULT_MS))]);
+      }
+
+      if (device.mode === 'online') {
+        this.emit(device, [device.telemetry(now)]);
+      }
+    }
+  }
+
+  /**
+   * Deliver device messages to handlers for every matching subscription
+   */
+  private emit(device: SimDevice, messages: SimMessage[]): void {
+    if (this.connectionState !== ConnectionState.Connected) return;
+
+    for (const { subtopic, payload, properties } of messages) {
+      const [kind, ...metric] = subtopic.split('/');
+      const topic = buildTopic(device.id, kind as TopicKind, metric.join('/'));
+      if (!Array.from(this.subscriptions).some((filter) => topicMatches(filter, topic))) continue;
+
+      const bytes = this.encoder.encode(JSON.stringify(payload));
+      this.handlers.forEach((handler) => handler(topic, bytes, properties, false));
+    }
+  }
+
+  private later(delayMs: number, callback: () => void): void {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  private setConnectionState(state: ConnectionState): void {
+    if (this.connectionState === state) return;
+    this.connectionState = state;
+    this.stateListeners.forEach((listener) => listener(state));
+  }
+}
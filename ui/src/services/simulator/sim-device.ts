@@ -0,0 +1,280 @@
+import { CommandArgs } from '@/types/command';
+import { MessageProperties } from '@/types/mqtt';
+
+/**
+ * Telemetry field model: mean-reverting random walk around `base`
+ * `poweredBy` drops the target to 0 while that relay is off
+ */
+interface FieldProfile {
+  base: number;
+  noise: number;
+  priority: 'high' | 'medium' | 'low';
+  poweredBy?: number;
+  decimals: number;
+}
+
+interface DeviceProfile {
+  deviceType: string;
+  relays: number;
+  fields: Record<string, FieldProfile>;
+  // Field pushed out of range while a fault is active
+  faultField: string;
+  faultMessage: string;
+}
+
+const PROFILES: DeviceProfile[] = [
+  {
+    deviceType: 'pressure_rig',
+    relays: 4,
+    fields: {
+      pressure_psi: { base: 32, noise: 0.6, priority: 'high', poweredBy: 1, decimals: 2 },
+      temp_c: { base: 22, noise: 0.1, priority: 'medium', decimals: 2 },
+      rssi_dbm: { base: -58, noise: 1.5, priority: 'low', decimals: 0 },
+    },
+    faultField: 'pressure_psi',
+    faultMessage: 'Overpressure detected',
+  },
+  {
+    deviceType: 'scale_station',
+    relays: 2,
+    fields: {
+      mass_g: { base: 500, noise: 2.5, priority: 'high', decimals: 1 },
+      temp_c: { base: 21, noise: 0.1, priority: 'medium', decimals: 2 },
+      rssi_dbm: { base: -63, noise: 1.5, priority: 'low', decimals: 0 },
+    },
+    faultField: 'mass_g',
+    faultMessage: 'Load cell out of range',
+  },
+  {
+    deviceType: 'thermal_bay',
+    relays: 4,
+    fields: {
+      temp_c: { base: 58, noise: 0.4, priority: 'high', poweredBy: 1, decimals: 2 },
+      voltage_v: { base: 24, noise: 0.05, priority: 'medium', decimals: 3 },
+      rssi_dbm: { base: -55, noise: 1.5, priority: 'low', decimals: 0 },
+    },
+    faultField: 'temp_c',
+    faultMessage: 'Over-temperature',
+  },
+];
+
+/**
+ * Messages a virtual device emits: {kind}/{metric?} topic suffix and JSON payload
+ */
+export interface SimMessage {
+  subtopic: string;
+  payload: unknown;
+  properties?: MessageProperties;
+}
+
+/**
+ * Result of applying a command - `error` makes the device NACK it
+ */
+export interface SimCommandResult {
+  error?: string;
+  messages: SimMessage[];
+}
+
+export type SimDeviceMode = 'online' | 'dropout' | 'stale';
+
+function gaussian(): number {
+  // Box-Muller; 1 - random() keeps log() away from 0
+  return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+function round(value: number, decimals: number): number {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * One virtual Pulsar device following the topic contract
+ */
+export class SimDevice {
+  readonly id: string;
+  readonly profile: DeviceProfile;
+  mode: SimDeviceMode = 'online';
+  modeUntil = 0;
+  faultUntil = 0;
+
+  private readonly bootedAt = Date.now();
+  private readonly relays: Record<string, number> = {};
+  private readonly values: Record<string, number> = {};
+  private readonly ip: string;
+
+  constructor(
+    index: number,
+    private readonly intervalMs: number,
+    idPrefix = ''
+  ) {
+    this.profile = PROFILES[index % PROFILES.length]!;
+    this.id = `${idPrefix}sim-${this.profile.deviceType.split('_')[0]}-${String(index + 1).padStart(2, '0')}`;
+    this.ip = `10.0.0.${index + 10}`;
+
+    for (let relay = 1; relay <= this.profile.relays; relay++) {
+      this.relays[relay] = relay === 1 ? 1 : 0;
+    }
+    for (const [name, field] of Object.entries(this.profile.fields)) {
+      this.values[name] = field.base;
+    }
+  }
+
+  get faulted(): boolean {
+    return this.faultUntil > 0;
+  }
+
+  /**
+   * Retained-style announcement sent on connect and after a dropout
+   */
+  announce(): SimMessage[] {
+    return [
+      this.status(true),
+      { subtopic: 'meta/capabilities', payload: this.capabilities() },
+      { subtopic: 'meta/commands', payload: commandSchemas(this.profile.relays) },
+      { subtopic: 'state/relays', payload: { ...this.relays } },
+      { subtopic: 'state/online', payload: 1 },
+    ];
+  }
+
+  status(online: boolean): SimMessage {
+    return {
+      subtopic: 'status',
+      payload: {
+        v: 1,
+        online,
+        t_ms: Date.now(),
+        ip: this.ip,
+        fw: '1.4.2-sim',
+        device_type: this.profile.deviceType,
+        uptime_ms: Date.now() - this.bootedAt,
+      },
+    };
+  }
+
+  private capabilities(): Record<string, unknown> {
+    const metricPriority: Record<string, string> = { uptime_ms: 'low' };
+    for (const [name, field] of Object.entries(this.profile.fields)) {
+      metricPriority[name] = field.priority;
+    }
+    return {
+      v: 1,
+      device_type: this.profile.deviceType,
+      telemetry_fields: [...Object.keys(this.profile.fields), 'uptime_ms'],
+      metric_priority: metricPriority,
+      publish_interval_ms: this.intervalMs,
+      // Health degrades when a high-priority field goes silent
+      required_metrics: Object.keys(this.profile.fields).filter((name) => this.profile.fields[name]!.priority === 'high'),
+      commands: Object.keys(commandSchemas(this.profile.relays)),
+      relays: this.profile.relays,
+    };
+  }
+
+  /**
+   * Advance the field models one step and return a telemetry frame
+   */
+  telemetry(now: number): SimMessage {
+    const fields: Record<string, number> = {};
+    for (const [name, field] of Object.entries(this.profile.fields)) {
+      let target = field.base;
+      if (field.poweredBy !== undefined && this.relays[field.poweredBy] === 0) target = 0;
+      if (this.faulted && name === this.profile.faultField) target = field.base * 1.8;
+
+      const previous = this.values[name] ?? field.base;
+      const next = previous + (target - previous) * 0.08 + gaussian() * field.noise;
+      this.values[name] = next;
+      fields[name] = round(next, field.decimals);
+    }
+    fields.uptime_ms = now - this.bootedAt;
+
+    return { subtopic: 'telemetry', payload: { v: 1, t_ms: now, fields } };
+  }
+
+  startFault(until: number): SimMessage {
+    this.faultUntil = until;
+    return this.event('error', 'fault', `${this.profile.faultMessage} (${this.profile.faultField})`);
+  }
+
+  clearFault(): SimMessage {
+    this.faultUntil = 0;
+    return this.event('success', 'fault_cleared', `${this.profile.faultMessage} cleared`);
+  }
+
+  event(level: 'info' | 'warning' | 'error' | 'success', event: string, message: string): SimMessage {
+    return { subtopic: `event/${event}`, payload: { v: 1, t_ms: Date.now(), level, event, message } };
+  }
+
+  /**
+   * Apply a command envelope's action and args
+   */
+  applyCommand(action: string, args: Record<string, unknown>): SimCommandResult {
+    switch (action) {
+      case 'relay.set': {
+        const relay = Number(args.relay);
+        const state = Number(args.state);
+        if (!(String(relay) in this.relays)) return { error: `No relay ${String(args.relay)}`, messages: [] };
+        if (state !== 0 && state !== 1) return { error: 'state must be 0 or 1', messages: [] };
+        this.relays[relay] = state;
+        return { messages: [this.relayState()] };
+      }
+      case 'relay.all_off':
+      case 'deactivate_relay':
+        for (const relay of Object.keys(this.relays)) this.relays[relay] = 0;
+        return { messages: [this.relayState()] };
+      case 'activate_relay':
+        this.relays[1] = 1;
+        return { messages: [this.relayState()] };
+      case 'request_status':
+        return { messages: [this.status(true), this.relayState()] };
+      case 'system.identify':
+        return { messages: [this.event('info', 'identify', `Identify blink for ${Number(args.duration_ms) || 1000} ms`)] };
+      case 'set_threshold':
+      case 'calibration.dry_run':
+        return { messages: [] };
+      case 'calibration.apply':
+        return { messages: [this.event('info', 'calibration', 'Calibration applied')] };
+      default:
+        return { error: `Unknown command: ${action}`, messages: [] };
+    }
+  }
+
+  private relayState(): SimMessage {
+    return { subtopic: 'state/relays', payload: { ...this.relays } };
+  }
+}
+
+/**
+ * Argument schemas published on meta/commands (same subset the Command Builder renders)
+ */
+function commandSchemas(relays: number): Record<string, CommandArgs> {
+  return {
+    'relay.set': {
+      description: 'Switch one relay',
+      properties: {
+        relay: { type: 'integer', minimum: 1, maximum: relays },
+        state: { type: 'integer', enum: [0, 1] },
+      },
+      required: ['relay', 'state'],
+    },
+    'relay.all_off': { description: 'Turn all relays off', properties: {} },
+    activate_relay: {
+      description: 'Turn relay 1 on',
+      properties: { duration: { type: 'integer', minimum: 0 } },
+    },
+    deactivate_relay: { description: 'Turn all relays off', properties: {} },
+    set_threshold: {
+      description: 'Set alarm threshold',
+      properties: {
+        metric: { type: 'string' },
+        value: { type: 'number' },
+      },
+      required: ['metric', 'value'],
+    },
+    request_status: { description: 'Republish status', properties: {} },
+    'system.identify': {
+      description: 'Blink the identify LED',
+      properties: { duration_ms: { type: 'integer', minimum: 100, maximum: 10000, default: 1000 } },
+    },
+    'calibration.dry_run': { description: 'Validate calibration without applying', properties: {} },
+    'calibration.apply': { description: 'Apply calibration', properties: {} },
+  };
+}
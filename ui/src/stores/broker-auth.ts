@@ -0,0 +1,39 @@
+import { create } from 'zustand';
+import { BrokerCredentials, loadSessionCredentials, saveSessionCredentials } from '@/services/mqtt/auth';
+
+interface BrokerAuthState {
+  // Login dialog credentials for this tab per broker id (absent = use config.json)
+  credentials: Record<string, BrokerCredentials>;
+  // Broker whose login dialog is open
+  loginBroker: string | null;
+
+  login: (broker: string, credentials: BrokerCredentials) => void;
+  logout: (broker: string) => void;
+  openLogin: (broker: string) => void;
+  closeLogin: () => void;
+}
+
+/**
+ * Broker login state - changing a broker's credentials reconnects it through App's MQTT config
+ */
+export const useBrokerAuth = create<BrokerAuthState>((set, get) => ({
+  credentials: loadSessionCredentials(),
+  loginBroker: null,
+
+  login: (broker, credentials) => {
+    const next = { ...get().credentials, [broker]: credentials };
+    saveSessionCredentials(next);
+    set({ credentials: next, loginBroker: null });
+  },
+
+  logout: (broker) => {
+    const next = { ...get().credentials };
+    delete next[broker];
+    saveSessionCredentials(next);
+    set({ credentials: next });
+  },
+
+  // One dialog at a time; other rejected brokers keep their Sign in button in the Sidebar
+  openLogin: (broker) => set((state) => (state.loginBroker ? state : { loginBroker: broker })),
+  closeLogin: () => set({ loginBroker: null }),
+}));
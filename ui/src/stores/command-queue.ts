@@ -1,7 +1,58 @@
 import { create } from 'zustand';
-import { Command, CommandStatus } from '@/types/command';
+import {
+  Command,
+  CommandAck,
+  CommandStatus,
+  BroadcastRollup,
+  BROADCAST_DEVICE_ID,
+} from '@/types/command';
 import { mqttClient } from '@/services/mqtt/client';
-import { buildTopic } from '@/services/mqtt/parser';
+import { buildCommandTopic, buildTopic } from '@/services/mqtt/parser';
+import { splitDeviceId } from '@/services/mqtt/brokers';
+import {
+  buildCommandEnvelope,
+  buildCommandProperties,
+  createCommand,
+} from '@/services/mqtt/command-envelope';
+import { selectDevices, describeSelector } from '@/services/device-selector';
+import { useDeviceRegistry } from '@/stores/device-registry';
+import { useBrokerAuth } from '@/stores/broker-auth';
+import { getPublishBlockReason } from '@/stores/data-source';
+import { useUiState } from '@/stores/ui';
+import { getRuntimeConfig } from '@/config';
+
+/**
+ * ACK timeout timers keyed by command id (kept outside state - not renderable)
+ */
+const ackTimers = new Map<string, ReturnType<typeof setTimeout>>();
+
+/**
+ * Operator recorded on commands: the username signed in to the device's broker
+ * (login dialog credentials replace the config.json ones as a whole, as for the connection)
+ */
+function brokerOperator(deviceId: string): string | undefined {
+  const { broker } = splitDeviceId(deviceId);
+  const session = useBrokerAuth.getState().credentials[broker];
+  const configured = getRuntimeConfig().brokers.find((entry) => entry.id === broker)?.auth;
+  const username = (session ? session.username : configured?.username)?.trim();
+  return username || undefined;
+}
+
+function clearAckTimer(id: string): void {
+  const timer = ackTimers.get(id);
+  if (timer) {
+    clearTimeout(timer);
+    ackTimers.delete(id);
+  }
+}
+
+function isTerminal(status: CommandStatus): boolean {
+  return (
+    status === CommandStatus.Success ||
+    status === CommandStatus.Failed ||
+    status === CommandStatus.Timeout
+  );
+}
 
 /**
  * Command queue state
@@ -13,6 +64,8 @@ interface CommandQueueState {
   stageCommand: (command: Command) => void;
   executeCommand: (id: string) => Promise<void>;
   updateCommandStatus: (id: string, status: CommandStatus, error?: string) => void;
+  resolveAck: (id: string, deviceId: string, ack: CommandAck) => boolean;
+  settleBroadcast: (parentId: string) => void;
   removeCommand: (id: string) => void;
   clearHistory: () => void;
   
@@ -21,6 +74,8 @@ interface CommandQueueState {
   getPendingCommands: () => Command[];
   getCommandHistory: () => Command[];
   getDeviceCommands: (deviceId: string) => Command[];
+  getChildCommands: (parentId: string) => Command[];
+  getBroadcastRollup: (parentId: string) => BroadcastRollup;
 }
 
 /**
@@ -31,8 +86,11 @@ export const useCommandQueue = create<CommandQueueState>((set, get) => ({
 
   stageCommand: (command) =>
     set((state) => {
+      // Broadcast children are staged per device, so each gets the operator of its own broker
+      const operator =
+        command.operator ?? (command.deviceId === BROADCAST_DEVICE_ID ? undefined : brokerOperator(command.deviceId));
       const newCommands = new Map(state.commands);
-      newCommands.set(command.id, command);
+      newCommands.set(command.id, operator ? { ...command, operator } : command);
       return { commands: newCommands };
     }),
 
@@ -43,28 +101,67 @@ export const useCommandQueue = create<CommandQueueState>((set, get) => ({
       return;
     }
 
+    const blockReason = getPublishBlockReason();
+    if (blockReason) {
+      get().updateCommandStatus(id, CommandStatus.Failed, blockReason);
+      return;
+    }
+
+    if (command.deviceId === BROADCAST_DEVICE_ID) {
+      await executeBroadcast(command);
+      return;
+    }
+
     try {
       // Update status to pending
       get().updateCommandStatus(id, CommandStatus.Pending);
 
-      // Build MQTT topic: pulsar/{deviceId}/cmd/{action}
-      const topic = buildTopic(command.deviceId, 'cmd', command.action);
-      
+      const timeoutMs = getRuntimeConfig().commandTimeoutMs;
+
+      // Route to the device's broker under the id its topics use
+      const { broker, deviceId } = splitDeviceId(command.deviceId);
+      const topic = buildCommandTopic(deviceId, command.action);
+      const payload = buildCommandEnvelope(command, timeoutMs);
+
+      // MQTT 5: request/response with correlation data; the reply goes to the device's ACK topic
+      const properties =
+        mqttClient.getProtocolVersion(broker) === 5
+          ? buildCommandProperties(
+              command,
+              buildTopic(deviceId, 'ack', command.action),
+              useUiState.getState().authorityLevel
+            )
+          : undefined;
+
       // Publish command to MQTT
-      await mqttClient.publish(topic, JSON.stringify(command.payload), { qos: 1 });
+      await mqttClient.publish(topic, JSON.stringify(payload), { qos: 1, ...(properties && { properties }) }, broker);
       
-      console.log('[CommandQueue] Published command:', { topic, payload: command.payload });
+      console.log('[CommandQueue] Published command:', { broker, topic, payload, properties });
+
+      // The ACK may already have arrived while the publish was in flight
+      if (get().getCommand(id)?.status !== CommandStatus.Pending) {
+        return;
+      }
 
       // Update status to sent
       get().updateCommandStatus(id, CommandStatus.Sent);
 
-      // Set timeout for command response
-      setTimeout(() => {
-        const cmd = get().getCommand(id);
-        if (cmd && cmd.status === CommandStatus.Sent) {
-          get().updateCommandStatus(id, CommandStatus.Timeout, 'Command timeout - no response received');
-        }
-      }, 5000); // 5 second timeout
+      // Time out if the device never ACKs
+      clearAckTimer(id);
+      ackTimers.set(
+        id,
+        setTimeout(() => {
+          ackTimers.delete(id);
+          const cmd = get().getCommand(id);
+          if (cmd && cmd.status === CommandStatus.Sent) {
+            get().updateCommandStatus(
+              id,
+              CommandStatus.Timeout,
+              `No ACK received within ${timeoutMs}ms`
+            );
+          }
+        }, timeoutMs)
+      );
 
     } catch (error) {
       console.error('[CommandQueue] Failed to publish command:', error);
@@ -72,23 +169,19 @@ export const useCommandQueue = create<CommandQueueState>((set, get) => ({
     }
   },
 
-  updateCommandStatus: (id, status, error) =>
-    set((state) => {
-      const existing = state.commands.get(id);
-      if (!existing) return state;
+  updateCommandStatus: (id, status, error) => {
+    const existing = get().getCommand(id);
+    if (!existing) return;
 
+    set((state) => {
       const newCommands = new Map(state.commands);
       const updates: Partial<Command> = { status };
 
-      if (status === CommandStatus.Sent && !existing.sentAt) {
+      // Pending starts the publish: an ACK can arrive before it resolves
+      if ((status === CommandStatus.Pending || status === CommandStatus.Sent) && !existing.sentAt) {
         updates.sentAt = Date.now();
       }
-      if (
-        (status === CommandStatus.Success ||
-          status === CommandStatus.Failed ||
-          status === CommandStatus.Timeout) &&
-        !existing.completedAt
-      ) {
+      if (isTerminal(status) && !existing.completedAt) {
         updates.completedAt = Date.now();
       }
       if (error) {
@@ -97,25 +190,81 @@ export const useCommandQueue = create<CommandQueueState>((set, get) => ({
 
       newCommands.set(id, { ...existing, ...updates });
       return { commands: newCommands };
-    }),
+    });
+
+    if (existing.parentId && isTerminal(status)) {
+      get().settleBroadcast(existing.parentId);
+    }
+  },
+
+  resolveAck: (id, deviceId, ack) => {
+    const existing = get().getCommand(id);
+    if (!existing || existing.deviceId !== deviceId) return false;
+    if (existing.status !== CommandStatus.Pending && existing.status !== CommandStatus.Sent) {
+      return false;
+    }
+
+    clearAckTimer(id);
+
+    const now = Date.now();
+    const resolved: Command = {
+      ...existing,
+      status: ack.ok ? CommandStatus.Success : CommandStatus.Failed,
+      completedAt: now,
+      ...(existing.sentAt && { latencyMs: now - existing.sentAt }),
+      ...(!ack.ok && { error: ack.error || 'Command rejected by device' }),
+    };
+
+    set((state) => {
+      const newCommands = new Map(state.commands);
+      newCommands.set(id, resolved);
+      return { commands: newCommands };
+    });
+
+    if (existing.parentId) {
+      get().settleBroadcast(existing.parentId);
+    }
+    return true;
+  },
+
+  settleBroadcast: (parentId) => {
+    const parent = get().getCommand(parentId);
+    if (!parent || isTerminal(parent.status)) return;
+
+    const rollup = get().getBroadcastRollup(parentId);
+    if (rollup.total === 0 || rollup.inFlight > 0) return;
+
+    if (rollup.acked === rollup.total) {
+      get().updateCommandStatus(parentId, CommandStatus.Success);
+    } else {
+      const problems = [
+        rollup.failed > 0 && `${rollup.failed} failed`,
+        rollup.timeout > 0 && `${rollup.timeout} timeout`,
+      ].filter(Boolean);
+      get().updateCommandStatus(parentId, CommandStatus.Failed, problems.join(', '));
+    }
+  },
 
   removeCommand: (id) =>
     set((state) => {
       const newCommands = new Map(state.commands);
-      newCommands.delete(id);
+      // Removing a broadcast parent removes its children too
+      for (const [cmdId, cmd] of newCommands.entries()) {
+        if (cmdId === id || cmd.parentId === id) {
+          clearAckTimer(cmdId);
+          newCommands.delete(cmdId);
+        }
+      }
       return { commands: newCommands };
     }),
 
   clearHistory: () =>
     set((state) => {
       const newCommands = new Map(state.commands);
-      // Keep only pending/staged commands
+      // Keep only pending/staged commands (and children of in-flight broadcasts)
       for (const [id, cmd] of newCommands.entries()) {
-        if (
-          cmd.status === CommandStatus.Success ||
-          cmd.status === CommandStatus.Failed ||
-          cmd.status === CommandStatus.Timeout
-        ) {
+        const parent = cmd.parentId ? state.commands.get(cmd.parentId) : undefined;
+        if (isTerminal(cmd.status) && !(parent && !isTerminal(parent.status))) {
           newCommands.delete(id);
         }
       }
@@ -126,23 +275,13 @@ export const useCommandQueue = create<CommandQueueState>((set, get) => ({
 
   getPendingCommands: () => {
     return Array.from(get().commands.values())
-      .filter(
-        (cmd) =>
-          cmd.status === CommandStatus.Staged ||
-          cmd.status === CommandStatus.Pending ||
-          cmd.status === CommandStatus.Sent
-      )
+      .filter((cmd) => !cmd.parentId && !isTerminal(cmd.status))
       .sort((a, b) => b.stagedAt - a.stagedAt);
   },
 
   getCommandHistory: () => {
     return Array.from(get().commands.values())
-      .filter(
-        (cmd) =>
-          cmd.status === CommandStatus.Success ||
-          cmd.status === CommandStatus.Failed ||
-          cmd.status === CommandStatus.Timeout
-      )
+      .filter((cmd) => !cmd.parentId && isTerminal(cmd.status))
       .sort((a, b) => (b.completedAt || 0) - (a.completedAt || 0));
   },
 
@@ -151,4 +290,64 @@ export const useCommandQueue = create<CommandQueueState>((set, get) => ({
       .filter((cmd) => cmd.deviceId === deviceId)
       .sort((a, b) => b.stagedAt - a.stagedAt);
   },
+
+  getChildCommands: (parentId) => {
+    return Array.from(get().commands.values())
+      .filter((cmd) => cmd.parentId === parentId)
+      .sort((a, b) => a.deviceId.localeCompare(b.deviceId));
+  },
+
+  getBroadcastRollup: (parentId) => {
+    const rollup: BroadcastRollup = { total: 0, acked: 0, failed: 0, timeout: 0, inFlight: 0 };
+    for (const child of get().getChildCommands(parentId)) {
+      rollup.total++;
+      if (child.status === CommandStatus.Success) rollup.acked++;
+      else if (child.status === CommandStatus.Failed) rollup.failed++;
+      else if (child.status === CommandStatus.Timeout) rollup.timeout++;
+      else rollup.inFlight++;
+    }
+    return rollup;
+  },
 }));
+
+/**
+ * Expand a staged broadcast into per-device child commands and execute them
+ * Targets are resolved from the device registry at execution time
+ */
+async function executeBroadcast(parent: Command): Promise<void> {
+  const { updateCommandStatus, stageCommand, executeCommand } = useCommandQueue.getState();
+  const selector = parent.selector ?? { kind: 'online' };
+  const targets = selectDevices(useDeviceRegistry.getState().devices.values(), selector);
+
+  if (targets.length === 0) {
+    updateCommandStatus(
+      parent.id,
+      CommandStatus.Failed,
+      `No devices match ${describeSelector(selector)}`
+    );
+    return;
+  }
+
+  const children = targets.map((device) =>
+    createCommand({
+      deviceId: device.id,
+      action: parent.action,
+      payload: parent.payload,
+      requiresArmed: parent.requiresArmed,
+      parentId: parent.id,
+      correlationId: parent.correlationId ?? parent.id,
+      ...(parent.operator && { operator: parent.operator }),
+    })
+  );
+
+  children.forEach(stageCommand);
+  updateCommandStatus(parent.id, CommandStatus.Sent);
+
+  console.log('[CommandQueue] Broadcasting command:', {
+    action: parent.action,
+    selector: describeSelector(selector),
+    targets: targets.length,
+  });
+
+  await Promise.all(children.map((child) => executeCommand(child.id)));
+}
@@ -0,0 +1,31 @@
+import { create } from 'zustand';
+
+/**
+ * Where ingested messages come from
+ * - mqtt: live broker traffic
+ * - sim: the built-in fleet simulator (runtime config `"source": "sim"`)
+ * - replay: a recorded capture fed through the same ingestion path
+ */
+export type DataSource = 'mqtt' | 'sim' | 'replay';
+
+interface DataSourceState {
+  source: DataSource;
+  setSource: (source: DataSource) => void;
+}
+
+/**
+ * Active data source - live frames are dropped and publishing is blocked during replay
+ */
+export const useDataSource = create<DataSourceState>((set) => ({
+  source: 'mqtt',
+  setSource: (source) => set({ source }),
+}));
+
+/**
+ * Why publishing is unavailable for the current source (null when it is allowed)
+ */
+export function getPublishBlockReason(): string | null {
+  return useDataSource.getState().source === 'replay'
+    ? 'Command publishing is disabled during replay'
+    : null;
+}
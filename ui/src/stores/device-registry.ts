@@ -13,6 +13,7 @@ interface DeviceRegistryState {
   updateDevice: (id: string, updates: Partial<Device>) => void;
   removeDevice: (id: string) => void;
   setFilter: (filter: Partial<DeviceFilter>) => void;
+  setBrokerFilter: (broker: string | null) => void; // null = all brokers
   clearFilter: () => void;
   
   // Selectors
@@ -58,6 +59,12 @@ export const useDeviceRegistry = create<DeviceRegistryState>((set, get) => ({
       filter: { ...state.filter, ...filter },
     })),
 
+  setBrokerFilter: (broker) =>
+    set((state) => {
+      const { broker: _previous, ...filter } = state.filter;
+      return { filter: broker ? { ...filter, broker } : filter };
+    }),
+
   clearFilter: () => set({ filter: {} }),
 
   getDevice: (id) => get().devices.get(id),
@@ -72,6 +79,9 @@ export const useDeviceRegistry = create<DeviceRegistryState>((set, get) => ({
     if (filter.health) {
       filtered = filtered.filter((d) => d.health === filter.health);
     }
+    if (filter.broker) {
+      filtered = filtered.filter((d) => d.broker === filter.broker);
+    }
     if (filter.searchQuery) {
       const query = filter.searchQuery.toLowerCase();
       filtered = filtered.filter((d) => d.id.toLowerCase().includes(query));
@@ -1,5 +1,8 @@
 import { create } from 'zustand';
 import { MqttMessage } from '@/types/mqtt';
+import { topicMatches } from '@/services/mqtt/parser';
+import { matchesQuery, resolveQueryPath } from '@/services/query';
+import { Query, QueryTarget } from '@/types/query';
 
 /**
  * Circular buffer for MQTT messages
@@ -12,8 +15,8 @@ class MessageBuffer {
     this.maxSize = maxSize;
   }
 
-  push(message: MqttMessage): void {
-    this.buffer.push(message);
+  push(...messages: MqttMessage[]): void {
+    this.buffer.push(...messages);
     
     // Trim to max size
     if (this.buffer.length > this.maxSize) {
@@ -39,9 +42,12 @@ class MessageBuffer {
  */
 interface MqttMessagesState {
   buffer: MessageBuffer;
+  // Messages added since load; the buffer is mutated in place, so views select this to re-render
+  received: number;
   
   // Actions
   addMessage: (message: MqttMessage) => void;
+  addMessages: (messages: MqttMessage[]) => void;
   clearMessages: () => void;
   
   // Selectors
@@ -52,8 +58,11 @@ interface MqttMessagesState {
 export interface MessageFilter {
   deviceId?: string;
   topic?: string;
+  // MQTT topic filter (wildcards allowed), set from the topic tree
+  topicFilter?: string;
   messageType?: string;
   search?: string;
+  query?: Query;
 }
 
 /**
@@ -62,12 +71,17 @@ export interface MessageFilter {
  */
 export const useMqttMessages = create<MqttMessagesState>((set, get) => ({
   buffer: new MessageBuffer(1000),
+  received: 0,
 
   addMessage: (message) => {
-    const buffer = get().buffer;
-    buffer.push(message);
-    // Trigger re-render by setting state (Zustand detects object reference change)
-    set({ buffer });
+    get().buffer.push(message);
+    set((state) => ({ received: state.received + 1 }));
+  },
+
+  addMessages: (messages) => {
+    if (messages.length === 0) return;
+    get().buffer.push(...messages);
+    set((state) => ({ received: state.received + messages.length }));
   },
 
   clearMessages: () => {
@@ -79,33 +93,75 @@ export const useMqttMessages = create<MqttMessagesState>((set, get) => ({
     return get().buffer.getMessages();
   },
 
-  getFilteredMessages: (filter) => {
-    let messages = get().buffer.getMessages();
+  getFilteredMessages: (filter) => filterMessages(get().buffer.getMessages(), filter),
+}));
 
-    if (filter.deviceId) {
-      messages = messages.filter((msg) => msg.deviceId === filter.deviceId);
-    }
+/**
+ * Apply a RawView filter to a list of messages
+ */
+export function filterMessages(messages: MqttMessage[], filter: MessageFilter): MqttMessage[] {
+  if (filter.deviceId) {
+    messages = messages.filter((msg) => msg.deviceId === filter.deviceId);
+  }
 
-    if (filter.topic) {
-      messages = messages.filter((msg) => msg.topic.includes(filter.topic!));
-    }
+  if (filter.topic) {
+    messages = messages.filter((msg) => msg.topic.includes(filter.topic!));
+  }
 
-    if (filter.messageType) {
-      messages = messages.filter((msg) => msg.messageType === filter.messageType);
-    }
+  if (filter.topicFilter) {
+    messages = messages.filter((msg) => topicMatches(filter.topicFilter!, msg.topic));
+  }
 
-    if (filter.search) {
-      const searchLower = filter.search.toLowerCase();
-      messages = messages.filter((msg) => {
-        const payloadStr = JSON.stringify(msg.payload).toLowerCase();
-        return (
-          msg.topic.toLowerCase().includes(searchLower) ||
-          msg.deviceId.toLowerCase().includes(searchLower) ||
-          payloadStr.includes(searchLower)
-        );
-      });
-    }
+  if (filter.messageType) {
+    messages = messages.filter((msg) => msg.messageType === filter.messageType);
+  }
 
-    return messages;
-  },
-}));
+  if (filter.query) {
+    const query = filter.query;
+    messages = messages.filter((msg) => matchesQuery(query, messageQueryTarget(msg)));
+  }
+
+  if (filter.search) {
+    const searchLower = filter.search.toLowerCase();
+    messages = messages.filter((msg) => {
+      const payloadStr = JSON.stringify(msg.payload).toLowerCase();
+      return (
+        msg.topic.toLowerCase().includes(searchLower) ||
+        msg.deviceId.toLowerCase().includes(searchLower) ||
+        payloadStr.includes(searchLower)
+      );
+    });
+  }
+
+  return messages;
+}
+
+/**
+ * Query fields of a message: `device`, `topic`, `type`, `encoding`; any other field is a
+ * path into the decoded payload (`fields.pressure_psi`, or explicitly `payload.fields...`)
+ */
+export function messageQueryTarget(message: MqttMessage): QueryTarget {
+  let text: string | undefined;
+  return {
+    get: (path) => {
+      const [field, ...rest] = path;
+      switch (field) {
+        case 'device':
+        case 'deviceId':
+          return rest.length === 0 ? message.deviceId : undefined;
+        case 'topic':
+          return rest.length === 0 ? message.topic : undefined;
+        case 'type':
+          return rest.length === 0 ? message.messageType : undefined;
+        case 'encoding':
+          return rest.length === 0 ? message.encoding : undefined;
+        case 'payload':
+          return resolveQueryPath(message.payload, rest);
+        default:
+          return resolveQueryPath(message.payload, path);
+      }
+    },
+    text: () =>
+      (text ??= `${message.topic}\n${message.deviceId}\n${JSON.stringify(message.payload)}`.toLowerCase()),
+  };
+}
@@ -0,0 +1,107 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { mqttClient } from '@/services/mqtt/client';
+import { parseTopic } from '@/services/mqtt/parser';
+import { parseSparkplugTopic } from '@/services/mqtt/sparkplug';
+import { encodePayload, PayloadFormat } from '@/services/mqtt/payload';
+import { getPublishBlockReason } from '@/stores/data-source';
+import { useUiState } from '@/stores/ui';
+import { AuthorityLevel } from '@/types/command';
+
+/**
+ * A message typed into the publish console
+ */
+export interface PublishDraft {
+  topic: string;
+  payload: string;
+  format: PayloadFormat;
+  qos: 0 | 1 | 2;
+  retain: boolean;
+  // Broker id; the first broker when absent
+  broker?: string;
+}
+
+export interface PublishRecord extends PublishDraft {
+  id: string;
+  publishedAt: number;
+}
+
+interface PublisherState {
+  // Most recent first
+  history: PublishRecord[];
+
+  publish: (draft: PublishDraft) => Promise<void>;
+  clearHistory: () => void;
+}
+
+const MAX_HISTORY = 25;
+
+let publishCounter = 0;
+
+/**
+ * Command topics of the active contract and Sparkplug NCMD/DCMD reach device actuators
+ */
+export function isCommandTopic(topic: string): boolean {
+  if (parseTopic(topic)?.messageType === 'command') return true;
+  const sparkplug = parseSparkplugTopic(topic);
+  return sparkplug?.messageType === 'NCMD' || sparkplug?.messageType === 'DCMD';
+}
+
+/**
+ * Why a publish is not allowed right now (null when it is)
+ * Anything that can move a device or outlive the session (retained) needs ARMED
+ */
+export function getManualPublishBlockReason(draft: Pick<PublishDraft, 'topic' | 'retain'>): string | null {
+  const sourceReason = getPublishBlockReason();
+  if (sourceReason) return sourceReason;
+
+  const ui = useUiState.getState();
+  if (ui.authorityLevel === AuthorityLevel.View) return 'Cannot publish in VIEW mode';
+  if (isCommandTopic(draft.topic) && !ui.isArmed()) return 'Publishing to command topics requires ARMED authority';
+  if (draft.retain && !ui.isArmed()) return 'Retained publishes require ARMED authority';
+  return null;
+}
+
+/**
+ * Manual MQTT publishes from the Raw view - history is kept in localStorage for re-publishing
+ */
+export const usePublisher = create<PublisherState>()(
+  persist(
+    (set) => ({
+      history: [],
+
+      publish: async (draft) => {
+        const topic = draft.topic.trim();
+        if (!topic) throw new Error('Topic is required');
+        if (/[+#]/.test(topic)) throw new Error('Topic cannot contain wildcards');
+
+        const blockReason = getManualPublishBlockReason({ topic, retain: draft.retain });
+        if (blockReason) throw new Error(blockReason);
+
+        const payload = encodePayload(draft.payload, draft.format);
+        // mqtt.js writes any Uint8Array; its typings only name Buffer
+        await mqttClient.publish(
+          topic,
+          typeof payload === 'string' ? payload : (payload as Buffer),
+          { qos: draft.qos, retain: draft.retain },
+          draft.broker
+        );
+        console.log('[Publisher] Published:', { broker: draft.broker, topic, qos: draft.qos, retain: draft.retain });
+
+        const record: PublishRecord = {
+          ...draft,
+          topic,
+          id: `pub-${Date.now()}-${++publishCounter}`,
+          publishedAt: Date.now(),
+        };
+        set((state) => ({ history: [record, ...state.history].slice(0, MAX_HISTORY) }));
+      },
+
+      clearHistory: () => set({ history: [] }),
+    }),
+    {
+      name: 'pulsar-ui-publish-history',
+      partialize: (state) => ({ history: state.history }),
+    }
+  )
+);
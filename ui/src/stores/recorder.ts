@@ -0,0 +1,147 @@
+import { create } from 'zustand';
+import { IngestFrame } from '@/services/mqtt/ingest';
+import {
+  CaptureSession,
+  saveCaptureChunk,
+  listCaptureSessions,
+  loadCaptureFrames,
+  deleteCaptureSession,
+} from '@/services/capture';
+
+/**
+ * Recording bounds - a session stops on its own when either is reached
+ */
+export const MAX_CAPTURE_FRAMES = 200_000;
+export const MAX_CAPTURE_DURATION_MS = 30 * 60 * 1000;
+
+const FLUSH_INTERVAL_MS = 1000;
+
+/**
+ * Frames captured since the last flush live outside Zustand state:
+ * the recording summary is only updated once per flush, not once per message
+ */
+let pendingFrames: IngestFrame[] = [];
+let flushTimer: ReturnType<typeof setInterval> | null = null;
+let writeChain: Promise<void> = Promise.resolve();
+
+interface RecorderState {
+  // Session currently being recorded (null when idle)
+  recording: CaptureSession | null;
+  sessions: CaptureSession[];
+  error: string | null;
+
+  // Actions
+  startRecording: () => void;
+  stopRecording: () => Promise<void>;
+  refreshSessions: () => Promise<void>;
+  deleteSession: (sessionId: string) => Promise<void>;
+  loadFrames: (sessionId: string) => Promise<IngestFrame[]>;
+}
+
+/**
+ * Recorder Zustand store
+ */
+export const useRecorder = create<RecorderState>((set, get) => ({
+  recording: null,
+  sessions: [],
+  error: null,
+
+  startRecording: () => {
+    if (get().recording) return;
+
+    const startedAt = Date.now();
+    pendingFrames = [];
+    set({
+      recording: {
+        id: `capture-${startedAt}`,
+        startedAt,
+        frameCount: 0,
+        byteCount: 0,
+        truncated: false,
+      },
+      error: null,
+    });
+    flushTimer = setInterval(flushPending, FLUSH_INTERVAL_MS);
+  },
+
+  stopRecording: async () => {
+    const recording = get().recording;
+    if (!recording) return;
+
+    if (flushTimer) {
+      clearInterval(flushTimer);
+      flushTimer = null;
+    }
+    flushPending({ ...recording, endedAt: Date.now() });
+    set({ recording: null });
+
+    await writeChain;
+    await get().refreshSessions();
+  },
+
+  refreshSessions: async () => {
+    try {
+      set({ sessions: await listCaptureSessions() });
+    } catch (error) {
+      set({ error: `Could not read captures: ${errorMessage(error)}` });
+    }
+  },
+
+  deleteSession: async (sessionId) => {
+    await deleteCaptureSession(sessionId);
+    await get().refreshSessions();
+  },
+
+  loadFrames: (sessionId) => loadCaptureFrames(sessionId),
+}));
+
+/**
+ * Record one received frame (no-op unless recording)
+ * The payload is copied: mqtt.js reuses its buffers and live frames are transferred to the worker
+ */
+export function captureFrame(topic: string, payload: Uint8Array, receivedAt: number, broker?: string): void {
+  const recording = useRecorder.getState().recording;
+  if (!recording) return;
+
+  const captured = recording.frameCount + pendingFrames.length;
+  if (captured >= MAX_CAPTURE_FRAMES || receivedAt - recording.startedAt >= MAX_CAPTURE_DURATION_MS) {
+    useRecorder.setState({ recording: { ...recording, truncated: true } });
+    void useRecorder.getState().stopRecording();
+    return;
+  }
+
+  pendingFrames.push({ topic, payload: new Uint8Array(payload), receivedAt, ...(broker && { broker }) });
+}
+
+/**
+ * Persist pending frames and publish the updated summary
+ * Writes are chained so chunks land in IndexedDB in capture order
+ */
+function flushPending(summary?: CaptureSession): void {
+  const recording = summary ?? useRecorder.getState().recording;
+  if (!recording) return;
+
+  const frames = pendingFrames;
+  pendingFrames = [];
+  if (frames.length === 0 && !summary) return;
+
+  const next: CaptureSession = {
+    ...recording,
+    frameCount: recording.frameCount + frames.length,
+    byteCount: frames.reduce((total, frame) => total + frame.payload.byteLength, recording.byteCount),
+  };
+  if (!summary) {
+    useRecorder.setState({ recording: next });
+  }
+
+  writeChain = writeChain
+    .then(() => saveCaptureChunk(next, frames))
+    .catch((error) => {
+      console.error('[Recorder] Failed to persist capture:', error);
+      useRecorder.setState({ error: `Recording failed: ${errorMessage(error)}` });
+    });
+}
+
+function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
@@ -0,0 +1,241 @@
+import { create } from 'zustand';
+import { IngestFrame } from '@/services/mqtt/ingest';
+import { handleFrames, resetIngestedState } from '@/services/mqtt/handlers';
+import { useDataSource, DataSource } from './data-source';
+import { useRecorder } from './recorder';
+import { recordTopicMessage } from './topic-tree';
+
+export type ReplaySpeed = 1 | 10;
+
+export const REPLAY_SPEEDS: ReplaySpeed[] = [1, 10];
+
+// Upper bound on frames handed to the stores per timer tick or seek chunk
+const MAX_FRAMES_PER_BATCH = 2000;
+
+/**
+ * Capture frames and playback timing live outside Zustand state:
+ * only the cursor is reactive, the frames themselves never change during a replay
+ */
+let frames: IngestFrame[] = [];
+let playTimer: ReturnType<typeof setTimeout> | null = null;
+// Wall-clock time (performance.now) that corresponds to a capture timestamp
+let anchor = { wall: 0, capture: 0 };
+// Live source to return to when the replay ends
+let liveSource: DataSource = 'mqtt';
+
+interface ReplayState {
+  active: boolean;
+  label: string;
+  frameCount: number;
+  // Number of frames delivered so far (the next frame to deliver is frames[position])
+  position: number;
+  playing: boolean;
+  speed: ReplaySpeed;
+  // Receive times of the first frame, the last frame and the last delivered frame
+  startTime: number;
+  endTime: number;
+  currentTime: number | null;
+
+  // Actions
+  startReplay: (frames: IngestFrame[], label: string) => void;
+  exitReplay: () => void;
+  play: () => void;
+  pause: () => void;
+  step: () => void;
+  setSpeed: (speed: ReplaySpeed) => void;
+  seek: (position: number) => void;
+}
+
+/**
+ * Replay Zustand store
+ * Captures are fed through the same ingestion path as live traffic (handleFrames),
+ * with the live feed ignored and publishing blocked while a replay is active
+ */
+export const useReplay = create<ReplayState>((set, get) => ({
+  active: false,
+  label: '',
+  frameCount: 0,
+  position: 0,
+  playing: false,
+  speed: 1,
+  startTime: 0,
+  endTime: 0,
+  currentTime: null,
+
+  startReplay: (captureFrames, label) => {
+    stopTimer();
+    if (useRecorder.getState().recording) {
+      void useRecorder.getState().stopRecording();
+    }
+
+    frames = captureFrames;
+    const { source, setSource } = useDataSource.getState();
+    if (source !== 'replay') liveSource = source;
+    setSource('replay');
+    resetIngestedState();
+
+    set({
+      active: true,
+      label,
+      frameCount: frames.length,
+      position: 0,
+      playing: false,
+      startTime: frames[0]?.receivedAt ?? 0,
+      endTime: frames[frames.length - 1]?.receivedAt ?? 0,
+      currentTime: null,
+    });
+  },
+
+  exitReplay: () => {
+    if (!get().active) return;
+
+    stopTimer();
+    frames = [];
+    resetIngestedState();
+    useDataSource.getState().setSource(liveSource);
+
+    set({
+      active: false,
+      label: '',
+      frameCount: 0,
+      position: 0,
+      playing: false,
+      startTime: 0,
+      endTime: 0,
+      currentTime: null,
+    });
+  },
+
+  play: () => {
+    const { active, position } = get();
+    if (!active || position >= frames.length) return;
+
+    anchorAt(frames[position]!.receivedAt);
+    set({ playing: true });
+    scheduleNext();
+  },
+
+  pause: () => {
+    stopTimer();
+    set({ playing: false });
+  },
+
+  step: () => {
+    const { active, position } = get();
+    if (!active) return;
+
+    get().pause();
+    deliver(position, Math.min(position + 1, frames.length));
+  },
+
+  setSpeed: (speed) => {
+    const { playing, speed: previous } = get();
+    if (playing) {
+      // Keep the capture clock continuous across the speed change
+      anchorAt(captureClock(previous));
+    }
+    set({ speed });
+    if (playing) scheduleNext();
+  },
+
+  seek: (target) => {
+    const { active, position, playing } = get();
+    if (!active) return;
+
+    const clamped = Math.max(0, Math.min(Math.round(target), frames.length));
+    stopTimer();
+
+    if (clamped < position) {
+      // Stores only move forward: rebuild from the start of the capture
+      resetIngestedState();
+      deliver(0, clamped);
+    } else {
+      deliver(position, clamped);
+    }
+
+    if (playing) {
+      if (clamped >= frames.length) {
+        set({ playing: false });
+      } else {
+        anchorAt(frames[clamped]!.receivedAt);
+        scheduleNext();
+      }
+    }
+  },
+}));
+
+/**
+ * "Now" for device health and metric freshness: during a replay, lastSeen and metric receipts
+ * hold capture times, so age is measured on the replay clock instead of wall time
+ */
+export function healthNow(): number {
+  if (useDataSource.getState().source !== 'replay') return Date.now();
+  const { playing, speed, currentTime, startTime } = useReplay.getState();
+  return playing ? captureClock(speed) : (currentTime ?? startTime);
+}
+
+/**
+ * Feed frames [from, to) to the stores in bounded batches and advance the cursor
+ */
+function deliver(from: number, to: number): void {
+  for (let start = from; start < to; start += MAX_FRAMES_PER_BATCH) {
+    const batch = frames.slice(start, Math.min(start + MAX_FRAMES_PER_BATCH, to));
+    // Captures do not record the retain flag
+    batch.forEach((frame) => recordTopicMessage(frame.topic, frame.payload, frame.receivedAt, false, frame.broker));
+    handleFrames(batch);
+  }
+  useReplay.setState({
+    position: to,
+    currentTime: frames[to - 1]?.receivedAt ?? null,
+  });
+}
+
+function anchorAt(captureTime: number): void {
+  anchor = { wall: performance.now(), capture: captureTime };
+}
+
+/**
+ * Capture timestamp that corresponds to "now" at the given speed
+ */
+function captureClock(speed: ReplaySpeed): number {
+  return anchor.capture + (performance.now() - anchor.wall) * speed;
+}
+
+function stopTimer(): void {
+  if (playTimer) {
+    clearTimeout(playTimer);
+    playTimer = null;
+  }
+}
+
+/**
+ * Wait until the next frame is due on the scaled capture clock
+ */
+function scheduleNext(): void {
+  stopTimer();
+  const { position, speed } = useReplay.getState();
+  const next = frames[position];
+  if (!next) {
+    useReplay.setState({ playing: false });
+    return;
+  }
+
+  const dueAt = anchor.wall + (next.receivedAt - anchor.capture) / speed;
+  playTimer = setTimeout(tick, Math.max(0, dueAt - performance.now()));
+}
+
+/**
+ * Deliver every frame that is due (capped per tick so bursts don't block the UI thread)
+ */
+function tick(): void {
+  playTimer = null;
+  const { position, speed } = useReplay.getState();
+  const now = captureClock(speed);
+
+  let end = position;
+  while (end < frames.length && frames[end]!.receivedAt <= now && end - position < MAX_FRAMES_PER_BATCH) {
+    end++;
+  }
+  deliver(position, end);
+  scheduleNext();
+}
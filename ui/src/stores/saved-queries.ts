@@ -0,0 +1,51 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+
+/**
+ * Which records a saved query filters
+ */
+export type QueryScope = 'messages' | 'devices';
+
+export interface SavedQuery {
+  name: string;
+  scope: QueryScope;
+  query: string;
+}
+
+interface SavedQueriesState {
+  queries: SavedQuery[];
+
+  saveQuery: (saved: SavedQuery) => void;
+  deleteQuery: (scope: QueryScope, name: string) => void;
+}
+
+/**
+ * Named filter queries, kept in localStorage - names are unique per scope
+ */
+export const useSavedQueries = create<SavedQueriesState>()(
+  persist(
+    (set) => ({
+      queries: [],
+
+      saveQuery: (saved) => {
+        const name = saved.name.trim();
+        if (!name) return;
+        set((state) => ({
+          queries: [
+            ...state.queries.filter((q) => q.scope !== saved.scope || q.name !== name),
+            { ...saved, name },
+          ].sort((a, b) => a.name.localeCompare(b.name)),
+        }));
+      },
+
+      deleteQuery: (scope, name) =>
+        set((state) => ({
+          queries: state.queries.filter((q) => q.scope !== scope || q.name !== name),
+        })),
+    }),
+    {
+      name: 'pulsar-ui-saved-queries',
+      partialize: (state) => ({ queries: state.queries }),
+    }
+  )
+);
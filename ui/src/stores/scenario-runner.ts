@@ -0,0 +1,522 @@
+import { create } from 'zustand';
+import {
+  Scenario,
+  ScenarioStep,
+  ScenarioRun,
+  ScenarioRunStatus,
+  StepResult,
+  StepStatus,
+} from '@/types/scenario';
+import { AuthorityLevel, CommandStatus } from '@/types/command';
+import { createCommand } from '@/services/mqtt/command-envelope';
+import {
+  ConditionContext,
+  evaluateCondition,
+  formatConditionValue,
+  parseCondition,
+} from '@/services/scenario-conditions';
+import { useCommandQueue } from '@/stores/command-queue';
+import { useDeviceRegistry } from '@/stores/device-registry';
+import { useTelemetry, subscribeSeries } from '@/stores/telemetry';
+import { useUiState } from '@/stores/ui';
+
+/**
+ * Pause/abort handles for in-flight runs (kept outside state - not renderable)
+ * Pause takes effect at step boundaries; abort interrupts the current step
+ */
+interface RunControl {
+  abort: AbortController;
+  paused: boolean;
+  resume: (() => void) | null;
+}
+
+const runControls = new Map<string, RunControl>();
+
+class ScenarioAbortError extends Error {
+  constructor() {
+    super('Aborted by operator');
+    this.name = 'ScenarioAbortError';
+  }
+}
+
+/**
+ * Scenario runner state
+ */
+interface ScenarioRunnerState {
+  runs: Map<string, ScenarioRun>;
+  activeRunId: string | null;
+
+  // Actions
+  startScenario: (scenario: Scenario, deviceId: string) => string;
+  pauseRun: (runId: string) => void;
+  resumeRun: (runId: string) => void;
+  abortRun: (runId: string) => void;
+  clearFinished: () => void;
+
+  // Internal
+  updateRun: (runId: string, updates: Partial<ScenarioRun>) => void;
+  updateStep: (runId: string, phase: StepResult['phase'], index: number, updates: Partial<StepResult>) => void;
+
+  // Selectors
+  getRun: (runId: string) => ScenarioRun | undefined;
+  getActiveRun: () => ScenarioRun | undefined;
+}
+
+function newRunId(): string {
+  return `run-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
+}
+
+function pendingResults(steps: ScenarioStep[], phase: StepResult['phase']): StepResult[] {
+  return steps.map((_, index) => ({ phase, index, status: StepStatus.Pending }));
+}
+
+/**
+ * Scenario runner Zustand store
+ */
+export const useScenarioRunner = create<ScenarioRunnerState>((set, get) => ({
+  runs: new Map(),
+  activeRunId: null,
+
+  startScenario: (scenario, deviceId) => {
+    if (get().getActiveRun()) {
+      throw new Error('Another scenario is already running');
+    }
+
+    // Authority is checked once up front so safing steps are never blocked mid-run
+    const ui = useUiState.getState();
+    if (ui.authorityLevel === AuthorityLevel.View) {
+      throw new Error('Cannot run scenarios in VIEW mode');
+    }
+    if (scenario.requiresArmed && !ui.isArmed()) {
+      throw new Error('Scenario requires ARMED authority level');
+    }
+
+    const run: ScenarioRun = {
+      id: newRunId(),
+      scenario,
+      deviceId,
+      status: ScenarioRunStatus.Running,
+      steps: pendingResults(scenario.steps, 'main'),
+      safing: pendingResults(scenario.onFailure, 'safing'),
+      startedAt: Date.now(),
+    };
+
+    set((state) => {
+      const newRuns = new Map(state.runs);
+      newRuns.set(run.id, run);
+      return { runs: newRuns, activeRunId: run.id };
+    });
+
+    runControls.set(run.id, { abort: new AbortController(), paused: false, resume: null });
+    void executeRun(run.id);
+    return run.id;
+  },
+
+  pauseRun: (runId) => {
+    const control = runControls.get(runId);
+    const run = get().getRun(runId);
+    if (!control || !run || run.status !== ScenarioRunStatus.Running) return;
+
+    control.paused = true;
+    get().updateRun(runId, { status: ScenarioRunStatus.Paused });
+  },
+
+  resumeRun: (runId) => {
+    const control = runControls.get(runId);
+    const run = get().getRun(runId);
+    if (!control || !run || run.status !== ScenarioRunStatus.Paused) return;
+
+    control.paused = false;
+    get().updateRun(runId, { status: ScenarioRunStatus.Running });
+    control.resume?.();
+  },
+
+  abortRun: (runId) => {
+    const control = runControls.get(runId);
+    if (!control) return;
+
+    control.paused = false;
+    control.abort.abort();
+    control.resume?.();
+  },
+
+  clearFinished: () =>
+    set((state) => {
+      const newRuns = new Map(state.runs);
+      for (const [id] of newRuns.entries()) {
+        if (id !== state.activeRunId) {
+          newRuns.delete(id);
+        }
+      }
+      return { runs: newRuns };
+    }),
+
+  updateRun: (runId, updates) =>
+    set((state) => {
+      const existing = state.runs.get(runId);
+      if (!existing) return state;
+
+      const newRuns = new Map(state.runs);
+      newRuns.set(runId, { ...existing, ...updates });
+      return { runs: newRuns };
+    }),
+
+  updateStep: (runId, phase, index, updates) =>
+    set((state) => {
+      const existing = state.runs.get(runId);
+      if (!existing) return state;
+
+      const key = phase === 'main' ? 'steps' : 'safing';
+      const results = existing[key].map((result) =>
+        result.index === index ? { ...result, ...updates } : result
+      );
+
+      const newRuns = new Map(state.runs);
+      newRuns.set(runId, { ...existing, [key]: results });
+      return { runs: newRuns };
+    }),
+
+  getRun: (runId) => get().runs.get(runId),
+
+  getActiveRun: () => {
+    const { activeRunId, runs } = get();
+    return activeRunId ? runs.get(activeRunId) : undefined;
+  },
+}));
+
+/**
+ * Outcome of one step (before it is written to the run)
+ */
+interface StepOutcome {
+  status: StepStatus;
+  message?: string;
+  commandId?: string;
+}
+
+const conditionContext: ConditionContext = {
+  getDevice: (deviceId) => useDeviceRegistry.getState().getDevice(deviceId),
+  getLatestValue: (deviceId, metric) => useTelemetry.getState().getLatestValue(deviceId, metric),
+};
+
+function throwIfAborted(signal: AbortSignal): void {
+  if (signal.aborted) throw new ScenarioAbortError();
+}
+
+/**
+ * Block while the run is paused; resolves immediately when it is not
+ */
+function waitWhilePaused(control: RunControl): Promise<void> {
+  if (!control.paused) return Promise.resolve();
+  return new Promise((resolve) => {
+    control.resume = () => {
+      control.resume = null;
+      resolve();
+    };
+  });
+}
+
+/**
+ * Resolve when `check` returns a value, reject on timeout or abort
+ * `check` runs immediately and again whenever one of the watched stores changes
+ */
+function waitUntil<T>(
+  check: () => T | undefined,
+  subscribe: Array<(listener: () => void) => () => void>,
+  timeoutMs: number | null,
+  signal: AbortSignal,
+  timeoutMessage: () => string
+): Promise<T> {
+  return new Promise((resolve, reject) => {
+    const unsubscribers: Array<() => void> = [];
+    let timer: ReturnType<typeof setTimeout> | undefined;
+
+    const cleanup = () => {
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      if (timer) clearTimeout(timer);
+      signal.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(new ScenarioAbortError());
+    };
+    const evaluate = () => {
+      let value: T | undefined;
+      try {
+        value = check();
+      } catch (error) {
+        cleanup();
+        reject(error);
+        return;
+      }
+      if (value !== undefined) {
+        cleanup();
+        resolve(value);
+      }
+    };
+
+    if (signal.aborted) {
+      reject(new ScenarioAbortError());
+      return;
+    }
+    signal.addEventListener('abort', onAbort);
+    if (timeoutMs !== null) {
+      timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(timeoutMessage()));
+      }, timeoutMs);
+    }
+    subscribe.forEach((listen) => unsubscribers.push(listen(evaluate)));
+    evaluate();
+  });
+}
+
+function sleep(ms: number, signal: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new ScenarioAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ScenarioAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Execute a single step against the run's device
+ */
+async function executeStep(
+  run: ScenarioRun,
+  step: ScenarioStep,
+  lastCommandId: string | undefined,
+  signal: AbortSignal
+): Promise<StepOutcome> {
+  throwIfAborted(signal);
+
+  switch (step.type) {
+    case 'command': {
+      const { stageCommand, executeCommand, getCommand } = useCommandQueue.getState();
+      const command = createCommand({
+        deviceId: run.deviceId,
+        action: step.action,
+        payload: step.args,
+        requiresArmed: run.scenario.requiresArmed,
+        correlationId: run.id,
+      });
+      stageCommand(command);
+      await executeCommand(command.id);
+
+      const result = getCommand(command.id);
+      if (result?.status === CommandStatus.Failed) {
+        return { status: StepStatus.Failed, message: result.error || 'Publish failed', commandId: command.id };
+      }
+      return { status: StepStatus.Passed, message: `Published ${step.action}`, commandId: command.id };
+    }
+
+    case 'ack': {
+      if (!lastCommandId) {
+        return { status: StepStatus.Failed, message: 'No previous command to wait for' };
+      }
+
+      // The queue owns the ACK timeout, so this waits for any terminal status
+      const command = await waitUntil(
+        () => {
+          const cmd = useCommandQueue.getState().getCommand(lastCommandId);
+          if (!cmd) throw new Error('Command was removed from the queue');
+          const done =
+            cmd.status === CommandStatus.Success ||
+            cmd.status === CommandStatus.Failed ||
+            cmd.status === CommandStatus.Timeout;
+          return done ? cmd : undefined;
+        },
+        [useCommandQueue.subscribe],
+        null,
+        signal,
+        () => ''
+      );
+
+      if (command.status === CommandStatus.Success) {
+        return {
+          status: StepStatus.Passed,
+          message: command.latencyMs !== undefined ? `ACK in ${command.latencyMs} ms` : 'ACK received',
+          commandId: command.id,
+        };
+      }
+      return {
+        status: StepStatus.Failed,
+        message: command.error || `Command ${command.status}`,
+        commandId: command.id,
+      };
+    }
+
+    case 'wait':
+      await sleep(step.durationMs, signal);
+      return { status: StepStatus.Passed };
+
+    case 'waitFor': {
+      const condition = parseCondition(step.condition);
+      let lastActual: unknown;
+
+      try {
+        await waitUntil(
+          () => {
+            const result = evaluateCondition(condition, run.deviceId, conditionContext);
+            lastActual = result.actual;
+            return result.ok ? true : undefined;
+          },
+          condition.source === 'telemetry'
+            ? [(listener) => subscribeSeries(run.deviceId, condition.key, listener)]
+            : [useDeviceRegistry.subscribe],
+          step.timeoutMs,
+          signal,
+          () => `Timed out after ${step.timeoutMs} ms (last value ${formatConditionValue(lastActual)})`
+        );
+      } catch (error) {
+        if (error instanceof ScenarioAbortError) throw error;
+        return { status: StepStatus.Failed, message: error instanceof Error ? error.message : String(error) };
+      }
+      return { status: StepStatus.Passed, message: `${step.condition} (${formatConditionValue(lastActual)})` };
+    }
+
+    case 'assert': {
+      const result = evaluateCondition(parseCondition(step.condition), run.deviceId, conditionContext);
+      const message = `${step.condition} (actual ${formatConditionValue(result.actual)})`;
+      if (result.ok) {
+        return { status: StepStatus.Passed, message };
+      }
+      return { status: step.severity === 'soft' ? StepStatus.Warned : StepStatus.Failed, message };
+    }
+  }
+}
+
+/**
+ * Run a step list in order
+ * Main phase stops at the first failure; the safing phase is best-effort and keeps going
+ */
+async function executePhase(
+  runId: string,
+  phase: StepResult['phase'],
+  steps: ScenarioStep[],
+  control: RunControl
+): Promise<{ failed: boolean; aborted: boolean; error?: string }> {
+  const { updateStep, getRun } = useScenarioRunner.getState();
+  const signal = control.abort.signal;
+  let lastCommandId: string | undefined;
+  let firstError: string | undefined;
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index]!;
+
+    await waitWhilePaused(control);
+    const run = getRun(runId);
+    if (!run || signal.aborted) {
+      markSkipped(runId, phase, index, steps.length);
+      return { failed: !!firstError, aborted: true, ...(firstError && { error: firstError }) };
+    }
+
+    updateStep(runId, phase, index, { status: StepStatus.Running, startedAt: Date.now() });
+
+    let outcome: StepOutcome;
+    try {
+      outcome = await executeStep(run, step, lastCommandId, signal);
+    } catch (error) {
+      if (error instanceof ScenarioAbortError) {
+        updateStep(runId, phase, index, {
+          status: StepStatus.Failed,
+          message: error.message,
+          finishedAt: Date.now(),
+        });
+        markSkipped(runId, phase, index + 1, steps.length);
+        return { failed: !!firstError, aborted: true, ...(firstError && { error: firstError }) };
+      }
+      outcome = { status: StepStatus.Failed, message: error instanceof Error ? error.message : String(error) };
+    }
+
+    if (outcome.commandId && step.type === 'command') {
+      lastCommandId = outcome.commandId;
+    }
+    updateStep(runId, phase, index, { ...outcome, finishedAt: Date.now() });
+
+    if (outcome.status === StepStatus.Failed) {
+      const error = `Step ${index + 1} (${describeStep(step)}) failed: ${outcome.message ?? 'unknown error'}`;
+      firstError = firstError ?? error;
+      if (phase === 'main') {
+        markSkipped(runId, phase, index + 1, steps.length);
+        return { failed: true, aborted: false, error };
+      }
+    }
+  }
+
+  return { failed: !!firstError, aborted: false, ...(firstError && { error: firstError }) };
+}
+
+function markSkipped(runId: string, phase: StepResult['phase'], from: number, to: number): void {
+  const { updateStep } = useScenarioRunner.getState();
+  for (let index = from; index < to; index++) {
+    updateStep(runId, phase, index, { status: StepStatus.Skipped });
+  }
+}
+
+/**
+ * Drive a run from start to finish, running the safing list on failure or abort
+ */
+async function executeRun(runId: string): Promise<void> {
+  const { getRun, updateRun } = useScenarioRunner.getState();
+  const control = runControls.get(runId);
+  const run = getRun(runId);
+  if (!control || !run) return;
+
+  const main = await executePhase(runId, 'main', run.scenario.steps, control);
+  let error = main.error;
+
+  if ((main.failed || main.aborted) && run.scenario.onFailure.length > 0) {
+    // Safing gets a fresh abort handle so an operator abort of the main phase does not skip it
+    control.abort = new AbortController();
+    control.paused = false;
+    updateRun(runId, { status: ScenarioRunStatus.Safing });
+    const safing = await executePhase(runId, 'safing', run.scenario.onFailure, control);
+    if (safing.error) {
+      error = error ? `${error}; safing: ${safing.error}` : `Safing: ${safing.error}`;
+    }
+  } else {
+    markSkipped(runId, 'safing', 0, run.scenario.onFailure.length);
+  }
+
+  runControls.delete(runId);
+  updateRun(runId, {
+    status: main.aborted
+      ? ScenarioRunStatus.Aborted
+      : main.failed
+        ? ScenarioRunStatus.Failed
+        : ScenarioRunStatus.Passed,
+    finishedAt: Date.now(),
+    ...(error && { error }),
+  });
+  useScenarioRunner.setState({ activeRunId: null });
+
+  console.log('[ScenarioRunner] Finished:', { scenario: run.scenario.name, status: getRun(runId)?.status });
+}
+
+/**
+ * Short label for a step (used in results and the runner UI)
+ */
+export function describeStep(step: ScenarioStep): string {
+  switch (step.type) {
+    case 'command':
+      return step.action;
+    case 'ack':
+      return 'wait for ACK';
+    case 'wait':
+      return `wait ${step.durationMs} ms`;
+    case 'waitFor':
+      return `wait until ${step.condition}`;
+    case 'assert':
+      return `${step.severity === 'soft' ? 'check' : 'assert'} ${step.condition}`;
+  }
+}
@@ -0,0 +1,220 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { mqttClient } from '@/services/mqtt/client';
+import { topicMatches } from '@/services/mqtt/parser';
+import { sparkplugSubscriptions } from '@/services/mqtt/sparkplug';
+import { describeReasonCode } from '@/services/mqtt/mqtt5';
+import { ConnectionState } from '@/types/mqtt';
+import { getRuntimeConfig } from '@/config';
+
+export type QoS = 0 | 1 | 2;
+
+export interface TopicSubscription {
+  filter: string;
+  qos: QoS;
+}
+
+/**
+ * SUBACK outcome for one filter on one broker
+ */
+export type SubscriptionAck =
+  | { status: 'pending' }
+  | { status: 'active' }
+  | { status: 'error'; error: string };
+
+interface SubscriptionsState {
+  // null until the set is edited: follow subscribeTopics and Sparkplug from runtime config
+  custom: TopicSubscription[] | null;
+  // Filter -> broker id -> SUBACK outcome
+  acks: Record<string, Record<string, SubscriptionAck>>;
+  // Filter -> broker id -> messages per second over the last sample window
+  rates: Record<string, Record<string, number>>;
+
+  subscriptions: () => TopicSubscription[];
+  addSubscription: (filter: string, qos: QoS) => void;
+  removeSubscription: (filter: string) => void;
+  resetSubscriptions: () => void;
+  subscribeBroker: (broker: string) => void;
+}
+
+const RATE_SAMPLE_MS = 1000;
+
+/**
+ * Subscriptions from runtime config (QoS 1, as the UI has always subscribed)
+ */
+export function defaultSubscriptions(): TopicSubscription[] {
+  const config = getRuntimeConfig();
+  const filters = [...config.subscribeTopics, ...sparkplugSubscriptions(config.sparkplug)];
+  return Array.from(new Set(filters), (filter) => ({ filter, qos: 1 as const }));
+}
+
+/**
+ * Message counts per filter and broker since the last rate sample (kept out of the store: bumped per message)
+ */
+const counts = new Map<string, Map<string, number>>();
+let sampleTimer: ReturnType<typeof setInterval> | null = null;
+let sampledAt = 0;
+
+function trackFilters(subscriptions: TopicSubscription[]): void {
+  const filters = new Set(subscriptions.map(({ filter }) => filter));
+  for (const filter of counts.keys()) {
+    if (!filters.has(filter)) counts.delete(filter);
+  }
+  filters.forEach((filter) => {
+    if (!counts.has(filter)) counts.set(filter, new Map());
+  });
+
+  if (!sampleTimer) {
+    sampledAt = Date.now();
+    sampleTimer = setInterval(sampleRates, RATE_SAMPLE_MS);
+  }
+}
+
+function sampleRates(): void {
+  const now = Date.now();
+  const seconds = Math.max(now - sampledAt, 1) / 1000;
+  sampledAt = now;
+
+  const rates: Record<string, Record<string, number>> = {};
+  counts.forEach((byBroker, filter) => {
+    rates[filter] = {};
+    byBroker.forEach((count, broker) => {
+      rates[filter]![broker] = count / seconds;
+      byBroker.set(broker, 0);
+    });
+  });
+
+  const previous = useSubscriptions.getState().rates;
+  const changed =
+    Object.keys(rates).length !== Object.keys(previous).length ||
+    Object.entries(rates).some(
+      ([filter, byBroker]) =>
+        Object.keys(byBroker).length !== Object.keys(previous[filter] ?? {}).length ||
+        Object.entries(byBroker).some(([broker, rate]) => previous[filter]?.[broker] !== rate)
+    );
+  if (changed) useSubscriptions.setState({ rates });
+}
+
+/**
+ * Count a message from a broker against every subscription filter it matches
+ */
+export function countSubscriptionMessage(topic: string, broker: string): void {
+  counts.forEach((byBroker, filter) => {
+    if (topicMatches(filter, topic)) byBroker.set(broker, (byBroker.get(broker) ?? 0) + 1);
+  });
+}
+
+function connectedBrokers(): string[] {
+  return mqttClient
+    .brokers()
+    .map(({ id }) => id)
+    .filter((id) => mqttClient.getConnectionState(id) === ConnectionState.Connected);
+}
+
+/**
+ * Broker's reason for refusing a filter: the failing SUBACK code, which mqtt.js only
+ * copies to err.code for MQTT 5
+ */
+function subackError(err: unknown): string {
+  const failure = err as { code?: unknown; packet?: { granted?: unknown[] } } | null;
+  const granted = failure?.packet?.granted?.find((code) => typeof code === 'number' && code >= 0x80);
+  const code = typeof failure?.code === 'number' ? failure.code : granted;
+  if (typeof code === 'number') return describeReasonCode(code);
+  return err instanceof Error ? err.message : String(err);
+}
+
+function setAck(filter: string, broker: string, ack: SubscriptionAck): void {
+  useSubscriptions.setState((state) => {
+    // Removed while the SUBSCRIBE was in flight
+    if (!state.subscriptions().some((entry) => entry.filter === filter)) return state;
+    return { acks: { ...state.acks, [filter]: { ...state.acks[filter], [broker]: ack } } };
+  });
+}
+
+/**
+ * One SUBSCRIBE per filter so a SUBACK failure is attributed to the filter it refuses
+ */
+function subscribeFilter({ filter, qos }: TopicSubscription, broker: string): void {
+  setAck(filter, broker, { status: 'pending' });
+  mqttClient.subscribe(filter, qos, broker).then(
+    () => setAck(filter, broker, { status: 'active' }),
+    (err: unknown) => setAck(filter, broker, { status: 'error', error: subackError(err) })
+  );
+}
+
+function unsubscribeFilter(filter: string): void {
+  connectedBrokers().forEach((broker) => mqttClient.unsubscribe(filter, broker));
+}
+
+function withoutFilters<T>(record: Record<string, T>, filters: Set<string>): Record<string, T> {
+  return Object.fromEntries(Object.entries(record).filter(([filter]) => !filters.has(filter)));
+}
+
+/**
+ * Broker topic subscriptions - the set is persisted, SUBACK outcomes and rates are runtime-only
+ */
+export const useSubscriptions = create<SubscriptionsState>()(
+  persist(
+    (set, get) => ({
+      custom: null,
+      acks: {},
+      rates: {},
+
+      subscriptions: () => get().custom ?? defaultSubscriptions(),
+
+      // Re-subscribing an existing filter changes its QoS
+      addSubscription: (filter, qos) => {
+        const entry = { filter, qos };
+        const current = get().subscriptions();
+        const next = current.some((existing) => existing.filter === filter)
+          ? current.map((existing) => (existing.filter === filter ? entry : existing))
+          : [...current, entry];
+        set({ custom: next });
+        trackFilters(next);
+        connectedBrokers().forEach((broker) => subscribeFilter(entry, broker));
+      },
+
+      removeSubscription: (filter) => {
+        const next = get().subscriptions().filter((entry) => entry.filter !== filter);
+        const removed = new Set([filter]);
+        set((state) => ({
+          custom: next,
+          acks: withoutFilters(state.acks, removed),
+          rates: withoutFilters(state.rates, removed),
+        }));
+        trackFilters(next);
+        unsubscribeFilter(filter);
+      },
+
+      resetSubscriptions: () => {
+        const defaults = defaultSubscriptions();
+        const kept = new Set(defaults.map(({ filter }) => filter));
+        const removed = new Set(
+          get()
+            .subscriptions()
+            .map(({ filter }) => filter)
+            .filter((filter) => !kept.has(filter))
+        );
+        set((state) => ({
+          custom: null,
+          acks: withoutFilters(state.acks, removed),
+          rates: withoutFilters(state.rates, removed),
+        }));
+        trackFilters(defaults);
+        removed.forEach(unsubscribeFilter);
+        connectedBrokers().forEach((broker) => defaults.forEach((entry) => subscribeFilter(entry, broker)));
+      },
+
+      // On (re)connect: the broker may not have kept the session
+      subscribeBroker: (broker) => {
+        const subscriptions = get().subscriptions();
+        trackFilters(subscriptions);
+        subscriptions.forEach((entry) => subscribeFilter(entry, broker));
+      },
+    }),
+    {
+      name: 'pulsar-ui-subscriptions',
+      partialize: (state) => ({ custom: state.custom }),
+    }
+  )
+);
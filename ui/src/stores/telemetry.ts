@@ -1,141 +1,256 @@
 import { create } from 'zustand';
-import { TimeSeriesPoint, BufferConfig } from '@/types/telemetry';
+import {
+  TimeSeriesPoint,
+  RetentionConfig,
+  TelemetryResolution,
+} from '@/types/telemetry';
+import { getRetentionConfig } from '@/config';
+import { TimeSeriesRing, RollupRing } from '@/utils/TimeSeriesBuffer';
 
 /**
- * Circular buffer for time-series data
+ * One device/metric series stored at every resolution
+ * `version` increments on every write so subscribers can tell whether their series changed
  */
-class CircularBuffer {
-  private buffer: TimeSeriesPoint[] = [];
-  private maxSize: number;
-  private maxAge: number | undefined;
-
-  constructor(config: BufferConfig) {
-    this.maxSize = config.maxSize;
-    this.maxAge = config.maxAge;
+class TieredSeries {
+  version = 0;
+  private readonly raw: TimeSeriesRing;
+  private readonly seconds: RollupRing;
+  private readonly minutes: RollupRing;
+  private readonly rawMaxAgeMs: number;
+  // Newest sample time: raw age is measured on the series' own clock, not the browser's
+  private newestTs = -Infinity;
+
+  constructor(retention: RetentionConfig) {
+    this.raw = new TimeSeriesRing(retention.rawMaxPoints);
+    this.seconds = new RollupRing(1000, retention.secondMaxPoints);
+    this.minutes = new RollupRing(60 * 1000, retention.minuteMaxPoints);
+    this.rawMaxAgeMs = retention.rawMaxAgeMs;
   }
 
   push(point: TimeSeriesPoint): void {
-    // Remove old points if maxAge is set
-    if (this.maxAge) {
-      const cutoff = Date.now() - this.maxAge;
-      this.buffer = this.buffer.filter((p) => p.ts >= cutoff);
+    this.newestTs = Math.max(this.newestTs, point.ts);
+    const cutoff = this.newestTs - this.rawMaxAgeMs;
+    this.raw.evictBefore(cutoff);
+    if (point.ts >= cutoff) {
+      this.raw.push(point.ts, point.value);
     }
+    this.seconds.push(point.ts, point.value);
+    this.minutes.push(point.ts, point.value);
+    this.version++;
+  }
 
-    // Add new point
-    this.buffer.push(point);
-
-    // Trim to max size
-    if (this.buffer.length > this.maxSize) {
-      this.buffer = this.buffer.slice(-this.maxSize);
+  getPoints(resolution: TelemetryResolution, fromTs?: number): TimeSeriesPoint[] {
+    switch (resolution) {
+      case 'raw':
+        return this.raw.toPoints(fromTs);
+      case '1s':
+        return this.seconds.toPoints(fromTs);
+      case '1m':
+        return this.minutes.toPoints(fromTs);
     }
   }
 
-  getPoints(): TimeSeriesPoint[] {
-    return [...this.buffer];
+  getOldestTs(resolution: TelemetryResolution): number | undefined {
+    switch (resolution) {
+      case 'raw':
+        return this.raw.oldestTs();
+      case '1s':
+        return this.seconds.oldestTs();
+      case '1m':
+        return this.minutes.oldestTs();
+    }
   }
 
   getLatest(): TimeSeriesPoint | undefined {
-    return this.buffer[this.buffer.length - 1];
+    return this.raw.latest();
   }
+}
+
+/**
+ * Finest first - range lookups use the first tier that reaches back far enough
+ */
+const RESOLUTIONS: TelemetryResolution[] = ['raw', '1s', '1m'];
 
-  clear(): void {
-    this.buffer = [];
+/**
+ * Points for a time range at the resolution that covers it
+ */
+export interface RangePoints {
+  resolution: TelemetryResolution;
+  points: TimeSeriesPoint[];
+}
+
+/**
+ * Pick the finest tier whose history covers the range
+ * If none does (young series, or range "all"), use the tier with the longest history
+ */
+function selectResolution(series: TieredSeries, cutoff: number): TelemetryResolution {
+  let best: TelemetryResolution = 'raw';
+  let bestOldest = Infinity;
+
+  for (const resolution of RESOLUTIONS) {
+    const oldest = series.getOldestTs(resolution);
+    if (oldest === undefined) continue;
+    if (oldest <= cutoff) return resolution;
+    if (oldest < bestOldest) {
+      best = resolution;
+      bestOldest = oldest;
+    }
   }
+  return best;
+}
+
+/**
+ * Series data and per-series listeners live outside Zustand state:
+ * sample writes must not replace top-level state, or every subscriber re-renders each frame
+ */
+const series = new Map<string, TieredSeries>();
+const seriesListeners = new Map<string, Set<() => void>>();
+const dirtySeries = new Set<string>();
+let flushScheduled = false;
 
-  size(): number {
-    return this.buffer.length;
+function seriesKey(deviceId: string, metric: string): string {
+  return `${deviceId}/${metric}`;
+}
+
+/**
+ * Notify listeners of series written since the last frame (at most once per series per frame)
+ */
+function flushDirtySeries(): void {
+  flushScheduled = false;
+  const keys = Array.from(dirtySeries);
+  dirtySeries.clear();
+  for (const key of keys) {
+    seriesListeners.get(key)?.forEach((listener) => listener());
+  }
+}
+
+function markDirty(key: string): void {
+  dirtySeries.add(key);
+  if (!flushScheduled) {
+    flushScheduled = true;
+    requestAnimationFrame(flushDirtySeries);
   }
 }
 
 /**
- * Telemetry state - tracks buffers for each device/metric combination
+ * Subscribe to writes on one series; returns an unsubscribe function
+ */
+export function subscribeSeries(deviceId: string, metric: string, listener: () => void): () => void {
+  const key = seriesKey(deviceId, metric);
+  let listeners = seriesListeners.get(key);
+  if (!listeners) {
+    listeners = new Set();
+    seriesListeners.set(key, listeners);
+  }
+  listeners.add(listener);
+
+  return () => {
+    listeners!.delete(listener);
+    if (listeners!.size === 0) {
+      seriesListeners.delete(key);
+    }
+  };
+}
+
+/**
+ * Current write version of a series (0 when it does not exist)
+ */
+export function getSeriesVersion(deviceId: string, metric: string): number {
+  return series.get(seriesKey(deviceId, metric))?.version ?? 0;
+}
+
+/**
+ * Telemetry state - only the series index is reactive state
  */
 interface TelemetryState {
-  // Map structure: deviceId -> metric -> CircularBuffer
-  buffers: Map<string, Map<string, CircularBuffer>>;
-  rafPending: boolean;
-  
+  // deviceId -> metrics with data; replaced only when a series is added or removed
+  metricsByDevice: Map<string, string[]>;
+
   // Actions
   addPoint: (deviceId: string, metric: string, point: TimeSeriesPoint) => void;
-  getBuffer: (deviceId: string, metric: string) => CircularBuffer | undefined;
-  getPoints: (deviceId: string, metric: string) => TimeSeriesPoint[];
-  getLatestValue: (deviceId: string, metric: string) => number | undefined;
   clearDevice: (deviceId: string) => void;
   clearMetric: (deviceId: string, metric: string) => void;
-}
 
-/**
- * Default buffer config: 100 points, 5 minute retention
- */
-const DEFAULT_BUFFER_CONFIG: BufferConfig = {
-  maxSize: 100,
-  maxAge: 5 * 60 * 1000, // 5 minutes
-};
+  // Non-reactive reads (pair with subscribeSeries / useSeriesVersion to re-render)
+  getPoints: (deviceId: string, metric: string, resolution?: TelemetryResolution) => TimeSeriesPoint[];
+  // The last `rangeMs` before `now` (the replay clock during a replay)
+  getRangePoints: (deviceId: string, metric: string, rangeMs: number | null, now: number) => RangePoints;
+  getLatestValue: (deviceId: string, metric: string) => number | undefined;
+}
 
 /**
  * Telemetry Zustand store
  */
-export const useTelemetry = create<TelemetryState>((set, get) => ({
-  buffers: new Map(),
-  rafPending: false,
+export const useTelemetry = create<TelemetryState>((set) => ({
+  metricsByDevice: new Map(),
 
   addPoint: (deviceId, metric, point) => {
-    const { buffers } = get();
-    
-    // Get or create device map
-    let deviceMap = buffers.get(deviceId);
-    if (!deviceMap) {
-      deviceMap = new Map();
-      buffers.set(deviceId, deviceMap);
-    }
+    const key = seriesKey(deviceId, metric);
 
-    // Get or create metric buffer
-    let buffer = deviceMap.get(metric);
-    if (!buffer) {
-      buffer = new CircularBuffer(DEFAULT_BUFFER_CONFIG);
-      deviceMap.set(metric, buffer);
+    // Get or create series (retention limits come from runtime config)
+    let entry = series.get(key);
+    if (!entry) {
+      entry = new TieredSeries(getRetentionConfig(metric));
+      series.set(key, entry);
+      set((state) => {
+        const newIndex = new Map(state.metricsByDevice);
+        newIndex.set(deviceId, [...(newIndex.get(deviceId) ?? []), metric]);
+        return { metricsByDevice: newIndex };
+      });
     }
 
-    // Add point to buffer
-    buffer.push(point);
+    entry.push(point);
+    markDirty(key);
+  },
 
-    // Trigger RAF-batched update
-    if (!get().rafPending) {
-      set({ rafPending: true });
-      requestAnimationFrame(() => {
-        set({ rafPending: false, buffers: new Map(get().buffers) });
-      });
+  clearDevice: (deviceId) => {
+    const metrics = useTelemetry.getState().metricsByDevice.get(deviceId) ?? [];
+    for (const metric of metrics) {
+      const key = seriesKey(deviceId, metric);
+      series.delete(key);
+      markDirty(key);
     }
+    set((state) => {
+      const newIndex = new Map(state.metricsByDevice);
+      newIndex.delete(deviceId);
+      return { metricsByDevice: newIndex };
+    });
   },
 
-  getBuffer: (deviceId, metric) => {
-    return get().buffers.get(deviceId)?.get(metric);
-  },
+  clearMetric: (deviceId, metric) => {
+    const key = seriesKey(deviceId, metric);
+    series.delete(key);
+    markDirty(key);
+    set((state) => {
+      const metrics = state.metricsByDevice.get(deviceId);
+      if (!metrics) return state;
 
-  getPoints: (deviceId, metric) => {
-    const buffer = get().buffers.get(deviceId)?.get(metric);
-    return buffer ? buffer.getPoints() : [];
+      const newIndex = new Map(state.metricsByDevice);
+      const remaining = metrics.filter((m) => m !== metric);
+      if (remaining.length > 0) {
+        newIndex.set(deviceId, remaining);
+      } else {
+        newIndex.delete(deviceId);
+      }
+      return { metricsByDevice: newIndex };
+    });
   },
 
-  getLatestValue: (deviceId, metric) => {
-    const buffer = get().buffers.get(deviceId)?.get(metric);
-    return buffer?.getLatest()?.value;
+  getPoints: (deviceId, metric, resolution = 'raw') => {
+    const entry = series.get(seriesKey(deviceId, metric));
+    return entry ? entry.getPoints(resolution) : [];
   },
 
-  clearDevice: (deviceId) =>
-    set((state) => {
-      const newBuffers = new Map(state.buffers);
-      newBuffers.delete(deviceId);
-      return { buffers: newBuffers };
-    }),
+  getRangePoints: (deviceId, metric, rangeMs, now) => {
+    const entry = series.get(seriesKey(deviceId, metric));
+    if (!entry) return { resolution: 'raw', points: [] };
 
-  clearMetric: (deviceId, metric) =>
-    set((state) => {
-      const newBuffers = new Map(state.buffers);
-      const deviceMap = newBuffers.get(deviceId);
-      if (deviceMap) {
-        deviceMap.delete(metric);
-      }
-      return { buffers: newBuffers };
-    }),
+    const cutoff = rangeMs === null ? -Infinity : now - rangeMs;
+    const resolution = selectResolution(entry, cutoff);
+    return { resolution, points: entry.getPoints(resolution, cutoff) };
+  },
+
+  getLatestValue: (deviceId, metric) => {
+    return series.get(seriesKey(deviceId, metric))?.getLatest()?.value;
+  },
 }));
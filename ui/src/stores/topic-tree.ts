@@ -0,0 +1,78 @@
+import { create } from 'zustand';
+import { mqttClient } from '@/services/mqtt/client';
+import { hasBrokerNamespaces } from '@/services/mqtt/brokers';
+import { TopicNode, TopicTree } from '@/services/mqtt/topic-tree';
+import { getManualPublishBlockReason } from '@/stores/publisher';
+
+const REFRESH_MS = 1000;
+
+/**
+ * Every topic seen, kept outside Zustand: it is mutated per message and views
+ * re-render on the version bump below
+ */
+export const topicTree = new TopicTree();
+
+let refreshTimer: ReturnType<typeof setInterval> | null = null;
+
+interface TopicTreeState {
+  // Bumped once per refresh (rates and "time since" move even without new messages)
+  version: number;
+  // Bumped when the tree is cleared, invalidating nodes held by views
+  generation: number;
+
+  clearRetained: (node: TopicNode) => Promise<number>;
+  reset: () => void;
+}
+
+function refresh(): void {
+  topicTree.sampleRates();
+  useTopicTree.setState((state) => ({ version: state.version + 1 }));
+}
+
+/**
+ * Add a received message to the tree
+ */
+export function recordTopicMessage(
+  topic: string,
+  bytes: Uint8Array,
+  receivedAt: number,
+  retained: boolean,
+  broker?: string
+): void {
+  topicTree.record(topic, { bytes, receivedAt, retained }, hasBrokerNamespaces() ? broker : undefined);
+  if (!refreshTimer) refreshTimer = setInterval(refresh, REFRESH_MS);
+}
+
+/**
+ * Topic tree explorer state
+ */
+export const useTopicTree = create<TopicTreeState>((set) => ({
+  version: 0,
+  generation: 0,
+
+  /**
+   * Delete the broker's retained messages at and below a node by publishing empty retained
+   * payloads (needs ARMED); resolves with the number of topics cleared
+   */
+  clearRetained: async (node) => {
+    const targets = topicTree.retainedTopics(node);
+    for (const target of targets) {
+      const blockReason = getManualPublishBlockReason({ topic: target.topic, retain: true });
+      if (blockReason) throw new Error(blockReason);
+    }
+
+    for (const target of targets) {
+      await mqttClient.publish(target.topic, '', { qos: 1, retain: true }, target.broker);
+      // The broker only echoes the deletion while we are subscribed to the topic
+      target.retained = false;
+    }
+    console.log('[TopicTree] Cleared retained messages:', targets.map((target) => target.topic));
+    set((state) => ({ version: state.version + 1 }));
+    return targets.length;
+  },
+
+  reset: () => {
+    topicTree.clear();
+    set((state) => ({ version: state.version + 1, generation: state.generation + 1 }));
+  },
+}));
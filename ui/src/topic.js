@@ -1,32 +1,22 @@
+import { parseTopic } from "./services/mqtt/parser";
+
 /**
- * Example topic patterns you might use:
+ * Legacy topic helper - follows the runtime topic contract, e.g.
  *   pulsar/<device>/telemetry/<sensor>
  *   pulsar/<device>/telemetry
  *   pulsar/<device>/status
  *
- * This tries to be helpful without being too strict.
+ * `kind` is the canonical kind (a `cmd` alias is reported as `command`).
  */
 export function parsePulsarTopic(topic) {
-  const parts = String(topic || "").split("/").filter(Boolean);
-
-  // Expected: ["pulsar", "<device>", ...]
-  const isPulsar = parts[0] === "pulsar";
-  const device = isPulsar ? parts[1] : undefined;
-
-  let kind;
-  let pathRemainder = [];
-
-  if (isPulsar && parts.length >= 3) {
-    kind = parts[2]; // e.g. "telemetry", "status", "sensors"
-    pathRemainder = parts.slice(3);
-  }
+  const parsed = parseTopic(String(topic || ""));
 
   return {
     raw: topic,
-    isPulsar,
-    device,
-    kind,
-    path: pathRemainder.join("/")
+    isPulsar: !!parsed,
+    device: parsed?.deviceId,
+    kind: parsed?.messageType,
+    path: parsed?.metric ?? ""
   };
 }
 
@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { DeviceHealth } from '@/types/device';
 
 /**
  * Authority levels for command execution
@@ -21,6 +22,49 @@ export enum CommandStatus {
   Timeout = 'timeout',
 }
 
+/**
+ * Target device id used to stage a broadcast (expanded at execution time)
+ */
+export const BROADCAST_DEVICE_ID = '*';
+
+/**
+ * Which devices a broadcast fans out to
+ * Role and tag selectors only match online devices
+ */
+export type BroadcastSelector =
+  | { kind: 'online' }
+  | { kind: 'role'; role: string }
+  | { kind: 'health'; health: DeviceHealth }
+  | { kind: 'tag'; tag: string };
+
+/**
+ * Argument schema for a single command field (JSON Schema subset)
+ */
+export const CommandArgSchema = z.object({
+  type: z.enum(['integer', 'number', 'string', 'boolean']),
+  title: z.string().optional(),
+  description: z.string().optional(),
+  enum: z.array(z.union([z.string(), z.number()])).nonempty().optional(),
+  minimum: z.number().optional(),
+  maximum: z.number().optional(),
+  default: z.union([z.string(), z.number(), z.boolean()]).optional(),
+});
+
+export type CommandArg = z.infer<typeof CommandArgSchema>;
+
+/**
+ * Argument schema for a command, published by devices on pulsar/{deviceId}/meta/commands:
+ * { "relay_set": { "properties": { "relay": { "type": "integer", "minimum": 1, "maximum": 4 } }, "required": ["relay"] } }
+ */
+export const CommandArgsSchema = z.object({
+  type: z.literal('object').optional(),
+  description: z.string().optional(),
+  properties: z.record(z.string(), CommandArgSchema),
+  required: z.array(z.string()).optional(),
+});
+
+export type CommandArgs = z.infer<typeof CommandArgsSchema>;
+
 /**
  * Command template schema
  */
@@ -46,10 +90,34 @@ export interface Command {
   payload: Record<string, unknown>;
   status: CommandStatus;
   stagedAt: number; // Unix timestamp ms
-  sentAt?: number;
+  sentAt?: number; // When the publish started
   completedAt?: number;
+  latencyMs?: number; // Round trip from sent to device ACK
   error?: string;
   requiresArmed: boolean;
+  operator?: string; // Who issued the command (envelope `operator`)
+  correlationId?: string; // Groups related commands (envelope `correlation_id`)
+  selector?: BroadcastSelector; // Broadcast parents only
+  parentId?: string; // Set on per-device children of a broadcast
+}
+
+/**
+ * Aggregated child outcomes for a broadcast parent
+ */
+export interface BroadcastRollup {
+  total: number;
+  acked: number;
+  failed: number;
+  timeout: number;
+  inFlight: number;
+}
+
+/**
+ * Result reported by a device on pulsar/{deviceId}/ack/{action}
+ */
+export interface CommandAck {
+  ok: boolean;
+  error?: string;
 }
 
 /**
@@ -21,16 +21,43 @@ export enum DeviceHealth {
   Unknown = 'unknown',
 }
 
+/**
+ * Link quality derived from the `seq` counter in device payloads (session totals)
+ */
+export interface LinkStats {
+  received: number;
+  lost: number; // Skipped seq numbers that never arrived
+  duplicates: number;
+  reordered: number; // Arrived after a later seq number
+  reboots: number; // seq restarted with an `uptime_ms` drop
+  lossPercent: number; // lost / (received + lost)
+  lastGapAt: number | null; // Unix timestamp ms
+  lastRebootAt: number | null;
+}
+
+/**
+ * Device clock estimate from device timestamps versus receive time
+ */
+export interface DeviceClock {
+  offsetMs: number; // Receive time minus device time (median of recent messages, includes latency)
+  skewed: boolean; // Offset beyond deviceClock.maxSkewMs
+  lastDeviceTs: number; // Newest device timestamp, as sent
+  lastReceivedAt: number; // When that message arrived
+}
+
 /**
  * Device state tracked in registry
  */
 export interface Device {
-  id: string;
+  id: string; // Prefixed with the broker id when several brokers are configured
+  broker: string; // Broker of origin
   role: string;
   health: DeviceHealth;
-  lastSeen: number; // Unix timestamp ms
+  lastSeen: number; // Receive time of the latest message (Unix timestamp ms)
   capability: Capability | null;
   metadata: Record<string, unknown>;
+  link?: LinkStats; // Once the device sends `seq`
+  clock?: DeviceClock; // Once the device sends a timestamp
 }
 
 /**
@@ -39,5 +66,6 @@ export interface Device {
 export interface DeviceFilter {
   role?: string;
   health?: DeviceHealth;
+  broker?: string;
   searchQuery?: string;
 }
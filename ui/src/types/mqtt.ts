@@ -6,35 +6,79 @@ export enum ConnectionState {
   Connecting = 'connecting',
   Connected = 'connected',
   Reconnecting = 'reconnecting',
+  Unauthorized = 'unauthorized', // Broker refused the credentials - waits for a new login
   Error = 'error',
 }
 
+/**
+ * MQTT protocol level: 4 = v3.1.1, 5 = MQTT 5
+ */
+export type MqttProtocolVersion = 4 | 5;
+
 /**
  * MQTT connection config
  */
 export interface MqttConfig {
   url: string;
+  protocolVersion?: MqttProtocolVersion | 'auto'; // default 'auto' (MQTT 5, falling back to 3.1.1)
   clientId?: string;
+  clientIdPrefix?: string; // random suffix appended when clientId is not set, default 'pulsar-ui'
   username?: string;
   password?: string;
   reconnectPeriod?: number; // ms, default 1000
   connectTimeout?: number; // ms, default 30000
 }
 
+/**
+ * Message kinds in the topic contract (`command` is outbound, the rest are received)
+ */
+export type TopicKind = 'telemetry' | 'event' | 'status' | 'command' | 'state' | 'meta' | 'ack';
+
+/**
+ * Topic grammar: {prefix}/{device}/{kind}/{metric...} or {prefix}/{kind}/{device}/{metric...}
+ * - prefix: zero or more literal levels (`pulsar`, `site-a/pulsar`)
+ * - deviceLevels: number of levels in a device path (`line-1/press-3` = 2)
+ * - kindAliases: topic segments per kind; all are accepted, the first is used when publishing
+ */
+export interface TopicContract {
+  prefix: string;
+  devicePosition: 'before-kind' | 'after-kind';
+  deviceLevels: number;
+  kindAliases: Record<TopicKind, string[]>;
+}
+
 /**
  * Parsed MQTT topic structure for pulsar messages
- * Expected format: pulsar/{deviceId}/{messageType}/{metric?}
+ * Format is set by the runtime TopicContract (default: pulsar/{deviceId}/{messageType}/{metric?})
  */
 export interface ParsedTopic {
   deviceId: string;
-  messageType: 'telemetry' | 'event' | 'status' | 'command';
+  messageType: TopicKind;
+  // Levels after the kind, joined with '/' (e.g. relays, calibration.set)
   metric?: string;
 }
 
+/**
+ * MQTT 5 publish properties (never set on MQTT 3.1.1 connections)
+ */
+export interface MessageProperties {
+  responseTopic?: string;
+  correlationData?: Uint8Array;
+  contentType?: string;
+  messageExpiryInterval?: number;
+  userProperties?: Record<string, string | string[]>;
+}
+
 /**
  * MQTT message handler
  */
-export type MessageHandler = (topic: string, payload: Buffer) => void;
+// `retained`: delivered from the broker's retained store (the PUBLISH retain flag)
+export type MessageHandler = (
+  topic: string,
+  payload: Uint8Array,
+  properties: MessageProperties | undefined,
+  retained: boolean
+) => void;
 
 /**
  * Raw MQTT message captured for debugging
@@ -45,4 +89,10 @@ export interface MqttMessage {
   messageType: string;
   payload: Record<string, unknown>;
   timestamp: number;
+  // Payload format: json, text, binary or a decoder name (cbor, msgpack, ...)
+  encoding?: string;
+  // Payload bytes as received (for the hex dump)
+  bytes?: Uint8Array;
+  // MQTT 5 properties the message arrived with
+  properties?: MessageProperties;
 }
@@ -0,0 +1,44 @@
+/**
+ * Filter query language (RawView messages, FleetView devices)
+ *
+ *   device:pump-* AND type:telemetry AND fields.pressure_psi > 90
+ *   topic ~ "event/fault.*" OR NOT health:offline
+ */
+
+export type QueryOperator = ':' | '=' | '!=' | '<' | '<=' | '>' | '>=' | '~' | '!~';
+
+export type QueryLiteral = string | number | boolean | null;
+
+export type QueryNode =
+  | { kind: 'and' | 'or'; left: QueryNode; right: QueryNode }
+  | { kind: 'not'; operand: QueryNode }
+  // Bare word or quoted string: case-insensitive full-text match
+  | { kind: 'text'; text: string }
+  | {
+      kind: 'compare';
+      // Field path as typed (`fields.pressure_psi`) and split into segments
+      field: string;
+      path: string[];
+      operator: QueryOperator;
+      value: QueryLiteral;
+      // Compiled glob/topic filter for `:` and regex for `~`/`!~`
+      pattern?: RegExp;
+    };
+
+/**
+ * Parsed query ready to evaluate
+ */
+export interface Query {
+  source: string;
+  root: QueryNode;
+}
+
+/**
+ * What a query is evaluated against - each view maps its field names onto its records
+ */
+export interface QueryTarget {
+  // Value at a field path (arrays match when any element does); undefined when absent
+  get(path: string[]): unknown;
+  // Lowercased text bare words are searched in
+  text(): string;
+}
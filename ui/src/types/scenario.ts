@@ -0,0 +1,114 @@
+import { z } from 'zod';
+
+/**
+ * Condition expression evaluated against live device data:
+ *   pressure_psi < 5          latest telemetry value
+ *   state/relays.1 == 0       retained state (pulsar/{deviceId}/state/relays)
+ *   meta/info.fw != "1.0.0"   retained meta (pulsar/{deviceId}/meta/info)
+ */
+const ConditionSchema = z.string().min(1);
+
+/**
+ * Scenario step schema - one of:
+ * - command: publish a command to the scenario's target device
+ * - ack:     wait for the previous command's ACK (fails on reject/timeout)
+ * - wait:    fixed delay
+ * - waitFor: wait until a condition holds, failing after timeoutMs
+ * - assert:  check a condition once; hard failures stop the run, soft ones only warn
+ */
+export const ScenarioStepSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('command'),
+    action: z.string().min(1),
+    args: z.record(z.string(), z.unknown()).default({}),
+    description: z.string().optional(),
+  }),
+  z.object({
+    type: z.literal('ack'),
+    description: z.string().optional(),
+  }),
+  z.object({
+    type: z.literal('wait'),
+    durationMs: z.number().nonnegative(),
+    description: z.string().optional(),
+  }),
+  z.object({
+    type: z.literal('waitFor'),
+    condition: ConditionSchema,
+    timeoutMs: z.number().positive(),
+    description: z.string().optional(),
+  }),
+  z.object({
+    type: z.literal('assert'),
+    condition: ConditionSchema,
+    severity: z.enum(['hard', 'soft']).default('hard'),
+    description: z.string().optional(),
+  }),
+]);
+
+export type ScenarioStep = z.infer<typeof ScenarioStepSchema>;
+
+/**
+ * Scenario schema - `onFailure` is the safing step list run when a step fails or the run is aborted
+ */
+export const ScenarioSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  description: z.string().optional(),
+  category: z.string().optional(),
+  requiresArmed: z.boolean().default(false),
+  steps: z.array(ScenarioStepSchema).nonempty(),
+  onFailure: z.array(ScenarioStepSchema).default([]),
+});
+
+export type Scenario = z.infer<typeof ScenarioSchema>;
+export type ScenarioInput = z.input<typeof ScenarioSchema>;
+
+/**
+ * Scenario run lifecycle
+ */
+export enum ScenarioRunStatus {
+  Running = 'running',
+  Paused = 'paused',
+  Safing = 'safing',
+  Passed = 'passed',
+  Failed = 'failed',
+  Aborted = 'aborted',
+}
+
+/**
+ * Outcome of a single step
+ */
+export enum StepStatus {
+  Pending = 'pending',
+  Running = 'running',
+  Passed = 'passed',
+  Warned = 'warned', // Soft assertion failed
+  Failed = 'failed',
+  Skipped = 'skipped',
+}
+
+export interface StepResult {
+  phase: 'main' | 'safing';
+  index: number;
+  status: StepStatus;
+  message?: string;
+  commandId?: string;
+  startedAt?: number;
+  finishedAt?: number;
+}
+
+/**
+ * A scenario execution against one device
+ */
+export interface ScenarioRun {
+  id: string;
+  scenario: Scenario;
+  deviceId: string;
+  status: ScenarioRunStatus;
+  steps: StepResult[];
+  safing: StepResult[];
+  startedAt: number;
+  finishedAt?: number;
+  error?: string;
+}
@@ -8,6 +8,36 @@ export interface TimeSeriesPoint {
   value: number;
 }
 
+/**
+ * Storage tier a series is read from
+ * raw: every sample; 1s/1m: min/max/avg rollups per bucket
+ */
+export type TelemetryResolution = 'raw' | '1s' | '1m';
+
+/**
+ * Rollup bucket - `ts` is the bucket start and `value` the bucket average
+ */
+export interface RollupPoint extends TimeSeriesPoint {
+  min: number;
+  max: number;
+  count: number;
+}
+
+/**
+ * How recently a metric was received relative to its expected publish interval
+ */
+export type MetricFreshness = 'fresh' | 'stale' | 'dead';
+
+/**
+ * Per-metric memory limits for each storage tier
+ */
+export interface RetentionConfig {
+  rawMaxPoints: number;
+  rawMaxAgeMs: number;
+  secondMaxPoints: number; // 1s buckets
+  minuteMaxPoints: number; // 1m buckets
+}
+
 /**
  * Telemetry message schema from MQTT
  */
@@ -0,0 +1,276 @@
+/**
+ * Columnar ring buffers for telemetry series
+ *
+ * Timestamps and values live in preallocated Float64Arrays, so pushing an in-order sample is
+ * O(1) and never allocates (late samples are shifted into place). Arrays of points are only
+ * materialized when a consumer reads.
+ */
+import { RollupPoint, TimeSeriesPoint } from '@/types/telemetry';
+
+/**
+ * Fixed-capacity ring of raw samples in time order (overwrites the oldest when full)
+ */
+export class TimeSeriesRing {
+  private readonly ts: Float64Array;
+  private readonly values: Float64Array;
+  private head = 0; // Next write slot
+  private count = 0;
+
+  constructor(private readonly capacity: number) {
+    const size = Math.max(1, Math.floor(capacity));
+    this.capacity = size;
+    this.ts = new Float64Array(size);
+    this.values = new Float64Array(size);
+  }
+
+  push(ts: number, value: number): void {
+    if (this.count > 0 && ts < this.ts[this.index(this.count - 1)]!) {
+      this.pushLate(ts, value);
+      return;
+    }
+
+    this.ts[this.head] = ts;
+    this.values[this.head] = value;
+    this.head = (this.head + 1) % this.capacity;
+    if (this.count < this.capacity) {
+      this.count++;
+    }
+  }
+
+  /**
+   * Drop samples older than cutoff from the tail (amortized O(1))
+   */
+  evictBefore(cutoff: number): void {
+    while (this.count > 0 && this.ts[this.index(0)]! < cutoff) {
+      this.count--;
+    }
+  }
+
+  size(): number {
+    return this.count;
+  }
+
+  oldestTs(): number | undefined {
+    return this.count > 0 ? this.ts[this.index(0)] : undefined;
+  }
+
+  latest(): TimeSeriesPoint | undefined {
+    if (this.count === 0) return undefined;
+    const i = this.index(this.count - 1);
+    return { ts: this.ts[i]!, value: this.values[i]! };
+  }
+
+  /**
+   * Materialize points oldest-first, optionally only those at or after `fromTs`
+   */
+  toPoints(fromTs = -Infinity): TimeSeriesPoint[] {
+    const points: TimeSeriesPoint[] = [];
+    for (let n = 0; n < this.count; n++) {
+      const i = this.index(n);
+      const ts = this.ts[i]!;
+      if (ts >= fromTs) {
+        points.push({ ts, value: this.values[i]! });
+      }
+    }
+    return points;
+  }
+
+  clear(): void {
+    this.head = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Insert a sample older than the newest at its sorted position (after samples with the same ts)
+   * Samples older than a full ring's oldest have already rolled off and are dropped
+   */
+  private pushLate(ts: number, value: number): void {
+    // n: newest sample at or before ts
+    let n = this.count - 1;
+    while (n >= 0 && this.ts[this.index(n)]! > ts) n--;
+
+    if (this.count === this.capacity) {
+      if (n < 0) return;
+      // Make room by dropping the oldest sample
+      this.count--;
+      n--;
+    }
+
+    // Shift newer samples up one slot, then write the sample after n
+    for (let m = this.count - 1; m > n; m--) {
+      const from = this.index(m);
+      const to = this.index(m + 1);
+      this.ts[to] = this.ts[from]!;
+      this.values[to] = this.values[from]!;
+    }
+    const i = this.index(n + 1);
+    this.ts[i] = ts;
+    this.values[i] = value;
+    this.head = (this.head + 1) % this.capacity;
+    this.count++;
+  }
+
+  /**
+   * Physical slot of the n-th oldest sample
+   */
+  private index(n: number): number {
+    return (this.head - this.count + n + this.capacity) % this.capacity;
+  }
+}
+
+/**
+ * Fixed-width min/max/avg rollups stored as a columnar ring
+ * Closed buckets live in the ring; the open bucket is reported as a partial point
+ */
+export class RollupRing {
+  private readonly ts: Float64Array;
+  private readonly avg: Float64Array;
+  private readonly min: Float64Array;
+  private readonly max: Float64Array;
+  private readonly counts: Float64Array;
+  private head = 0;
+  private count = 0;
+
+  // Open bucket accumulator
+  private openTs = NaN;
+  private openSum = 0;
+  private openMin = 0;
+  private openMax = 0;
+  private openCount = 0;
+
+  constructor(
+    private readonly bucketMs: number,
+    private readonly capacity: number
+  ) {
+    const size = Math.max(1, Math.floor(capacity));
+    this.capacity = size;
+    this.ts = new Float64Array(size);
+    this.avg = new Float64Array(size);
+    this.min = new Float64Array(size);
+    this.max = new Float64Array(size);
+    this.counts = new Float64Array(size);
+  }
+
+  push(ts: number, value: number): void {
+    const start = Math.floor(ts / this.bucketMs) * this.bucketMs;
+
+    if (start === this.openTs) {
+      this.openSum += value;
+      this.openCount++;
+      if (value < this.openMin) this.openMin = value;
+      if (value > this.openMax) this.openMax = value;
+      return;
+    }
+
+    if (start < this.openTs) {
+      this.pushLate(start, value);
+      return;
+    }
+
+    this.close();
+    this.openTs = start;
+    this.openSum = value;
+    this.openMin = value;
+    this.openMax = value;
+    this.openCount = 1;
+  }
+
+  oldestTs(): number | undefined {
+    if (this.count > 0) return this.ts[this.index(0)];
+    return this.openCount > 0 ? this.openTs : undefined;
+  }
+
+  toPoints(fromTs = -Infinity): RollupPoint[] {
+    const points: RollupPoint[] = [];
+    for (let n = 0; n < this.count; n++) {
+      const i = this.index(n);
+      const ts = this.ts[i]!;
+      if (ts >= fromTs) {
+        points.push({ ts, value: this.avg[i]!, min: this.min[i]!, max: this.max[i]!, count: this.counts[i]! });
+      }
+    }
+    if (this.openCount > 0 && this.openTs >= fromTs) {
+      points.push({
+        ts: this.openTs,
+        value: this.openSum / this.openCount,
+        min: this.openMin,
+        max: this.openMax,
+        count: this.openCount,
+      });
+    }
+    return points;
+  }
+
+  clear(): void {
+    this.head = 0;
+    this.count = 0;
+    this.openTs = NaN;
+    this.openCount = 0;
+  }
+
+  private close(): void {
+    if (this.openCount === 0) return;
+
+    const i = this.head;
+    this.ts[i] = this.openTs;
+    this.avg[i] = this.openSum / this.openCount;
+    this.min[i] = this.openMin;
+    this.max[i] = this.openMax;
+    this.counts[i] = this.openCount;
+    this.head = (this.head + 1) % this.capacity;
+    if (this.count < this.capacity) {
+      this.count++;
+    }
+    this.openCount = 0;
+  }
+
+  /**
+   * Merge a sample into its closed bucket, inserting the bucket in order if it had none
+   * Samples older than a full ring's oldest bucket have already rolled off and are dropped
+   */
+  private pushLate(start: number, value: number): void {
+    // n: newest bucket at or before start
+    let n = this.count - 1;
+    while (n >= 0 && this.ts[this.index(n)]! > start) n--;
+
+    if (n >= 0 && this.ts[this.index(n)] === start) {
+      const i = this.index(n);
+      const count = this.counts[i]!;
+      this.avg[i] = (this.avg[i]! * count + value) / (count + 1);
+      this.counts[i] = count + 1;
+      if (value < this.min[i]!) this.min[i] = value;
+      if (value > this.max[i]!) this.max[i] = value;
+      return;
+    }
+
+    if (this.count === this.capacity) {
+      if (n < 0) return;
+      // Make room by dropping the oldest bucket
+      this.count--;
+      n--;
+    }
+
+    // Shift newer buckets up one slot, then write the new bucket after n
+    for (let m = this.count - 1; m > n; m--) {
+      const from = this.index(m);
+      const to = this.index(m + 1);
+      this.ts[to] = this.ts[from]!;
+      this.avg[to] = this.avg[from]!;
+      this.min[to] = this.min[from]!;
+      this.max[to] = this.max[from]!;
+      this.counts[to] = this.counts[from]!;
+    }
+    const i = this.index(n + 1);
+    this.ts[i] = start;
+    this.avg[i] = value;
+    this.min[i] = value;
+    this.max[i] = value;
+    this.counts[i] = 1;
+    this.head = (this.head + 1) % this.capacity;
+    this.count++;
+  }
+
+  private index(n: number): number {
+    return (this.head - this.count + n + this.capacity) % this.capacity;
+  }
+}
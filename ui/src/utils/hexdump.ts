@@ -0,0 +1,30 @@
+const BYTES_PER_LINE = 16;
+
+/**
+ * Classic hex/ASCII dump: offset, 16 hex bytes, printable ASCII
+ *   00000000  a2 61 76 01 66 66 69 65  6c 64 73 a1 ...  |.av.ffields.|
+ */
+export function formatHexDump(bytes: Uint8Array, maxBytes = 4096): string {
+  const shown = bytes.subarray(0, maxBytes);
+  const lines: string[] = [];
+
+  for (let offset = 0; offset < shown.length; offset += BYTES_PER_LINE) {
+    const chunk = shown.subarray(offset, offset + BYTES_PER_LINE);
+    let hex = '';
+    let ascii = '';
+    for (let i = 0; i < BYTES_PER_LINE; i++) {
+      const byte = chunk[i];
+      hex += byte === undefined ? '   ' : `${byte.toString(16).padStart(2, '0')} `;
+      if (i === 7) hex += ' ';
+      if (byte !== undefined) {
+        ascii += byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.';
+      }
+    }
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex} |${ascii}|`);
+  }
+
+  if (bytes.length > shown.length) {
+    lines.push(`... ${bytes.length - shown.length} more bytes`);
+  }
+  return lines.join('\n');
+}
@@ -3,6 +3,7 @@
  */
 
 import { isFiniteNumber } from "./helpers.js";
+import { flattenTelemetry } from "../services/mqtt/flatten.ts";
 
 /**
  * Parse incoming MQTT payload (binary/text/JSON)
@@ -44,27 +45,26 @@ export function tryParsePayload(payloadU8) {
 
 /**
  * Extract numeric fields from a payload object
- * Filters out metadata fields (timestamps, seq, etc.)
+ * Filters out metadata fields (timestamps, seq, etc.). `fields` is flattened like the
+ * ingestion path (flatten.ts: depth, booleans and metric filters from `telemetryFlattening`);
+ * other top-level keys count only when they are plain numbers
  * @param {object} obj - Parsed JSON payload
+ * @param {string} deviceId - Device the payload came from (selects its device-type filter)
  * @returns {[string, number][]} - [fieldName, value] pairs
  */
-export function extractNumericFields(obj) {
+export function extractNumericFields(obj, deviceId) {
   if (!obj || typeof obj !== "object") return [];
   const out = [];
 
-  if (isFiniteNumber(obj.value)) out.push(["value", obj.value]);
+  if (isFiniteNumber(obj.value)) out.push(...flattenTelemetry(deviceId, obj.value, "value"));
 
   const fieldsObj = obj.fields && typeof obj.fields === "object" ? obj.fields : null;
-  if (fieldsObj) {
-    for (const [k, v] of Object.entries(fieldsObj)) {
-      if (isFiniteNumber(v)) out.push([k, v]);
-    }
-  }
+  if (fieldsObj) out.push(...flattenTelemetry(deviceId, fieldsObj));
 
-  const ignore = new Set(["t_ms", "ts_unix_ms", "ts", "seq", "uptime_ms", "ts_uptime_ms", "v"]);
+  const ignore = new Set(["t_ms", "ts_unix_ms", "ts", "seq", "uptime_ms", "ts_uptime_ms", "v", "value", "fields"]);
   for (const [k, v] of Object.entries(obj)) {
-    if (ignore.has(k) || k === "fields") continue;
-    if (isFiniteNumber(v)) out.push([k, v]);
+    if (ignore.has(k) || !isFiniteNumber(v)) continue;
+    out.push(...flattenTelemetry(deviceId, v, k));
   }
 
   const seen = new Set();
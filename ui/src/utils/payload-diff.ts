@@ -0,0 +1,68 @@
+/**
+ * Field-level diff of two decoded payloads
+ *
+ * Objects and arrays are flattened to leaf paths (`fields.temp`, `samples[2]`), so a change
+ * deep inside a payload shows up as one row instead of a rewritten document.
+ */
+
+export interface PayloadChange {
+  // Leaf path ('' when the payloads are scalars)
+  path: string;
+  kind: 'added' | 'removed' | 'changed';
+  before?: unknown;
+  after?: unknown;
+}
+
+// Keeps the inspector responsive for payloads with thousands of leaves
+const MAX_CHANGES = 200;
+
+function isContainer(value: unknown): value is Record<string, unknown> | unknown[] {
+  return value !== null && typeof value === 'object' && !(value instanceof Uint8Array);
+}
+
+function flatten(value: unknown, path: string, out: Map<string, unknown>): void {
+  if (Array.isArray(value)) {
+    if (value.length === 0) out.set(path, value);
+    value.forEach((item, i) => flatten(item, `${path}[${i}]`, out));
+    return;
+  }
+  if (isContainer(value)) {
+    const entries = Object.entries(value);
+    if (entries.length === 0) out.set(path, value);
+    entries.forEach(([key, item]) => flatten(item, path ? `${path}.${key}` : key, out));
+    return;
+  }
+  out.set(path, value);
+}
+
+function sameLeaf(a: unknown, b: unknown): boolean {
+  if (a instanceof Uint8Array && b instanceof Uint8Array) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+  }
+  return Object.is(a, b) || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Changes from `before` to `after`, in the order the paths appear (capped at MAX_CHANGES)
+ */
+export function diffPayloads(before: unknown, after: unknown): PayloadChange[] {
+  const previous = new Map<string, unknown>();
+  const current = new Map<string, unknown>();
+  flatten(before, '', previous);
+  flatten(after, '', current);
+
+  const changes: PayloadChange[] = [];
+  for (const [path, value] of current) {
+    if (changes.length >= MAX_CHANGES) return changes;
+    if (!previous.has(path)) {
+      changes.push({ path, kind: 'added', after: value });
+    } else if (!sameLeaf(previous.get(path), value)) {
+      changes.push({ path, kind: 'changed', before: previous.get(path), after: value });
+    }
+  }
+  for (const [path, value] of previous) {
+    if (changes.length >= MAX_CHANGES) return changes;
+    if (!current.has(path)) changes.push({ path, kind: 'removed', before: value });
+  }
+  return changes;
+}